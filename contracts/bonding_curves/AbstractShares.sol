@@ -5,7 +5,7 @@ import "../utils/InitializableAccessControl.sol";
 import "./TradeableShares.sol";
 import "./SharesFactory.sol";
 import "./SharesSubjectLib.sol";
-import "./FriendTechBondingCurve.sol";
+import "./SharesPricingLib.sol";
 
 /**
  * @title Abstract Shares
@@ -17,19 +17,19 @@ import "./FriendTechBondingCurve.sol";
  *
  * @dev Based on the friend.tech FriendtechSharesV1.sol
  */
-abstract contract AbstractShares is TradeableShares, FriendTechBondingCurve, InitializableAccessControl {
+abstract contract AbstractShares is TradeableShares, InitializableAccessControl {
 	/// @dev Shares subject is an NFT; NFT owner receives the subject fee
 	SharesSubject private sharesSubject;
 	/// @dev Protocol fee destination is an address collecting the protocol fee
 	address private protocolFeeDestination;
-	/// @dev Protocol fee percent, immutable; maximum value: 10^18 (< 2^60)
-	uint64 private /*immutable*/ protocolFeePercent;
+	/// @dev Protocol fee percent, maximum value: 10^18 (< 2^60); can be overridden by the fee manager
+	uint64 private protocolFeePercent;
 	/// @dev Holders rewards fee destination is a contract collecting the holders fee, immutable
 	HoldersRewardsDistributor private /*immutable*/ holdersFeeDestination;
-	/// @dev Holders rewards fee percent, immutable
-	uint64 private /*immutable*/ holdersFeePercent;
-	/// @dev Subject fee percent, immutable
-	uint64 private /*immutable*/ subjectFeePercent;
+	/// @dev Holders rewards fee percent, can be overridden by the fee manager
+	uint64 private holdersFeePercent;
+	/// @dev Subject fee percent, can be overridden by the fee manager
+	uint64 private subjectFeePercent;
 
 	/// @dev Total shares supply, sum of all the individual balances in `sharesBalances`
 	uint256 internal sharesSupply;
@@ -39,6 +39,17 @@ abstract contract AbstractShares is TradeableShares, FriendTechBondingCurve, Ini
 	/// @dev Cumulative value of all trades, allows to derive cumulative fees paid
 	uint256 private tradeVolume;
 
+	/// @dev Bonding curve defining the shares price, immutable; zero means the built-in friend.tech curve
+	BondingCurve private /*immutable*/ bondingCurve;
+
+	/// @dev Portion of the subject fee redirected to the shares holders, set by the issuer;
+	///      defined with the 18 decimals, 10^18 corresponds to 100%
+	uint64 private subjectFeeHoldersShare;
+	/// @dev Lower bound for `subjectFeeHoldersShare`, set by the fee manager
+	uint64 private minSubjectFeeHoldersShare;
+	/// @dev Upper bound for `subjectFeeHoldersShare`, set by the fee manager
+	uint64 private maxSubjectFeeHoldersShare;
+
 	/**
 	 * @dev Fired in `updateSharesSubject`
 	 *
@@ -65,6 +76,54 @@ abstract contract AbstractShares is TradeableShares, FriendTechBondingCurve, Ini
 	 */
 	event HoldersFeeDisabled(uint256 oldProtocolFeePercent, uint256 newProtocolFeePercent);
 
+	/**
+	 * @dev Fired in `overrideFees`
+	 *
+	 * @param by an address which executed the override (fee manager)
+	 * @param protocolFeePercent new protocol fee percent
+	 * @param holdersFeePercent new shares holders fee percent
+	 * @param subjectFeePercent new subject fee percent
+	 */
+	event FeesOverridden(address indexed by, uint256 protocolFeePercent, uint256 holdersFeePercent, uint256 subjectFeePercent);
+
+	/**
+	 * @dev Fired in `updateSubjectFeeSplitBounds`, including the initial bounds set by the factory upon
+	 *      the deployment; the factory bounds are not enforced after the deployment, these are
+	 *      the only bounds effective for this shares contract
+	 *
+	 * @param by an address which updated the bounds (fee manager, or the factory)
+	 * @param minHoldersShare new lower bound for the subject fee portion redirected to the holders
+	 * @param maxHoldersShare new upper bound for the subject fee portion redirected to the holders
+	 */
+	event SubjectFeeSplitBoundsUpdated(address indexed by, uint256 minHoldersShare, uint256 maxHoldersShare);
+
+	/**
+	 * @dev Fired in `updateSubjectFeeSplit`, and in `updateSubjectFeeSplitBounds`
+	 *      if the split needs to be adjusted to fit into the new bounds
+	 *
+	 * @param by an address which updated the split (issuer or fee manager)
+	 * @param oldHoldersShare old subject fee portion redirected to the holders
+	 * @param newHoldersShare new subject fee portion redirected to the holders
+	 */
+	event SubjectFeeSplitUpdated(address indexed by, uint256 oldHoldersShare, uint256 newHoldersShare);
+
+	/**
+	 * @dev Fired in `transferShares`
+	 *
+	 * @param from an address the shares were transferred from
+	 * @param to an address the shares were transferred to
+	 * @param amount amount of shares transferred
+	 */
+	event SharesTransferred(address indexed from, address indexed to, uint256 amount);
+
+	/**
+	 * @notice Enables the shares transfers; the shares are non-transferable by default,
+	 *      transfers is an opt-in functionality enabled per shares contract
+	 *
+	 * @dev Feature FEATURE_TRANSFERS enables `transferShares` function
+	 */
+	uint32 public constant FEATURE_TRANSFERS = 0x0000_0001;
+
 	/**
 	 * @notice Protocol fee destination manager is responsible for updating the address collecting the
 	 *      protocol fee destination, that is `protocolFeeDestination`; the manager cannot update the fee percent
@@ -89,6 +148,20 @@ abstract contract AbstractShares is TradeableShares, FriendTechBondingCurve, Ini
 	 */
 	uint32 public constant ROLE_HOLDERS_FEE_MANAGER = 0x0002_0000;
 
+	/**
+	 * @notice Fee manager can override the protocol, holders, and subject fee percents set upon
+	 *      the deployment (negotiated fee schedule), and defines the bounds within which the issuer
+	 *      can redirect the subject fee to the shares holders
+	 *
+	 * @dev This role should be granted to the MultiSig, not to EOA and not to
+	 *      RBAC managed smart contract, so that this functionality is not scalable;
+	 *      this reduces the risk of misuse, and/or malicious use
+	 *
+	 * @dev Role ROLE_FEE_MANAGER is required to execute `overrideFees` and
+	 *      `updateSubjectFeeSplitBounds` functions
+	 */
+	uint32 public constant ROLE_FEE_MANAGER = 0x0004_0000;
+
 	/**
 	 * @notice Shares subject manager is responsible for updating the "shares subject"
 	 *      in case of emergency, for example if underlying NFT was stolen
@@ -116,6 +189,8 @@ abstract contract AbstractShares is TradeableShares, FriendTechBondingCurve, Ini
 	 *      the fee percent is defined with the 18 decimals, 10^18 corresponds to 100%
 	 * @param _subjectFeePercent subject fee percent, applied to all the buy and sell operations,
 	 *      the fee percent is defined with the 18 decimals, 10^18 corresponds to 100%
+	 * @param _bondingCurve bonding curve defining the shares price, optional,
+	 *      zero address means the built-in friend.tech curve
 	 */
 	function _postConstruct(
 		address _owner,
@@ -124,7 +199,8 @@ abstract contract AbstractShares is TradeableShares, FriendTechBondingCurve, Ini
 		uint64 _protocolFeePercent,
 		HoldersRewardsDistributor _holdersFeeDestination,
 		uint64 _holdersFeePercent,
-		uint64 _subjectFeePercent
+		uint64 _subjectFeePercent,
+		BondingCurve _bondingCurve
 	) internal onlyInitializing {
 		// execute parent initializer
 		_postConstruct(_owner);
@@ -138,6 +214,33 @@ abstract contract AbstractShares is TradeableShares, FriendTechBondingCurve, Ini
 		holdersFeeDestination = _holdersFeeDestination;
 		holdersFeePercent = _holdersFeePercent;
 		subjectFeePercent = _subjectFeePercent;
+		bondingCurve = _bondingCurve;
+	}
+
+	/**
+	 * @notice Bonding curve defining the shares price, see `getPrice`
+	 *
+	 * @dev Immutable, client applications may cache this value
+	 *
+	 * @return bonding curve contract, or zero address if the built-in friend.tech curve is used
+	 */
+	function getBondingCurve() public view returns(BondingCurve) {
+		// read value from the storage (immutable)
+		return bondingCurve;
+	}
+
+	/**
+	 * @dev Evaluates the bonding curve function: either the built-in friend.tech curve,
+	 *      or the bonding curve contract the shares contract was deployed with;
+	 *      implementations shift the result according to the payment currency in `getPrice`
+	 *
+	 * @param _supply total shares supply
+	 * @param _amount number of shares to buy/sell
+	 * @return the price of the shares (all `amount` amount) before the shift
+	 */
+	function __getCurvePrice(uint256 _supply, uint256 _amount) internal view returns(uint256) {
+		// if the curve is not set use the original friend tech formula, delegate to the curve otherwise
+		return SharesPricingLib.getCurvePrice(bondingCurve, _supply, _amount);
 	}
 
 	/**
@@ -220,7 +323,7 @@ abstract contract AbstractShares is TradeableShares, FriendTechBondingCurve, Ini
 	 * @inheritdoc TradeableShares
 	 */
 	function getProtocolFeePercent() public view returns(uint256) {
-		// read the value from storage (immutable)
+		// read the value from storage
 		return protocolFeePercent;
 	}
 
@@ -273,38 +376,180 @@ abstract contract AbstractShares is TradeableShares, FriendTechBondingCurve, Ini
 	 * @inheritdoc TradeableShares
 	 */
 	function getHoldersFeePercent() public view returns(uint256) {
-		// read the value from storage (immutable)
+		// read the value from storage
 		return holdersFeePercent;
 	}
 
 	/**
 	 * @inheritdoc TradeableShares
+	 *
+	 * @dev Includes the portion of the subject fee redirected to the holders, see `updateSubjectFeeSplit`
 	 */
 	function getHoldersFeeInfo() public view returns(HoldersRewardsDistributor feeDestination, uint256 feePercent) {
 		// read fee destination first
 		feeDestination = getHoldersFeeDestination();
 		// if it's zero, zero down the fee as well
-		feePercent = address(feeDestination) == address(0)? 0: getHoldersFeePercent();
+		feePercent = address(feeDestination) == address(0)? 0: getHoldersFeePercent() + __getRedirectedSubjectFeePercent();
 	}
 
 	/**
 	 * @inheritdoc TradeableShares
+	 *
+	 * @dev Excludes the portion of the subject fee redirected to the holders, see `updateSubjectFeeSplit`
 	 */
 	function getSubjectFeeInfo() public view returns(address feeDestination, uint256 feePercent) {
 		// read fee destination first
 		feeDestination = getSharesIssuer();
 		// if it's zero, zero down the fee as well
-		feePercent = feeDestination == address(0)? 0: getSubjectFeePercent();
+		feePercent = feeDestination == address(0)? 0: getSubjectFeePercent() - __getRedirectedSubjectFeePercent();
 	}
 
 	/**
 	 * @inheritdoc TradeableShares
 	 */
 	function getSubjectFeePercent() public view returns(uint256) {
-		// read the value from storage (immutable)
+		// read the value from storage
 		return subjectFeePercent;
 	}
 
+	/**
+	 * @dev Calculates the portion of the subject fee percent redirected to the shares holders;
+	 *      the redirect is effective only if both holders fee destination and the issuer are set
+	 *
+	 * @return fee percent moved from the subject fee to the holders fee
+	 */
+	function __getRedirectedSubjectFeePercent() private view returns(uint256) {
+		// no redirect if either of the fee destinations is not set
+		if(address(holdersFeeDestination) == address(0) || getSharesIssuer() == address(0)) {
+			return 0;
+		}
+
+		// calculate the redirected portion of the subject fee
+		return uint256(subjectFeePercent) * subjectFeeHoldersShare / 1 ether;
+	}
+
+	/**
+	 * @notice Overrides the fee percents set upon the deployment, allows to apply
+	 *      the negotiated fee schedule to the already deployed shares contract
+	 *
+	 * @notice Holders fee cannot be set if it was disabled (see `disableHoldersFee`)
+	 *
+	 * @dev This is a restricted access function which should be accessible only from the
+	 *      MultiSig wallet controlling the protocol (fee manager)
+	 *
+	 * @param _protocolFeePercent new protocol fee percent
+	 * @param _holdersFeePercent new shares holders fee percent
+	 * @param _subjectFeePercent new subject fee percent
+	 */
+	function overrideFees(uint64 _protocolFeePercent, uint64 _holdersFeePercent, uint64 _subjectFeePercent) public {
+		// verify the access permission
+		require(isSenderInRole(ROLE_FEE_MANAGER), "access denied");
+
+		// verify the holders fee can be set
+		require(_holdersFeePercent == 0 || address(holdersFeeDestination) != address(0), "holders fee disabled");
+		// verify the total fee is not mistakenly too big (60%)
+		require(
+			uint256(_protocolFeePercent) + _holdersFeePercent + _subjectFeePercent < 600000000000000000,
+			"malformed fee percent"
+		);
+
+		// update contract's state
+		protocolFeePercent = _protocolFeePercent;
+		holdersFeePercent = _holdersFeePercent;
+		subjectFeePercent = _subjectFeePercent;
+
+		// emit an event
+		emit FeesOverridden(msg.sender, _protocolFeePercent, _holdersFeePercent, _subjectFeePercent);
+	}
+
+	/**
+	 * @notice Subject fee split between the issuer and the shares holders
+	 *
+	 * @return holdersShare portion of the subject fee redirected to the holders
+	 * @return minHoldersShare lower bound for the `holdersShare`
+	 * @return maxHoldersShare upper bound for the `holdersShare`
+	 */
+	function getSubjectFeeSplit() public view returns(uint256 holdersShare, uint256 minHoldersShare, uint256 maxHoldersShare) {
+		// read the values from storage
+		return (subjectFeeHoldersShare, minSubjectFeeHoldersShare, maxSubjectFeeHoldersShare);
+	}
+
+	/**
+	 * @notice Updates the bounds within which the issuer can redirect the subject fee to the shares holders;
+	 *      if the current split doesn't fit into the new bounds, it is adjusted to the nearest bound
+	 *
+	 * @dev This is a restricted access function which should be accessible only from the
+	 *      MultiSig wallet controlling the protocol (fee manager), or from the factory upon deployment
+	 *
+	 * @dev The factory copies its bounds (see `SharesFactory.setSubjectFeeSplitBounds`) only upon
+	 *      the deployment, and doesn't restrict the values set by the fee manager later: the fee manager
+	 *      can set any bounds within [0, 10^18] regardless of the current factory bounds
+	 *
+	 * @param _minHoldersShare lower bound, 10^18 corresponds to 100% of the subject fee
+	 * @param _maxHoldersShare upper bound, 10^18 corresponds to 100% of the subject fee
+	 */
+	function updateSubjectFeeSplitBounds(uint64 _minHoldersShare, uint64 _maxHoldersShare) public {
+		// verify the access permission
+		require(isSenderInRole(ROLE_FEE_MANAGER), "access denied");
+
+		// verify the bounds are consistent
+		require(_minHoldersShare <= _maxHoldersShare && _maxHoldersShare <= 1 ether, "invalid bounds");
+
+		// update contract's state
+		minSubjectFeeHoldersShare = _minHoldersShare;
+		maxSubjectFeeHoldersShare = _maxHoldersShare;
+
+		// emit an event
+		emit SubjectFeeSplitBoundsUpdated(msg.sender, _minHoldersShare, _maxHoldersShare);
+
+		// fit the current split into the new bounds
+		uint64 _holdersShare = subjectFeeHoldersShare;
+		if(_holdersShare < _minHoldersShare) {
+			__updateSubjectFeeSplit(_minHoldersShare);
+		}
+		else if(_holdersShare > _maxHoldersShare) {
+			__updateSubjectFeeSplit(_maxHoldersShare);
+		}
+	}
+
+	/**
+	 * @notice Redirects the portion of the subject fee to the shares holders;
+	 *      the portion must be within the bounds defined by the fee manager
+	 *
+	 * @notice The redirect is effective only while the holders fee is enabled
+	 *
+	 * @dev Executable only by the issuer
+	 *
+	 * @param _holdersShare portion of the subject fee to redirect to the holders,
+	 *      10^18 corresponds to 100% of the subject fee
+	 */
+	function updateSubjectFeeSplit(uint64 _holdersShare) public {
+		// verify the access permission
+		require(msg.sender == getSharesIssuer(), "access denied");
+
+		// verify the split is within the bounds
+		require(
+			_holdersShare >= minSubjectFeeHoldersShare && _holdersShare <= maxSubjectFeeHoldersShare,
+			"out of bounds"
+		);
+
+		// update the split and emit an event
+		__updateSubjectFeeSplit(_holdersShare);
+	}
+
+	/**
+	 * @dev Updates the subject fee split and emits an event, doesn't verify the bounds
+	 *
+	 * @param _holdersShare portion of the subject fee to redirect to the holders
+	 */
+	function __updateSubjectFeeSplit(uint64 _holdersShare) private {
+		// emit an event first - to log both old and new values
+		emit SubjectFeeSplitUpdated(msg.sender, subjectFeeHoldersShare, _holdersShare);
+
+		// update contract's state
+		subjectFeeHoldersShare = _holdersShare;
+	}
+
 	/**
 	 * @inheritdoc TradeableShares
 	 */
@@ -329,10 +574,74 @@ abstract contract AbstractShares is TradeableShares, FriendTechBondingCurve, Ini
 		return sharesSupply;
 	}
 
+	/**
+	 * @notice Transfers the shares of the sender to another address without any fees, allowing
+	 *      the holder to move the shares to another wallet without selling and buying them back
+	 *
+	 * @notice The shares are non-transferable unless FEATURE_TRANSFERS feature is enabled
+	 *
+	 * @dev Notifies the HoldersRewardsDistributor (if set) with the two sync messages,
+	 *      the same as if the recipient bought and the sender sold the shares:
+	 *      (to, true, amount) followed by (from, false, amount); the buy message goes first,
+	 *      so that the total amount of shares registered in the distributor never drops to zero
+	 *
+	 * @param to an address to transfer the shares to
+	 * @param amount amount of shares to transfer
+	 */
+	function transferShares(address to, uint256 amount) public {
+		// verify the transfers are enabled
+		require(isFeatureEnabled(FEATURE_TRANSFERS), "transfers are disabled");
+
+		// verify the recipient address is set
+		require(to != address(0), "zero address");
+
+		// verify the amount vs sender's balance
+		uint256 balance = getSharesBalance(msg.sender);
+		require(balance >= amount, "insufficient shares");
+
+		// update the balances, supply remains the same
+		sharesBalances[msg.sender] = balance - amount;
+		sharesBalances[to] += amount;
+
+		// sync the HoldersRewardsDistributor if it is set
+		HoldersRewardsDistributor distributor = getHoldersFeeDestination();
+		if(address(distributor) != address(0) && amount != 0) {
+			__syncHolders(distributor, to, true, amount);
+			__syncHolders(distributor, msg.sender, false, amount);
+		}
+
+		// emit an event
+		emit SharesTransferred(msg.sender, to, amount);
+	}
+
+	/**
+	 * @dev Sends the sync message (trader, isBuy, amount) to the HoldersRewardsDistributor without the fee;
+	 *      the delivery is implementation dependent (ETH call or ERC1363 zero value transfer),
+	 *      implementation must throw if the sync fails
+	 *
+	 * @param distributor HoldersRewardsDistributor to sync
+	 * @param trader an account whose shares balance changes by the `amount`
+	 * @param isBuy [true] the balance increases, [false] the balance decreases
+	 * @param amount amount of shares the balance changes by
+	 */
+	function __syncHolders(
+		HoldersRewardsDistributor distributor,
+		address trader,
+		bool isBuy,
+		uint256 amount
+	) internal virtual;
+
+	/**
+	 * @inheritdoc BondingCurve
+	 *
+	 * @dev Implementations shift the curve (see `__getCurvePrice`) according to the payment currency
+	 */
+	function getPrice(uint256 supply, uint256 amount) public view virtual returns(uint256);
+
 	/**
 	 * @inheritdoc TradeableShares
 	 */
-	function getBuyPrice(uint256 _supply, uint256 _amount) public pure returns(uint256) {
+	function getBuyPrice(uint256 _supply, uint256 _amount) public view returns(uint256) {
 		// this is the original friend tech formula
 		return getPrice(_supply, _amount);
 	}
@@ -340,7 +649,7 @@ abstract contract AbstractShares is TradeableShares, FriendTechBondingCurve, Ini
 	/**
 	 * @inheritdoc TradeableShares
 	 */
-	function getSellPrice(uint256 _supply, uint256 _amount) public pure returns(uint256) {
+	function getSellPrice(uint256 _supply, uint256 _amount) public view returns(uint256) {
 		// this is the original friend tech formula
 		return getPrice(_supply - _amount, _amount);
 	}
@@ -354,13 +663,10 @@ abstract contract AbstractShares is TradeableShares, FriendTechBondingCurve, Ini
 		uint256 _protocolFeePercent,
 		uint256 _holdersFeePercent,
 		uint256 _subjectFeePercent
-	) public pure returns(uint256) {
+	) public view returns(uint256) {
 		// this is the original friend tech formula
 		uint256 price = getBuyPrice(_supply, _amount);
-		uint256 protocolFee = price * _protocolFeePercent / 1 ether;
-		uint256 holdersFee = price * _holdersFeePercent / 1 ether;
-		uint256 subjectFee = price * _subjectFeePercent / 1 ether;
-		return price + protocolFee + holdersFee + subjectFee;
+		return price + SharesPricingLib.getFees(price, _protocolFeePercent, _holdersFeePercent, _subjectFeePercent);
 	}
 
 	/**
@@ -372,13 +678,10 @@ abstract contract AbstractShares is TradeableShares, FriendTechBondingCurve, Ini
 		uint256 _protocolFeePercent,
 		uint256 _holdersFeePercent,
 		uint256 _subjectFeePercent
-	) public pure returns(uint256) {
+	) public view returns(uint256) {
 		// this is the original friend tech formula
 		uint256 price = getSellPrice(_supply, _amount);
-		uint256 protocolFee = price * _protocolFeePercent / 1 ether;
-		uint256 holdersFee = price * _holdersFeePercent / 1 ether;
-		uint256 subjectFee = price * _subjectFeePercent / 1 ether;
-		return price - protocolFee - holdersFee - subjectFee;
+		return price - SharesPricingLib.getFees(price, _protocolFeePercent, _holdersFeePercent, _subjectFeePercent);
 	}
 
 	/**
@@ -31,6 +31,16 @@ interface TradeableKeys is TradeableShares {
 	 * @notice sellSharesTo alias
 	 */
 	function sellKeysTo(uint256 amount, address payable beneficiary) external;
+
+	/**
+	 * @notice buySharesTo (slippage protected) alias
+	 */
+	function buyKeysTo(uint256 amount, address beneficiary, uint256 maxPaid, uint256 deadline) external payable;
+
+	/**
+	 * @notice sellSharesTo (slippage protected) alias
+	 */
+	function sellKeysTo(uint256 amount, address payable beneficiary, uint256 minReceived, uint256 deadline) external;
 }
 
 /**
@@ -40,8 +50,8 @@ interface TradeableKeys is TradeableShares {
  *      in MetaMask, Etherscan, etc.
  */
 contract ERC20Keys is ERC20Shares, TradeableKeys {
-	constructor(address _owner, SharesSubject memory _sharesSubject, address _protocolFeeDestination, uint64 _protocolFeePercent, HoldersRewardsDistributor _holdersFeeDestination, uint64 _holdersFeePercent, uint64 _subjectFeePercent, uint256 _amount, address _beneficiary, ERC1363 _paymentToken
-	) ERC20Shares(      _owner,                      _sharesSubject,         _protocolFeeDestination,        _protocolFeePercent,                           _holdersFeeDestination,        _holdersFeePercent,        _subjectFeePercent,         _amount,         _beneficiary,         _paymentToken){}
+	constructor(address _owner, SharesSubject memory _sharesSubject, address _protocolFeeDestination, uint64 _protocolFeePercent, HoldersRewardsDistributor _holdersFeeDestination, uint64 _holdersFeePercent, uint64 _subjectFeePercent, BondingCurve _bondingCurve, uint256 _amount, address _beneficiary, ERC1363 _paymentToken
+	) ERC20Shares(      _owner,                      _sharesSubject,         _protocolFeeDestination,        _protocolFeePercent,                           _holdersFeeDestination,        _holdersFeePercent,        _subjectFeePercent,              _bondingCurve,         _amount,         _beneficiary,         _paymentToken){}
 
 	/**
 	 * @inheritdoc TradeableKeys
@@ -70,6 +80,20 @@ contract ERC20Keys is ERC20Shares, TradeableKeys {
 	function sellKeysTo(uint256 amount, address payable beneficiary) public {
 		sellSharesTo(amount, beneficiary);
 	}
+
+	/**
+	 * @inheritdoc TradeableKeys
+	 */
+	function buyKeysTo(uint256 amount, address beneficiary, uint256 maxPaid, uint256 deadline) public payable {
+		buySharesTo(amount, beneficiary, maxPaid, deadline);
+	}
+
+	/**
+	 * @inheritdoc TradeableKeys
+	 */
+	function sellKeysTo(uint256 amount, address payable beneficiary, uint256 minReceived, uint256 deadline) public {
+		sellSharesTo(amount, beneficiary, minReceived, deadline);
+	}
 }
 
 /**
@@ -79,8 +103,8 @@ contract ERC20Keys is ERC20Shares, TradeableKeys {
  *      in MetaMask, Etherscan, etc.
  */
 contract ETHKeys is ETHShares, TradeableKeys {
-	constructor(address _owner, SharesSubject memory _sharesSubject, address _protocolFeeDestination, uint64 _protocolFeePercent, HoldersRewardsDistributor _holdersFeeDestination, uint64 _holdersFeePercent, uint64 _subjectFeePercent, uint256 _amount, address _beneficiary
-	) ETHShares(        _owner,                      _sharesSubject,         _protocolFeeDestination,        _protocolFeePercent,                           _holdersFeeDestination,        _holdersFeePercent,        _subjectFeePercent,         _amount,         _beneficiary){}
+	constructor(address _owner, SharesSubject memory _sharesSubject, address _protocolFeeDestination, uint64 _protocolFeePercent, HoldersRewardsDistributor _holdersFeeDestination, uint64 _holdersFeePercent, uint64 _subjectFeePercent, BondingCurve _bondingCurve, uint256 _amount, address _beneficiary
+	) ETHShares(        _owner,                      _sharesSubject,         _protocolFeeDestination,        _protocolFeePercent,                           _holdersFeeDestination,        _holdersFeePercent,        _subjectFeePercent,              _bondingCurve,         _amount,         _beneficiary){}
 
 	/**
 	 * @inheritdoc TradeableKeys
@@ -109,4 +133,18 @@ contract ETHKeys is ETHShares, TradeableKeys {
 	function sellKeysTo(uint256 amount, address payable beneficiary) public {
 		sellSharesTo(amount, beneficiary);
 	}
+
+	/**
+	 * @inheritdoc TradeableKeys
+	 */
+	function buyKeysTo(uint256 amount, address beneficiary, uint256 maxPaid, uint256 deadline) public payable {
+		buySharesTo(amount, beneficiary, maxPaid, deadline);
+	}
+
+	/**
+	 * @inheritdoc TradeableKeys
+	 */
+	function sellKeysTo(uint256 amount, address payable beneficiary, uint256 minReceived, uint256 deadline) public {
+		sellSharesTo(amount, beneficiary, minReceived, deadline);
+	}
 }
@@ -14,9 +14,12 @@ interface BondingCurve {
 	 * @notice Bonding curve function definition. The function calculating the price
 	 *      of the `amount` of shares given the current total supply `supply`
 	 *
+	 * @dev Parameterless curves implement the function as pure, configurable curves
+	 *      read their (immutable) parameters and implement it as view
+	 *
 	 * @param supply total shares supply
 	 * @param amount number of shares to buy/sell
 	 * @return the price of the shares (all `amount` amount)
 	 */
-	function getPrice(uint256 supply, uint256 amount) external pure returns(uint256);
+	function getPrice(uint256 supply, uint256 amount) external view returns(uint256);
 }
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+/**
+ * @title DEX Adapter
+ *
+ * @notice Unified interface to swap native ETH into the ERC20 token on some DEX (Uniswap, Aerodrome, etc.);
+ *      used by the ERC20SharesRouter to buy the ERC20Shares paying in ETH
+ *
+ * @notice Adapter is a thin wrapper around the DEX router, it hides the DEX specifics
+ *      (pool fees, swap paths, WETH wrapping) behind the "exact output" swap
+ */
+interface DexAdapter {
+	/**
+	 * @notice Quotes the amount of ETH required to get exactly `amountOut` tokens
+	 *
+	 * @dev The quote is expected to be exact for the current state of the DEX; the
+	 *      adapter must be able to swap for this amount of ETH within the same block
+	 *
+	 * @dev The function is not `view` since some of the DEX quoters (Uniswap V3 QuoterV2)
+	 *      are implemented via the state-modifying calls; off-chain it should be used via eth_call
+	 *
+	 * @param tokenOut ERC20 token to get
+	 * @param amountOut amount of tokens to get
+	 * @return amountIn amount of ETH required
+	 */
+	function getAmountIn(address tokenOut, uint256 amountOut) external returns(uint256 amountIn);
+
+	/**
+	 * @notice Swaps ETH sent with the transaction for exactly `amountOut` tokens,
+	 *      sends the tokens to the `recipient`, and refunds the ETH not spent back to the sender
+	 *
+	 * @dev Throws if the ETH sent is not enough to get `amountOut` tokens, or if the swap is expired
+	 *
+	 * @param tokenOut ERC20 token to get
+	 * @param amountOut amount of tokens to get
+	 * @param recipient an address to send the tokens to
+	 * @param deadline swap deadline, unix timestamp
+	 * @return amountIn amount of ETH spent, the rest `msg.value - amountIn` is refunded to the sender
+	 */
+	function swapETHForExactTokens(
+		address tokenOut,
+		uint256 amountOut,
+		address recipient,
+		uint256 deadline
+	) external payable returns(uint256 amountIn);
+}
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.4;
 
 import "@ai-protocol/v3-core/contracts/interfaces/ERC1363Spec.sol";
+import "@ai-protocol/v3-core/contracts/interfaces/EIP2612.sol";
 import "./AbstractShares.sol";
 
 /**
@@ -31,6 +32,8 @@ contract ERC20Shares is AbstractShares {
 	 *      the fee percent is defined with the 18 decimals, 10^18 corresponds to 100%
 	 * @param _subjectFeePercent subject fee percent, applied to all the buy and sell operations,
 	 *      the fee percent is defined with the 18 decimals, 10^18 corresponds to 100%
+	 * @param _bondingCurve bonding curve defining the shares price, optional,
+	 *      zero address means the built-in friend.tech curve
 	 * @param _amount how many shares to buy immediately upon "post-construction", can be zero
 	 * @param _beneficiary the address receiving the shares bought immediately (must be set
 	 *      if `_amount` is not zero)
@@ -44,6 +47,7 @@ contract ERC20Shares is AbstractShares {
 		HoldersRewardsDistributor _holdersFeeDestination,
 		uint64 _holdersFeePercent,
 		uint64 _subjectFeePercent,
+		BondingCurve _bondingCurve,
 		uint256 _amount,
 		address _beneficiary,
 		ERC1363 _paymentToken
@@ -57,6 +61,7 @@ contract ERC20Shares is AbstractShares {
 			_holdersFeeDestination,
 			_holdersFeePercent,
 			_subjectFeePercent,
+			_bondingCurve,
 			_amount,
 			_beneficiary,
 			_paymentToken
@@ -78,6 +83,8 @@ contract ERC20Shares is AbstractShares {
 	 *      the fee percent is defined with the 18 decimals, 10^18 corresponds to 100%
 	 * @param _subjectFeePercent subject fee percent, applied to all the buy and sell operations,
 	 *      the fee percent is defined with the 18 decimals, 10^18 corresponds to 100%
+	 * @param _bondingCurve bonding curve defining the shares price, optional,
+	 *      zero address means the built-in friend.tech curve
 	 * @param _amount how many shares to buy immediately upon "post-construction", can be zero
 	 * @param _beneficiary the address receiving the shares bought immediately (must be set
 	 *      if `_amount` is not zero)
@@ -91,6 +98,7 @@ contract ERC20Shares is AbstractShares {
 		HoldersRewardsDistributor _holdersFeeDestination,
 		uint64 _holdersFeePercent,
 		uint64 _subjectFeePercent,
+		BondingCurve _bondingCurve,
 		uint256 _amount,
 		address _beneficiary,
 		ERC1363 _paymentToken
@@ -103,7 +111,8 @@ contract ERC20Shares is AbstractShares {
 			_protocolFeePercent,
 			_holdersFeeDestination,
 			_holdersFeePercent,
-			_subjectFeePercent
+			_subjectFeePercent,
+			_bondingCurve
 		);
 		// no need to check if payment token is zero since this is designed to be
 		// deployed only from the factory where the ERC20 address in non-modifiable
@@ -131,9 +140,9 @@ contract ERC20Shares is AbstractShares {
 	 *
 	 * @notice Shifts the curve by multiplying the result by 50,000
 	 */
-	function getPrice(uint256 supply, uint256 amount) public pure override(BondingCurve, FriendTechBondingCurve) returns(uint256) {
+	function getPrice(uint256 supply, uint256 amount) public view override returns(uint256) {
 		// shift the curve by 50,000
-		return (10**5 / 2) * super.getPrice(supply, amount);
+		return SharesPricingLib.toERC20Price(__getCurvePrice(supply, amount));
 	}
 
 	/**
@@ -163,13 +172,87 @@ contract ERC20Shares is AbstractShares {
 		__buySharesTo(amount, beneficiary);
 	}
 
+	/**
+	 * @inheritdoc TradeableShares
+	 */
+	function buySharesTo(uint256 amount, address beneficiary, uint256 maxPaid, uint256 deadline) public payable {
+		// verify the transaction is not expired
+		require(deadline >= block.timestamp, "expired");
+
+		// verify the first share is not bought
+		require(getSharesSupply() > 0 || getSharesIssuer() == msg.sender, "only the issuer can buy the first share");
+
+		// delegate to unsafe `__buySharesTo`, and verify the price paid
+		require(__buySharesTo(amount, beneficiary) <= maxPaid, "max paid exceeded");
+	}
+
+	/**
+	 * @notice Buy `amount` of shares in the favor of the address specified (beneficiary) in a single
+	 *      transaction, without the prior `approve`: the payment token allowance is set via the
+	 *      EIP-2612 permit signed by the buyer (sender) for this contract to spend `maxPaid` tokens
+	 *
+	 * @notice Protected against the price slippage: fails if the total price including all the fees
+	 *      exceeds `maxPaid`, or if the transaction is mined after the `deadline`.
+	 *      First share can be bought only by current subject issuer.
+	 *
+	 * @dev Requires the payment token to support EIP-2612 permits (AliERC20v2 with FEATURE_EIP2612_PERMITS enabled);
+	 *      throws if the permit is invalid, expired, or already used
+	 *
+	 * @dev The permit may be front-run: anyone can submit it directly to the payment token, which
+	 *      makes the `permit` call here fail; if the `permit` call fails for any reason (with or without
+	 *      the revert reason), the buy proceeds if the allowance is not less than `maxPaid`,
+	 *      otherwise the permit failure is rethrown as is
+	 *
+	 * @dev If the price paid is less than `maxPaid`, the unspent allowance remains
+	 *
+	 * @param amount amount of the shares to buy
+	 * @param beneficiary an address receiving the shares
+	 * @param maxPaid maximum price of the shares to buy, including all the fees, the buyer agrees to pay;
+	 *      the permit value, the amount of tokens the buyer allows this contract to spend
+	 * @param deadline unix timestamp until which the transaction is valid; the permit expiration time
+	 * @param v the recovery byte of the permit signature
+	 * @param r half of the ECDSA permit signature pair
+	 * @param s half of the ECDSA permit signature pair
+	 */
+	function buySharesWithPermit(
+		uint256 amount,
+		address beneficiary,
+		uint256 maxPaid,
+		uint256 deadline,
+		uint8 v,
+		bytes32 r,
+		bytes32 s
+	) public {
+		// verify the transaction is not expired
+		require(deadline >= block.timestamp, "expired");
+
+		// verify the first share is not bought
+		require(getSharesSupply() > 0 || getSharesIssuer() == msg.sender, "only the issuer can buy the first share");
+
+		// set the allowance for this contract to spend the buyer's tokens
+		try EIP2612(address(paymentToken)).permit(msg.sender, address(this), maxPaid, deadline, v, r, s) {}
+		catch(bytes memory reason) {
+			// the permit could have been front-run, proceed if the allowance is already set;
+			// otherwise bubble up the permit failure as is, the reason may be empty or not a string
+			if(paymentToken.allowance(msg.sender, address(this)) < maxPaid) {
+				assembly {
+					revert(add(reason, 32), mload(reason))
+				}
+			}
+		}
+
+		// delegate to unsafe `__buySharesTo`, and verify the price paid
+		require(__buySharesTo(amount, beneficiary) <= maxPaid, "max paid exceeded");
+	}
+
 	/**
 	 * @dev Buys amount of shares for the beneficiary, without checking if the first share was bought
 	 *
 	 * @param amount amount of the shares to buy
 	 * @param beneficiary an address receiving the shares
+	 * @return value the price of the shares bought, including all the fees
 	 */
-	function __buySharesTo(uint256 amount, address beneficiary) private {
+	function __buySharesTo(uint256 amount, address beneficiary) private returns(uint256 value) {
 		// ERC20 implementation doesn't expect Ether to be sent
 		require(msg.value == 0, "only payment in ERC20 token is expected");
 
@@ -193,6 +276,9 @@ contract ERC20Shares is AbstractShares {
 			"payment failed"
 		);
 
+		// total price paid, including all the fees
+		value = price + protocolFee + holdersFee + subjectFee;
+
 		// update the cumulative trade volume
 		__increaseTradeVolume(price);
 
@@ -204,6 +290,29 @@ contract ERC20Shares is AbstractShares {
 	 * @inheritdoc TradeableShares
 	 */
 	function sellSharesTo(uint256 amount, address payable beneficiary) public {
+		// delegate to `__sellSharesTo`
+		__sellSharesTo(amount, beneficiary);
+	}
+
+	/**
+	 * @inheritdoc TradeableShares
+	 */
+	function sellSharesTo(uint256 amount, address payable beneficiary, uint256 minReceived, uint256 deadline) public {
+		// verify the transaction is not expired
+		require(deadline >= block.timestamp, "expired");
+
+		// delegate to `__sellSharesTo`, and verify the amount received
+		require(__sellSharesTo(amount, beneficiary) >= minReceived, "min received not reached");
+	}
+
+	/**
+	 * @dev Sells amount of shares in the favor of the beneficiary
+	 *
+	 * @param amount amount of the shares to sell
+	 * @param beneficiary an address receiving the funds from the sale
+	 * @return value the amount of funds sent to the beneficiary, the price minus all the fees
+	 */
+	function __sellSharesTo(uint256 amount, address payable beneficiary) private returns(uint256 value) {
 		// verify the amount vs total supply
 		uint256 supply = getSharesSupply();
 		require(supply > amount, "cannot sell the last share");
@@ -225,10 +334,8 @@ contract ERC20Shares is AbstractShares {
 		// price cannot be zero since the last share cannot be sold
 		// if the price transfer fails, we do fail
 		// note: if any of the fees failed to transfer, they are sent to the seller
-		require(
-			paymentToken.transfer(beneficiary, price - protocolFee - holdersFee - subjectFee),
-			"payment failed"
-		);
+		value = price - protocolFee - holdersFee - subjectFee;
+		require(paymentToken.transfer(beneficiary, value), "payment failed");
 
 		// update the cumulative trade volume
 		__increaseTradeVolume(price);
@@ -303,6 +410,23 @@ contract ERC20Shares is AbstractShares {
 		}
 	}
 
+	/**
+	 * @inheritdoc AbstractShares
+	 */
+	function __syncHolders(
+		HoldersRewardsDistributor distributor,
+		address trader,
+		bool isBuy,
+		uint256 amount
+	) internal override {
+		// send the sync message with the zero value ERC1363 transfer
+		bool success = paymentToken.transferFromAndCall(address(this), address(distributor), 0, abi.encode(trader, isBuy, amount));
+
+		// we require synchronization to succeed, otherwise we can't guarantee data consistency
+		// on the HoldersRewardsDistributor contract's side
+		require(success, "sync failed");
+	}
+
 	/**
 	 * @dev Calculates the subject fee and sends it to the issuer
 	 *
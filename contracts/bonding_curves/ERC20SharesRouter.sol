@@ -0,0 +1,199 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "../utils/AccessControl.sol";
+import "./ERC20Shares.sol";
+import "./DexAdapter.sol";
+
+/**
+ * @title ERC20 Shares Router
+ *
+ * @notice Allows buying the ERC20Shares paying in native ETH: the ETH sent is swapped
+ *      via the DEX adapter into exactly the amount of the payment token (ALI) required to buy
+ *      the shares (see `getBuyPriceAfterFee`), the shares are bought in favor of the beneficiary,
+ *      and the leftovers (ETH not spent on the swap, payment token not spent on the buy) are
+ *      refunded back to the buyer
+ *
+ * @notice The router doesn't keep any funds between the transactions
+ *
+ * @dev Since the router is the buyer from the shares contract point of view, it cannot buy
+ *      the first share, which can be bought only by the issuer
+ *
+ * @dev DEX adapter is configurable by the DEX adapter manager, see `ROLE_DEX_ADAPTER_MANAGER`
+ */
+contract ERC20SharesRouter is AccessControl {
+	/// @notice DEX adapter used to swap ETH into the payment token
+	DexAdapter public dexAdapter;
+
+	/**
+	 * @notice DEX adapter manager is responsible for updating the DEX adapter, that is `dexAdapter`
+	 *
+	 * @dev This role should be granted to the MultiSig, not to EOA and not to
+	 *      RBAC managed smart contract, so that this functionality is not scalable;
+	 *      this reduces the risk of misuse, and/or malicious use
+	 *
+	 * @dev Role ROLE_DEX_ADAPTER_MANAGER is required to execute `setDexAdapter` function
+	 */
+	uint32 public constant ROLE_DEX_ADAPTER_MANAGER = 0x0001_0000;
+
+	/**
+	 * @dev Fired in `setDexAdapter`
+	 *
+	 * @param by an address which executed the operation
+	 * @param oldAdapter old DEX adapter address
+	 * @param newAdapter new DEX adapter address
+	 */
+	event DexAdapterUpdated(address indexed by, address oldAdapter, address newAdapter);
+
+	/**
+	 * @dev Fired in `buySharesWithETH`
+	 *
+	 * @param buyer an address which sent the ETH and executed the operation
+	 * @param sharesContract ERC20Shares contract the shares were bought in
+	 * @param beneficiary an address receiving the shares
+	 * @param amount amount of the shares bought
+	 * @param tokensPaid amount of the payment token paid for the shares, including all the fees
+	 * @param ethPaid amount of ETH spent on the swap, not including the refund
+	 */
+	event SharesBoughtWithETH(
+		address indexed buyer,
+		address indexed sharesContract,
+		address indexed beneficiary,
+		uint256 amount,
+		uint256 tokensPaid,
+		uint256 ethPaid
+	);
+
+	/**
+	 * @dev Deploys the router
+	 *
+	 * @param _owner the address receiving all the RBAC permissions on the contract
+	 * @param _dexAdapter DEX adapter used to swap ETH into the payment token, optional,
+	 *      can be set later via `setDexAdapter`
+	 */
+	constructor(address _owner, DexAdapter _dexAdapter) AccessControl(_owner) {
+		// set the DEX adapter
+		dexAdapter = _dexAdapter;
+	}
+
+	/**
+	 * @notice Updates the DEX adapter used to swap ETH into the payment token
+	 *
+	 * @dev Requires transaction sender to have the `ROLE_DEX_ADAPTER_MANAGER` permission
+	 *
+	 * @param _dexAdapter new DEX adapter, zero address disables the router
+	 */
+	function setDexAdapter(DexAdapter _dexAdapter) public {
+		// verify the access permission
+		require(isSenderInRole(ROLE_DEX_ADAPTER_MANAGER), "access denied");
+
+		// emit an event first - to log both old and new values
+		emit DexAdapterUpdated(msg.sender, address(dexAdapter), address(_dexAdapter));
+
+		// update the value
+		dexAdapter = _dexAdapter;
+	}
+
+	/**
+	 * @notice Quotes the full ETH route: the amount of the payment token required to buy
+	 *      `amount` shares (including all the fees), and the amount of ETH to swap into it
+	 *
+	 * @dev The function is not `view` since the DEX adapter quote may be not `view`;
+	 *      off-chain it should be used via eth_call
+	 *
+	 * @param sharesContract ERC20Shares contract to buy the shares in
+	 * @param amount amount of the shares to buy
+	 * @return tokenAmount amount of the payment token required, see `getBuyPriceAfterFee`
+	 * @return ethAmount amount of ETH required to buy the shares
+	 */
+	function quoteBuySharesWithETH(ERC20Shares sharesContract, uint256 amount) public returns(
+		uint256 tokenAmount,
+		uint256 ethAmount
+	) {
+		// verify the router is configured
+		require(address(dexAdapter) != address(0), "DEX adapter not set");
+
+		// the payment token amount required, including all the fees
+		tokenAmount = sharesContract.getBuyPriceAfterFee(amount);
+
+		// the amount of ETH required to get that amount of the payment token
+		ethAmount = tokenAmount == 0? 0: dexAdapter.getAmountIn(address(sharesContract.getPaymentToken()), tokenAmount);
+	}
+
+	/**
+	 * @notice Buys `amount` shares in favor of the beneficiary paying in ETH
+	 *
+	 * @notice The ETH sent is swapped into exactly the amount of the payment token required
+	 *      to buy the shares (including all the fees); ETH not spent on the swap is refunded back
+	 *      to the sender; the amount of ETH to send can be determined via `quoteBuySharesWithETH`,
+	 *      and the difference between the quote and the ETH sent acts as a slippage protection
+	 *
+	 * @dev Throws if the ETH sent is not enough to buy the shares, if the transaction is expired,
+	 *      or if the DEX adapter is not set
+	 *
+	 * @param sharesContract ERC20Shares contract to buy the shares in
+	 * @param amount amount of the shares to buy
+	 * @param beneficiary an address receiving the shares
+	 * @param deadline transaction deadline, unix timestamp
+	 * @return ethPaid amount of ETH spent on the swap, not including the refund
+	 */
+	function buySharesWithETH(
+		ERC20Shares sharesContract,
+		uint256 amount,
+		address beneficiary,
+		uint256 deadline
+	) public payable returns(uint256 ethPaid) {
+		// verify the transaction is not expired
+		require(deadline >= block.timestamp, "expired");
+
+		// verify the router is configured
+		require(address(dexAdapter) != address(0), "DEX adapter not set");
+
+		// determine the payment token and the amount of it required, including all the fees
+		ERC1363 paymentToken = sharesContract.getPaymentToken();
+		uint256 tokenAmount = sharesContract.getBuyPriceAfterFee(amount);
+
+		// swap ETH into exactly the required amount of the payment token, if anything is to be paid
+		if(tokenAmount != 0) {
+			// the adapter refunds the ETH not spent back to the router
+			ethPaid = dexAdapter.swapETHForExactTokens{value: msg.value}(
+				address(paymentToken),
+				tokenAmount,
+				address(this),
+				deadline
+			);
+			// verify the adapter didn't spend more than it received
+			require(ethPaid <= msg.value, "insufficient value");
+
+			// allow the shares contract to take the payment
+			require(paymentToken.approve(address(sharesContract), tokenAmount), "approve failed");
+		}
+
+		// buy the shares, the price paid cannot exceed the amount swapped
+		uint256 tokensSwapped = paymentToken.balanceOf(address(this));
+		sharesContract.buySharesTo(amount, beneficiary, tokenAmount, deadline);
+
+		// refund the payment token not spent (if any of the fees failed to transfer, or the adapter sent more)
+		uint256 tokensLeft = paymentToken.balanceOf(address(this));
+		if(tokensLeft != 0) {
+			require(paymentToken.transfer(msg.sender, tokensLeft), "token refund failed");
+		}
+
+		// refund the ETH not spent on the swap
+		if(msg.value > ethPaid) {
+			(bool success, ) = payable(msg.sender).call{value: msg.value - ethPaid}("");
+			require(success, "failed to send ether");
+		}
+
+		// emit an event
+		emit SharesBoughtWithETH(msg.sender, address(sharesContract), beneficiary, amount, tokensSwapped - tokensLeft, ethPaid);
+	}
+
+	/**
+	 * @dev Accepts the ETH refunds from the DEX adapter; direct ETH transfers are rejected
+	 */
+	receive() external payable {
+		// only the DEX adapter is expected to send ETH to the router
+		require(msg.sender == address(dexAdapter), "not a DEX adapter");
+	}
+}
@@ -15,6 +15,30 @@ contract ETHShares is AbstractShares {
 	/// @dev Overrides standard send and transfer Solidity functions
 	using Transfers for address payable;
 
+	/**
+	 * @dev Escrowed fees: protocol and subject fees which failed to be sent in a non-blocking way,
+	 *      withdrawable by the fee recipient via `withdrawPendingFees`; Recipient => Amount
+	 */
+	mapping(address => uint256) private pendingFees;
+
+	/**
+	 * @dev Fired in `buySharesTo` and `sellSharesTo` when the protocol or subject fee
+	 *      fails to be sent and is escrowed in the contract instead
+	 *
+	 * @param recipient fee recipient (protocol or subject fee destination)
+	 * @param amount amount of the fee escrowed
+	 * @param pendingFees total amount escrowed for the recipient, including the `amount`
+	 */
+	event FeeEscrowed(address indexed recipient, uint256 amount, uint256 pendingFees);
+
+	/**
+	 * @dev Fired in `withdrawPendingFees` and `releasePendingFees`
+	 *
+	 * @param recipient fee recipient the escrowed fees are sent to
+	 * @param amount amount of the escrowed fees sent
+	 */
+	event PendingFeesWithdrawn(address indexed recipient, uint256 amount);
+
 	/**
 	 * @dev Deploys the ETHShares instance and initializes it
 	 *
@@ -29,6 +53,8 @@ contract ETHShares is AbstractShares {
 	 *      the fee percent is defined with the 18 decimals, 10^18 corresponds to 100%
 	 * @param _subjectFeePercent subject fee percent, applied to all the buy and sell operations,
 	 *      the fee percent is defined with the 18 decimals, 10^18 corresponds to 100%
+	 * @param _bondingCurve bonding curve defining the shares price, optional,
+	 *      zero address means the built-in friend.tech curve
 	 * @param _amount how many shares to buy immediately upon "post-construction", can be zero
 	 * @param _beneficiary the address receiving the shares bought immediately (must be set
 	 *      if `_amount` is not zero)
@@ -41,6 +67,7 @@ contract ETHShares is AbstractShares {
 		HoldersRewardsDistributor _holdersFeeDestination,
 		uint64 _holdersFeePercent,
 		uint64 _subjectFeePercent,
+		BondingCurve _bondingCurve,
 		uint256 _amount,
 		address _beneficiary
 	) payable initializer {
@@ -53,6 +80,7 @@ contract ETHShares is AbstractShares {
 			_holdersFeeDestination,
 			_holdersFeePercent,
 			_subjectFeePercent,
+			_bondingCurve,
 			_amount,
 			_beneficiary
 		);
@@ -73,6 +101,8 @@ contract ETHShares is AbstractShares {
 	 *      the fee percent is defined with the 18 decimals, 10^18 corresponds to 100%
 	 * @param _subjectFeePercent subject fee percent, applied to all the buy and sell operations,
 	 *      the fee percent is defined with the 18 decimals, 10^18 corresponds to 100%
+	 * @param _bondingCurve bonding curve defining the shares price, optional,
+	 *      zero address means the built-in friend.tech curve
 	 * @param _amount how many shares to buy immediately upon "post-construction", can be zero
 	 * @param _beneficiary the address receiving the shares bought immediately (must be set
 	 *      if `_amount` is not zero)
@@ -85,6 +115,7 @@ contract ETHShares is AbstractShares {
 		HoldersRewardsDistributor _holdersFeeDestination,
 		uint64 _holdersFeePercent,
 		uint64 _subjectFeePercent,
+		BondingCurve _bondingCurve,
 		uint256 _amount,
 		address _beneficiary
 	) public payable initializer {
@@ -96,7 +127,8 @@ contract ETHShares is AbstractShares {
 			_protocolFeePercent,
 			_holdersFeeDestination,
 			_holdersFeePercent,
-			_subjectFeePercent
+			_subjectFeePercent,
+			_bondingCurve
 		);
 
 		// buy shares if requested
@@ -110,14 +142,73 @@ contract ETHShares is AbstractShares {
 		}
 	}
 
+	/**
+	 * @notice Escrowed fees of the recipient: the protocol and subject fees which
+	 *      failed to be sent to the recipient in a non-blocking way during the trades
+	 *
+	 * @param recipient fee recipient to query the escrowed fees for
+	 * @return amount of the escrowed fees, withdrawable via `withdrawPendingFees`
+	 */
+	function getPendingFees(address recipient) public view returns(uint256) {
+		// read the value from storage
+		return pendingFees[recipient];
+	}
+
+	/**
+	 * @notice Withdraws the escrowed fees of the sender (see `getPendingFees`)
+	 *
+	 * @dev Throws if there is nothing to withdraw, or if the transfer fails
+	 */
+	function withdrawPendingFees() public {
+		// delegate to `__withdrawPendingFees`
+		__withdrawPendingFees(payable(msg.sender));
+	}
+
+	/**
+	 * @notice Sends the escrowed fees to the recipient (see `getPendingFees`);
+	 *      can be executed by anyone, allows to release the fees escrowed for the
+	 *      recipients which cannot execute `withdrawPendingFees` themselves,
+	 *      like the ProtocolFeeDistributor contract
+	 *
+	 * @dev Throws if there is nothing to release, or if the transfer fails
+	 *
+	 * @param recipient fee recipient to send the escrowed fees to
+	 */
+	function releasePendingFees(address payable recipient) public {
+		// delegate to `__withdrawPendingFees`
+		__withdrawPendingFees(recipient);
+	}
+
+	/**
+	 * @dev Sends the escrowed fees to the recipient forwarding all the gas available,
+	 *      so that the recipients failing to receive the fee with the limited gas can receive it
+	 *
+	 * @param recipient fee recipient to send the escrowed fees to
+	 */
+	function __withdrawPendingFees(address payable recipient) private {
+		// read the amount escrowed and verify it is not zero
+		uint256 amount = pendingFees[recipient];
+		require(amount != 0, "nothing to withdraw");
+
+		// update the state before the transfer
+		delete pendingFees[recipient];
+
+		// do the transfer, forwarding all the gas available; here we do fail on error
+		(bool success, ) = recipient.call{value: amount}("");
+		require(success, "failed to send ether");
+
+		// emit an event
+		emit PendingFeesWithdrawn(recipient, amount);
+	}
+
 	/**
 	 * @inheritdoc BondingCurve
 	 *
 	 * @notice Shifts the curve by dividing the result by 2
 	 */
-	function getPrice(uint256 supply, uint256 amount) public pure override(BondingCurve, FriendTechBondingCurve) returns(uint256) {
+	function getPrice(uint256 supply, uint256 amount) public view override returns(uint256) {
 		// shift the curve by -2
-		return super.getPrice(supply, amount) / 2;
+		return SharesPricingLib.toETHPrice(__getCurvePrice(supply, amount));
 	}
 
 	/**
@@ -147,13 +238,28 @@ contract ETHShares is AbstractShares {
 		__buySharesTo(amount, beneficiary);
 	}
 
+	/**
+	 * @inheritdoc TradeableShares
+	 */
+	function buySharesTo(uint256 amount, address beneficiary, uint256 maxPaid, uint256 deadline) public payable {
+		// verify the transaction is not expired
+		require(deadline >= block.timestamp, "expired");
+
+		// verify the first share is not bought
+		require(getSharesSupply() > 0 || getSharesIssuer() == msg.sender, "only the issuer can buy the first share");
+
+		// delegate to unsafe `__buySharesTo`, and verify the price paid
+		require(__buySharesTo(amount, beneficiary) <= maxPaid, "max paid exceeded");
+	}
+
 	/**
 	 * @dev Buys amount of shares for the beneficiary, without checking if the first share was bought
 	 *
 	 * @param amount amount of the shares to buy
 	 * @param beneficiary an address receiving the shares
+	 * @return value the price of the shares bought, including all the fees
 	 */
-	function __buySharesTo(uint256 amount, address beneficiary) private {
+	function __buySharesTo(uint256 amount, address beneficiary) private returns(uint256 value) {
 		// cache the supply value
 		uint256 supply = getSharesSupply();
 
@@ -168,11 +274,11 @@ contract ETHShares is AbstractShares {
 		(address issuer, , uint256 subjectFee) = __processSubjectFee(price);
 
 		// verify the transaction has enough Ether supplied
-		uint256 value = price + protocolFee + holdersFee + subjectFee;
+		value = price + protocolFee + holdersFee + subjectFee;
 		require(msg.value >= value, "insufficient value supplied");
 
 		// return the change back to the buyer; here we do fail on error
-		// note: if any of the fees failed to transfer, they are sent to the buyer
+		// note: if any of the fees failed to transfer, they are escrowed, not sent to the buyer
 		if(msg.value > value) {
 			payable(msg.sender).transfer1(msg.value - value);
 		}
@@ -188,6 +294,29 @@ contract ETHShares is AbstractShares {
 	 * @inheritdoc TradeableShares
 	 */
 	function sellSharesTo(uint256 amount, address payable beneficiary) public {
+		// delegate to `__sellSharesTo`
+		__sellSharesTo(amount, beneficiary);
+	}
+
+	/**
+	 * @inheritdoc TradeableShares
+	 */
+	function sellSharesTo(uint256 amount, address payable beneficiary, uint256 minReceived, uint256 deadline) public {
+		// verify the transaction is not expired
+		require(deadline >= block.timestamp, "expired");
+
+		// delegate to `__sellSharesTo`, and verify the amount received
+		require(__sellSharesTo(amount, beneficiary) >= minReceived, "min received not reached");
+	}
+
+	/**
+	 * @dev Sells amount of shares in the favor of the beneficiary
+	 *
+	 * @param amount amount of the shares to sell
+	 * @param beneficiary an address receiving the funds from the sale
+	 * @return value the amount of funds sent to the beneficiary, the price minus all the fees
+	 */
+	function __sellSharesTo(uint256 amount, address payable beneficiary) private returns(uint256 value) {
 		// verify the amount vs total supply
 		uint256 supply = getSharesSupply();
 		require(supply > amount, "cannot sell the last share");
@@ -208,8 +337,9 @@ contract ETHShares is AbstractShares {
 
 		// price cannot be zero since the last share cannot be sold
 		// if the price transfer fails, we do fail
-		// note: if any of the fees failed to transfer, they are sent to the seller
-		beneficiary.transfer1(price - protocolFee - holdersFee - subjectFee);
+		// note: if any of the fees failed to transfer, they are escrowed, not sent to the seller
+		value = price - protocolFee - holdersFee - subjectFee;
+		beneficiary.transfer1(value);
 
 		// update the cumulative trade volume
 		__increaseTradeVolume(price);
@@ -235,10 +365,10 @@ contract ETHShares is AbstractShares {
 		protocolFee = price * protocolFeePercent / 1 ether;
 
 		// do the required ETH payment transfer
-		// if the fee payment fails - do not throw and update the fee to zero
+		// if the fee payment fails - do not throw and escrow the fee for the destination
 		if(protocolFee != 0 && !payable(protocolFeeDestination).send1(protocolFee)) {
-			// protocol fee couldn't be sent or is zero
-			protocolFee = 0;
+			// protocol fee couldn't be sent, it can be withdrawn later
+			__escrowFee(protocolFeeDestination, protocolFee);
 		}
 	}
 
@@ -282,6 +412,23 @@ contract ETHShares is AbstractShares {
 		}
 	}
 
+	/**
+	 * @inheritdoc AbstractShares
+	 */
+	function __syncHolders(
+		HoldersRewardsDistributor distributor,
+		address trader,
+		bool isBuy,
+		uint256 amount
+	) internal override {
+		// send the sync message without the fee, passing all the gas available
+		(bool success, ) = address(distributor).call(abi.encode(trader, isBuy, amount));
+
+		// we require synchronization to succeed, otherwise we can't guarantee data consistency
+		// on the HoldersRewardsDistributor contract's side
+		require(success, "sync failed");
+	}
+
 	/**
 	 * @dev Calculates the subject fee and sends it to the issuer
 	 *
@@ -299,10 +446,25 @@ contract ETHShares is AbstractShares {
 		subjectFee = price * subjectFeePercent / 1 ether;
 
 		// do the required ETH payment transfer
-		// if the fee payment fails - do not throw and update the fee to zero
+		// if the fee payment fails - do not throw and escrow the fee for the destination
 		if(subjectFee != 0 && !payable(subjectFeeDestination).send1(subjectFee)) {
-			// protocol fee couldn't be sent or is zero
-			subjectFee = 0;
+			// subject fee couldn't be sent, it can be withdrawn later
+			__escrowFee(subjectFeeDestination, subjectFee);
 		}
 	}
+
+	/**
+	 * @dev Escrows the fee which failed to be sent to the fee recipient
+	 *
+	 * @param recipient fee recipient (protocol or subject fee destination)
+	 * @param fee amount of the fee to escrow
+	 */
+	function __escrowFee(address recipient, uint256 fee) private {
+		// update the escrowed amount
+		uint256 pending = pendingFees[recipient] + fee;
+		pendingFees[recipient] = pending;
+
+		// emit an event
+		emit FeeEscrowed(recipient, fee, pending);
+	}
 }
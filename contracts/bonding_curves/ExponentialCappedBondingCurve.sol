@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "./BondingCurve.sol";
+
+/**
+ * @title Exponential Capped Bonding Curve
+ *
+ * @notice Exponential bonding curve function with the price cap: the price of the share number `i`
+ *      (counting from one) is `basePrice * 2^((i - 1) / period)`, that is the price doubles every `period`
+ *      shares, until it reaches `maxPrice`; the price doesn't grow any further after that
+ *
+ * @notice The very first share (number zero) is free, as in the friend.tech curve
+ */
+contract ExponentialCappedBondingCurve is BondingCurve {
+	/// @notice Price of the first `period` shares following the free one, immutable
+	uint256 public immutable basePrice;
+
+	/// @notice Number of shares after which the price doubles, immutable
+	uint256 public immutable period;
+
+	/// @notice Maximum price of the share, immutable
+	uint256 public immutable maxPrice;
+
+	/**
+	 * @dev Deploys the curve
+	 *
+	 * @param _basePrice price of the first `period` shares following the free one, non-zero
+	 * @param _period number of shares after which the price doubles, non-zero
+	 * @param _maxPrice maximum price of the share, must not be smaller than the base price
+	 */
+	constructor(uint256 _basePrice, uint256 _period, uint256 _maxPrice) {
+		// verify the inputs are set
+		require(_basePrice != 0 && _period != 0, "zero input");
+		// verify the cap is consistent with the base price
+		require(_maxPrice >= _basePrice, "invalid max price");
+
+		// set up the immutables
+		basePrice = _basePrice;
+		period = _period;
+		maxPrice = _maxPrice;
+	}
+
+	/**
+	 * @inheritdoc BondingCurve
+	 *
+	 * @param s supply, total shares supply
+	 * @param a amount, number of shares to buy/sell
+	 */
+	function getPrice(uint256 s, uint256 a) public view returns(uint256) {
+		// the very first share is free, the share number `i > 0` is priced as the share `i - 1`
+		// of the unshifted curve: we sum up the prices of the unshifted shares from `s - 1` to `s + a - 1`
+		uint256 to = s + a == 0? 0: s + a - 1;
+		s = s == 0? 0: s - 1;
+		a = to - s;
+
+		// the price is constant within every period, we sum up the prices period by period;
+		// there are no more than 256 periods before the price reaches the cap
+		uint256 summation = 0;
+		for(uint256 i = s; i < s + a;) {
+			// the number of times the price doubled for the share number `i`
+			uint256 doublings = i / period;
+
+			// once the cap is reached, all the remaining shares are priced at the cap
+			// (note: shifting right by 256 bits or more results in zero)
+			if(basePrice > maxPrice >> doublings) {
+				summation += (s + a - i) * maxPrice;
+				break;
+			}
+
+			// price of all the shares in the current period, which ends either with the period or with the amount
+			uint256 periodEnd = (doublings + 1) * period;
+			uint256 end = periodEnd < s + a? periodEnd: s + a;
+			summation += (end - i) * (basePrice << doublings);
+			i = end;
+		}
+
+		// return the result
+		return summation;
+	}
+}
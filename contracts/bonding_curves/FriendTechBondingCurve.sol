@@ -4,24 +4,51 @@ pragma solidity ^0.8.4;
 import "./BondingCurve.sol";
 
 /**
- * @title FriendTech Bonding Curve
+ * @title FriendTech Bonding Curve Library
  *
- * @notice friend.tech definition of the bonding curve function
+ * @notice friend.tech definition of the bonding curve function with the configurable divisor;
+ *      the price of the share number `i` (counting from zero) is `i^2 / divisor` ether
+ *
+ * @dev Used by the friend.tech bonding curve implementations, and by the shares contracts
+ *      deployed without the pluggable bonding curve (see AbstractShares)
  */
-contract FriendTechBondingCurve is BondingCurve {
+library FriendTechCurveLib {
+	/// @dev Original friend.tech curve divisor
+	uint256 internal constant DEFAULT_DIVISOR = 16000;
+
 	/**
-	 * @inheritdoc BondingCurve
+	 * @dev friend.tech bonding curve function
 	 *
 	 * @param s supply, total shares supply
 	 * @param a amount, number of shares to buy/sell
+	 * @param divisor curve divisor, the original friend.tech curve uses 16,000
+	 * @return the price of the shares (all `amount` amount)
 	 */
-	function getPrice(uint256 s, uint256 a) public pure virtual returns(uint256) {
+	function getPrice(uint256 s, uint256 a, uint256 divisor) internal pure returns(uint256) {
 		// this is the original friend tech formula with the underflow fix
 		// the fix allows both supply and amount be zero, as well as
 		// it allows supply be zero when the amount is bigger than one
 		uint256 sum1 = s == 0 ? 0 : (s - 1) * s * (2 * (s - 1) + 1) / 6;
 		uint256 sum2 = s == 0 && a <= 1 ? 0 : (s + a - 1) * (s + a) * (2 * (s + a - 1) + 1) / 6;
 		uint256 summation = sum2 - sum1;
-		return summation * 1 ether / 16000;
+		return summation * 1 ether / divisor;
+	}
+}
+
+/**
+ * @title FriendTech Bonding Curve
+ *
+ * @notice friend.tech definition of the bonding curve function
+ */
+contract FriendTechBondingCurve is BondingCurve {
+	/**
+	 * @inheritdoc BondingCurve
+	 *
+	 * @param s supply, total shares supply
+	 * @param a amount, number of shares to buy/sell
+	 */
+	function getPrice(uint256 s, uint256 a) public pure virtual returns(uint256) {
+		// delegate to the original friend tech formula
+		return FriendTechCurveLib.getPrice(s, a, FriendTechCurveLib.DEFAULT_DIVISOR);
 	}
 }
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "./FriendTechBondingCurve.sol";
+
+/**
+ * @title FriendTech Divisor Bonding Curve
+ *
+ * @notice friend.tech bonding curve function with the configurable divisor: the price of
+ *      the share number `i` (counting from zero) is `i^2 / divisor` ether;
+ *      the bigger the divisor, the flatter the curve
+ *
+ * @notice Divisor 16,000 defines the original friend.tech curve
+ */
+contract FriendTechDivisorBondingCurve is BondingCurve {
+	/// @notice Curve divisor, immutable
+	uint256 public immutable divisor;
+
+	/**
+	 * @dev Deploys the curve
+	 *
+	 * @param _divisor curve divisor, non-zero
+	 */
+	constructor(uint256 _divisor) {
+		// verify the input is set
+		require(_divisor != 0, "zero divisor");
+
+		// set up the immutable
+		divisor = _divisor;
+	}
+
+	/**
+	 * @inheritdoc BondingCurve
+	 *
+	 * @param s supply, total shares supply
+	 * @param a amount, number of shares to buy/sell
+	 */
+	function getPrice(uint256 s, uint256 a) public view returns(uint256) {
+		// delegate to the friend tech formula
+		return FriendTechCurveLib.getPrice(s, a, divisor);
+	}
+}
@@ -2,8 +2,10 @@
 pragma solidity ^0.8.4;
 
 import "./HoldersRewardsDistributor.sol";
+import "./TradeableShares.sol";
 import "../utils/Transfers.sol";
 import "../utils/InitializableAccessControl.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
 
 /**
  * @title Bonding Curve Holder Reward Distributor
@@ -36,8 +38,32 @@ import "../utils/InitializableAccessControl.sol";
  *      if specified, the data field must be parsed by the implementation and its containing data applied;
  *      standard logic applies, if the data is malformed implementation should throw
  *
+ * @notice The reward can be claimed by the holder to its own address or to any other address,
+ *      by the relayer on behalf of the holder via the EIP712 signed claim request,
+ *      or reinvested into the shares of the bound TradeableShares contract (ETH only)
  */
 contract HoldersRewardsDistributorV1 is HoldersRewardsDistributor, InitializableAccessControl {
+	// using ECDSA to support EIP712 signed claim requests
+	using ECDSAUpgradeable for bytes32;
+
+	/**
+	 * @notice EIP712 signed claim request, allows the relayer to claim the reward on behalf of the holder
+	 *
+	 * @dev The reward of the `holder` is sent to the `recipient`, the request must be signed by the `holder`
+	 */
+	struct ClaimRequest {
+		/// @dev an address the reward belongs to, the request signer
+		address holder;
+		/// @dev an address to send the reward to
+		address payable recipient;
+		/// @dev unix timestamp when the request becomes valid
+		uint256 validFromTimestamp;
+		/// @dev unix timestamp when the request expires (becomes invalid)
+		uint256 expiresAtTimestamp;
+		/// @dev nonce of the request (sequential number, increased by one)
+		uint256 nonce;
+	}
+
 	// Info of each user.
 	struct UserInfo {
 		uint256 shares;
@@ -57,6 +83,38 @@ contract HoldersRewardsDistributorV1 is HoldersRewardsDistributor, Initializable
 	// Info of each user that stakes LP tokens.
 	mapping(address => UserInfo) public userInfo;
 
+	/**
+	 * @dev Keeps track of the used nonces for every possible holder (EIP712 signed claim requests)
+	 *      Maps address => number of used nonces
+	 */
+	mapping(address => uint256) private nonces;
+
+	/**
+	 * @notice EIP712 domain name and version used to sign the claim requests
+	 *
+	 * @dev The distributors are deployed as EIP-1167 clones, the domain separator is derived on the fly
+	 */
+	string public constant EIP712_NAME = "HoldersRewardsDistributor";
+	string public constant EIP712_VERSION = "1";
+
+	/**
+	 * @dev Fired in `eip712ClaimTheReward` and `rewindNonce`
+	 *
+	 * @param holder the holder whose nonce was used
+	 * @param nonce the nonce used
+	 */
+	event NonceUsed(address indexed holder, uint256 nonce);
+
+	/**
+	 * @dev Fired in `compoundTheReward`
+	 *
+	 * @param holder the holder whose reward was reinvested, receiving the shares
+	 * @param sharesAmount amount of shares bought
+	 * @param rewardSpent amount of the reward spent to buy the shares, including all the fees
+	 * @param remainder amount of the reward left after buying the shares, sent to the holder
+	 */
+	event RewardCompounded(address indexed holder, uint256 sharesAmount, uint256 rewardSpent, uint256 remainder);
+
 	/**
 	 * @dev Deploys the distributor contract
 	 *
@@ -204,10 +262,11 @@ contract HoldersRewardsDistributorV1 is HoldersRewardsDistributor, Initializable
 
 		// init: notify about the first share
 		__sharesBought(trader, 1);
+		// process the fee; it is zero for the free first share bought alone, but a pluggable
+		// bonding curve may charge for the first share, and the fee must not get stuck
+		__accept(_feeAmount);
 		// to save the gas execute the rest of the functions only if there is a need
 		if(sharesAmount > 1) {
-			// process the fee
-			__accept(_feeAmount);
 			// notify about the remaining shares
 			__sharesBought(trader, sharesAmount - 1);
 		}
@@ -250,25 +309,218 @@ contract HoldersRewardsDistributorV1 is HoldersRewardsDistributor, Initializable
 	 * @inheritdoc HoldersRewardsDistributor
 	 */
 	function claimTheReward() public {
-		uint256 claimableAmount = pendingReward(msg.sender);
+		// delegate to `__claimTheReward`
+		__claimTheReward(msg.sender, payable(msg.sender));
+	}
+
+	/**
+	 * @notice Claims the pending reward of the sender and sends it to the recipient specified;
+	 *      allows the holders which cannot receive the reward themselves (like smart contracts)
+	 *      to claim it to another address
+	 *
+	 * @dev Throws if there is nothing to claim
+	 *
+	 * @param recipient an address to send the reward to
+	 */
+	function claimTheRewardTo(address payable recipient) public {
+		// delegate to `__claimTheReward`
+		__claimTheReward(msg.sender, recipient);
+	}
+
+	/**
+	 * @notice Claims the pending reward on behalf of the holder via the EIP712 signed claim request,
+	 *      allowing the relayer to pay the gas; the reward is sent to the recipient specified in the request
+	 *
+	 * @dev Throws if the request is not yet valid or expired, if the nonce is invalid,
+	 *      if the request is not signed by the holder, or if there is nothing to claim
+	 *
+	 * @param req claim request, see `ClaimRequest`
+	 * @param signature EIP712 signature of the request by the `req.holder`
+	 */
+	function eip712ClaimTheReward(ClaimRequest calldata req, bytes calldata signature) public {
+		// verify the request validity
+		require(req.validFromTimestamp <= block.timestamp, "not yet valid");
+		require(req.expiresAtTimestamp > block.timestamp, "expired");
+
+		// verify and use nonce
+		__useNonce(req.holder, req.nonce);
+
+		// derive the request signer
+		// this also verifies that the signature is valid
+		address signer = ECDSAUpgradeable.toTypedDataHash(DOMAIN_SEPARATOR(), __hashStruct(req)).recover(signature);
+		require(signer == req.holder, "invalid signature");
+
+		// delegate to `__claimTheReward`
+		__claimTheReward(req.holder, req.recipient);
+	}
+
+	/**
+	 * @notice Reinvests the pending reward of the sender into the shares of the bound
+	 *      TradeableShares contract: buys `amount` of shares for the sender paying with the reward;
+	 *      the reward remainder (what is left after buying the shares) is sent to the sender
+	 *
+	 * @dev Supported by the ETH distributor only: the ERC20 shares contract would pay the holders fee
+	 *      of the trade from this contract to this contract, which the payment token rejects
+	 *
+	 * @dev Throws if the pending reward is not enough to buy the shares requested,
+	 *      or if there is nothing to claim
+	 *
+	 * @param amount amount of shares to buy
+	 */
+	function compoundTheReward(uint256 amount) public {
+		// verify the distributor works with ETH
+		require(paymentToken == address(0), "not an ETH reward distributor");
+		// verify the amount is not zero
+		require(amount != 0, "zero amount");
+
+		// update the state as if the reward was claimed
+		uint256 claimableAmount = __updateClaimed(msg.sender);
+
+		// determine the price of the shares and verify the reward covers it
+		TradeableShares sharesContract = TradeableShares(sharesContractAddress);
+		uint256 value = sharesContract.getBuyPriceAfterFee(amount);
+		require(value <= claimableAmount, "insufficient reward");
+
+		// buy the shares for the holder; the exact value is sent so that no change is returned
+		// note: the holders fee of this trade is sent back to this contract and distributed as usual
+		sharesContract.buySharesTo{value: value}(amount, msg.sender);
+
+		// send the remainder to the holder
+		uint256 remainder = claimableAmount - value;
+		if(remainder != 0) {
+			__transferReward(payable(msg.sender), remainder);
+		}
+
+		// emit events
+		emit RewardClaimed(msg.sender, claimableAmount);
+		emit RewardCompounded(msg.sender, amount, value, remainder);
+	}
+
+	/**
+	 * @dev Claims the pending reward of the holder and sends it to the recipient
+	 *
+	 * @param holder an address the reward belongs to
+	 * @param recipient an address to send the reward to
+	 */
+	function __claimTheReward(address holder, address payable recipient) private {
+		// update the state
+		uint256 claimableAmount = __updateClaimed(holder);
+
+		// transfer reward
+		__transferReward(recipient, claimableAmount);
+
+		// emit an event
+		emit RewardClaimed(holder, claimableAmount);
+	}
+
+	/**
+	 * @dev Marks the pending reward of the holder as claimed
+	 *
+	 * @dev Throws if there is nothing to claim
+	 *
+	 * @param holder an address the reward belongs to
+	 * @return claimableAmount the pending reward marked as claimed
+	 */
+	function __updateClaimed(address holder) private returns(uint256 claimableAmount) {
+		claimableAmount = pendingReward(holder);
 		require(claimableAmount > 0, "Nothing to claim");
 
-		UserInfo storage userDetail = userInfo[msg.sender];
+		UserInfo storage userDetail = userInfo[holder];
 		// update state variable
 		userDetail.unclaimedAmount = 0;
 		userDetail.claimedAmount += claimableAmount;
 		userDetail.rewardDebt = (userDetail.shares * accRewardPerShare) / 1e18;
+	}
 
-		// transfer reward
+	/**
+	 * @dev Sends the reward in ETH or in ERC20 payment token
+	 *
+	 * @param recipient an address to send the reward to
+	 * @param amount amount of the reward to send
+	 */
+	function __transferReward(address payable recipient, uint256 amount) private {
 		if(paymentToken == address(0)) {
-			Transfers.transfer(payable(msg.sender), claimableAmount);
+			Transfers.transfer(recipient, amount);
 		}
 		else {
-			require(ERC20(paymentToken).transfer(msg.sender, claimableAmount));
+			require(ERC20(paymentToken).transfer(recipient, amount));
 		}
+	}
+
+	/**
+	 * @notice EIP712 domain separator: name "HoldersRewardsDistributor", version "1",
+	 *      current chain ID, and this contract address
+	 *
+	 * @return EIP712 domain separator
+	 */
+	function DOMAIN_SEPARATOR() public view returns(bytes32) {
+		return keccak256(abi.encode(
+			// keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)")
+			0x8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f,
+			keccak256(bytes(EIP712_NAME)),
+			keccak256(bytes(EIP712_VERSION)),
+			block.chainid,
+			address(this)
+		));
+	}
+
+	/**
+	 * @notice ClaimRequest hashStruct
+	 */
+	function __hashStruct(ClaimRequest calldata req) private pure returns(bytes32) {
+		return keccak256(abi.encode(
+			// hashType(ClaimRequest) = keccak256("ClaimRequest(address holder,address recipient,uint256 validFromTimestamp,uint256 expiresAtTimestamp,uint256 nonce)")
+			0x46954d91d3f2b187a99b7fd3bce1f9414f7dcdc2b54cb9b156a47992278bef22,
+			req.holder,
+			req.recipient,
+			req.validFromTimestamp,
+			req.expiresAtTimestamp,
+			req.nonce
+		));
+	}
+
+	/**
+	 * @dev Verifies the nonce is valid and marks it as used
+	 *      Throws if nonce is already used or if it is invalid
+	 *
+	 * @param holder the owner of the nonce
+	 * @param nonce the nonce to be used
+	 */
+	function __useNonce(address holder, uint256 nonce) private {
+		// verify the nonce wasn't yet used and use it
+		require(nonces[holder]++ == nonce, "invalid nonce");
 
 		// emit an event
-		emit RewardClaimed(msg.sender, claimableAmount);
+		emit NonceUsed(holder, nonce);
+	}
+
+	/**
+	 * @notice Gets current nonce for the given holder address;
+	 *      the nonce is used to sign the claim request (`eip712ClaimTheReward`)
+	 *
+	 * @param holder the holder address to get the nonce for
+	 * @return current nonce for the holder address
+	 */
+	function getNonce(address holder) public view returns(uint256) {
+		// read the nonce from the storage
+		return nonces[holder];
+	}
+
+	/**
+	 * @notice Rewinds the nonce of the sender to the value specified, invalidating all the signed
+	 *      claim requests with the nonces smaller than the value specified
+	 *
+	 * @param nonce the nonce value to rewind to
+	 */
+	function rewindNonce(uint256 nonce) public {
+		// make sure nonce is not decreasing
+		require(nonces[msg.sender] < nonce, "new nonce must be bigger than the current one");
+
+		// rewind the nonce to the value requested
+		nonces[msg.sender] = nonce;
+
+		// emit an event
+		emit NonceUsed(msg.sender, nonce - 1);
 	}
 
 	/**
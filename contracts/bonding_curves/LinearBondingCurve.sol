@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "./BondingCurve.sol";
+
+/**
+ * @title Linear Bonding Curve
+ *
+ * @notice Linear bonding curve function: the price of the share number `i` (counting from zero)
+ *      is `basePrice + slope * i`; zero base price keeps the first share free
+ */
+contract LinearBondingCurve is BondingCurve {
+	/// @notice Price of the very first share (share number zero), immutable
+	uint256 public immutable basePrice;
+
+	/// @notice Price increase per every share in supply, immutable
+	uint256 public immutable slope;
+
+	/**
+	 * @dev Deploys the curve
+	 *
+	 * @param _basePrice price of the very first share (share number zero)
+	 * @param _slope price increase per every share in supply
+	 */
+	constructor(uint256 _basePrice, uint256 _slope) {
+		// verify the curve is not constantly zero
+		require(_basePrice != 0 || _slope != 0, "zero curve");
+
+		// set up the immutables
+		basePrice = _basePrice;
+		slope = _slope;
+	}
+
+	/**
+	 * @inheritdoc BondingCurve
+	 *
+	 * @param s supply, total shares supply
+	 * @param a amount, number of shares to buy/sell
+	 */
+	function getPrice(uint256 s, uint256 a) public view returns(uint256) {
+		// zero amount costs nothing (this also protects from the underflow below)
+		if(a == 0) {
+			return 0;
+		}
+
+		// sum of the share numbers s, s + 1, ..., s + a - 1 is a * (2s + a - 1) / 2,
+		// where a * (2s + a - 1) is always even, so that the division is exact
+		return a * basePrice + slope * (a * (2 * s + a - 1) / 2);
+	}
+}
@@ -0,0 +1,432 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "../utils/UpgradeableAccessControl.sol";
+import "../utils/Transfers.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/draft-EIP712Upgradeable.sol";
+
+/**
+ * @title Multi-token Leaderboard Reward System
+ *
+ * @notice leaderboard reward system designated to release reward for all leaderboard winner
+ *      in several currencies at once: ETH and any number of ERC20 tokens
+ *
+ * @notice reward system uses merkle root to maintain list of winners and reward amounts,
+ *      the Merkle tree leaf is a (user, token, totalReward) tuple, where the zero token address means ETH;
+ *      once new winner list is announced, merkle root will be update which include
+ *      new winner list and past winners and tier respective won reward amount for every token.
+ *
+ * @notice Unlike RewardSystem, which is bound to a single reward currency (ETH or ERC20) forever,
+ *      the reward currency is defined per leaf, claimed rewards and totals are tracked per token.
+ *
+ * @notice rewards can be claimed one by one, in batches, or via the EIP712 signed claim request,
+ *      allowing the relayer to pay the gas for the user
+ *
+ * @notice multi-token leaderboard reward system is proxy upgradeable.
+ *
+ */
+contract MultiTokenRewardSystem is UpgradeableAccessControl, EIP712Upgradeable {
+	// Use Zeppelin MerkleProof Library to verify Merkle proofs
+	using MerkleProof for bytes32[];
+	// using ECDSA to support EIP712 signed claim requests
+	using ECDSAUpgradeable for bytes32;
+	// using SafeERC20 to support the ERC20 tokens which don't return the transfer result
+	using SafeERC20Upgradeable for IERC20Upgradeable;
+
+	/**
+	 * @notice EIP712 signed claim request, allows the relayer to claim the reward on behalf of the user
+	 *
+	 * @dev The reward of the `account` in the `token` is sent to the `recipient`,
+	 *      the request must be signed by the `account`
+	 */
+	struct ClaimRequest {
+		/// @dev an address the reward belongs to, the request signer
+		address account;
+		/// @dev an address to send the reward to
+		address payable recipient;
+		/// @dev reward token address, zero address means ETH
+		address token;
+		/// @dev total reward accumulated by the account in the token, as in the Merkle tree
+		uint256 totalReward;
+		/// @dev unix timestamp when the request becomes valid
+		uint256 validFromTimestamp;
+		/// @dev unix timestamp when the request expires (becomes invalid)
+		uint256 expiresAtTimestamp;
+		/// @dev nonce of the request (sequential number, increased by one)
+		uint256 nonce;
+	}
+
+	// Input data root, Merkle tree root for an array of (address, token, totalReward) tuples,
+	// Merkle root effectively "compresses" the (potentially) huge array of data elements
+	// and allows to store it in a single 256-bits storage slot on-chain
+	bytes32 public root;
+
+	// maps token => userAddress => total claimed reward
+	// mapping packed into array, the last array element is "active"
+	// while the first n-1 elements are "archive" and not used in the contract
+	mapping(address => mapping(address => uint256)) [] private claimedRewards;
+
+	// maps token => cumulative reward claimed, zero address means ETH
+	mapping(address => uint256) public totalClaimedReward;
+
+	/**
+	 * @dev Keeps track of the used nonces for every possible account (EIP712 signed claim requests)
+	 *      Maps address => number of used nonces
+	 */
+	mapping(address => uint256) private nonces;
+
+	/**
+	 * @notice Data Root manager is responsible for supplying the valid input data array
+	 *      Merkle root which then can be used to check total reward won by user.
+	 *
+	 * @dev Role ROLE_DATA_ROOT_MANAGER allows setting the Merkle tree root via setInputDataRoot()
+	 */
+	uint32 public constant ROLE_DATA_ROOT_MANAGER = 0x0001_0000;
+
+	/**
+	 * @notice Enables the airdrop, redeeming the tokens
+	 *
+	 * @dev Feature FEATURE_CLAIM_ACTIVE must be enabled in order to
+	 *      allow user to claim pending reward
+	 */
+	uint32 public constant FEATURE_CLAIM_ACTIVE = 0x0000_0001;
+
+	/**
+	 * @dev Fired in setInputDataRoot()
+	 *
+	 * @param by an address which executed the operation
+	 * @param root new Merkle root value
+	 */
+	event RootChanged(address indexed by, bytes32 root);
+
+	/**
+	 * @dev Fired in claimReward(), claimRewards(), and eip712ClaimReward()
+	 *
+	 * @param token reward token address, zero address means ETH
+	 * @param user user address (an address the reward belongs to)
+	 * @param recipient an address the reward was sent to
+	 * @param amount amount of reward transferred
+	 */
+	event RewardClaimed(address indexed token, address indexed user, address indexed recipient, uint256 amount);
+
+	/**
+	 * @dev Fired in the default receive()
+	 *
+	 * @param value amount received
+	 */
+	event PaymentReceived(uint256 value);
+
+	/**
+	 * @dev Fired in resetClaimedRewards()
+	 *
+	 * @param size new size of the claimedRewards array
+	 */
+	event ClaimedRewardsReset(uint256 size);
+
+	/**
+	 * @dev Fired in eip712ClaimReward() and rewindNonce()
+	 *
+	 * @param account an address the nonce belongs to
+	 * @param nonce the nonce used
+	 */
+	event NonceUsed(address indexed account, uint256 nonce);
+
+	/**
+	 * @dev "Constructor replacement" for a smart contract with a delayed initialization (post-deployment initialization)
+	 */
+	function postConstruct() public virtual initializer {
+		// execute parent initializer(s)
+		__EIP712_init_unchained("MultiTokenRewardSystem", "1");
+		_postConstruct(msg.sender);
+
+		// initialize first storage slot for claimedRewards
+		claimedRewards.push();
+	}
+
+	// Function to receive Ether. msg.data must be empty
+	receive() external payable {
+		emit PaymentReceived(msg.value);
+	}
+
+	/**
+	 * @dev Read claimedRewards at the "active" last index for a given token and address
+	 *
+	 * @param token reward token address, zero address means ETH
+	 * @param userAddress address to read the value for
+	 * @return total rewards paid
+	 */
+	function claimedReward(address token, address userAddress) public view returns(uint256) {
+		// read the data from the "active" last storage slot and return
+		return claimedReward(claimedRewards.length - 1, token, userAddress);
+	}
+
+	/**
+	 * @dev Read claimedRewards at a given index for a given token and address
+	 *
+	 * @param index zero-based storage index
+	 * @param token reward token address, zero address means ETH
+	 * @param userAddress address to read the value for
+	 * @return total rewards paid
+	 */
+	function claimedReward(uint256 index, address token, address userAddress) public view returns(uint256) {
+		// read the data from the "index" storage slot and return
+		return claimedRewards[index][token][userAddress];
+	}
+
+	/**
+	 * @dev Restricted access function to reset claimedRewards mapping for all the tokens;
+	 *      technically implemented by moving mapping storage pointer to free space
+	 */
+	function resetClaimedRewards() public {
+		// reset the Merkle root; this also ensures we have "ROLE_DATA_ROOT_MANAGER" role
+		setInputDataRoot(bytes32(0));
+
+		// move the claimedRewards storage to the next slot
+		claimedRewards.push();
+
+		// emit an event
+		emit ClaimedRewardsReset(claimedRewards.length);
+	}
+
+	/**
+	 * @notice Claims the total amount `_totalReward` of the token `_token` to an address `_to`,
+	 *      verifying the validity of a `(_to, _token, _totalReward)` tuple via the Merkle proof `_proof`
+	 *
+	 * @dev Merkle tree and proof can be constructed using the `scripts/reward_merkle/reward_merkle.js`:
+	 *      the leaf is `keccak256(abi.encodePacked(_to, _token, _totalReward))`, the tree is built
+	 *      with sorted pairs (MerkleTree options: {hashLeaves: false, sortPairs: true})
+	 *
+	 * @dev Throws is the data or merkle proof supplied is not valid, or if there is nothing to claim
+	 *
+	 * @param _to an address to whom reward to be sent
+	 * @param _token reward token address, zero address means ETH
+	 * @param _totalReward total reward in the token accumulated by a user across all competitions
+	 * @param _proof Merkle proof for the (_to, _token, _totalReward) tuple supplied
+	 */
+	function claimReward(address payable _to, address _token, uint256 _totalReward, bytes32[] memory _proof) external {
+		// verify airdrop is in active state
+		require(isFeatureEnabled(FEATURE_CLAIM_ACTIVE), "redeems are disabled");
+
+		// delegate to `__claimReward`
+		require(__claimReward(_to, _to, _token, _totalReward, _proof) != 0, "nothing to claim");
+	}
+
+	/**
+	 * @notice Claims the rewards for several (user, token) pairs in a single transaction, see `claimReward()`
+	 *
+	 * @dev Pairs which have nothing to claim (already claimed) are skipped, so that the batch
+	 *      doesn't fail if any of the users claimed the reward on their own before the batch is executed
+	 *
+	 * @dev Throws if any of the (_to, _token, _totalReward, _proof) tuples supplied is not valid
+	 *
+	 * @param _to addresses to whom rewards to be sent
+	 * @param _tokens reward token addresses, zero address means ETH
+	 * @param _totalRewards total rewards accumulated by the users across all competitions
+	 * @param _proofs Merkle proofs for the (_to, _token, _totalReward) tuples supplied
+	 */
+	function claimRewards(
+		address payable[] calldata _to,
+		address[] calldata _tokens,
+		uint256[] calldata _totalRewards,
+		bytes32[][] calldata _proofs
+	) external {
+		// verify airdrop is in active state
+		require(isFeatureEnabled(FEATURE_CLAIM_ACTIVE), "redeems are disabled");
+
+		// verify the input arrays are consistent
+		require(
+			_to.length == _tokens.length && _to.length == _totalRewards.length && _to.length == _proofs.length,
+			"array length mismatch"
+		);
+
+		// claim the rewards one by one
+		for(uint256 i = 0; i < _to.length; i++) {
+			__claimReward(_to[i], _to[i], _tokens[i], _totalRewards[i], _proofs[i]);
+		}
+	}
+
+	/**
+	 * @notice Claims the reward on behalf of the user via the EIP712 signed claim request,
+	 *      allowing the relayer to pay the gas; the reward is sent to the recipient specified in the request
+	 *
+	 * @dev Throws if the request is not yet valid or expired, if the nonce is invalid,
+	 *      if the request is not signed by the account, if the Merkle proof is not valid,
+	 *      or if there is nothing to claim
+	 *
+	 * @param _req claim request, see `ClaimRequest`
+	 * @param _proof Merkle proof for the (_req.account, _req.token, _req.totalReward) tuple
+	 * @param _signature EIP712 signature of the request by the `_req.account`
+	 */
+	function eip712ClaimReward(ClaimRequest calldata _req, bytes32[] calldata _proof, bytes calldata _signature) external {
+		// verify airdrop is in active state
+		require(isFeatureEnabled(FEATURE_CLAIM_ACTIVE), "redeems are disabled");
+
+		// verify the request validity
+		require(_req.validFromTimestamp <= block.timestamp, "not yet valid");
+		require(_req.expiresAtTimestamp > block.timestamp, "expired");
+
+		// verify and use nonce
+		__useNonce(_req.account, _req.nonce);
+
+		// derive the request signer
+		// this also verifies that the signature is valid
+		address signer = _hashTypedDataV4(__hashStruct(_req)).recover(_signature);
+		require(signer == _req.account, "invalid signature");
+
+		// delegate to `__claimReward`
+		require(__claimReward(_req.account, _req.recipient, _req.token, _req.totalReward, _proof) != 0, "nothing to claim");
+	}
+
+	/**
+	 * @dev Verifies the (_account, _token, _totalReward, _proof) tuple and sends the unclaimed part
+	 *      of the reward to the recipient; doesn't check FEATURE_CLAIM_ACTIVE feature
+	 *
+	 * @dev Throws if the data or merkle proof supplied is not valid
+	 *
+	 * @param _account an address the reward belongs to
+	 * @param _recipient an address to send the reward to
+	 * @param _token reward token address, zero address means ETH
+	 * @param _totalReward total reward in the token accumulated by the account across all competitions
+	 * @param _proof Merkle proof for the (_account, _token, _totalReward) tuple supplied
+	 * @return claimableAmount amount of reward sent, zero if there is nothing to claim
+	 */
+	function __claimReward(
+		address _account,
+		address payable _recipient,
+		address _token,
+		uint256 _totalReward,
+		bytes32[] memory _proof
+	) private returns(uint256 claimableAmount) {
+		// verify the `(_account, _token, _totalReward)` tuple is valid
+		require(isClaimValid(_account, _token, _totalReward, _proof), "invalid request");
+
+		// check user has reward to claim
+		uint256 claimed = claimedReward(_token, _account);
+		if(claimed >= _totalReward) {
+			return 0;
+		}
+		claimableAmount = _totalReward - claimed;
+
+		// update reward details
+		claimedRewards[claimedRewards.length - 1][_token][_account] = _totalReward;
+		totalClaimedReward[_token] += claimableAmount;
+
+		if(_token == address(0)) {
+			// transfer ether to user
+			Transfers.transfer(_recipient, claimableAmount);
+		}
+		else {
+			// transfer erc20 reward token to user
+			IERC20Upgradeable(_token).safeTransfer(_recipient, claimableAmount);
+		}
+
+		// emit an event
+		emit RewardClaimed(_token, _account, _recipient, claimableAmount);
+	}
+
+	/**
+	 * @notice Restricted access function to update input data root (Merkle tree root)
+	 *
+	 * @dev Requires executor to have `ROLE_DATA_ROOT_MANAGER` permission
+	 *
+	 * @param _root Merkle tree root for the input data array
+	 */
+	function setInputDataRoot(bytes32 _root) public {
+		// verify the access permission
+		require(isSenderInRole(ROLE_DATA_ROOT_MANAGER), "access denied");
+
+		// update input data Merkle tree root
+		root = _root;
+
+		// emit an event
+		emit RootChanged(msg.sender, _root);
+	}
+
+	/**
+	 * @notice Verifies the validity of a `(_to, _token, _totalReward)` tuple supplied based on the Merkle root
+	 *      of the entire `(_to, _token, _totalReward)` data array (pre-stored in the contract), and the Merkle
+	 *      proof `_proof` for the particular `(_to, _token, _totalReward)` tuple supplied
+	 *
+	 * @param _to an address to whom reward to be sent
+	 * @param _token reward token address, zero address means ETH
+	 * @param _totalReward total reward in the token accumulated by a user across all competitions
+	 * @param _proof Merkle proof for the (_to, _token, _totalReward) tuple supplied
+	 * @return true if Merkle proof is valid (data belongs to the original array), false otherwise
+	 */
+	function isClaimValid(address _to, address _token, uint256 _totalReward, bytes32[] memory _proof) public view returns(bool) {
+		// construct Merkle tree leaf from the inputs supplied
+		bytes32 leaf = keccak256(abi.encodePacked(_to, _token, _totalReward));
+
+		// verify the proof supplied, and return the verification result
+		return _proof.verify(root, leaf);
+	}
+
+	/**
+	 * @notice ClaimRequest hashStruct
+	 */
+	function __hashStruct(ClaimRequest calldata _req) private pure returns(bytes32) {
+		return keccak256(abi.encode(
+			// hashType(ClaimRequest) = keccak256("ClaimRequest(address account,address recipient,address token,uint256 totalReward,uint256 validFromTimestamp,uint256 expiresAtTimestamp,uint256 nonce)")
+			0x66d60af3e4f0007b74ad26185184f6498a8ff65d3ec68ab909cdc9dd278288d4,
+			_req.account,
+			_req.recipient,
+			_req.token,
+			_req.totalReward,
+			_req.validFromTimestamp,
+			_req.expiresAtTimestamp,
+			_req.nonce
+		));
+	}
+
+	/**
+	 * @dev Verifies the nonce is valid and marks it as used
+	 *      Throws if nonce is already used or if it is invalid
+	 *
+	 * @param _account the owner of the nonce
+	 * @param _nonce the nonce to be used
+	 */
+	function __useNonce(address _account, uint256 _nonce) private {
+		// verify the nonce wasn't yet used and use it
+		require(nonces[_account]++ == _nonce, "invalid nonce");
+
+		// emit an event
+		emit NonceUsed(_account, _nonce);
+	}
+
+	/**
+	 * @notice Gets current nonce for the given account address;
+	 *      the nonce is used to sign the claim request (`eip712ClaimReward`)
+	 *
+	 * @param _account the account address to get the nonce for
+	 * @return current nonce for the account address
+	 */
+	function getNonce(address _account) external view returns(uint256) {
+		// read the nonce from the storage
+		return nonces[_account];
+	}
+
+	/**
+	 * @notice Rewinds the nonce to the value specified, invalidating all the signed claim requests
+	 *      with the nonces smaller than the value specified
+	 *
+	 * @dev Can be executed by the account itself, or by the `ROLE_DATA_ROOT_MANAGER`
+	 *
+	 * @param _account the account address to rewind the nonce for
+	 * @param _nonce the nonce value to rewind to
+	 */
+	function rewindNonce(address _account, uint256 _nonce) external {
+		// verify the access permission
+		require(msg.sender == _account || isSenderInRole(ROLE_DATA_ROOT_MANAGER), "access denied");
+
+		// make sure nonce is not decreasing
+		require(nonces[_account] < _nonce, "new nonce must be bigger than the current one");
+
+		// rewind the nonce to the value requested
+		nonces[_account] = _nonce;
+
+		// emit an event
+		emit NonceUsed(_account, _nonce - 1);
+	}
+}
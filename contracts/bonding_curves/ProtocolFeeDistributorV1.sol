@@ -4,17 +4,38 @@ pragma solidity ^0.8.4;
 import "@ai-protocol/v3-core/contracts/interfaces/ERC20Spec.sol";
 import "../utils/UpgradeableAccessControl.sol";
 import "../utils/Transfers.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
 
 /**
  * @title Protocol Fee Distributor V1
  *
  * @notice Accepts protocol fees from the bonding curve contracts and distributes them
- *      later to the list of recipients via the admin-push mechanism
+ *      later to the list of recipients via the admin-push mechanism (push mode),
+ *      or lets the recipients claim their shares on their own (pull mode)
+ *
+ * @notice In the pull mode (FEATURE_PULL_DISTRIBUTION enabled) every incoming payment is accounted
+ *      per recipient according to the recipients list active at the moment of the accounting (accrual);
+ *      the accrual happens lazily: in `accrue()`, before every claim, and before the recipients list update,
+ *      so that the amounts received under the old list are settled with the old recipients.
+ *      Rounding dust left after the allocation is carried over into the next accrual,
+ *      or released into the push distribution if the pull mode is disabled later.
+ *      Amounts accrued remain claimable by the recipient even if it is removed from the list,
+ *      and even if the pull mode is disabled later; push mode never distributes them.
+ *
+ * @notice Besides ETH and the ERC20 payment token, the distributor supports arbitrary ERC20 tokens
+ *      (sent by mistake, or received from the future curve types): the tokens are distributed with
+ *      the same recipient allocations once registered as "known tokens" (up to `MAX_KNOWN_TOKENS`),
+ *      or can be recovered if they are not known; amounts accrued (reserved for the claims) are never recovered;
+ *      known tokens can be deregistered (for example if the token breaks the accrual),
+ *      amounts accrued before the deregistration remain claimable
  *
  * @notice The factory manages protocol fees of the deployed TradeableShares contract:
  *      deployed contracts usually follow the protocol fees set on the factory
  */
 contract ProtocolFeeDistributorV1 is UpgradeableAccessControl {
+	// using SafeERC20 to support the arbitrary ERC20 tokens which don't return the transfer result
+	using SafeERC20Upgradeable for IERC20Upgradeable;
+
 	// recipient details
 	struct RecipientDetails {
 		address payable recipient;
@@ -30,6 +51,50 @@ contract ProtocolFeeDistributorV1 is UpgradeableAccessControl {
 	// max number of recipients allowed
 	uint8 public MAX_RECIPIENTS_ALLOWED;
 
+	/**
+	 * @dev Pull mode: amounts accrued to the recipients and not yet claimed,
+	 *      maps token => recipient => claimable amount, zero token address stands for ETH
+	 */
+	mapping(address => mapping(address => uint256)) private accrued;
+
+	/**
+	 * @dev Pull mode: amounts reserved for the claims (sum of all the `accrued` values),
+	 *      plus the rounding dust carried over, maps token => reserved amount, zero token address stands for ETH;
+	 *      the rest of the balance is not yet accrued
+	 */
+	mapping(address => uint256) private reserved;
+
+	/**
+	 * @dev Pull mode: rounding dust left after the previous accrual, added to the next accrual,
+	 *      maps token => dust amount, zero token address stands for ETH
+	 */
+	mapping(address => uint256) private dust;
+
+	/**
+	 * @dev Arbitrary ERC20 tokens registered to be distributed (except the payment token,
+	 *      which is always known), see `registerToken()`
+	 */
+	address[] private knownTokens;
+
+	/**
+	 * @dev Known tokens lookup, maps token => true if the token is in `knownTokens`
+	 */
+	mapping(address => bool) private isKnownToken;
+
+	/**
+	 * @notice Max number of the arbitrary ERC20 tokens which can be registered as known,
+	 *      limits the gas cost of `accrue()` and `updateRecipientsList()`
+	 */
+	uint256 public constant MAX_KNOWN_TOKENS = 10;
+
+	/**
+	 * @notice Pull mode: enables the accrual of the incoming payments to the recipients,
+	 *      disables the admin-push distribution (`distributeETH`, `distributeERC20`)
+	 *
+	 * @dev Feature FEATURE_PULL_DISTRIBUTION switches the distributor from the push mode into the pull mode
+	 */
+	uint32 public constant FEATURE_PULL_DISTRIBUTION = 0x0000_0001;
+
 	/**
 	 * @notice Recipient list manager having role can add/update recipient details
 	 *
@@ -45,6 +110,14 @@ contract ProtocolFeeDistributorV1 is UpgradeableAccessControl {
 	 */
 	uint32 public constant ROLE_DISTRIBUTION_MANAGER = 0x0002_0000;
 
+	/**
+	 * @notice Recovery manager can withdraw the ERC20 tokens which are not known and not reserved
+	 *      for the claims, for example sent to the distributor by mistake
+	 *
+	 * @dev Role ROLE_RECOVERY_MANAGER allows executing `recoverToken()`
+	 */
+	uint32 public constant ROLE_RECOVERY_MANAGER = 0x0004_0000;
+
 	/**
 	 * @dev Fired in receive()
 	 *
@@ -54,7 +127,7 @@ contract ProtocolFeeDistributorV1 is UpgradeableAccessControl {
 	event ETHReceived(address indexed from, uint256 amount);
 
 	/**
-	 * @dev Fired in distributeETH()
+	 * @dev Fired in distributeETH() and claimETH()
 	 *
 	 * @param recipient recipient address
 	 * @param amount amount of ETH transferred
@@ -62,9 +135,9 @@ contract ProtocolFeeDistributorV1 is UpgradeableAccessControl {
 	event ETHSent(address indexed recipient, uint256 amount);
 
 	/**
-	 * @dev Fired in distributeERC20()
+	 * @dev Fired in distributeERC20(), distributeToken(), claimERC20(), and claimToken()
 	 *
-	 * @param paymentToken ERC20 payment token address
+	 * @param paymentToken ERC20 token address (payment token or any other known token)
 	 * @param recipient recipient address
 	 * @param amount amount of ERC20 payment token transferred
 	 */
@@ -78,6 +151,39 @@ contract ProtocolFeeDistributorV1 is UpgradeableAccessControl {
 	 */
 	event RecipientsListUpdated(address indexed recipient, uint32 allocation);
 
+	/**
+	 * @dev Fired in accrue(), claimETH(), claimERC20(), and updateRecipientsList()
+	 *      when the new (not yet accrued) amount is accounted per recipient
+	 *
+	 * @param token ERC20 token address, zero address for ETH
+	 * @param amount amount accounted, including the dust carried over from the previous accrual
+	 * @param dust rounding dust left, carried over into the next accrual
+	 */
+	event FeesAccrued(address indexed token, uint256 amount, uint256 dust);
+
+	/**
+	 * @dev Fired in registerToken() and distributeToken() when the new token is registered
+	 *
+	 * @param token ERC20 token address
+	 */
+	event TokenRegistered(address indexed token);
+
+	/**
+	 * @dev Fired in deregisterToken()
+	 *
+	 * @param token ERC20 token address
+	 */
+	event TokenDeregistered(address indexed token);
+
+	/**
+	 * @dev Fired in recoverToken()
+	 *
+	 * @param token ERC20 token address
+	 * @param to an address the tokens were sent to
+	 * @param amount amount of tokens recovered
+	 */
+	event TokenRecovered(address indexed token, address indexed to, uint256 amount);
+
 	/**
 	 * @dev "Constructor replacement" for a smart contract with a delayed initialization (post-deployment initialization)
 	 *
@@ -119,12 +225,17 @@ contract ProtocolFeeDistributorV1 is UpgradeableAccessControl {
 	function distributeETH() public {
 		// verify the access permission
 		require(isSenderInRole(ROLE_DISTRIBUTION_MANAGER), "access denied");
+		// verify the distributor is in the push mode
+		require(!isFeatureEnabled(FEATURE_PULL_DISTRIBUTION), "pull mode is enabled");
+		// rounding dust left in the pull mode is not accrued to anyone and can be distributed
+		__releaseDust(address(0));
+		// amounts accrued in the pull mode are reserved for the claims
+		uint256 amount = address(this).balance - reserved[address(0)];
 		// verify whether contract has having enough balance to distribute
-		require(address(this).balance > 0, "nothing to distribute");
+		require(amount > 0, "nothing to distribute");
 		// verify the recipients list is not empty
 		require(recipients.length > 0, "recipients list is empty");
 
-		uint256 amount = address(this).balance;
 		uint256 allocatedAmount;
 		for(uint8 i = 0; i < recipients.length; i++) {
 			allocatedAmount = amount * recipients[i].allocationPercent / 1e6;
@@ -147,24 +258,439 @@ contract ProtocolFeeDistributorV1 is UpgradeableAccessControl {
 	 *      ROLE_DISTRIBUTION_MANAGER role
 	 */
 	function distributeERC20() public {
+		// delegate to `distributeToken`
+		distributeToken(address(paymentToken));
+	}
+
+	/**
+	 * @notice distribute arbitrary ERC20 token to all added recipients
+	 *
+	 * @dev distributes ERC20 token to the recipients based on allocation of each recipient,
+	 *      registers the token as known if it is not yet registered
+	 *
+	 * @dev Restricted access function which can only accessible to address having
+	 *      ROLE_DISTRIBUTION_MANAGER role
+	 *
+	 * @param _token ERC20 token address to distribute
+	 */
+	function distributeToken(address _token) public {
 		// verify the access permission
 		require(isSenderInRole(ROLE_DISTRIBUTION_MANAGER), "access denied");
+		// verify the distributor is in the push mode
+		require(!isFeatureEnabled(FEATURE_PULL_DISTRIBUTION), "pull mode is enabled");
+		// register the token if required
+		__registerToken(_token);
+		// rounding dust left in the pull mode is not accrued to anyone and can be distributed
+		__releaseDust(_token);
+		// amounts accrued in the pull mode are reserved for the claims
+		uint256 amount = __balanceOf(_token) - reserved[_token];
 		// verify whether contract has having enough value to distribute
-		require(paymentToken.balanceOf(address(this)) > 0, "nothing to distribute");
+		require(amount > 0, "nothing to distribute");
 		// verify recipients list is not empty
 		require(recipients.length > 0, "recipients list is empty");
 
-		uint256 amount = paymentToken.balanceOf(address(this));
 		uint256 allocatedAmount;
 		for(uint8 i = 0; i < recipients.length; i++) {
 			allocatedAmount = amount * recipients[i].allocationPercent / 1e6;
 
 			if(allocatedAmount > 0) {
-				require(paymentToken.transfer(recipients[i].recipient, allocatedAmount));
+				IERC20Upgradeable(_token).safeTransfer(recipients[i].recipient, allocatedAmount);
 				// emit an event
-				emit ERC20Sent(address(paymentToken), recipients[i].recipient, allocatedAmount);
+				emit ERC20Sent(_token, recipients[i].recipient, allocatedAmount);
+			}
+		}
+	}
+
+	/**
+	 * @notice Registers arbitrary ERC20 token as known: known tokens are distributed with
+	 *      the same recipient allocations as ETH and the payment token, in both push and pull modes
+	 *
+	 * @dev Restricted access function which can only accessible to address having
+	 *      ROLE_DISTRIBUTION_MANAGER role
+	 *
+	 * @param _token ERC20 token address to register
+	 */
+	function registerToken(address _token) public {
+		// verify the access permission
+		require(isSenderInRole(ROLE_DISTRIBUTION_MANAGER), "access denied");
+		// verify the token is not yet registered
+		require(!isKnown(_token), "already registered");
+
+		// register the token
+		__registerToken(_token);
+	}
+
+	/**
+	 * @notice Deregisters the known ERC20 token, so that it is not accrued anymore; the token balance
+	 *      not accrued can be recovered after that, amounts accrued before the deregistration
+	 *      remain claimable by the recipients
+	 *
+	 * @dev Doesn't accrue the token, so that the token breaking the accrual can be deregistered
+	 *
+	 * @dev Restricted access function which can only accessible to address having
+	 *      ROLE_DISTRIBUTION_MANAGER role
+	 *
+	 * @param _token ERC20 token address to deregister, the payment token cannot be deregistered
+	 */
+	function deregisterToken(address _token) public {
+		// verify the access permission
+		require(isSenderInRole(ROLE_DISTRIBUTION_MANAGER), "access denied");
+		// verify the token is registered
+		require(isKnownToken[_token], "not registered");
+
+		// remove the token from the list, the order is not preserved
+		for(uint256 i = 0; i < knownTokens.length; i++) {
+			if(knownTokens[i] == _token) {
+				knownTokens[i] = knownTokens[knownTokens.length - 1];
+				knownTokens.pop();
+				break;
 			}
 		}
+		delete isKnownToken[_token];
+
+		// emit an event
+		emit TokenDeregistered(_token);
+	}
+
+	/**
+	 * @notice Recovers ERC20 token which is not known and not reserved for the claims
+	 *      (not accrued to the recipients), for example sent to the distributor by mistake
+	 *
+	 * @dev Known tokens (the payment token and the registered tokens) are distributed, not recovered;
+	 *      the token needs to be deregistered first to be recovered
+	 *
+	 * @dev Restricted access function which can only accessible to address having
+	 *      ROLE_RECOVERY_MANAGER role
+	 *
+	 * @param _token ERC20 token address to recover
+	 * @param _to an address to send the tokens to
+	 * @param _amount amount of tokens to recover
+	 */
+	function recoverToken(address _token, address _to, uint256 _amount) public {
+		// verify the access permission
+		require(isSenderInRole(ROLE_RECOVERY_MANAGER), "access denied");
+		// input validations
+		require(_token != address(0) && _to != address(0), "zero address");
+		// known tokens are to be distributed
+		require(!isKnown(_token), "known token");
+		// amounts accrued in the pull mode (before the deregistration) are reserved for the claims
+		require(_amount <= __balanceOf(_token) - reserved[_token], "amount exceeds distributable balance");
+
+		// transfer the tokens
+		IERC20Upgradeable(_token).safeTransfer(_to, _amount);
+
+		// emit an event
+		emit TokenRecovered(_token, _to, _amount);
+	}
+
+	/**
+	 * @notice Pull mode: accounts ETH, the ERC20 payment token, and all the known tokens
+	 *      received since the previous accrual per recipient, according to the current recipients list
+	 *
+	 * @dev Can be executed by anyone; does nothing in the push mode or if the recipients list is empty
+	 */
+	function accrue() public {
+		__accrue(address(0));
+		__accrue(address(paymentToken));
+		for(uint256 i = 0; i < knownTokens.length; i++) {
+			__accrue(knownTokens[i]);
+		}
+	}
+
+	/**
+	 * @notice Pull mode: accounts the known ERC20 token received since the previous accrual
+	 *      per recipient, according to the current recipients list
+	 *
+	 * @dev Can be executed by anyone; does nothing in the push mode or if the recipients list is empty
+	 *
+	 * @dev Throws if the token is not known
+	 *
+	 * @param _token ERC20 token address to accrue
+	 */
+	function accrueToken(address _token) public {
+		// verify the token is known
+		require(isKnown(_token), "unknown token");
+
+		// delegate to `__accrue`
+		__accrue(_token);
+	}
+
+	/**
+	 * @notice Pull mode: claims the ETH accrued to the recipient (transaction sender)
+	 *
+	 * @dev Accrues the ETH received since the previous accrual first (pull mode only)
+	 *
+	 * @dev Throws if there is nothing to claim
+	 */
+	function claimETH() public {
+		// account the ETH received since the previous accrual
+		__accrue(address(0));
+
+		// clean the accrued amount
+		uint256 amount = __clean(address(0), msg.sender);
+
+		// transfer the ETH to the recipient
+		Transfers.transfer(payable(msg.sender), amount);
+
+		// emit an event
+		emit ETHSent(msg.sender, amount);
+	}
+
+	/**
+	 * @notice Pull mode: claims the ERC20 payment token accrued to the recipient (transaction sender)
+	 *
+	 * @dev Accrues the ERC20 payment token received since the previous accrual first (pull mode only)
+	 *
+	 * @dev Throws if there is nothing to claim
+	 */
+	function claimERC20() public {
+		// delegate to `claimToken`
+		claimToken(address(paymentToken));
+	}
+
+	/**
+	 * @notice Pull mode: claims the known ERC20 token accrued to the recipient (transaction sender),
+	 *      or the deregistered token accrued before the deregistration
+	 *
+	 * @dev Accrues the token received since the previous accrual first (pull mode, known tokens only)
+	 *
+	 * @dev Throws if the token is not known and nothing was accrued, or if there is nothing to claim
+	 *
+	 * @param _token ERC20 token address to claim
+	 */
+	function claimToken(address _token) public {
+		// account the token received since the previous accrual
+		if(isKnown(_token)) {
+			__accrue(_token);
+		}
+		// deregistered token is not accrued anymore, but the amounts accrued before are claimable
+		else {
+			require(accrued[_token][msg.sender] > 0, "unknown token");
+		}
+
+		// clean the accrued amount
+		uint256 amount = __clean(_token, msg.sender);
+
+		// transfer the token to the recipient
+		IERC20Upgradeable(_token).safeTransfer(msg.sender, amount);
+
+		// emit an event
+		emit ERC20Sent(_token, msg.sender, amount);
+	}
+
+	/**
+	 * @notice Pull mode: ETH amount the recipient can claim, including its share of the ETH
+	 *      received since the previous accrual
+	 *
+	 * @param _recipient recipient address to query the amount for
+	 * @return ETH amount claimable by the recipient
+	 */
+	function pendingETH(address _recipient) public view returns(uint256) {
+		return __pending(address(0), _recipient);
+	}
+
+	/**
+	 * @notice Pull mode: ERC20 payment token amount the recipient can claim, including its share
+	 *      of the payment token received since the previous accrual
+	 *
+	 * @param _recipient recipient address to query the amount for
+	 * @return ERC20 payment token amount claimable by the recipient
+	 */
+	function pendingERC20(address _recipient) public view returns(uint256) {
+		return __pending(address(paymentToken), _recipient);
+	}
+
+	/**
+	 * @notice Pull mode: ERC20 token amount the recipient can claim, including its share
+	 *      of the token received since the previous accrual
+	 *
+	 * @param _token ERC20 token address
+	 * @param _recipient recipient address to query the amount for
+	 * @return ERC20 token amount claimable by the recipient
+	 */
+	function pendingToken(address _token, address _recipient) public view returns(uint256) {
+		return __pending(_token, _recipient);
+	}
+
+	/**
+	 * @notice Balance which is not reserved for the claims: to be distributed (push mode),
+	 *      accrued (pull mode), or recovered
+	 *
+	 * @dev Doesn't include the rounding dust left after the last pull mode accrual, which is
+	 *      released from the reserve and distributed by the next push distribution
+	 *
+	 * @param _token ERC20 token address, zero address for ETH
+	 * @return distributable balance
+	 */
+	function getDistributableBalance(address _token) public view returns(uint256) {
+		return __balanceOf(_token) - reserved[_token];
+	}
+
+	/**
+	 * @notice Checks if the ERC20 token is known: the payment token, or a registered token
+	 *
+	 * @param _token ERC20 token address
+	 * @return true if the token is known, false otherwise
+	 */
+	function isKnown(address _token) public view returns(bool) {
+		return _token == address(paymentToken) || isKnownToken[_token];
+	}
+
+	/**
+	 * @notice Lists the registered ERC20 tokens, the payment token is not included
+	 *
+	 * @return address[] registered tokens list
+	 */
+	function getKnownTokens() public view returns(address[] memory) {
+		return knownTokens;
+	}
+
+	/**
+	 * @dev Registers the token as known if it is not yet known
+	 *
+	 * @param _token ERC20 token address
+	 */
+	function __registerToken(address _token) private {
+		// the payment token and registered tokens are known already
+		if(isKnown(_token)) {
+			return;
+		}
+		require(_token != address(0), "zero address");
+		// verify the known tokens limit
+		require(knownTokens.length < MAX_KNOWN_TOKENS, "too many known tokens");
+
+		// register the token
+		knownTokens.push(_token);
+		isKnownToken[_token] = true;
+
+		// emit an event
+		emit TokenRegistered(_token);
+	}
+
+	/**
+	 * @notice Pull mode: amount reserved for the claims (accrued and not yet claimed),
+	 *      including the rounding dust carried over
+	 *
+	 * @param _token ERC20 token address, zero address for ETH
+	 * @return amount reserved
+	 */
+	function getReserved(address _token) public view returns(uint256) {
+		return reserved[_token];
+	}
+
+	/**
+	 * @notice Pull mode: rounding dust left after the previous accrual,
+	 *      carried over into the next accrual
+	 *
+	 * @param _token ERC20 token address, zero address for ETH
+	 * @return dust amount
+	 */
+	function getDust(address _token) public view returns(uint256) {
+		return dust[_token];
+	}
+
+	/**
+	 * @dev Accounts the token amount received since the previous accrual (together with the dust carried over)
+	 *      per recipient according to the current recipients list, carries the rounding dust over;
+	 *      does nothing in the push mode or if the recipients list is empty
+	 *
+	 * @param _token ERC20 token address, zero address for ETH
+	 */
+	function __accrue(address _token) private {
+		// accrual happens only in the pull mode, and only if there are recipients to accrue to
+		if(!isFeatureEnabled(FEATURE_PULL_DISTRIBUTION) || recipients.length == 0) {
+			return;
+		}
+
+		// determine the amount received since the previous accrual
+		uint256 received = __balanceOf(_token) - reserved[_token];
+		if(received == 0) {
+			return;
+		}
+
+		// the dust carried over is distributed together with the amount received
+		uint256 amount = received + dust[_token];
+		uint256 allocated;
+		for(uint8 i = 0; i < recipients.length; i++) {
+			uint256 allocatedAmount = amount * recipients[i].allocationPercent / 1e6;
+			accrued[_token][recipients[i].recipient] += allocatedAmount;
+			allocated += allocatedAmount;
+		}
+
+		// whatever is not allocated is carried over into the next accrual
+		dust[_token] = amount - allocated;
+		reserved[_token] += received;
+
+		// emit an event
+		emit FeesAccrued(_token, amount, dust[_token]);
+	}
+
+	/**
+	 * @dev Push mode: releases the rounding dust left after the last pull mode accrual from the reserve,
+	 *      so that it is distributed together with the rest of the balance
+	 *
+	 * @param _token ERC20 token address, zero address for ETH
+	 */
+	function __releaseDust(address _token) private {
+		// the dust is a part of the reserve, but it is not accrued to any of the recipients
+		reserved[_token] -= dust[_token];
+		delete dust[_token];
+	}
+
+	/**
+	 * @dev Zeroes the amount accrued to the recipient, releasing it from the reserve
+	 *
+	 * @dev Throws if there is nothing to claim
+	 *
+	 * @param _token ERC20 token address, zero address for ETH
+	 * @param _recipient recipient address
+	 * @return amount accrued to the recipient
+	 */
+	function __clean(address _token, address _recipient) private returns(uint256 amount) {
+		amount = accrued[_token][_recipient];
+		require(amount > 0, "nothing to claim");
+
+		// update the state before the transfer
+		delete accrued[_token][_recipient];
+		reserved[_token] -= amount;
+	}
+
+	/**
+	 * @dev Calculates the amount the recipient can claim, including its share of the
+	 *      amount received since the previous accrual (pull mode only)
+	 *
+	 * @param _token ERC20 token address, zero address for ETH
+	 * @param _recipient recipient address
+	 * @return amount claimable by the recipient
+	 */
+	function __pending(address _token, address _recipient) private view returns(uint256) {
+		uint256 amount = accrued[_token][_recipient];
+		// unknown (deregistered) tokens are not accrued anymore
+		if(!isFeatureEnabled(FEATURE_PULL_DISTRIBUTION) || (_token != address(0) && !isKnown(_token))) {
+			return amount;
+		}
+
+		// add the share of the amount not yet accrued
+		uint256 unaccrued = __balanceOf(_token) - reserved[_token];
+		if(unaccrued == 0) {
+			return amount;
+		}
+		for(uint8 i = 0; i < recipients.length; i++) {
+			if(recipients[i].recipient == _recipient) {
+				amount += (unaccrued + dust[_token]) * recipients[i].allocationPercent / 1e6;
+			}
+		}
+		return amount;
+	}
+
+	/**
+	 * @dev Reads the distributor balance in ETH or ERC20 token
+	 *
+	 * @param _token ERC20 token address, zero address for ETH
+	 * @return the balance
+	 */
+	function __balanceOf(address _token) private view returns(uint256) {
+		return _token == address(0)? address(this).balance: ERC20(_token).balanceOf(address(this));
 	}
 
 	/**
@@ -176,6 +702,9 @@ contract ProtocolFeeDistributorV1 is UpgradeableAccessControl {
 	 * @dev total recipient allocation of all recipients in the list must be 100%,
 	 *      else transaction will be reverted
 	 *
+	 * @dev In the pull mode the amounts received so far (ETH, payment token, and known tokens)
+	 *      are accrued to the old recipients before the list is updated
+	 *
 	 * @param _recipients array of the recipients containing addresses and allocations
 	 */
 	function updateRecipientsList(RecipientDetails[] calldata _recipients) public {
@@ -185,6 +714,9 @@ contract ProtocolFeeDistributorV1 is UpgradeableAccessControl {
 		require(_recipients.length > 0, "recipients list is empty");
 		require(_recipients.length <= MAX_RECIPIENTS_ALLOWED, "recipients list is too big");
 
+		// settle the amounts received under the old recipients list
+		accrue();
+
 		// delete old recipients list
 		delete recipients;
 
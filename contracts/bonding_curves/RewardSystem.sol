@@ -5,6 +5,7 @@ import "@ai-protocol/v3-core/contracts/interfaces/ERC20Spec.sol";
 import "../utils/UpgradeableAccessControl.sol";
 import "../utils/Transfers.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
 
 /**
  * @title Leaderboard Reward System
@@ -17,10 +18,35 @@ import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
  *
  * @notice leaderboard reward system is proxy upgradeable.
  *
+ * @notice rewards can be claimed one by one, in batches, or via the EIP712 signed claim request,
+ *      allowing the relayer to pay the gas for the user
+ *
  */
 contract RewardSystem is UpgradeableAccessControl {
 	// Use Zeppelin MerkleProof Library to verify Merkle proofs
 	using MerkleProof for bytes32[];
+	// using ECDSA to support EIP712 signed claim requests
+	using ECDSAUpgradeable for bytes32;
+
+	/**
+	 * @notice EIP712 signed claim request, allows the relayer to claim the reward on behalf of the user
+	 *
+	 * @dev The reward of the `account` is sent to the `recipient`, the request must be signed by the `account`
+	 */
+	struct ClaimRequest {
+		/// @dev an address the reward belongs to, the request signer
+		address account;
+		/// @dev an address to send the reward to
+		address payable recipient;
+		/// @dev total reward accumulated by the account, as in the Merkle tree
+		uint256 totalReward;
+		/// @dev unix timestamp when the request becomes valid
+		uint256 validFromTimestamp;
+		/// @dev unix timestamp when the request expires (becomes invalid)
+		uint256 expiresAtTimestamp;
+		/// @dev nonce of the request (sequential number, increased by one)
+		uint256 nonce;
+	}
 
 	// Input data root, Merkle tree root for an array of (address, totalReward) pairs,
 	// Merkle root effectively "compresses" the (potentially) huge array of data elements
@@ -41,6 +67,21 @@ contract RewardSystem is UpgradeableAccessControl {
 	// cumulative reward claimed
 	uint256 public totalClaimedReward;
 
+	/**
+	 * @dev Keeps track of the used nonces for every possible account (EIP712 signed claim requests)
+	 *      Maps address => number of used nonces
+	 */
+	mapping(address => uint256) private nonces;
+
+	/**
+	 * @notice EIP712 domain name and version used to sign the claim requests
+	 *
+	 * @dev RewardSystem doesn't inherit from EIP712Upgradeable since the storage layout of the
+	 *      already deployed proxies must be preserved; the domain separator is derived on the fly instead
+	 */
+	string public constant EIP712_NAME = "RewardSystem";
+	string public constant EIP712_VERSION = "1";
+
 	/**
 	 * @notice Data Root manager is responsible for supplying the valid input data array
 	 *      Merkle root which then can be used to check total reward won by user.
@@ -89,6 +130,14 @@ contract RewardSystem is UpgradeableAccessControl {
 	 */
 	event PaymentReceived(uint256 value);
 
+	/**
+	 * @dev Fired in eip712ClaimReward() and rewindNonce()
+	 *
+	 * @param account an address the nonce belongs to
+	 * @param nonce the nonce used
+	 */
+	event NonceUsed(address indexed account, uint256 nonce);
+
 	/**
 	 * @dev Fired in resetClaimedRewards()
 	 *
@@ -206,34 +255,202 @@ contract RewardSystem is UpgradeableAccessControl {
 		// verify airdrop is in active state
 		require(isFeatureEnabled(FEATURE_CLAIM_ACTIVE), "redeems are disabled");
 
-		// verify the `(_to, _totalReward)` pair is valid
-		require(isClaimValid(_to, _totalReward, _proof), "invalid request");
+		// delegate to `__claimReward`
+		require(__claimReward(_to, _to, _totalReward, _proof) != 0, "nothing to claim");
+	}
+
+	/**
+	 * @notice Claims the rewards for several users in a single transaction, see `claimReward()`
+	 *
+	 * @dev Users who have nothing to claim (already claimed) are skipped, so that the batch
+	 *      doesn't fail if any of the users claimed the reward on their own before the batch is executed
+	 *
+	 * @dev Throws if any of the (_to, _totalReward, _proof) tuples supplied is not valid
+	 *
+	 * @param _to addresses to whom rewards to be sent
+	 * @param _totalRewards total rewards accumulated by the users across all competitions
+	 * @param _proofs Merkle proofs for the (_to, _totalReward) pairs supplied
+	 */
+	function claimRewards(
+		address payable[] calldata _to,
+		uint256[] calldata _totalRewards,
+		bytes32[][] calldata _proofs
+	) external {
+		// verify airdrop is in active state
+		require(isFeatureEnabled(FEATURE_CLAIM_ACTIVE), "redeems are disabled");
+
+		// verify the input arrays are consistent
+		require(_to.length == _totalRewards.length && _to.length == _proofs.length, "array length mismatch");
+
+		// claim the rewards one by one
+		for(uint256 i = 0; i < _to.length; i++) {
+			__claimReward(_to[i], _to[i], _totalRewards[i], _proofs[i]);
+		}
+	}
+
+	/**
+	 * @notice Claims the reward on behalf of the user via the EIP712 signed claim request,
+	 *      allowing the relayer to pay the gas; the reward is sent to the recipient specified in the request
+	 *
+	 * @dev Throws if the request is not yet valid or expired, if the nonce is invalid,
+	 *      if the request is not signed by the account, if the Merkle proof is not valid,
+	 *      or if there is nothing to claim
+	 *
+	 * @param _req claim request, see `ClaimRequest`
+	 * @param _proof Merkle proof for the (_req.account, _req.totalReward) pair
+	 * @param _signature EIP712 signature of the request by the `_req.account`
+	 */
+	function eip712ClaimReward(ClaimRequest calldata _req, bytes32[] calldata _proof, bytes calldata _signature) external {
+		// verify airdrop is in active state
+		require(isFeatureEnabled(FEATURE_CLAIM_ACTIVE), "redeems are disabled");
+
+		// verify the request validity
+		require(_req.validFromTimestamp <= block.timestamp, "not yet valid");
+		require(_req.expiresAtTimestamp > block.timestamp, "expired");
+
+		// verify and use nonce
+		__useNonce(_req.account, _req.nonce);
+
+		// derive the request signer
+		// this also verifies that the signature is valid
+		address signer = ECDSAUpgradeable.toTypedDataHash(DOMAIN_SEPARATOR(), __hashStruct(_req)).recover(_signature);
+		require(signer == _req.account, "invalid signature");
+
+		// delegate to `__claimReward`
+		require(__claimReward(_req.account, _req.recipient, _req.totalReward, _proof) != 0, "nothing to claim");
+	}
+
+	/**
+	 * @dev Verifies the (_account, _totalReward, _proof) tuple and sends the unclaimed part of the reward
+	 *      to the recipient; doesn't check FEATURE_CLAIM_ACTIVE feature
+	 *
+	 * @dev Throws if the data or merkle proof supplied is not valid
+	 *
+	 * @param _account an address the reward belongs to
+	 * @param _recipient an address to send the reward to
+	 * @param _totalReward total reward accumulated by the account across all competitions
+	 * @param _proof Merkle proof for the (_account, _totalReward) pair supplied
+	 * @return claimableAmount amount of reward sent, zero if there is nothing to claim
+	 */
+	function __claimReward(
+		address _account,
+		address payable _recipient,
+		uint256 _totalReward,
+		bytes32[] memory _proof
+	) private returns(uint256 claimableAmount) {
+		// verify the `(_account, _totalReward)` pair is valid
+		require(isClaimValid(_account, _totalReward, _proof), "invalid request");
 
 		// check user has reward to claim
-		uint256 claimed = claimedReward(_to);
-		require(claimed < _totalReward, "nothing to claim");
-		uint256 claimableAmount = _totalReward - claimed;
+		uint256 claimed = claimedReward(_account);
+		if(claimed >= _totalReward) {
+			return 0;
+		}
+		claimableAmount = _totalReward - claimed;
 
 		// update reward details
-		__updateClaimedReward(_to, _totalReward);
+		__updateClaimedReward(_account, _totalReward);
 		totalClaimedReward += claimableAmount;
 
 		if (rewardSystemType()) {
 			// transfer ether to user
-			Transfers.transfer(_to, claimableAmount);
+			Transfers.transfer(_recipient, claimableAmount);
 
 			// emit an event
-			emit EthRewardClaimed(_to, claimableAmount);
+			emit EthRewardClaimed(_account, claimableAmount);
 		}
 		else {
 			// transfer erc20 reward token to user
-			erc20RewardToken.transfer(_to, claimableAmount);
+			erc20RewardToken.transfer(_recipient, claimableAmount);
 
 			// emit an event
-			emit ERC20RewardClaimed(address(erc20RewardToken), _to, claimableAmount);
+			emit ERC20RewardClaimed(address(erc20RewardToken), _account, claimableAmount);
 		}
 	}
 
+	/**
+	 * @notice EIP712 domain separator: name "RewardSystem", version "1",
+	 *      current chain ID, and this contract (proxy) address
+	 *
+	 * @return EIP712 domain separator
+	 */
+	function DOMAIN_SEPARATOR() public view returns(bytes32) {
+		return keccak256(abi.encode(
+			// keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)")
+			0x8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f,
+			keccak256(bytes(EIP712_NAME)),
+			keccak256(bytes(EIP712_VERSION)),
+			block.chainid,
+			address(this)
+		));
+	}
+
+	/**
+	 * @notice ClaimRequest hashStruct
+	 */
+	function __hashStruct(ClaimRequest calldata _req) private pure returns(bytes32) {
+		return keccak256(abi.encode(
+			// hashType(ClaimRequest) = keccak256("ClaimRequest(address account,address recipient,uint256 totalReward,uint256 validFromTimestamp,uint256 expiresAtTimestamp,uint256 nonce)")
+			0x6698e7466029a690ab70548750b587e7a7a70e67e166a73cbe406ef08c310e85,
+			_req.account,
+			_req.recipient,
+			_req.totalReward,
+			_req.validFromTimestamp,
+			_req.expiresAtTimestamp,
+			_req.nonce
+		));
+	}
+
+	/**
+	 * @dev Verifies the nonce is valid and marks it as used
+	 *      Throws if nonce is already used or if it is invalid
+	 *
+	 * @param _account the owner of the nonce
+	 * @param _nonce the nonce to be used
+	 */
+	function __useNonce(address _account, uint256 _nonce) private {
+		// verify the nonce wasn't yet used and use it
+		require(nonces[_account]++ == _nonce, "invalid nonce");
+
+		// emit an event
+		emit NonceUsed(_account, _nonce);
+	}
+
+	/**
+	 * @notice Gets current nonce for the given account address;
+	 *      the nonce is used to sign the claim request (`eip712ClaimReward`)
+	 *
+	 * @param _account the account address to get the nonce for
+	 * @return current nonce for the account address
+	 */
+	function getNonce(address _account) external view returns(uint256) {
+		// read the nonce from the storage
+		return nonces[_account];
+	}
+
+	/**
+	 * @notice Rewinds the nonce to the value specified, invalidating all the signed claim requests
+	 *      with the nonces smaller than the value specified
+	 *
+	 * @dev Can be executed by the account itself, or by the `ROLE_DATA_ROOT_MANAGER`
+	 *
+	 * @param _account the account address to rewind the nonce for
+	 * @param _nonce the nonce value to rewind to
+	 */
+	function rewindNonce(address _account, uint256 _nonce) external {
+		// verify the access permission
+		require(msg.sender == _account || isSenderInRole(ROLE_DATA_ROOT_MANAGER), "access denied");
+
+		// make sure nonce is not decreasing
+		require(nonces[_account] < _nonce, "new nonce must be bigger than the current one");
+
+		// rewind the nonce to the value requested
+		nonces[_account] = _nonce;
+
+		// emit an event
+		emit NonceUsed(_account, _nonce - 1);
+	}
+
 	/**
 	 * @notice Restricted access function to update input data root (Merkle tree root),
 	 *      and to define, effectively, the tokens to be created by this smart contract
@@ -24,6 +24,22 @@ interface SharesFactory {
 		ERC20
 	}
 
+	/**
+	 * @dev Enum of all possible bonding curves the TradeableShares contract can be deployed with
+	 */
+	enum CurveType {
+		/// @dev original friend.tech curve; built into the TradeableShares implementations
+		FRIEND_TECH,
+		/// @dev friend.tech curve with the configurable divisor, FriendTechDivisorBondingCurve
+		FRIEND_TECH_DIVISOR,
+		/// @dev linear curve, LinearBondingCurve
+		LINEAR,
+		/// @dev exponential curve with the price cap, ExponentialCappedBondingCurve
+		EXPONENTIAL_CAPPED,
+		/// @dev S-shaped curve, SigmoidBondingCurve
+		SIGMOID
+	}
+
 	/**
 	 * @dev Shares deployment request is used to enable the TradeableShares
 	 *      deployment with meta-transactions
@@ -66,6 +82,19 @@ interface SharesFactory {
 		uint64 subjectFeePercent
 	);
 
+	/**
+	 * @dev Fired in `setSubjectFeeSplitBounds`
+	 *
+	 * @dev The bounds apply only to the shares contracts deployed after the update, and only upon
+	 *      the deployment: the fee manager of the shares contract can change them later to any values
+	 *
+	 * @param minHoldersShare lower bound for the subject fee portion the issuer can redirect to the holders,
+	 *      value 10^18 corresponds to 100% of the subject fee
+	 * @param maxHoldersShare upper bound for the subject fee portion the issuer can redirect to the holders,
+	 *      value 10^18 corresponds to 100% of the subject fee
+	 */
+	event SubjectFeeSplitBoundsUpdated(uint64 minHoldersShare, uint64 maxHoldersShare);
+
 	/**
 	 * @dev Fired in `deploySharesContract` and `registerSharesContract`
 	 *
@@ -115,6 +144,19 @@ interface SharesFactory {
 	 */
 	function getDistributorImplAddress(ImplementationType _implementationType) external view returns(address);
 
+	/**
+	 * @notice Address of the already deployed BondingCurve implementation used by the TradeableShares
+	 *      contracts deployed by the factory with the given curve type
+	 *
+	 * @dev If the FRIEND_TECH curve implementation is missing, the TradeableShares contract
+	 *      is deployed with the built-in friend.tech curve
+	 *
+	 * @param _curveType bonding curve type
+	 * @return the address of the already deployed BondingCurve implementation corresponding
+	 *      to the given curve type
+	 */
+	function getCurveImplAddress(CurveType _curveType) external view returns(address);
+
 	/**
 	 * @notice Protocol fee destination is the address receiving the protocol fee
 	 *
@@ -209,6 +251,30 @@ interface SharesFactory {
 		uint64 subjectFeePercent
 	) external;
 
+	/**
+	 * @notice Bounds within which the issuer of the newly deployed shares contract can redirect
+	 *      the portion of the subject fee to the shares holders
+	 *
+	 * @dev The values have 18 decimals, 100% of the subject fee is represented as 10^18
+	 *
+	 * @return minHoldersShare lower bound for the subject fee portion redirected to the holders
+	 * @return maxHoldersShare upper bound for the subject fee portion redirected to the holders
+	 */
+	function getSubjectFeeSplitBounds() external view returns(uint256 minHoldersShare, uint256 maxHoldersShare);
+
+	/**
+	 * @notice Sets the bounds within which the issuer of the newly deployed shares contract can redirect
+	 *      the portion of the subject fee to the shares holders; zero bounds disable the redirect
+	 *
+	 * @notice The bounds are copied into the shares contract upon the deployment only; they don't affect
+	 *      already deployed shares contracts, and don't restrict the fee manager of the shares contract,
+	 *      who can update the bounds of that contract later (see `updateSubjectFeeSplitBounds`)
+	 *
+	 * @param minHoldersShare lower bound to set, examples: 10^18 is 100%, 10^17 is 10%
+	 * @param maxHoldersShare upper bound to set, examples: 10^18 is 100%, 10^17 is 10%
+	 */
+	function setSubjectFeeSplitBounds(uint64 minHoldersShare, uint64 maxHoldersShare) external;
+
 	/**
 	 * @notice Deploys the TradeableShares implementation for the specified subject;
 	 *      the curve remains paused, no shares are being bought immediately
@@ -262,6 +328,40 @@ interface SharesFactory {
 		uint256 amount
 	) external payable returns(TradeableShares);
 
+	/**
+	 * @notice Deploys the ERC20 TradeableShares implementation for the specified subject and
+	 *      immediately buys any amount of shares in a single transaction, without the prior `approve`:
+	 *      the payment token allowance is set via the EIP-2612 permit signed by the sender
+	 *      for the factory to spend `maxPaid` tokens
+	 *
+	 * @notice Tries minting the NFT defined by the subject if it doesn't exist
+	 *
+	 * @dev Implementation must guarantee only one TradeableShares contract per subject
+	 *
+	 * @dev Requires the payment token to support EIP-2612 permits;
+	 *      throws if the permit is invalid, expired, or already used,
+	 *      unless the allowance is already not less than `maxPaid` (the permit was front-run)
+	 *
+	 * @param sharesSubject shares subject, owner of the curve
+	 * @param amount how many shares to buy immediately after the deployment
+	 * @param maxPaid maximum price of the shares to buy, including all the fees, the sender agrees to pay;
+	 *      the permit value, the amount of tokens the sender allows the factory to spend
+	 * @param deadline the permit expiration time, unix timestamp
+	 * @param v the recovery byte of the permit signature
+	 * @param r half of the ECDSA permit signature pair
+	 * @param s half of the ECDSA permit signature pair
+	 * @return deployed TradeableShares contract
+	 */
+	function deploySharesContractAndBuyWithPermit(
+		TradeableShares.SharesSubject calldata sharesSubject,
+		uint256 amount,
+		uint256 maxPaid,
+		uint256 deadline,
+		uint8 v,
+		bytes32 r,
+		bytes32 s
+	) external returns(TradeableShares);
+
 	/**
 	 * @notice Deploys the TradeableShares implementation for the specified subject;
 	 *      allows to immediately buy any amount of shares (including zero)
@@ -283,6 +383,27 @@ interface SharesFactory {
 		uint256 amount
 	) external payable returns(TradeableShares);
 
+	/**
+	 * @notice Deploys the TradeableShares implementation for the specified subject with the specified
+	 *      bonding curve; allows to immediately buy any amount of shares (including zero)
+	 *
+	 * @notice Tries minting the NFT defined by the subject if it doesn't exist
+	 *
+	 * @dev Implementation must guarantee only one TradeableShares contract per subject
+	 *
+	 * @param implementationType TradeableShares implementation type
+	 * @param curveType bonding curve type
+	 * @param sharesSubject shares subject, owner of the curve
+	 * @param amount how many shares to buy immediately after the deployment
+	 * @return deployed TradeableShares contract
+	 */
+	function deploySharesContractWithCurve(
+		ImplementationType implementationType,
+		CurveType curveType,
+		TradeableShares.SharesSubject calldata sharesSubject,
+		uint256 amount
+	) external payable returns(TradeableShares);
+
 	/**
 	 * @notice Executes signed SharesDeploymentRequest; this is identical to executing `mintSubjectAndDeployShares`
 	 *      on behalf of the signer and allows the transaction to be relayed so that the gas is payed by the
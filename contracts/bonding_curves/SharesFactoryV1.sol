@@ -98,6 +98,31 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 	 */
 	mapping(address => uint256) private nonces;
 
+	/**
+	 * @dev BondingCurve implementations mapping storing deployed BondingCurve address
+	 *      for every supported bonding curve type, used by the factory to bind
+	 *      the deployed TradeableShares contracts to the bonding curve selected
+	 *
+	 * @dev If FRIEND_TECH curve implementation is not set, the TradeableShares contracts
+	 *      are deployed with the built-in friend.tech curve
+	 *
+	 * @dev Maps CurveType => BondingCurve deployed implementation address
+	 */
+	mapping(CurveType => address) private curveImplementations;
+
+	/**
+	 * @dev Lower bound for the subject fee portion the issuer can redirect to the shares holders,
+	 *      applied to the newly deployed TradeableShares contracts; 10^18 is 100% of the subject fee
+	 */
+	uint64 private minSubjectFeeHoldersShare;
+
+	/**
+	 * @dev Upper bound for the subject fee portion the issuer can redirect to the shares holders,
+	 *      applied to the newly deployed TradeableShares contracts; 10^18 is 100% of the subject fee;
+	 *      zero means the issuer cannot redirect the subject fee
+	 */
+	uint64 private maxSubjectFeeHoldersShare;
+
 	/**
 	 * @notice Enables [TradeableShares] curve deployment functionality
 	 * @dev Feature FEATURE_SHARES_DEPLOYMENT_ENABLED enables `deploySharesContractPaused`,
@@ -123,6 +148,16 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 	 */
 	uint32 public constant FEATURE_ALLOW_EXCLUSIVE_BUY = 0x0000_0004;
 
+	/**
+	 * @notice Deploys the [TradeableShares] curves with the shares transfers enabled
+	 *      (AbstractShares.FEATURE_TRANSFERS); if disabled the curves are deployed non-transferable
+	 *
+	 * @dev Feature FEATURE_TRANSFERABLE_SHARES affects `deploySharesContractPaused`,
+	 *      `deploySharesContract`, `deploySharesContractAndBuy`, `mintSubjectAndDeployShares`,
+	 *      and `executeDeploymentRequest` functions
+	 */
+	uint32 public constant FEATURE_TRANSFERABLE_SHARES = 0x0000_0008;
+
 	/**
 	 * @notice Protocol fee manager sets protocol fee destination address (protocolFeeDestination)
 	 *      and protocol fee percent (protocolFeePercent)
@@ -140,9 +175,11 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 	uint32 public constant ROLE_HOLDERS_FEE_MANAGER = 0x0002_0000;
 
 	/**
-	 * @notice Subject fee manager sets subject fee percent (subjectFeePercent)
+	 * @notice Subject fee manager sets subject fee percent (subjectFeePercent),
+	 *      and the bounds for the subject fee split between the issuer and the holders
 	 *
-	 * @dev Role ROLE_SUBJECT_FEE_MANAGER is required to execute `setSubjectFeePercent` function
+	 * @dev Role ROLE_SUBJECT_FEE_MANAGER is required to execute `setSubjectFeePercent`
+	 *      and `setSubjectFeeSplitBounds` functions
 	 */
 	uint32 public constant ROLE_SUBJECT_FEE_MANAGER = 0x0004_0000;
 
@@ -191,6 +228,15 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 	 */
 	event DistributorImplAddressUpdated(ImplementationType implementationType, address implementationAddress);
 
+	/**
+	 * @dev Fired in `setCurveImplAddress`
+	 *
+	 * @param curveType bonding curve type
+	 * @param implementationAddress the address of the already deployed BondingCurve implementation
+	 *      corresponding to the given curve type, or zero address
+	 */
+	event CurveImplAddressUpdated(CurveType curveType, address implementationAddress);
+
 	/**
 	 * @dev "Constructor replacement" for upgradeable, must be execute immediately after proxy deployment
 	 *      see https://docs.openzeppelin.com/upgrades-plugins/1.x/writing-upgradeable#initializers
@@ -312,6 +358,42 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 		emit DistributorImplAddressUpdated(_implementationType, _implementationAddress);
 	}
 
+	/**
+	 * @inheritdoc SharesFactory
+	 */
+	function getCurveImplAddress(CurveType _curveType) public view returns(address) {
+		// read the result from storage
+		return curveImplementations[_curveType];
+	}
+
+	/**
+	 * @notice Sets the address of the already deployed BondingCurve implementation
+	 *      to be used by the TradeableShares contracts deployed with the given curve type
+	 *
+	 * @dev Once changed/set, the address affects only new TradeableShares deployments
+	 *
+	 * @dev The first share is always free: throws if the curve price of the very first share is not zero
+	 *
+	 * @param _curveType bonding curve type
+	 * @param _implementationAddress address of the already deployed BondingCurve implementation
+	 *      corresponding to the given curve type
+	 */
+	function setCurveImplAddress(CurveType _curveType, address _implementationAddress) public {
+		// verify the access permission
+		require(isSenderInRole(ROLE_FACTORY_DEPLOYMENT_MANAGER), "access denied");
+		// verify the first share is free (zero address deregisters the curve)
+		require(
+			_implementationAddress == address(0) || BondingCurve(_implementationAddress).getPrice(0, 1) == 0,
+			"first share must be free"
+		);
+
+		// register/update/deregister implementation
+		curveImplementations[_curveType] = _implementationAddress;
+
+		// emit an event
+		emit CurveImplAddressUpdated(_curveType, _implementationAddress);
+	}
+
 	/**
 	 * @inheritdoc SharesFactory
 	 */
@@ -442,6 +524,31 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 		emit ProtocolFeeUpdated(_protocolFeeDestination, _protocolFeePercent, _holdersFeePercent, _subjectFeePercent);
 	}
 
+	/**
+	 * @inheritdoc SharesFactory
+	 */
+	function getSubjectFeeSplitBounds() public view returns(uint256 minHoldersShare, uint256 maxHoldersShare) {
+		// read the result from storage
+		return (minSubjectFeeHoldersShare, maxSubjectFeeHoldersShare);
+	}
+
+	/**
+	 * @inheritdoc SharesFactory
+	 */
+	function setSubjectFeeSplitBounds(uint64 _minHoldersShare, uint64 _maxHoldersShare) public {
+		// verify the access permission
+		require(isSenderInRole(ROLE_SUBJECT_FEE_MANAGER), "access denied");
+		// verify the bounds are consistent
+		require(_minHoldersShare <= _maxHoldersShare && _maxHoldersShare <= 1 ether, "invalid bounds");
+
+		// update contract's state
+		minSubjectFeeHoldersShare = _minHoldersShare;
+		maxSubjectFeeHoldersShare = _maxHoldersShare;
+
+		// emit an event
+		emit SubjectFeeSplitBoundsUpdated(_minHoldersShare, _maxHoldersShare);
+	}
+
 	/**
 	 * @inheritdoc SharesFactory
 	 */
@@ -476,6 +583,35 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 		return mintSubjectAndDeployShares(_implementationType, _sharesSubject, msg.sender, _amount);
 	}
 
+	/**
+	 * @inheritdoc SharesFactory
+	 */
+	function deploySharesContractAndBuyWithPermit(
+		TradeableShares.SharesSubject calldata _sharesSubject,
+		uint256 _amount,
+		uint256 _maxPaid,
+		uint256 _deadline,
+		uint8 v,
+		bytes32 r,
+		bytes32 s
+	) public returns(TradeableShares) {
+		// set the allowance for the factory to spend the sender's tokens;
+		// the factory pulls the tokens required to buy the shares within this allowance
+		try EIP2612(address(paymentToken)).permit(msg.sender, address(this), _maxPaid, _deadline, v, r, s) {}
+		catch(bytes memory reason) {
+			// the permit could have been front-run, proceed if the allowance is already set;
+			// otherwise bubble up the permit failure as is, the reason may be empty or not a string
+			if(paymentToken.allowance(msg.sender, address(this)) < _maxPaid) {
+				assembly {
+					revert(add(reason, 32), mload(reason))
+				}
+			}
+		}
+
+		// delegate to unsafe `__mintSubjectAndDeployShares`
+		return __mintSubjectAndDeployShares(ImplementationType.ERC20, CurveType.FRIEND_TECH, _sharesSubject, msg.sender, _amount, msg.sender);
+	}
+
 	/**
 	 * @inheritdoc SharesFactory
 	 */
@@ -486,7 +622,20 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 		uint256 _amount
 	) public payable returns(TradeableShares) {
 		// delegate to unsafe `__mintSubjectAndDeployShares`
-		return __mintSubjectAndDeployShares(_implementationType, _sharesSubject, _issuer, _amount, msg.sender);
+		return __mintSubjectAndDeployShares(_implementationType, CurveType.FRIEND_TECH, _sharesSubject, _issuer, _amount, msg.sender);
+	}
+
+	/**
+	 * @inheritdoc SharesFactory
+	 */
+	function deploySharesContractWithCurve(
+		ImplementationType _implementationType,
+		CurveType _curveType,
+		TradeableShares.SharesSubject calldata _sharesSubject,
+		uint256 _amount
+	) public payable returns(TradeableShares) {
+		// delegate to unsafe `__mintSubjectAndDeployShares`
+		return __mintSubjectAndDeployShares(_implementationType, _curveType, _sharesSubject, msg.sender, _amount, msg.sender);
 	}
 
 	/**
@@ -499,6 +648,7 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 	 *      is either msg.sender, or the derived signer (if used in EIP712 meta tx mode)
 	 *
 	 * @param _implementationType TradeableShares implementation type
+	 * @param _curveType bonding curve type
 	 * @param _sharesSubject shares subject, owner of the curve
 	 * @param _issuer an address to mint the NFT defined by the subject if it doesn't exist
 	 * @param _amount how many shares to buy immediately after the deployment
@@ -507,6 +657,7 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 	 */
 	function __mintSubjectAndDeployShares(
 		ImplementationType _implementationType,
+		CurveType _curveType,
 		TradeableShares.SharesSubject calldata _sharesSubject,
 		address _issuer,
 		uint256 _amount,
@@ -570,28 +721,16 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 		// "clone" the impl (deploy a minimalistic EIP-1167 proxy)
 		TradeableShares sharesContract = TradeableShares(Clones.clone(sharesImplAddress));
 
-		// get holders rewards distributor implementation address for the implementation type specified
-		address distributorImplAddress = getDistributorImplAddress(_implementationType);
-
-		// distributorImplAddress can be zero, in this case we will deploy the shares
-		// without the HoldersRewardsDistributor attached to the contract
-		HoldersRewardsDistributor distributorContract = HoldersRewardsDistributor(address(0));
-
-		// if distributorImplAddress is defined, clone and initialize the HoldersRewardsDistributor
-		if(distributorImplAddress != address(0)) {
-			// "clone" the impl (deploy a minimalistic EIP-1167 proxy)
-			distributorContract = HoldersRewardsDistributor(Clones.clone(distributorImplAddress));
-
-			// proxy initialization logic is implementation dependent
-			HoldersRewardsDistributorV1(payable(address(distributorContract))).postConstruct(
-				sharesOwnerAddress,
-				address(sharesContract),
-				_implementationType == ImplementationType.ETH? address(0): address(paymentToken)
-			);
-		}
+		// deploy the HoldersRewardsDistributor if its implementation is registered
+		HoldersRewardsDistributor distributorContract = __deployDistributor(sharesContract, _implementationType);
 
 		// initialize TradeableShares EIP-1167 proxy
-		__initSharesContract(sharesContract, distributorContract, _implementationType, _sharesSubject, _amount, issuer);
+		__initSharesContract(sharesContract, distributorContract, _implementationType, _curveType, _sharesSubject, _amount, issuer);
+
+		// if the shares contract requires configuration, the factory is a temporary shares owner
+		if(__isConfigurationRequired()) {
+			__configureSharesContract(sharesContract);
+		}
 
 		// verify the shares subject is not yet mapped (not in use)
 		bytes32 sharesKey = _sharesSubject.getSharesKey();
@@ -608,6 +747,41 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 		return sharesContract;
 	}
 
+	/**
+	 * @dev Part of the `__mintSubjectAndDeployShares` routine moved into
+	 *      a separate routine to fix the "Stack too deep" issue
+	 *
+	 * @dev Deploys and initializes the HoldersRewardsDistributor EIP-1167 clone bound to the shares contract
+	 *
+	 * @param _sharesContract shares contract being deployed, the distributor is bound to
+	 * @param _implementationType TradeableShares implementation type
+	 * @return distributorContract deployed HoldersRewardsDistributor contract, or zero if
+	 *      the distributor implementation is not registered for the implementation type specified
+	 */
+	function __deployDistributor(
+		TradeableShares _sharesContract,
+		ImplementationType _implementationType
+	) private returns(HoldersRewardsDistributor distributorContract) {
+		// get holders rewards distributor implementation address for the implementation type specified
+		address distributorImplAddress = getDistributorImplAddress(_implementationType);
+
+		// distributorImplAddress can be zero, in this case we will deploy the shares
+		// without the HoldersRewardsDistributor attached to the contract
+		if(distributorImplAddress == address(0)) {
+			return HoldersRewardsDistributor(address(0));
+		}
+
+		// "clone" the impl (deploy a minimalistic EIP-1167 proxy)
+		distributorContract = HoldersRewardsDistributor(Clones.clone(distributorImplAddress));
+
+		// proxy initialization logic is implementation dependent
+		HoldersRewardsDistributorV1(payable(address(distributorContract))).postConstruct(
+			sharesOwnerAddress,
+			address(_sharesContract),
+			_implementationType == ImplementationType.ETH? address(0): address(paymentToken)
+		);
+	}
+
 	/**
 	 * @dev Part of the `__mintSubjectAndDeployShares` routine moved into
 	 *      a separate routine to fix the "Stack too deep" issue
@@ -616,26 +790,35 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 		TradeableShares _sharesContract,
 		HoldersRewardsDistributor _distributorContract,
 		ImplementationType _implementationType,
+		CurveType _curveType,
 		TradeableShares.SharesSubject calldata _sharesSubject,
 		uint256 _amount,
 		address _beneficiary
 	) private {
+		// determine the bonding curve; only the friend.tech curve is built-in and may be not registered
+		BondingCurve _bondingCurve = BondingCurve(getCurveImplAddress(_curveType));
+		require(address(_bondingCurve) != address(0) || _curveType == CurveType.FRIEND_TECH, "curve not registered");
+
 		// determine the effective shares holders fee percent
 		// this also caches the fee on stack and saves a bit of gas
 		uint64 _holdersFeePercent = address(_distributorContract) == address(0)? 0: holdersFeePercent;
 
+		// factory needs to be a temporary owner to configure the contract, see `__configureSharesContract`
+		address _owner = __isConfigurationRequired()? address(this): sharesOwnerAddress;
+
 		// proxy initialization logic is implementation dependent
 		// switch(_implementationType)
 		if(_implementationType == ImplementationType.ETH) {
 			// initialize the Ethereum version by invoking the postConstruct on the proxy
 			ETHShares(address(_sharesContract)).postConstruct{value: msg.value}(
-				sharesOwnerAddress,
+				_owner,
 				_sharesSubject,
 				protocolFeeDestination,
 				protocolFeePercent,
 				_distributorContract,
 				_holdersFeePercent,
 				subjectFeePercent,
+				_bondingCurve,
 				_amount,
 				_beneficiary
 			);
@@ -644,10 +827,10 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 			// factory doesn't support sending the change back
 			require(msg.value == 0, "non-zero value");
 
-			// if there is a request of the immediate shares buy
-			if(_amount > 1) {
-				// determine how much tokens we need
-				uint256 toPay = _sharesContract.getBuyPriceAfterFee(0, _amount, protocolFeePercent, _holdersFeePercent, subjectFeePercent);
+			// determine how much tokens we need for the immediate shares buy (if requested) with the curve selected
+			uint256 toPay = __getERC20BuyPriceAfterFee(_bondingCurve, _amount, _holdersFeePercent);
+			// if there is anything to pay for the immediate shares buy
+			if(toPay != 0) {
 				// get the tokens required to buy
 				require(paymentToken.transferFrom(msg.sender, address(this), toPay));
 				// approve the tokens to be spent
@@ -656,20 +839,21 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 
 			// initialize the ERC20 version with the ERC20 as a payment token by invoking the postConstruct on the proxy
 			ERC20Shares(address(_sharesContract)).postConstruct(
-				sharesOwnerAddress,
+				_owner,
 				_sharesSubject,
 				protocolFeeDestination,
 				protocolFeePercent,
 				_distributorContract,
 				_holdersFeePercent,
 				subjectFeePercent,
+				_bondingCurve,
 				_amount,
 				_beneficiary,
 				paymentToken
 			);
 
-			// if there was a request of the immediate shares buy
-			if(_amount > 1) {
+			// if there was anything paid for the immediate shares buy
+			if(toPay != 0) {
 				// transfer the remaining tokens (if any) back to the sender
 				require(paymentToken.transfer(msg.sender, paymentToken.balanceOf(address(this))));
 			}
@@ -682,6 +866,73 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 		}
 	}
 
+	/**
+	 * @dev Calculates the price of the very first `_amount` ERC20Shares, including all the fees,
+	 *      the same way the ERC20Shares contract bound to the bonding curve specified does it
+	 *      (see `ERC20Shares.getPrice`, `TradeableShares.getBuyPriceAfterFee`); the shares contract
+	 *      being deployed is not yet initialized and cannot quote the price itself
+	 *
+	 * @param _bondingCurve bonding curve, zero address means the built-in friend.tech curve
+	 * @param _amount amount of shares to buy
+	 * @param _holdersFeePercent effective shares holders fee percent
+	 * @return the price of the shares to buy, including all the fees
+	 */
+	function __getERC20BuyPriceAfterFee(
+		BondingCurve _bondingCurve,
+		uint256 _amount,
+		uint256 _holdersFeePercent
+	) private view returns(uint256) {
+		// the curve price, shifted exactly as the ERC20 implementation does
+		uint256 price = SharesPricingLib.toERC20Price(SharesPricingLib.getCurvePrice(_bondingCurve, 0, _amount));
+
+		// add all the fees
+		return price + SharesPricingLib.getFees(price, protocolFeePercent, _holdersFeePercent, subjectFeePercent);
+	}
+
+	/**
+	 * @dev Determines if the newly deployed shares contract requires the configuration
+	 *      after the initialization, that is if the transferable shares are enabled, or if
+	 *      the issuer is allowed to redirect the subject fee to the holders
+	 *
+	 * @return true if the factory needs to be a temporary shares owner, see `__configureSharesContract`
+	 */
+	function __isConfigurationRequired() private view returns(bool) {
+		// transfers and the subject fee split bounds are set by the shares owner
+		return isFeatureEnabled(FEATURE_TRANSFERABLE_SHARES) || maxSubjectFeeHoldersShare != 0;
+	}
+
+	/**
+	 * @dev Configures the shares contract initialized with the factory as an owner:
+	 *      enables the transfers (if FEATURE_TRANSFERABLE_SHARES is enabled),
+	 *      sets the subject fee split bounds (if set in the factory),
+	 *      hands over the permissions to the shares owner address `sharesOwnerAddress` (if set),
+	 *      and revokes the factory own permissions
+	 *
+	 * @param _sharesContract deployed and initialized shares contract
+	 */
+	function __configureSharesContract(TradeableShares _sharesContract) private {
+		// all the deployable shares implementations are AbstractShares
+		AbstractShares sharesContract = AbstractShares(address(_sharesContract));
+
+		// enable the transfers if required
+		if(isFeatureEnabled(FEATURE_TRANSFERABLE_SHARES)) {
+			sharesContract.updateFeatures(sharesContract.FEATURE_TRANSFERS());
+		}
+
+		// set the subject fee split bounds if required
+		if(maxSubjectFeeHoldersShare != 0) {
+			sharesContract.updateSubjectFeeSplitBounds(minSubjectFeeHoldersShare, maxSubjectFeeHoldersShare);
+		}
+
+		// hand over the full privileges to the shares owner
+		if(sharesOwnerAddress != address(0)) {
+			sharesContract.updateRole(sharesOwnerAddress, type(uint256).max);
+		}
+
+		// revoke own permissions
+		sharesContract.updateRole(address(this), 0);
+	}
+
 	/**
 	 * @inheritdoc SharesFactory
 	 */
@@ -701,7 +952,7 @@ contract SharesFactoryV1 is SharesFactory, UpgradeableAccessControl, EIP712Upgra
 		address signer = _hashTypedDataV4(req.hashStruct()).recover(signature);
 
 		// delegate to unsafe `__mintSubjectAndDeployShares`
-		return __mintSubjectAndDeployShares(req.implementationType, req.sharesSubject, req.issuer, req.amount, signer);
+		return __mintSubjectAndDeployShares(req.implementationType, CurveType.FRIEND_TECH, req.sharesSubject, req.issuer, req.amount, signer);
 	}
 
 	/**
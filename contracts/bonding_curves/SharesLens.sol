@@ -0,0 +1,100 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "./TradeableShares.sol";
+import "./HoldersRewardsDistributor.sol";
+
+/**
+ * @title Shares Lens
+ *
+ * @notice Read-only helper aggregating the holder's position in many TradeableShares contracts (curves)
+ *      into a single call: shares balance, supply, buy/sell prices, holders rewards distributor,
+ *      and the pending reward in that distributor
+ *
+ * @notice Designed to be used off-chain via eth_call (multicall style); it is stateless, has no admin,
+ *      and doesn't need to be upgradeable – new version can be just deployed next to the old one
+ *
+ * @dev The buy and sell prices are the prices of one share at the current supply, the sell price
+ *      is zero if there are no shares to sell
+ *
+ * @dev The pending reward is zero if the curve has no holders rewards distributor; it is also zero,
+ *      and the position is flagged with `pendingRewardFailed`, if the distributor fails to report it,
+ *      so that the single broken distributor doesn't break the entire portfolio read
+ */
+contract SharesLens {
+	/**
+	 * @notice Holder's position in the single TradeableShares contract
+	 */
+	struct Position {
+		/// @dev TradeableShares contract address
+		address shares;
+		/// @dev shares balance of the holder
+		uint256 balance;
+		/// @dev total shares supply
+		uint256 supply;
+		/// @dev price to buy one share, excluding the fees
+		uint256 buyPrice;
+		/// @dev price to buy one share, including all the fees
+		uint256 buyPriceAfterFee;
+		/// @dev price to sell one share, excluding the fees
+		uint256 sellPrice;
+		/// @dev price to sell one share, after all the fees are deducted
+		uint256 sellPriceAfterFee;
+		/// @dev holders rewards distributor, zero if not set
+		address distributor;
+		/// @dev holder's pending reward in the distributor
+		uint256 pendingReward;
+		/// @dev true if the distributor failed to report the pending reward
+		bool pendingRewardFailed;
+	}
+
+	/**
+	 * @notice Reads the holder's position in the shares contract
+	 *
+	 * @param holder shares holder address
+	 * @param shares TradeableShares contract to read the position in
+	 * @return position holder's position in the shares contract
+	 */
+	function getPosition(address holder, TradeableShares shares) public view returns(Position memory position) {
+		position.shares = address(shares);
+		position.balance = shares.getSharesBalance(holder);
+		position.supply = shares.getSharesSupply();
+		position.buyPrice = shares.getBuyPrice(1);
+		position.buyPriceAfterFee = shares.getBuyPriceAfterFee(1);
+		// the sell price is undefined if there is no supply
+		if(position.supply > 0) {
+			position.sellPrice = shares.getSellPrice(1);
+			position.sellPriceAfterFee = shares.getSellPriceAfterFee(1);
+		}
+		position.distributor = address(shares.getHoldersFeeDestination());
+		if(position.distributor != address(0)) {
+			// low-level call handles the distributor which reverts, or is not a contract, or returns malformed data
+			(bool success, bytes memory data) = position.distributor.staticcall(
+				abi.encodeWithSelector(HoldersRewardsDistributor.pendingReward.selector, holder)
+			);
+			if(success && data.length == 32) {
+				position.pendingReward = abi.decode(data, (uint256));
+			}
+			else {
+				position.pendingRewardFailed = true;
+			}
+		}
+	}
+
+	/**
+	 * @notice Reads the holder's positions in all the shares contracts specified
+	 *
+	 * @dev Throws if any of the shares contracts specified doesn't implement TradeableShares;
+	 *      the holders rewards distributor failures don't throw, see `Position.pendingRewardFailed`
+	 *
+	 * @param holder shares holder address
+	 * @param shares array of TradeableShares contracts to read the positions in
+	 * @return positions holder's positions, in the same order as the shares contracts specified
+	 */
+	function getPortfolio(address holder, TradeableShares[] calldata shares) public view returns(Position[] memory positions) {
+		positions = new Position[](shares.length);
+		for(uint256 i = 0; i < shares.length; i++) {
+			positions[i] = getPosition(holder, shares[i]);
+		}
+	}
+}
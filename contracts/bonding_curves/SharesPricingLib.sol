@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "./BondingCurve.sol";
+import "./FriendTechBondingCurve.sol";
+
+/**
+ * @title Shares Pricing Library
+ *
+ * @notice Shares price and fees calculation shared by the shares contracts and the factory:
+ *      the curve shift applied by the ETH and ERC20 implementations, and the fees added/subtracted
+ *      to/from the price; keeps the factory quotes consistent with the shares contracts
+ *
+ * @dev Fee percents are defined with the 18 decimals precision, 10^18 being 100%
+ */
+library SharesPricingLib {
+	/// @dev ETHShares shift the curve by dividing the price by 2
+	uint256 internal constant ETH_PRICE_DIVISOR = 2;
+
+	/// @dev ERC20Shares shift the curve by multiplying the price by 50,000
+	uint256 internal constant ERC20_PRICE_MULTIPLIER = 10**5 / 2;
+
+	/**
+	 * @dev Calculates the curve price, not shifted yet; uses the original friend.tech
+	 *      formula if the bonding curve is not set (zero address)
+	 *
+	 * @param curve pluggable bonding curve, or zero address for the built-in friend.tech curve
+	 * @param supply total shares supply
+	 * @param amount number of shares to buy/sell
+	 * @return the curve price of the shares (all `amount` amount)
+	 */
+	function getCurvePrice(BondingCurve curve, uint256 supply, uint256 amount) internal view returns(uint256) {
+		// if the curve is not set use the original friend tech formula, delegate to the curve otherwise
+		return address(curve) == address(0)
+			? FriendTechCurveLib.getPrice(supply, amount, FriendTechCurveLib.DEFAULT_DIVISOR)
+			: curve.getPrice(supply, amount);
+	}
+
+	/**
+	 * @dev Shifts the curve price for the ETHShares
+	 *
+	 * @param curvePrice the curve price, see `getCurvePrice`
+	 * @return the ETHShares price
+	 */
+	function toETHPrice(uint256 curvePrice) internal pure returns(uint256) {
+		// shift the curve by -2
+		return curvePrice / ETH_PRICE_DIVISOR;
+	}
+
+	/**
+	 * @dev Shifts the curve price for the ERC20Shares
+	 *
+	 * @param curvePrice the curve price, see `getCurvePrice`
+	 * @return the ERC20Shares price
+	 */
+	function toERC20Price(uint256 curvePrice) internal pure returns(uint256) {
+		// shift the curve by 50,000
+		return ERC20_PRICE_MULTIPLIER * curvePrice;
+	}
+
+	/**
+	 * @dev Calculates all the fees (protocol, holders, and subject) for the price
+	 *
+	 * @param price the shares price
+	 * @param protocolFeePercent protocol fee percent
+	 * @param holdersFeePercent shares holders fee percent
+	 * @param subjectFeePercent subject fee percent
+	 * @return the sum of all the fees
+	 */
+	function getFees(
+		uint256 price,
+		uint256 protocolFeePercent,
+		uint256 holdersFeePercent,
+		uint256 subjectFeePercent
+	) internal pure returns(uint256) {
+		// each fee is rounded down separately, exactly as it is charged
+		uint256 protocolFee = price * protocolFeePercent / 1 ether;
+		uint256 holdersFee = price * holdersFeePercent / 1 ether;
+		uint256 subjectFee = price * subjectFeePercent / 1 ether;
+		return protocolFee + holdersFee + subjectFee;
+	}
+}
@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "./BondingCurve.sol";
+
+/**
+ * @title Sigmoid Bonding Curve
+ *
+ * @notice S-shaped bonding curve function: the price grows slowly when the supply is small,
+ *      grows fast around the `midpoint` supply, and approaches `maxPrice` when the supply is big;
+ *      the `spread` defines how wide the fast growing region around the midpoint is
+ *
+ * @notice The price of the share at the supply `x` is defined by the algebraic sigmoid
+ *      `p(x) = maxPrice / 2 * (1 + (x - midpoint) / sqrt((x - midpoint)^2 + spread^2))`,
+ *      the price of the `a` shares at the supply `s` is the integral of `p(x)` from `s - 1` to `s + a - 1`:
+ *      `F(s + a - 1) - F(s - 1)`, where `F(x) = maxPrice / 2 * (x + sqrt((x - midpoint)^2 + spread^2))`
+ *
+ * @notice The very first share (number zero) is free, as in the friend.tech curve: the curve is shifted
+ *      by one share, and the integral starts from zero when the supply is zero
+ *
+ * @dev `F(x)` is calculated with the 18 decimals precision and rounded down; since the price is
+ *      the difference of the `F(x)` values, buying the shares in several transactions costs
+ *      exactly the same as buying them all at once
+ */
+contract SigmoidBondingCurve is BondingCurve {
+	/// @notice Maximum price of the share the curve approaches, immutable
+	uint256 public immutable maxPrice;
+
+	/// @notice Supply where the price is a half of the maximum price and grows the fastest, immutable
+	uint256 public immutable midpoint;
+
+	/// @notice Width of the fast growing region around the midpoint, in shares, immutable
+	uint256 public immutable spread;
+
+	/**
+	 * @dev Deploys the curve
+	 *
+	 * @param _maxPrice maximum price of the share the curve approaches, non-zero
+	 * @param _midpoint supply where the price is a half of the maximum price
+	 * @param _spread width of the fast growing region around the midpoint, in shares, non-zero
+	 */
+	constructor(uint256 _maxPrice, uint256 _midpoint, uint256 _spread) {
+		// verify the inputs are set
+		require(_maxPrice != 0 && _spread != 0, "zero input");
+
+		// set up the immutables
+		maxPrice = _maxPrice;
+		midpoint = _midpoint;
+		spread = _spread;
+	}
+
+	/**
+	 * @inheritdoc BondingCurve
+	 *
+	 * @param s supply, total shares supply
+	 * @param a amount, number of shares to buy/sell
+	 */
+	function getPrice(uint256 s, uint256 a) public view returns(uint256) {
+		// the very first share is free, the curve is shifted by one share
+		uint256 from = s == 0? 0: s - 1;
+		uint256 to = s + a == 0? 0: s + a - 1;
+
+		// F(x) is non-decreasing, the difference cannot underflow
+		return __integral(to) - __integral(from);
+	}
+
+	/**
+	 * @dev Antiderivative of the price function `F(x) = maxPrice / 2 * (x + sqrt((x - midpoint)^2 + spread^2))`
+	 *
+	 * @param x shares supply
+	 * @return F(x) value, rounded down
+	 */
+	function __integral(uint256 x) private view returns(uint256) {
+		// distance to the midpoint, with the 18 decimals precision
+		uint256 d = (x > midpoint? x - midpoint: midpoint - x) * 1e18;
+		// spread, with the 18 decimals precision
+		uint256 w = spread * 1e18;
+
+		// calculate F(x) with the 18 decimals precision
+		return maxPrice * (x * 1e18 + __sqrt(d * d + w * w)) / 2e18;
+	}
+
+	/**
+	 * @dev Integer square root (Babylonian method), rounded down
+	 *
+	 * @param y the value to calculate the square root of
+	 * @return z the biggest integer such that z^2 <= y
+	 */
+	function __sqrt(uint256 y) private pure returns(uint256 z) {
+		// zero and one are their own roots
+		if(y < 2) {
+			return y;
+		}
+
+		// start with the value bigger than the root, and iterate while the estimate decreases
+		z = y;
+		uint256 x = y / 2 + 1;
+		while(x < z) {
+			z = x;
+			x = (y / x + x) / 2;
+		}
+	}
+}
@@ -84,7 +84,7 @@ interface TradeableShares is BondingCurve {
 	 *
 	 * @notice Protocol fee is sent to the protocol fee destination (see `getProtocolFeeDestination`)
 	 *
-	 * @dev Immutable, client applications may cache this value
+	 * @dev Mutable, can be overridden by the fee manager
 	 *
 	 * @return protocol fee percent with the 18 decimals (10^18 is 100%)
 	 */
@@ -120,7 +120,7 @@ interface TradeableShares is BondingCurve {
 	 *
 	 * @notice Shares holders fee is sent to the holders fee destination (see `getHoldersFeeDestination`)
 	 *
-	 * @dev Immutable, client applications may cache this value
+	 * @dev Mutable, can be overridden by the fee manager
 	 *
 	 * @return shares holders fee percent with the 18 decimals (10^18 is 100%)
 	 */
@@ -130,7 +130,8 @@ interface TradeableShares is BondingCurve {
 	 * @notice Shares holders fee destination and shares holders fee percent as a tuple;
 	 *      the fee percent is defined with the 18 decimals, 10^18 corresponds to 100%
 	 *
-	 * @dev Implementation must always return zero fee percent if fee destination is zero
+	 * @dev Implementation must always return zero fee percent if fee destination is zero;
+	 *      the fee percent may include the portion of the subject fee redirected to the holders
 	 *
 	 * @return feeDestination shares holders fee destination
 	 * @return feePercent shares holders fee percent, zero if holders fee destination is zero
@@ -142,7 +143,8 @@ interface TradeableShares is BondingCurve {
 	 *      subject fee destination is shares issuer address;
 	 *      the fee percent is defined with the 18 decimals, 10^18 corresponds to 100%;
 	 *
-	 * @dev Implementation must always return zero fee percent if fee destination is zero address
+	 * @dev Implementation must always return zero fee percent if fee destination is zero address;
+	 *      the fee percent may exclude the portion of the subject fee redirected to the holders
 	 *
 	 * @return feeDestination protocol fee destination
 	 * @return feePercent protocol fee percent, zero if subject fee destination is zero
@@ -155,7 +157,7 @@ interface TradeableShares is BondingCurve {
 	 *
 	 * @notice Subject fee is sent to the subject fee issuer (see `getSharesIssuer`)
 	 *
-	 * @dev Immutable, client applications may cache this value
+	 * @dev Mutable, can be overridden by the fee manager
 	 *
 	 * @return subject fee percent with the 18 decimals (10^18 is 100%)
 	 */
@@ -197,7 +199,7 @@ interface TradeableShares is BondingCurve {
 	 * @param amount number of shares to buy
 	 * @return the price of the shares to buy
 	 */
-	function getBuyPrice(uint256 supply, uint256 amount) external pure returns(uint256);
+	function getBuyPrice(uint256 supply, uint256 amount) external view returns(uint256);
 
 	/**
 	 * @notice The price of the `amount` of shares to sell calculated based on
@@ -207,7 +209,7 @@ interface TradeableShares is BondingCurve {
 	 * @param amount number of shares to sell
 	 * @return the price of the shares to sell
 	 */
-	function getSellPrice(uint256 supply, uint256 amount) external pure returns(uint256);
+	function getSellPrice(uint256 supply, uint256 amount) external view returns(uint256);
 
 	/**
 	 * @notice The price of the `amount` of shares to buy, including all fees;
@@ -226,7 +228,7 @@ interface TradeableShares is BondingCurve {
 		uint256 protocolFeePercent,
 		uint256 holdersFeePercent,
 		uint256 subjectFeePercent
-	) external pure returns(uint256);
+	) external view returns(uint256);
 
 	/**
 	 * @notice The price of the `amount` of shares to sell, including all fees;
@@ -245,7 +247,7 @@ interface TradeableShares is BondingCurve {
 		uint256 protocolFeePercent,
 		uint256 holdersFeePercent,
 		uint256 subjectFeePercent
-	) external pure returns(uint256);
+	) external view returns(uint256);
 
 	/**
 	 * @notice Current price of the `amount` of shares to buy; calculated based on
@@ -331,6 +333,40 @@ interface TradeableShares is BondingCurve {
 	 */
 	function sellSharesTo(uint256 amount, address payable beneficiary) external;
 
+	/**
+	 * @notice Buy `amount` of shares in the favor of the address specified (beneficiary),
+	 *      protected against the price slippage: fails if the total price including all the fees
+	 *      exceeds `maxPaid`, or if the transaction is mined after the `deadline`.
+	 *      Sender has to supply `getBuyPriceAfterFee(amount)` ETH.
+	 *      First share can be bought only by current subject issuer.
+	 *
+	 * @dev Depending on the implementation, ERC20 token payment may be required instead of ETH.
+	 *      In such a case, implementation must through if ETH is sent, effectively overriding
+	 *      the function definition as non-payable
+	 *
+	 * @param amount amount of the shares to buy
+	 * @param beneficiary an address receiving the shares
+	 * @param maxPaid maximum price of the shares to buy, including all the fees, the buyer agrees to pay
+	 * @param deadline unix timestamp until which the transaction is valid (inclusive)
+	 */
+	function buySharesTo(uint256 amount, address beneficiary, uint256 maxPaid, uint256 deadline) external payable;
+
+	/**
+	 * @notice Sell `amount` of shares in the favor of the address specified (beneficiary),
+	 *      protected against the price slippage: fails if the amount received after all the fees
+	 *      is less than `minReceived`, or if the transaction is mined after the `deadline`.
+	 *      The beneficiary gets `getSellPriceAfterFee(amount)` of ETH.
+	 *      Last share cannot be sold.
+	 *
+	 * @dev Depending on the implementation, ERC20 token may be payed instead of ETH.
+	 *
+	 * @param amount amount of the shares to sell
+	 * @param beneficiary an address receiving the funds from the sale
+	 * @param minReceived minimum amount of funds the beneficiary agrees to receive from the sale
+	 * @param deadline unix timestamp until which the transaction is valid (inclusive)
+	 */
+	function sellSharesTo(uint256 amount, address payable beneficiary, uint256 minReceived, uint256 deadline) external;
+
 	/**
 	 * @notice Cumulative value of all trades; allows to derive cumulative fees paid
 	 *
@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@ai-protocol/v3-core/contracts/interfaces/ERC20Spec.sol";
+import "../bonding_curves/DexAdapter.sol";
+
+/**
+ * @title DEX Adapter Mock
+ *
+ * @notice DEX adapter selling the pre-funded ERC20 tokens for ETH at the fixed rate;
+ *      used to test the ERC20SharesRouter
+ */
+contract DexAdapterMock is DexAdapter {
+	/// @dev Amount of tokens (in the smallest units) sold for 1 ETH, 10^18 means 1:1
+	uint256 public rate;
+
+	/// @dev Extra tokens sent on top of the amount requested, used to test the token refunds
+	uint256 public bonus;
+
+	/// @dev Creates the mock with the rate specified
+	constructor(uint256 _rate) {
+		rate = _rate;
+	}
+
+	/// @dev Updates the rate
+	function setRate(uint256 _rate) public {
+		rate = _rate;
+	}
+
+	/// @dev Updates the extra tokens sent on top of the amount requested
+	function setBonus(uint256 _bonus) public {
+		bonus = _bonus;
+	}
+
+	/// @inheritdoc DexAdapter
+	function getAmountIn(address, uint256 amountOut) public view returns(uint256 amountIn) {
+		// round up in favor of the DEX
+		return (amountOut * 1 ether + rate - 1) / rate;
+	}
+
+	/// @inheritdoc DexAdapter
+	function swapETHForExactTokens(
+		address tokenOut,
+		uint256 amountOut,
+		address recipient,
+		uint256 deadline
+	) public payable returns(uint256 amountIn) {
+		require(deadline >= block.timestamp, "expired");
+		amountIn = getAmountIn(tokenOut, amountOut);
+		require(msg.value >= amountIn, "excessive input amount");
+
+		require(ERC20(tokenOut).transfer(recipient, amountOut + bonus));
+
+		if(msg.value > amountIn) {
+			(bool success, ) = payable(msg.sender).call{value: msg.value - amountIn}("");
+			require(success, "refund failed");
+		}
+	}
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "../bonding_curves/AbstractShares.sol";
+
+/**
+ * @title Legacy Shares Mock
+ *
+ * @notice Forwards all the calls to the shares contract it wraps, except `getBondingCurve`,
+ *      which it doesn't implement; used to model the legacy shares contracts deployed
+ *      before the pluggable bonding curves
+ */
+contract LegacySharesMock {
+	/// @dev Shares contract all the calls are forwarded to
+	address public immutable sharesContract;
+
+	/// @dev Creates the mock wrapping the shares contract specified
+	constructor(address _sharesContract) {
+		sharesContract = _sharesContract;
+	}
+
+	/// @dev Forwards the call to the shares contract, reverts on `getBondingCurve`
+	fallback() external {
+		require(msg.sig != AbstractShares.getBondingCurve.selector, "not implemented");
+
+		(bool success, bytes memory data) = sharesContract.call(msg.data);
+		assembly {
+			switch success
+			case 0 { revert(add(data, 32), mload(data)) }
+			default { return(add(data, 32), mload(data)) }
+		}
+	}
+}
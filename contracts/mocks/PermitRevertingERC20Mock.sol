@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+/**
+ * @title Permit Reverting ERC20 Mock
+ *
+ * @notice Minimal ERC20 token which `permit` function always reverts without a reason string;
+ *      used to test the permit failures handling in the ERC20Shares
+ */
+contract PermitRevertingERC20Mock {
+	/// @dev Token balances
+	mapping(address => uint256) public balanceOf;
+
+	/// @dev Token allowances
+	mapping(address => mapping(address => uint256)) public allowance;
+
+	/// @dev Creates the mock minting the initial supply to the holder specified
+	constructor(address _holder, uint256 _supply) {
+		balanceOf[_holder] = _supply;
+	}
+
+	/// @dev ERC20 approve
+	function approve(address _spender, uint256 _value) public returns(bool) {
+		allowance[msg.sender][_spender] = _value;
+		return true;
+	}
+
+	/// @dev ERC20 transfer
+	function transfer(address _to, uint256 _value) public returns(bool) {
+		balanceOf[msg.sender] -= _value;
+		balanceOf[_to] += _value;
+		return true;
+	}
+
+	/// @dev ERC20 transferFrom
+	function transferFrom(address _from, address _to, uint256 _value) public returns(bool) {
+		allowance[_from][msg.sender] -= _value;
+		balanceOf[_from] -= _value;
+		balanceOf[_to] += _value;
+		return true;
+	}
+
+	/// @dev EIP-2612 permit which always reverts without a reason string
+	function permit(address, address, uint256, uint256, uint8, bytes32, bytes32) public pure {
+		revert();
+	}
+}
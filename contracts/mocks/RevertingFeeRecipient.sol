@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "../bonding_curves/ETHShares.sol";
+
+/**
+ * @title Reverting Fee Recipient
+ *
+ * @notice Fee recipient which rejects the incoming ETH until switched to accept it;
+ *      used to test the escrow of the fees failed to be sent by the ETHShares
+ */
+contract RevertingFeeRecipient {
+	/// @dev When set, the incoming ETH transfers are rejected
+	bool public reverting = true;
+
+	/// @dev Switches the incoming ETH transfers rejection on/off
+	function setReverting(bool _reverting) public {
+		reverting = _reverting;
+	}
+
+	/// @dev Withdraws the fees escrowed by the shares contract for this recipient
+	function withdrawPendingFees(ETHShares shares) public {
+		shares.withdrawPendingFees();
+	}
+
+	// Function to receive Ether. msg.data must be empty
+	receive() external payable {
+		require(!reverting, "rejected");
+	}
+}
@@ -0,0 +1,99 @@
+// deploy: npx hardhat deploy --network base_goerli --tags BondingCurves
+// verify: npx hardhat etherscan-verify --network base_goerli --api-url https://api-goerli.basescan.org/ --api-key $BASESCAN_KEY
+// mainnet: https://api.basescan.org
+
+// script is built for hardhat-deploy plugin:
+// A Hardhat Plugin For Replicable Deployments And Easy Testing
+// https://www.npmjs.com/package/hardhat-deploy
+
+// BN utils
+const {
+	toBN,
+	print_amt,
+} = require("../../scripts/include/bn_utils");
+
+// deployment utils (contract state printers)
+const {
+	print_contract_details,
+} = require("../../scripts/deployment_utils");
+
+// pluggable bonding curves to deploy: deployment name => {contract, args};
+// the prices are defined in the friend.tech curve units: ETHShares divide them by 2, ERC20Shares multiply by 50,000;
+// the first share must be free in every curve, otherwise the factory refuses to register it
+const BONDING_CURVES = {
+	FriendTechDivisorBondingCurve: {
+		contract: "FriendTechDivisorBondingCurve",
+		args: [
+			32_000, // uint256 _divisor: two times flatter than the original friend.tech curve
+		],
+	},
+	LinearBondingCurve: {
+		contract: "LinearBondingCurve",
+		args: [
+			"0", // uint256 _basePrice: the first share is free
+			toBN(10).pow(toBN(15)).toString(10), // uint256 _slope: 0.001 per share
+		],
+	},
+	ExponentialCappedBondingCurve: {
+		contract: "ExponentialCappedBondingCurve",
+		args: [
+			toBN(10).pow(toBN(14)).toString(10), // uint256 _basePrice: 0.0001 (the first share is free)
+			10, // uint256 _period: the price doubles every 10 shares
+			toBN(10).pow(toBN(18)).toString(10), // uint256 _maxPrice: 1
+		],
+	},
+	SigmoidBondingCurve: {
+		contract: "SigmoidBondingCurve",
+		args: [
+			toBN(10).pow(toBN(18)).toString(10), // uint256 _maxPrice: 1
+			1_000, // uint256 _midpoint
+			250, // uint256 _spread
+		],
+	},
+};
+
+// to be picked up and executed by hardhat-deploy plugin
+module.exports = async function({deployments, getChainId, getNamedAccounts, getUnnamedAccounts}) {
+	// print some useful info on the account we're using for the deployment
+	const chainId = await getChainId();
+	const accounts = await web3.eth.getAccounts();
+	// do not use the default account for tests
+	const A0 = network.name === "hardhat"? accounts[1]: accounts[0];
+	const nonce = await web3.eth.getTransactionCount(A0);
+	const balance = await web3.eth.getBalance(A0);
+
+	// print initial debug information
+	console.log("script: %o", require("path").basename(__filename));
+	console.log("network %o %o", chainId, network.name);
+	console.log("accounts: %o, service account %o, nonce: %o, balance: %o ETH", accounts.length, A0, nonce, print_amt(balance));
+
+	// BondingCurve implementations
+	for(const [name, {contract, args}] of Object.entries(BONDING_CURVES)) {
+		// deploy if required
+		await deployments.deploy(name, {
+			// address (or private key) that will perform the transaction.
+			// you can use `getNamedAccounts` to retrieve the address you want by name.
+			from: A0,
+			contract,
+			// the list of argument for the constructor (or the upgrade function in case of proxy)
+			args,
+			// if set it to true, will not attempt to deploy even if the contract deployed under the same name is different
+			skipIfAlreadyDeployed: true,
+			// if true, it will log the result of the deployment (tx hash, address and gas used)
+			log: true,
+		});
+
+		// get deployment details
+		const deployment = await deployments.get(name);
+
+		// print deployment details
+		await print_contract_details(A0, deployment.abi, deployment.address);
+	}
+};
+
+// Tags represent what the deployment script acts on. In general, it will be a single string value,
+// the name of the contract it deploys or modifies.
+// Then if another deploy script has such tag as a dependency, then when the latter deploy script has a specific tag
+// and that tag is requested, the dependency will be executed first.
+// https://www.npmjs.com/package/hardhat-deploy#deploy-scripts-tags-and-dependencies
+module.exports.tags = ["BondingCurves", "v3_0_6", "deploy"];
@@ -54,6 +54,7 @@ module.exports = async function({deployments, getChainId, getNamedAccounts, getU
 				ZERO_ADDRESS, 0, // address _protocolFeeDestination, uint64 _protocolFeePercent,
 				ZERO_ADDRESS, 0, // HoldersRewardsDistributor _holdersFeeDestination, uint64 _holdersFeePercent,
 				0, // uint64 _subjectFeePercent
+				ZERO_ADDRESS, // BondingCurve _bondingCurve,
 				0, // uint256 _amount,
 				ZERO_ADDRESS, // address _beneficiary,
 			],
@@ -0,0 +1,62 @@
+// run: npx hardhat deploy --network base_goerli --tags setup-SharesFactory-curves
+
+// script is built for hardhat-deploy plugin:
+// A Hardhat Plugin For Replicable Deployments And Easy Testing
+// https://www.npmjs.com/package/hardhat-deploy
+
+// BN utils
+const {
+	print_amt,
+} = require("../../scripts/include/bn_utils");
+
+// deployment config (declarative contract state)
+const {
+	load_config,
+	reconcile,
+} = require("../../scripts/deployment_config");
+
+// to be picked up and executed by hardhat-deploy plugin
+module.exports = async function({deployments, getChainId, getNamedAccounts, getUnnamedAccounts}) {
+	// print some useful info on the account we're using for the deployment
+	const chainId = await getChainId();
+	const accounts = await web3.eth.getAccounts();
+	// do not use the default account for tests
+	const A0 = network.name === "hardhat"? accounts[1]: accounts[0];
+	const nonce = await web3.eth.getTransactionCount(A0);
+	const balance = await web3.eth.getBalance(A0);
+
+	// print initial debug information
+	console.log("script: %o", require("path").basename(__filename));
+	console.log("network %o %o", chainId, network.name);
+	console.log("accounts: %o, service account %o, nonce: %o, balance: %o ETH", accounts.length, A0, nonce, print_amt(balance));
+
+	// read the config for the network
+	const {config, config_path} = load_config(network.name);
+	console.log("config: %o", require("path").relative(process.cwd(), config_path));
+
+	// reconcile SharesFactory (Proxy) bonding curve implementations with the config
+	await reconcile({
+		deployments,
+		config,
+		contract_name: "SharesFactory_Proxy",
+		keys: [
+			"curveImplAddress.FRIEND_TECH_DIVISOR",
+			"curveImplAddress.LINEAR",
+			"curveImplAddress.EXPONENTIAL_CAPPED",
+			"curveImplAddress.SIGMOID",
+		],
+		from: A0,
+	});
+};
+
+// Tags represent what the deployment script acts on. In general, it will be a single string value,
+// the name of the contract it deploys or modifies.
+// Then if another deploy script has such tag as a dependency, then when the latter deploy script has a specific tag
+// and that tag is requested, the dependency will be executed first.
+// https://www.npmjs.com/package/hardhat-deploy#deploy-scripts-tags-and-dependencies
+module.exports.tags = ["setup-SharesFactory-curves", "v3_0_6", "setup", "curves"];
+module.exports.dependencies = [
+	"SharesFactory_Proxy",
+	"SharesFactoryV1",
+	"BondingCurves",
+];
@@ -6,14 +6,14 @@
 
 // BN utils
 const {
-	toBN,
 	print_amt,
 } = require("../../scripts/include/bn_utils");
 
-// implementation types
+// deployment config (declarative contract state)
 const {
-	SharesImplementationType: ImplType,
-} = require("../../test/bonding_curves/include/enums");
+	load_config,
+	reconcile,
+} = require("../../scripts/deployment_config");
 
 // to be picked up and executed by hardhat-deploy plugin
 module.exports = async function({deployments, getChainId, getNamedAccounts, getUnnamedAccounts}) {
@@ -30,80 +30,21 @@ module.exports = async function({deployments, getChainId, getNamedAccounts, getU
 	console.log("network %o %o", chainId, network.name);
 	console.log("accounts: %o, service account %o, nonce: %o, balance: %o ETH", accounts.length, A0, nonce, print_amt(balance));
 
-	// setup SharesFactory (Proxy)
-	{
-		// get impl deployment details
-		const v1_deployment = await deployments.get("SharesFactoryV1");
-		const v1_contract = new web3.eth.Contract(v1_deployment.abi, v1_deployment.address);
-
-		// get proxy deployment details
-		const proxy_deployment = await deployments.get("SharesFactory_Proxy");
-		const proxy_contract = new web3.eth.Contract(v1_deployment.abi, proxy_deployment.address);
-
-		// ERC20Shares sharesImplAddress
-		const erc20SharesImplAddress = await proxy_contract.methods.getSharesImplAddress(
-			ImplType.ERC20
-		).call();
-		const {address: reqErc20SharesImplAddress} = await deployments.get("ERC20Shares");
-		if(erc20SharesImplAddress !== reqErc20SharesImplAddress) {
-			// prepare the call bytes for the contract call
-			const call_data = proxy_contract.methods.setSharesImplAddress(
-				ImplType.ERC20,
-				reqErc20SharesImplAddress
-			).encodeABI();
-
-			// setSharesImplAddress
-			const receipt = await deployments.rawTx({
-				from: A0,
-				to: proxy_deployment.address,
-				data: call_data, // setSharesImplAddress(SharesImplementationType.ERC20, reqErc20SharesImplAddress)
-			});
-			console.log(
-				"SharesFactory_Proxy.setSharesImplAddress(ERC20/%o, %o): %o",
-				parseInt(ImplType.ERC20),
-				reqErc20SharesImplAddress, receipt.transactionHash
-			);
-		}
-		else {
-			console.log(
-				"SharesFactory_Proxy.getSharesImplAddress(ERC20/%o): %o",
-				parseInt(ImplType.ERC20),
-				erc20SharesImplAddress
-			);
-		}
-
-		// ERC20 distributorImplAddress
-		const erc20DistributorImplAddress = await proxy_contract.methods.getDistributorImplAddress(
-			ImplType.ERC20
-		).call();
-		const {address: reqErc20DistributorImplAddress} = await deployments.get("HoldersRewardsDistributor");
-		if(erc20DistributorImplAddress !== reqErc20DistributorImplAddress) {
-			// prepare the call bytes for the contract call
-			const call_data = proxy_contract.methods.setDistributorImplAddress(
-				ImplType.ERC20,
-				reqErc20DistributorImplAddress
-			).encodeABI();
-
-			// setDistributorImplAddress
-			const receipt = await deployments.rawTx({
-				from: A0,
-				to: proxy_deployment.address,
-				data: call_data, // setDistributorImplAddress(SharesImplementationType.ERC20, reqErc20DistributorImplAddress)
-			});
-			console.log(
-				"SharesFactory_Proxy.setDistributorImplAddress(ERC20/%o, %o): %o",
-				parseInt(ImplType.ERC20),
-				reqErc20DistributorImplAddress, receipt.transactionHash
-			);
-		}
-		else {
-			console.log(
-				"SharesFactory_Proxy.getDistributorImplAddress(ERC20/%o): %o",
-				parseInt(ImplType.ERC20),
-				erc20DistributorImplAddress
-			);
-		}
-	}
+	// read the config for the network
+	const {config, config_path} = load_config(network.name);
+	console.log("config: %o", require("path").relative(process.cwd(), config_path));
+
+	// reconcile SharesFactory (Proxy) ERC20 implementations with the config
+	await reconcile({
+		deployments,
+		config,
+		contract_name: "SharesFactory_Proxy",
+		keys: [
+			"sharesImplAddress.ERC20",
+			"distributorImplAddress.ERC20",
+		],
+		from: A0,
+	});
 };
 
 // Tags represent what the deployment script acts on. In general, it will be a single string value,
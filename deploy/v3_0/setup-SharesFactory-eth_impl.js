@@ -6,14 +6,14 @@
 
 // BN utils
 const {
-	toBN,
 	print_amt,
 } = require("../../scripts/include/bn_utils");
 
-// implementation types
+// deployment config (declarative contract state)
 const {
-	SharesImplementationType: ImplType,
-} = require("../../test/bonding_curves/include/enums");
+	load_config,
+	reconcile,
+} = require("../../scripts/deployment_config");
 
 // to be picked up and executed by hardhat-deploy plugin
 module.exports = async function({deployments, getChainId, getNamedAccounts, getUnnamedAccounts}) {
@@ -30,81 +30,21 @@ module.exports = async function({deployments, getChainId, getNamedAccounts, getU
 	console.log("network %o %o", chainId, network.name);
 	console.log("accounts: %o, service account %o, nonce: %o, balance: %o ETH", accounts.length, A0, nonce, print_amt(balance));
 
-	// setup SharesFactory (Proxy)
-	{
-		// get impl deployment details
-		const v1_deployment = await deployments.get("SharesFactoryV1");
-		const v1_contract = new web3.eth.Contract(v1_deployment.abi, v1_deployment.address);
-
-		// get proxy deployment details
-		const proxy_deployment = await deployments.get("SharesFactory_Proxy");
-		const proxy_contract = new web3.eth.Contract(v1_deployment.abi, proxy_deployment.address);
-
-		// ETHShares sharesImplAddress
-		const ethSharesImplAddress = await proxy_contract.methods.getSharesImplAddress(
-			ImplType.ETH
-		).call();
-		const {address: reqEthSharesImplAddress} = await deployments.get("ETHShares");
-		if(ethSharesImplAddress !== reqEthSharesImplAddress) {
-			// prepare the call bytes for the contract call
-			const call_data = proxy_contract.methods.setSharesImplAddress(
-				ImplType.ETH,
-				reqEthSharesImplAddress
-			).encodeABI();
-
-			// setSharesImplAddress
-			const receipt = await deployments.rawTx({
-				from: A0,
-				to: proxy_deployment.address,
-				data: call_data, // setSharesImplAddress(SharesImplementationType.ETH, reqEthSharesImplAddress)
-			});
-			console.log(
-				"SharesFactory_Proxy.setSharesImplAddress(ETH/%o, %o): %o",
-				parseInt(ImplType.ETH),
-				reqEthSharesImplAddress,
-				receipt.transactionHash
-			);
-		}
-		else {
-			console.log(
-				"SharesFactory_Proxy.getSharesImplAddress(ETH/%o): %o",
-				parseInt(ImplType.ETH),
-				ethSharesImplAddress
-			);
-		}
-
-		// ETH distributorImplAddress
-		const ethDistributorImplAddress = await proxy_contract.methods.getDistributorImplAddress(
-			ImplType.ETH
-		).call();
-		const {address: reqEthDistributorImplAddress} = await deployments.get("HoldersRewardsDistributor");
-		if(ethDistributorImplAddress !== reqEthDistributorImplAddress) {
-			// prepare the call bytes for the contract call
-			const call_data = proxy_contract.methods.setDistributorImplAddress(
-				ImplType.ETH,
-				reqEthDistributorImplAddress
-			).encodeABI();
-
-			// setDistributorImplAddress
-			const receipt = await deployments.rawTx({
-				from: A0,
-				to: proxy_deployment.address,
-				data: call_data, // setDistributorImplAddress(SharesImplementationType.ETH, reqEthDistributorImplAddress)
-			});
-			console.log(
-				"SharesFactory_Proxy.setDistributorImplAddress(ETH/%o, %o): %o",
-				parseInt(ImplType.ETH),
-				reqEthDistributorImplAddress, receipt.transactionHash
-			);
-		}
-		else {
-			console.log(
-				"SharesFactory_Proxy.getDistributorImplAddress(ETH/%o): %o",
-				parseInt(ImplType.ETH),
-				ethDistributorImplAddress
-			);
-		}
-	}
+	// read the config for the network
+	const {config, config_path} = load_config(network.name);
+	console.log("config: %o", require("path").relative(process.cwd(), config_path));
+
+	// reconcile SharesFactory (Proxy) ETH implementations with the config
+	await reconcile({
+		deployments,
+		config,
+		contract_name: "SharesFactory_Proxy",
+		keys: [
+			"sharesImplAddress.ETH",
+			"distributorImplAddress.ETH",
+		],
+		from: A0,
+	});
 };
 
 // Tags represent what the deployment script acts on. In general, it will be a single string value,
@@ -6,14 +6,14 @@
 
 // BN utils
 const {
-	toBN,
 	print_amt,
 } = require("../../scripts/include/bn_utils");
 
-// implementation types
+// deployment config (declarative contract state)
 const {
-	SharesImplementationType: ImplType,
-} = require("../../test/bonding_curves/include/enums");
+	load_config,
+	reconcile,
+} = require("../../scripts/deployment_config");
 
 // to be picked up and executed by hardhat-deploy plugin
 module.exports = async function({deployments, getChainId, getNamedAccounts, getUnnamedAccounts}) {
@@ -30,35 +30,20 @@ module.exports = async function({deployments, getChainId, getNamedAccounts, getU
 	console.log("network %o %o", chainId, network.name);
 	console.log("accounts: %o, service account %o, nonce: %o, balance: %o ETH", accounts.length, A0, nonce, print_amt(balance));
 
-	// setup SharesFactory (Proxy)
-	{
-		// get impl deployment details
-		const v1_deployment = await deployments.get("SharesFactoryV1");
-		const v1_contract = new web3.eth.Contract(v1_deployment.abi, v1_deployment.address);
-
-		// get proxy deployment details
-		const proxy_deployment = await deployments.get("SharesFactory_Proxy");
-		const proxy_contract = new web3.eth.Contract(v1_deployment.abi, proxy_deployment.address);
-
-		// sharesOwnerAddress
-		const sharesOwnerAddress = await proxy_contract.methods.getSharesOwnerAddress().call();
-		const reqSharesOwnerAddress = A0;
-		if(sharesOwnerAddress !== reqSharesOwnerAddress) {
-			// prepare the call bytes for the contract call
-			const call_data = proxy_contract.methods.setSharesOwnerAddress(reqSharesOwnerAddress).encodeABI();
-
-			// setSharesOwnerAddress
-			const receipt = await deployments.rawTx({
-				from: A0,
-				to: proxy_deployment.address,
-				data: call_data, // setSharesOwnerAddress(reqSharesOwnerAddress)
-			});
-			console.log("SharesFactory_Proxy.setSharesOwnerAddress(%o): %o", reqSharesOwnerAddress, receipt.transactionHash);
-		}
-		else {
-			console.log("SharesFactory_Proxy.getSharesOwnerAddress(): %o", sharesOwnerAddress);
-		}
-	}
+	// read the config for the network
+	const {config, config_path} = load_config(network.name);
+	console.log("config: %o", require("path").relative(process.cwd(), config_path));
+
+	// reconcile SharesFactory (Proxy) shares owner with the config
+	await reconcile({
+		deployments,
+		config,
+		contract_name: "SharesFactory_Proxy",
+		keys: [
+			"sharesOwnerAddress",
+		],
+		from: A0,
+	});
 };
 
 // Tags represent what the deployment script acts on. In general, it will be a single string value,
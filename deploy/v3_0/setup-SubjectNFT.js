@@ -6,16 +6,14 @@
 
 // BN utils
 const {
-	toBN,
 	print_amt,
 } = require("../../scripts/include/bn_utils");
 
-// ACL token features and roles
+// deployment config (declarative contract state)
 const {
-	FEATURE_TRANSFERS,
-	FEATURE_TRANSFERS_ON_BEHALF,
-	ROLE_TOKEN_CREATOR,
-} = require("../../scripts/include/features_roles");
+	load_config,
+	reconcile,
+} = require("../../scripts/deployment_config");
 
 // deployment utils (contract state printers)
 const {
@@ -37,48 +35,28 @@ module.exports = async function({deployments, getChainId, getNamedAccounts, getU
 	console.log("network %o %o", chainId, network.name);
 	console.log("accounts: %o, service account %o, nonce: %o, balance: %o ETH", accounts.length, A0, nonce, print_amt(balance));
 
-	// setup SubjectNFT
+	// read the config for the network
+	const {config, config_path} = load_config(network.name);
+	console.log("config: %o", require("path").relative(process.cwd(), config_path));
+
+	// print SubjectNFT info
 	{
-		// get deployment details
 		const deployment = await deployments.get("SubjectNFT");
-		const contract = new web3.eth.Contract(deployment.abi, deployment.address);
-
-		// SharesFactory_Proxy address
 		const {address: factory_address} = await deployments.get("SharesFactory_Proxy");
-
-		// print proxy info, determine features and roles enabled
-		const {features, r1} = await print_contract_details(A0, deployment.abi, deployment.address, factory_address);
-		const requested_features = toBN(FEATURE_TRANSFERS | FEATURE_TRANSFERS_ON_BEHALF);
-		const requested_r1 = toBN(ROLE_TOKEN_CREATOR);
-
-		// verify if features are enabled and enable if required
-		if(!features.eq(requested_features)) {
-			// prepare the updateFeatures call bytes for the contract call
-			const call_data = contract.methods.updateFeatures(requested_features).encodeABI();
-
-			// update the features as required
-			const receipt = await deployments.rawTx({
-				from: A0,
-				to: deployment.address,
-				data: call_data, // updateFeatures(requested_features)
-			});
-			console.log("SubjectNFT.updateFeatures(%o): %o", requested_features.toString(2), receipt.transactionHash);
-		}
-
-		// verify if permissions are enabled and enable if required
-		if(!r1.eq(requested_r1)) {
-			// prepare the updateRole call bytes for the contract call
-			const call_data = contract.methods.updateRole(factory_address, requested_r1).encodeABI();
-
-			// update the features as required
-			const receipt = await deployments.rawTx({
-				from: A0,
-				to: deployment.address,
-				data: call_data, // updateRole(factory_address, requested_r1)
-			});
-			console.log("SubjectNFT.updateRole(%o, %o): %o", factory_address, requested_features.toString(2), receipt.transactionHash);
-		}
+		await print_contract_details(A0, deployment.abi, deployment.address, factory_address);
 	}
+
+	// reconcile SubjectNFT features and roles with the config
+	await reconcile({
+		deployments,
+		config,
+		contract_name: "SubjectNFT",
+		keys: [
+			"features",
+			"roles",
+		],
+		from: A0,
+	});
 };
 
 // Tags represent what the deployment script acts on. In general, it will be a single string value,
@@ -97,10 +97,124 @@ require("hardhat-dependency-compiler");
 require("hardhat-deploy");
 
 const {share_admin_role} = require("./tasks/share_admin_role");
-task("share", "shares the admin role for all the contracts mentioned in config.js for the account specified")
-	.addParam("account", "an account to share the admin role with")
+task("share", "grants, revokes, or inspects the role of the account in all the access controlled contracts deployed")
+	.addParam("account", "an account to grant/revoke/inspect the role for")
+	.addOptionalParam("action", "grant, revoke, or inspect", "grant")
+	.addOptionalParam("mask", "role mask to grant/revoke (hex or decimal), defaults to FULL_PRIVILEGES_MASK")
+	.addOptionalParam("contracts", "comma separated deployment names to process, defaults to all")
+	.addFlag("dryRun", "do not send any transactions, print the before/after role table only")
 	.setAction(share_admin_role);
 
+const {acl_show} = require("./tasks/acl_show");
+task("acl:show", "prints the features and roles decoded into FEATURE_*/ROLE_* constant names")
+	.addOptionalParam("contracts", "comma separated deployment names to inspect, defaults to all access controlled")
+	.addOptionalParam("accounts", "comma separated accounts to decode the roles for, defaults to the service account")
+	.addOptionalParam("address", "arbitrary contract address to inspect instead of the deployments")
+	.addOptionalParam("artifact", "contract artifact name to get the ABI from, required with --address")
+	.setAction(acl_show);
+
+const {verify_release} = require("./tasks/verify_release");
+task("verify-release", "verifies the deployment against the expected values, exits with non-zero code on mismatch")
+	.addOptionalParam("config", "config file path, defaults to config/v3_0/<network>.json")
+	.setAction(verify_release);
+
+const {config_apply} = require("./tasks/config_apply");
+task("config:apply", "reconciles the deployed contracts state with the config file, applying or printing the diff")
+	.addOptionalParam("config", "config file path, defaults to config/v3_0/<network>.json")
+	.addFlag("check", "do not send any transactions, print the diff and exit with non-zero code if it's not empty")
+	.setAction(config_apply);
+
+const {bytecode_match} = require("./tasks/bytecode_match");
+task("bytecode:match", "matches the deployed runtime code with the code compiled from the git commit, exits with non-zero code on mismatch")
+	.addOptionalParam("commit", "git commit to compile the sources from", "HEAD")
+	.addOptionalParam("deployments", "deployments folder name, defaults to the network name")
+	.addOptionalParam("contracts", "comma separated deployment names to match, defaults to all")
+	.addOptionalParam("addresses", "comma separated additional addresses to match, like EIP-1167 clones")
+	.addFlag("seed", "seed the local node with the runtime code from the deployment JSONs first")
+	.setAction(bytecode_match);
+
+const {shares_quote, shares_buy, shares_sell} = require("./tasks/shares_trade");
+task("shares:quote", "quotes buying/selling the shares, prints the fees breakdown")
+	.addParam("shares", "shares contract address (ETHShares or ERC20Shares)")
+	.addParam("amount", "amount of shares to quote")
+	.addOptionalParam("factory", "SharesFactory address, defaults to SharesFactory_Proxy deployment")
+	.setAction(shares_quote);
+task("shares:buy", "buys the shares, prints the fees breakdown and the Trade event")
+	.addParam("shares", "shares contract address (ETHShares or ERC20Shares)")
+	.addParam("amount", "amount of shares to buy")
+	.addOptionalParam("to", "an address receiving the shares, defaults to the sender")
+	.addOptionalParam("slippage", "slippage tolerance percent, enables slippage protected buy if set")
+	.addOptionalParam("deadline", "slippage protected buy deadline, seconds from now", "300")
+	.addOptionalParam("factory", "SharesFactory address, defaults to SharesFactory_Proxy deployment")
+	.setAction(shares_buy);
+task("shares:sell", "sells the shares, prints the fees breakdown and the Trade event")
+	.addParam("shares", "shares contract address (ETHShares or ERC20Shares)")
+	.addParam("amount", "amount of shares to sell")
+	.addOptionalParam("to", "an address receiving the funds from the sale, defaults to the sender")
+	.addOptionalParam("slippage", "slippage tolerance percent, enables slippage protected sell if set")
+	.addOptionalParam("deadline", "slippage protected sell deadline, seconds from now", "300")
+	.addOptionalParam("factory", "SharesFactory address, defaults to SharesFactory_Proxy deployment")
+	.setAction(shares_sell);
+
+const {shares_portfolio} = require("./tasks/shares_portfolio");
+task("shares:portfolio", "prints the holder's shares balances, prices, and pending holders rewards across many curves")
+	.addParam("holder", "shares holder address")
+	.addOptionalParam("shares", "comma separated list of the shares contract addresses, defaults to all the curves registered in the factory")
+	.addOptionalParam("factory", "SharesFactory deployment name or address to discover the curves from", "SharesFactory_Proxy")
+	.addOptionalParam("registryFromBlock", "first block to discover the curves from (SharesFactory deployment block)", "0")
+	.addOptionalParam("batch", "max number of blocks to query logs for at once", "2000")
+	.addOptionalParam("lens", "SharesLens deployment name or address", "SharesLens")
+	.addOptionalParam("size", "max number of curves to read in a single SharesLens call", "100")
+	.setAction(shares_portfolio);
+
+const {trades_index} = require("./tasks/trade_indexer");
+task("trades:index", "indexes the Trade events of the shares contracts registered in the SharesFactory")
+	.addOptionalParam("factory", "SharesFactory address, defaults to SharesFactory_Proxy deployment")
+	.addOptionalParam("store", "JSON store file path, defaults to scripts/trade_indexer/data/trades_<network>.json")
+	.addOptionalParam("fromBlock", "first block to index when creating new store", "0")
+	.addOptionalParam("toBlock", "last block to index", "latest")
+	.addOptionalParam("batch", "max number of blocks to query logs for at once", "2000")
+	.addOptionalParam("interval", "candle interval in seconds when creating new store", "3600")
+	.setAction(trades_index);
+
+const {rewards_root} = require("./tasks/reward_merkle");
+task("rewards:root", "builds the RewardSystem (MultiTokenRewardSystem) Merkle root and proofs from the CSV/JSON rewards list, optionally publishes the root")
+	.addParam("input", "CSV (address,totalReward or address,token,totalReward) or JSON rewards list file path")
+	.addOptionalParam("format", "input format: csv or json, determined from the file contents if not set")
+	.addOptionalParam("output", "proof file path, defaults to <input>.proofs.json")
+	.addOptionalParam("contract", "RewardSystem deployment name or address, defaults to RewardSystem_Proxy or MultiTokenRewardSystem_Proxy (list with the tokens)")
+	.addFlag("publish", "publish the root via setInputDataRoot, refused if the RewardSystem is underfunded")
+	.setAction(rewards_root);
+
+const {rewards_next} = require("./tasks/reward_epoch");
+task("rewards:next", "computes the next epoch RewardSystem cumulative reward list from the previous list, claimed rewards, and new earnings")
+	.addParam("previous", "previous epoch rewards list or proof file path")
+	.addParam("earnings", "new earnings CSV (address,amount) or JSON file path, amounts may be negative")
+	.addOptionalParam("output", "next epoch rewards list file path, defaults to <earnings>.next.json")
+	.addOptionalParam("contract", "RewardSystem deployment name or address", "RewardSystem_Proxy")
+	.addOptionalParam("slot", "claimedRewards slot index to read the claimed rewards from, defaults to the active one")
+	.addFlag("reset", "the next root is published after resetClaimedRewards(), unclaimed rewards are carried over")
+	.setAction(rewards_next);
+
+const {fees_balances} = require("./tasks/fee_balances");
+task("fees:balances", "reports the ProtocolFeeDistributor balances (reserved and distributable) for every known token")
+	.addOptionalParam("contract", "ProtocolFeeDistributor deployment name or address", "ProtocolFeeDistributor_Proxy")
+	.addOptionalParam("tokens", "comma separated list of the extra ERC20 token addresses to report")
+	.setAction(fees_balances);
+
+const {fees_report} = require("./tasks/fee_report");
+task("fees:report", "builds the fee accounting report (CSV + JSON) over the curves deployed by the SharesFactory")
+	.addOptionalParam("factory", "SharesFactory deployment name or address", "SharesFactory_Proxy")
+	.addOptionalParam("distributor", "ProtocolFeeDistributor deployment name or address to reconcile against, \"none\" to skip", "ProtocolFeeDistributor_Proxy")
+	.addOptionalParam("fromBlock", "first block of the report range")
+	.addOptionalParam("toBlock", "last block of the report range, defaults to the latest block")
+	.addOptionalParam("fromTime", "report range start, unix timestamp or date, used instead of fromBlock")
+	.addOptionalParam("toTime", "report range end (exclusive), unix timestamp or date, used instead of toBlock")
+	.addOptionalParam("registryFromBlock", "first block to discover the curves from (SharesFactory deployment block)", "0")
+	.addOptionalParam("output", "output path without extension, defaults to scripts/fee_report/data/fees_<network>_<from>_<to>")
+	.addOptionalParam("batch", "max number of blocks to query logs for at once", "2000")
+	.setAction(fees_report);
+
 // verify environment setup, display warning if required, replace missing values with fakes
 const FAKE_MNEMONIC = "test test test test test test test test test test test junk";
 if(!process.env.MNEMONIC1 && !process.env.P_KEY1) {
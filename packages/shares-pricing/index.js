@@ -0,0 +1,366 @@
+/**
+ * AI Protocol Shares Pricing SDK
+ *
+ * Off-chain replica of the bonding curve pricing implemented in the
+ *      ETHShares and ERC20Shares contracts; uses native BigInt arithmetic
+ *      and has no dependencies (web3, ethers, bn.js, etc.)
+ *
+ * All the functions accept BigInt, Number, decimal/hex String, or any object
+ *      having a `toString()` returning a decimal string (web3 BN, ethers BigNumber),
+ *      and return BigInt values
+ *
+ * Fee percent values are expected in the on-chain format, where 10^18 is 100%
+ */
+
+/**
+ * Shares contract implementation type, values match
+ *      the SharesFactory.ImplementationType enum
+ */
+const ImplementationType = Object.freeze({
+	ETH: 0,
+	ERC20: 1,
+});
+
+// 1 ether, also 100% in the fee percent format
+const ETH = 10n ** 18n;
+
+// bonding curve function shifts
+const ETH_PRICE_DIVIDER = 2n;
+const ERC20_PRICE_MULTIPLIER = 50_000n;
+
+/**
+ * Converts the input into BigInt
+ *
+ * @param v BigInt, Number, String, or BN/BigNumber-like object
+ * @param name value name to use in the error message
+ * @return BigInt
+ */
+function to_bigint(v, name = "value") {
+	if(typeof v === "bigint") {
+		return v;
+	}
+	if(typeof v === "number" || typeof v === "string") {
+		return BigInt(v);
+	}
+	if(v !== null && typeof v === "object" && typeof v.toString === "function") {
+		return BigInt(v.toString(10));
+	}
+	throw new TypeError(`${name} is not a number: ${v}`);
+}
+
+/**
+ * Converts the input into an ImplementationType value
+ *
+ * @param impl_type ImplementationType value, or its name ("ETH", "ERC20")
+ * @return ImplementationType value
+ */
+function to_impl_type(impl_type) {
+	if(typeof impl_type === "string" && impl_type.toUpperCase() in ImplementationType) {
+		return ImplementationType[impl_type.toUpperCase()];
+	}
+	impl_type = Number(impl_type);
+	if(!Object.values(ImplementationType).includes(impl_type)) {
+		throw new RangeError(`unknown implementation type: ${impl_type}`);
+	}
+	return impl_type;
+}
+
+/**
+ * The original FriendTech bonding curve function, unshifted
+ *
+ * @param s total shares supply
+ * @param a number of shares to buy/sell
+ * @return the price of the shares (all `a` amount)
+ */
+function friend_tech_price(s, a) {
+	s = to_bigint(s, "supply");
+	a = to_bigint(a, "amount");
+
+	// reference impl (FriendTechBondingCurve.sol):
+/*
+	uint256 sum1 = s == 0 ? 0 : (s - 1) * s * (2 * (s - 1) + 1) / 6;
+	uint256 sum2 = s == 0 && a <= 1 ? 0 : (s + a - 1) * (s + a) * (2 * (s + a - 1) + 1) / 6;
+	uint256 summation = sum2 - sum1;
+	return summation * 1 ether / 16000;
+*/
+	const sum1 = s === 0n? 0n: (s - 1n) * s * (2n * (s - 1n) + 1n) / 6n;
+	const sum2 = s === 0n && a <= 1n? 0n: (s + a - 1n) * (s + a) * (2n * (s + a - 1n) + 1n) / 6n;
+	const summation = sum2 - sum1;
+
+	return summation * ETH / 16000n;
+}
+
+/**
+ * Bonding curve function definition, counting for the curve shift
+ *      of the implementation type (ETHShares.getPrice, ERC20Shares.getPrice)
+ *
+ * @param supply total shares supply
+ * @param amount number of shares to buy/sell
+ * @param impl_type shares contract implementation type, ETH by default
+ * @return the price of the shares (all `amount` amount)
+ */
+function get_price(supply, amount, impl_type = ImplementationType.ETH) {
+	const price = friend_tech_price(supply, amount);
+	return to_impl_type(impl_type) === ImplementationType.ERC20?
+		price * ERC20_PRICE_MULTIPLIER:
+		price / ETH_PRICE_DIVIDER;
+}
+
+/**
+ * The price of the `amount` of shares to buy calculated based on
+ *      the total shares supply
+ *
+ * @param supply total shares supply
+ * @param amount number of shares to buy
+ * @param impl_type shares contract implementation type, ETH by default
+ * @return the price of the shares to buy
+ */
+function get_buy_price(supply, amount, impl_type = ImplementationType.ETH) {
+	return get_price(supply, amount, impl_type);
+}
+
+/**
+ * The price of the `amount` of shares to sell calculated based on
+ *      the total shares supply
+ *
+ * @param supply total shares supply
+ * @param amount number of shares to sell
+ * @param impl_type shares contract implementation type, ETH by default
+ * @return the price of the shares to sell
+ */
+function get_sell_price(supply, amount, impl_type = ImplementationType.ETH) {
+	supply = to_bigint(supply, "supply");
+	amount = to_bigint(amount, "amount");
+	if(amount > supply) {
+		throw new RangeError(`amount ${amount} exceeds supply ${supply}`);
+	}
+	return get_price(supply - amount, amount, impl_type);
+}
+
+/**
+ * Calculates the fees breakdown for the price given
+ *
+ * @param price the price of the shares, without the fees
+ * @param fees fee percents object {protocol_fee_percent, holders_fee_percent, subject_fee_percent},
+ *      absent values are treated as zeros
+ * @return {protocol_fee, holders_fee, subject_fee}
+ */
+function get_fees(price, fees = {}) {
+	price = to_bigint(price, "price");
+	const {
+		protocol_fee_percent = 0n,
+		holders_fee_percent = 0n,
+		subject_fee_percent = 0n,
+	} = fees;
+
+	return {
+		protocol_fee: price * to_bigint(protocol_fee_percent, "protocol_fee_percent") / ETH,
+		holders_fee: price * to_bigint(holders_fee_percent, "holders_fee_percent") / ETH,
+		subject_fee: price * to_bigint(subject_fee_percent, "subject_fee_percent") / ETH,
+	};
+}
+
+/**
+ * Quotes the buy operation: the price of the `amount` of shares to buy
+ *      together with the fees breakdown and the total value to pay
+ *
+ * @param supply total shares supply
+ * @param amount number of shares to buy
+ * @param fees fee percents object {protocol_fee_percent, holders_fee_percent, subject_fee_percent}
+ * @param impl_type shares contract implementation type, ETH by default
+ * @return {price, protocol_fee, holders_fee, subject_fee, total}
+ */
+function get_buy_quote(supply, amount, fees = {}, impl_type = ImplementationType.ETH) {
+	const price = get_buy_price(supply, amount, impl_type);
+	const {protocol_fee, holders_fee, subject_fee} = get_fees(price, fees);
+	return {
+		price,
+		protocol_fee,
+		holders_fee,
+		subject_fee,
+		total: price + protocol_fee + holders_fee + subject_fee,
+	};
+}
+
+/**
+ * Quotes the sell operation: the price of the `amount` of shares to sell
+ *      together with the fees breakdown and the total value to receive
+ *
+ * @param supply total shares supply
+ * @param amount number of shares to sell
+ * @param fees fee percents object {protocol_fee_percent, holders_fee_percent, subject_fee_percent}
+ * @param impl_type shares contract implementation type, ETH by default
+ * @return {price, protocol_fee, holders_fee, subject_fee, total}
+ */
+function get_sell_quote(supply, amount, fees = {}, impl_type = ImplementationType.ETH) {
+	const price = get_sell_price(supply, amount, impl_type);
+	const {protocol_fee, holders_fee, subject_fee} = get_fees(price, fees);
+	return {
+		price,
+		protocol_fee,
+		holders_fee,
+		subject_fee,
+		total: price - protocol_fee - holders_fee - subject_fee,
+	};
+}
+
+/**
+ * The price of the `amount` of shares to buy, including all fees;
+ *      mirrors the pure TradeableShares.getBuyPriceAfterFee
+ *
+ * @param supply total shares supply
+ * @param amount number of shares to buy
+ * @param protocol_fee_percent protocol fee percent
+ * @param holders_fee_percent shares holders fee percent
+ * @param subject_fee_percent subject fee percent
+ * @param impl_type shares contract implementation type, ETH by default
+ * @return the price of the shares to buy, including all fees
+ */
+function get_buy_price_after_fee(
+	supply,
+	amount,
+	protocol_fee_percent,
+	holders_fee_percent,
+	subject_fee_percent,
+	impl_type = ImplementationType.ETH,
+) {
+	return get_buy_quote(supply, amount, {
+		protocol_fee_percent,
+		holders_fee_percent,
+		subject_fee_percent,
+	}, impl_type).total;
+}
+
+/**
+ * The price of the `amount` of shares to sell, including all fees;
+ *      mirrors the pure TradeableShares.getSellPriceAfterFee
+ *
+ * @param supply total shares supply
+ * @param amount number of shares to sell
+ * @param protocol_fee_percent protocol fee percent
+ * @param holders_fee_percent shares holders fee percent
+ * @param subject_fee_percent subject fee percent
+ * @param impl_type shares contract implementation type, ETH by default
+ * @return the price of the shares to sell, including all fees
+ */
+function get_sell_price_after_fee(
+	supply,
+	amount,
+	protocol_fee_percent,
+	holders_fee_percent,
+	subject_fee_percent,
+	impl_type = ImplementationType.ETH,
+) {
+	return get_sell_quote(supply, amount, {
+		protocol_fee_percent,
+		holders_fee_percent,
+		subject_fee_percent,
+	}, impl_type).total;
+}
+
+/**
+ * Inverse of the buy quote: finds the largest amount of shares which can be bought
+ *      with the `budget` given, including all the fees
+ *
+ * @dev Binary search over the FriendTech sum-of-squares formula; the buy price
+ *      after fee is monotonic in the amount of shares
+ *
+ * @param supply total shares supply
+ * @param budget value available to spend (wei or ALI units), including the fees
+ * @param fees fee percents object {protocol_fee_percent, holders_fee_percent, subject_fee_percent}
+ * @param impl_type shares contract implementation type, ETH by default
+ * @return the largest amount of shares to buy whose total doesn't exceed the budget,
+ *      zero if not even a single share fits
+ */
+function get_max_buy_amount(supply, budget, fees = {}, impl_type = ImplementationType.ETH) {
+	supply = to_bigint(supply, "supply");
+	budget = to_bigint(budget, "budget");
+	const total = (amount) => get_buy_quote(supply, amount, fees, impl_type).total;
+
+	// find the upper bound [lo, hi) of the search range
+	let lo = 0n;
+	let hi = 1n;
+	while(total(hi) <= budget) {
+		lo = hi;
+		hi *= 2n;
+	}
+
+	// total(lo) fits into the budget, total(hi) doesn't
+	while(hi - lo > 1n) {
+		const mid = (lo + hi) / 2n;
+		if(total(mid) <= budget) {
+			lo = mid;
+		}
+		else {
+			hi = mid;
+		}
+	}
+
+	return lo;
+}
+
+/**
+ * Inverse of the sell quote: finds the smallest amount of shares which needs to be sold
+ *      to receive at least the `payout` given, after all the fees
+ *
+ * @dev Binary search over the FriendTech sum-of-squares formula; the sell price
+ *      after fee is monotonic in the amount of shares
+ * @dev The last share cannot be sold, therefore the amount is searched in [0, supply) range
+ *
+ * @param supply total shares supply
+ * @param payout value to receive (wei or ALI units), after the fees
+ * @param fees fee percents object {protocol_fee_percent, holders_fee_percent, subject_fee_percent}
+ * @param impl_type shares contract implementation type, ETH by default
+ * @return the smallest amount of shares to sell whose total is not less than the payout,
+ *      null if the payout cannot be reached
+ */
+function get_min_sell_amount(supply, payout, fees = {}, impl_type = ImplementationType.ETH) {
+	supply = to_bigint(supply, "supply");
+	payout = to_bigint(payout, "payout");
+	const total = (amount) => get_sell_quote(supply, amount, fees, impl_type).total;
+
+	// zero payout doesn't require selling anything
+	if(payout <= 0n) {
+		return 0n;
+	}
+
+	// the maximum amount which can be sold is all the supply except the last share
+	let hi = supply - 1n;
+	if(hi <= 0n || total(hi) < payout) {
+		return null;
+	}
+
+	// total(lo) doesn't reach the payout, total(hi) does
+	let lo = 0n;
+	while(hi - lo > 1n) {
+		const mid = (lo + hi) / 2n;
+		if(total(mid) >= payout) {
+			hi = mid;
+		}
+		else {
+			lo = mid;
+		}
+	}
+
+	return hi;
+}
+
+// export public module API
+module.exports = {
+	ImplementationType,
+	ETH,
+	ETH_PRICE_DIVIDER,
+	ERC20_PRICE_MULTIPLIER,
+	to_bigint,
+	friend_tech_price,
+	get_price,
+	get_buy_price,
+	get_sell_price,
+	get_fees,
+	get_buy_quote,
+	get_sell_quote,
+	get_buy_price_after_fee,
+	get_sell_price_after_fee,
+	get_max_buy_amount,
+	get_min_sell_amount,
+};
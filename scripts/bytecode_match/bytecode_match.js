@@ -0,0 +1,410 @@
+/**
+ * Bytecode match tool, automates the "Matching the Bytecode" procedure described in docs/bytecode_match.md
+ *
+ * For every deployment recorded in the deployments/<network> folder:
+ *      1. takes the solc input (deployments/<network>/solcInputs/<solcInputHash>.json) used for the deployment
+ *      2. replaces the sources with the ones from the git commit specified, sources not tracked by git
+ *         (dependencies from node_modules, generated files) are taken from the solc input as is
+ *      3. compiles the contract with the compiler version and settings the deployment was compiled with
+ *      4. fetches the runtime code of the deployed contract via eth_getCode
+ *      5. compares the compiled and the deployed runtime code, masking the metadata hashes (CBOR),
+ *         immutables, and library link references
+ *
+ * EIP-1167 minimal proxies (clones) are resolved into their implementation, which is then
+ *      matched as described above if it is one of the deployments
+ */
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+// we use child_process to read the sources from git
+const {execFileSync} = require("child_process");
+// we use fs and path to read the deployments
+const fs = require("fs");
+const path = require("path");
+
+// EIP-1167 minimal proxy runtime code: prefix, 20 bytes implementation address, suffix
+const EIP1167_PREFIX = "363d3d373d3d3d363d73";
+const EIP1167_SUFFIX = "5af43d82803e903d91602b57fd5bf3";
+
+// solc metadata (CBOR encoded) appended to the runtime code:
+// {"ipfs": <34 bytes multihash>, "solc": <3 bytes version>} followed by 2 bytes CBOR length (0x0033)
+const METADATA_REGEX = /a264697066735822[0-9a-f]{68}64736f6c6343[0-9a-f]{6}0033/g;
+
+// Solidity import directive: import "path"; import "path" as x; import {a, b} from "path"; import * as x from "path";
+const IMPORT_REGEX = /^\s*import\s+(?:[^"';]*?\s+from\s+)?["']([^"']+)["']/gm;
+
+/**
+ * Loads all the deployments from the deployments folder
+ *
+ * @param deployments_dir deployments/<network> folder path
+ * @return object mapping the deployment name to the deployment (parsed JSON)
+ */
+function load_deployments(deployments_dir) {
+	assert(fs.existsSync(deployments_dir), `deployments folder ${deployments_dir} doesn't exist`);
+	const deployments = {};
+	for(const file_name of fs.readdirSync(deployments_dir).filter(file_name => file_name.endsWith(".json")).sort()) {
+		const deployment = JSON.parse(fs.readFileSync(path.join(deployments_dir, file_name), {encoding: "utf8"}));
+		if(deployment.address) {
+			deployments[path.basename(file_name, ".json")] = deployment;
+		}
+	}
+	return deployments;
+}
+
+/**
+ * Seeds the local node (Hardhat Network) with the runtime code of the deployments
+ *      via `hardhat_setCode`, allowing to run the tool offline
+ *
+ * @param web3 web3 instance connected to the local node
+ * @param deployments deployments as returned by `load_deployments`
+ */
+async function seed_local_node(web3, deployments) {
+	for(const {address, deployedBytecode} of Object.values(deployments)) {
+		await send(web3, "hardhat_setCode", [address, deployedBytecode]);
+	}
+}
+
+/**
+ * Extracts the implementation address from the EIP-1167 minimal proxy runtime code
+ *
+ * @param code runtime code (hex string)
+ * @return implementation address, or undefined if the code is not an EIP-1167 minimal proxy
+ */
+function parse_eip1167(code) {
+	code = strip_0x(code).toLowerCase();
+	if(code.length !== EIP1167_PREFIX.length + 40 + EIP1167_SUFFIX.length
+		|| !code.startsWith(EIP1167_PREFIX) || !code.endsWith(EIP1167_SUFFIX)) {
+		return undefined;
+	}
+	return "0x" + code.substr(EIP1167_PREFIX.length, 40);
+}
+
+/**
+ * Masks (replaces with zeros) the metadata hashes, immutables, and library link references in the runtime code
+ *
+ * @param code runtime code (hex string)
+ * @param immutable_references `evm.deployedBytecode.immutableReferences` compiler output, optional
+ * @param link_references `evm.deployedBytecode.linkReferences` compiler output, optional
+ * @return masked runtime code (hex string without 0x prefix)
+ */
+function mask_bytecode(code, immutable_references = {}, link_references = {}) {
+	code = strip_0x(code).toLowerCase();
+
+	// collect the (start, length) byte ranges to mask
+	const ranges = [];
+	for(const references of Object.values(immutable_references)) {
+		ranges.push(...references);
+	}
+	for(const libraries of Object.values(link_references)) {
+		for(const references of Object.values(libraries)) {
+			ranges.push(...references);
+		}
+	}
+
+	// mask the ranges
+	for(const {start, length} of ranges) {
+		code = code.substring(0, start * 2) + "0".repeat(length * 2) + code.substring((start + length) * 2);
+	}
+
+	// mask the metadata
+	return code.replace(METADATA_REGEX, match => "0".repeat(match.length));
+}
+
+/**
+ * Compares the compiled and deployed runtime code, masking the metadata, immutables and link references
+ *
+ * @param compiled `evm.deployedBytecode` compiler output for the contract
+ * @param deployed deployed runtime code (hex string)
+ * @return {match, offset}, where offset is the first mismatching byte offset (if there is a mismatch)
+ */
+function compare_bytecode(compiled, deployed) {
+	const a = mask_bytecode(compiled.object, compiled.immutableReferences, compiled.linkReferences);
+	const b = mask_bytecode(deployed, compiled.immutableReferences, compiled.linkReferences);
+	if(a === b) {
+		return {match: true};
+	}
+	let i = 0;
+	while(i < a.length && a[i] === b[i]) {
+		i++;
+	}
+	return {match: false, offset: Math.floor(i / 2)};
+}
+
+/**
+ * Builds the solc input to compile: starts from the target contracts sources and follows the imports;
+ *      every source is looked up
+ *      1) in git at the commit specified,
+ *      2) in the original solc input (dependencies not tracked by git),
+ *      3) in the node_modules folder,
+ *      4) in the original solc input under the path the import path ends with
+ *         (sources moved into a dependency package after the deployment)
+ *
+ * @param solc_input original solc input used for the deployment
+ * @param targets object mapping the source path to the array of contract names to compile
+ * @param commit git commit to take the sources from
+ * @param repo_dir git repository root
+ * @return {input, from_git, from_input, from_node_modules, changed, missing}, where all the fields but input
+ *      are arrays of source paths: taken from git, taken from the original solc input, taken from node_modules,
+ *      taken from git and different from the original, and not found anywhere
+ */
+function build_solc_input(solc_input, targets, commit, repo_dir) {
+	const sources = {};
+	const from_git = [], from_input = [], from_node_modules = [], changed = [], missing = [];
+
+	// looks up the source content, see the lookup order above
+	function lookup(source_path) {
+		const git_content = git_show(repo_dir, commit, source_path);
+		if(git_content !== undefined) {
+			from_git.push(source_path);
+			if(solc_input.sources[source_path] && solc_input.sources[source_path].content !== git_content) {
+				changed.push(source_path);
+			}
+			return git_content;
+		}
+		if(solc_input.sources[source_path]) {
+			from_input.push(source_path);
+			return solc_input.sources[source_path].content;
+		}
+		const node_modules_path = path.join(repo_dir, "node_modules", source_path);
+		if(fs.existsSync(node_modules_path)) {
+			from_node_modules.push(source_path);
+			return fs.readFileSync(node_modules_path, {encoding: "utf8"});
+		}
+		const moved_path = Object.keys(solc_input.sources).find(input_path => source_path.endsWith("/" + input_path));
+		if(moved_path) {
+			from_input.push(source_path);
+			return solc_input.sources[moved_path].content;
+		}
+		missing.push(source_path);
+		return undefined;
+	}
+
+	// follow the imports starting from the targets
+	const queue = Object.keys(targets);
+	while(queue.length) {
+		const source_path = queue.shift();
+		if(sources[source_path] || missing.includes(source_path)) {
+			continue;
+		}
+		const content = lookup(source_path);
+		if(content === undefined) {
+			continue;
+		}
+		sources[source_path] = {content};
+		for(const [, import_path] of content.matchAll(IMPORT_REGEX)) {
+			queue.push(import_path.startsWith(".")? path.posix.join(path.posix.dirname(source_path), import_path): import_path);
+		}
+	}
+
+	// request only the runtime code of the target contracts
+	const outputSelection = {};
+	for(const [source_path, contract_names] of Object.entries(targets)) {
+		outputSelection[source_path] = {};
+		for(const contract_name of contract_names) {
+			outputSelection[source_path][contract_name] = [
+				"evm.deployedBytecode.object",
+				"evm.deployedBytecode.immutableReferences",
+				"evm.deployedBytecode.linkReferences",
+			];
+		}
+	}
+
+	return {
+		input: {
+			language: solc_input.language,
+			sources,
+			settings: Object.assign({}, solc_input.settings, {outputSelection}),
+		},
+		from_git,
+		from_input,
+		from_node_modules,
+		changed,
+		missing,
+	};
+}
+
+/**
+ * Matches the deployed runtime code of the deployments with the code compiled from the git commit specified
+ *
+ * @param web3 web3 instance connected to the network
+ * @param compile async function (solc_version, solc_input) => solc_output
+ * @param deployments_dir deployments/<network> folder path
+ * @param commit git commit to take the sources from, optional, defaults to HEAD
+ * @param repo_dir git repository root, optional, defaults to the current working directory
+ * @param names deployment names to match, optional, defaults to all
+ * @param addresses additional addresses to match (like EIP-1167 clones), optional
+ * @param seed seed the local node with the deployments runtime code first, optional
+ * @param log logger function, optional, defaults to console.log
+ * @return array of {name, address, contract, status, details}, where status is one of
+ *      "MATCH", "MISMATCH", "NO CODE", "UNKNOWN"
+ */
+async function match_deployments({
+	web3,
+	compile,
+	deployments_dir,
+	commit = "HEAD",
+	repo_dir = process.cwd(),
+	names,
+	addresses = [],
+	seed = false,
+	log = console.log,
+}) {
+	const deployments = load_deployments(deployments_dir);
+	for(const name of names || []) {
+		assert(deployments[name], `deployment ${name} not found in ${deployments_dir}`);
+	}
+	if(seed) {
+		log("seeding the node with %o deployment(s) runtime code", Object.keys(deployments).length);
+		await seed_local_node(web3, deployments);
+	}
+
+	// determine the items to match: deployments and additional addresses
+	const items = Object.entries(deployments)
+		.filter(([name]) => !names || names.includes(name))
+		.map(([name, {address}]) => ({name, address}));
+	for(const address of addresses) {
+		const name = Object.keys(deployments).find(name => deployments[name].address.toLowerCase() === address.toLowerCase());
+		items.push({name: name || address, address});
+	}
+
+	// fetch the deployed code, resolve the clones
+	for(const item of items) {
+		item.code = await web3.eth.getCode(item.address);
+		const impl_address = parse_eip1167(item.code);
+		if(impl_address) {
+			const impl_name = Object.keys(deployments).find(name => deployments[name].address.toLowerCase() === impl_address);
+			item.clone_of = impl_name || impl_address;
+			item.code = await web3.eth.getCode(impl_address);
+			item.name = impl_name || item.name;
+		}
+		const deployment = deployments[item.name];
+		if(deployment) {
+			const [[source_path, contract_name]] = Object.entries(JSON.parse(deployment.metadata).settings.compilationTarget);
+			Object.assign(item, {
+				source_path,
+				contract_name,
+				solc_version: JSON.parse(deployment.metadata).compiler.version,
+				solc_input_hash: deployment.solcInputHash,
+			});
+		}
+	}
+
+	// compile the contracts, grouping them by solc input to compile every input once
+	const outputs = {};
+	for(const solc_input_hash of new Set(items.filter(item => item.solc_input_hash).map(item => item.solc_input_hash))) {
+		const group = items.filter(item => item.solc_input_hash === solc_input_hash);
+		const targets = {};
+		for(const {source_path, contract_name} of group) {
+			targets[source_path] = [...new Set([...targets[source_path] || [], contract_name])];
+		}
+
+		// solc input is taken from the solcInputs folder, or restored from the deployment metadata if it's missing
+		const solc_input_path = path.join(deployments_dir, "solcInputs", solc_input_hash + ".json");
+		const solc_input = fs.existsSync(solc_input_path)?
+			JSON.parse(fs.readFileSync(solc_input_path, {encoding: "utf8"})):
+			solc_input_from_metadata(JSON.parse(deployments[group[0].name].metadata));
+
+		const {input, from_git, from_input, from_node_modules, changed, missing} = build_solc_input(solc_input, targets, commit, repo_dir);
+		log(
+			"compiling solc input %o with solc %o: %o source(s) from git %o, %o from the solc input, %o from node_modules",
+			solc_input_hash, group[0].solc_version, from_git.length, commit, from_input.length, from_node_modules.length
+		);
+		for(const source_path of changed) {
+			log("\tsource changed since the deployment: %o", source_path);
+		}
+		if(missing.length) {
+			group.forEach(item => item.error = `source(s) not found: ${missing.join(", ")}`);
+			continue;
+		}
+
+		const output = await compile(group[0].solc_version, input);
+		const errors = (output.errors || []).filter(error => error.severity === "error");
+		if(errors.length) {
+			log("compilation of %o failed:\n%s", solc_input_hash, errors.map(error => error.formattedMessage).join("\n"));
+			group.forEach(item => item.error = `compilation failed: ${errors[0].message}`);
+			continue;
+		}
+		outputs[solc_input_hash] = output;
+	}
+
+	// match the bytecode
+	const results = [];
+	for(const item of items) {
+		const result = {name: item.name, address: item.address, contract: item.contract_name || ""};
+		if(item.clone_of) {
+			result.details = `EIP-1167 clone of ${item.clone_of}`;
+		}
+		if(strip_0x(item.code).length === 0) {
+			result.status = "NO CODE";
+		}
+		else if(!item.solc_input_hash) {
+			result.status = "UNKNOWN";
+			result.details = [result.details, "not found in the deployments"].filter(s => s).join(", ");
+		}
+		else if(item.error) {
+			result.status = "ERROR";
+			result.details = [result.details, item.error].filter(s => s).join(", ");
+		}
+		else {
+			const compiled = outputs[item.solc_input_hash].contracts[item.source_path][item.contract_name].evm.deployedBytecode;
+			const {match, offset} = compare_bytecode(compiled, item.code);
+			result.status = match? "MATCH": "MISMATCH";
+			if(!match) {
+				result.details = [result.details, `first mismatch at byte ${offset}`].filter(s => s).join(", ");
+			}
+		}
+		results.push(result);
+	}
+
+	return results;
+}
+
+// restores the solc input from the contract metadata (requires the metadata to contain the sources content)
+function solc_input_from_metadata(metadata) {
+	const sources = {};
+	for(const [source_path, {content}] of Object.entries(metadata.sources)) {
+		assert(content !== undefined, `metadata doesn't contain the content of ${source_path}`);
+		sources[source_path] = {content};
+	}
+	const {compilationTarget, ...settings} = metadata.settings;
+	return {language: metadata.language, sources, settings};
+}
+
+// reads the file content from git at the commit specified, returns undefined if the file is not tracked
+function git_show(repo_dir, commit, file_path) {
+	try {
+		return execFileSync("git", ["show", `${commit}:${file_path}`], {
+			cwd: repo_dir,
+			encoding: "utf8",
+			maxBuffer: 64 * 1024 * 1024,
+			stdio: ["ignore", "pipe", "ignore"],
+		});
+	}
+	catch(e) {
+		return undefined;
+	}
+}
+
+// sends the JSON-RPC request via web3 provider
+async function send(web3, method, params) {
+	return await new Promise((resolve, reject) => web3.currentProvider.send(
+		{jsonrpc: "2.0", id: Date.now(), method, params},
+		(error, response) => error || response.error? reject(error || response.error): resolve(response.result),
+	));
+}
+
+// removes 0x prefix from the hex string if present
+function strip_0x(hex) {
+	return hex.startsWith("0x")? hex.substring(2): hex;
+}
+
+// export public module API
+module.exports = {
+	load_deployments,
+	seed_local_node,
+	parse_eip1167,
+	mask_bytecode,
+	compare_bytecode,
+	build_solc_input,
+	match_deployments,
+};
@@ -0,0 +1,373 @@
+// declarative per-network deployment config: the expected contract state (fees, shares owner, implementations,
+// features, roles) is defined in config/v3_0/<network>.json (or .yaml/.yml), the functions below read
+// the current on-chain state, compute the diff against the config, and apply it (or just print it in check mode);
+// functions used in deployment scripts (deploy folder) need to be stored in
+// a separate place (folder) otherwise hardhat-deploy plugin tries to pick them up
+
+// Config file format: top level keys are the deployment names, values are the expected contract state;
+// the keys are reconciled in the order they appear in the config
+// {
+//   "SharesFactory_Proxy": {
+//     "protocolFeeDestination": "ProtocolFeeDistributor_Proxy", // getProtocolFeeDestination() / setProtocolFeeDestination(address)
+//     "protocolFeePercent": "40000000000000000",           // getProtocolFeePercent() / setProtocolFeePercent(40000000000000000)
+//     "sharesOwnerAddress": "sharesOwner",                 // getSharesOwnerAddress() / setSharesOwnerAddress(SHARES_OWNER_ADDRESS)
+//     "sharesImplAddress": {"ETH": "ETHShares"},           // getSharesImplAddress(0) / setSharesImplAddress(0, address)
+//     "curveImplAddress": {"LINEAR": "LinearBondingCurve"}, // getCurveImplAddress(2) / setCurveImplAddress(2, address)
+//     "features": "0x00000005",                            // features() / updateFeatures(0x00000005)
+//     "roles": {"0x...": "0x00080000"}                     // getRole(0x...) / updateRole(0x..., 0x00080000)
+//   }
+// }
+// deployment names are resolved into the deployed addresses, "deployer" is resolved into the service account,
+// "backend" is resolved into the BACKEND_ADDRESS environment variable,
+// "sharesOwner" is resolved into the SHARES_OWNER_ADDRESS environment variable,
+// implementation type names (ETH, ERC20) and bonding curve type names (FRIEND_TECH, LINEAR, etc.)
+// are resolved into their numeric values
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+// we use fs and path to locate and read the config file
+const fs = require("fs");
+const path = require("path");
+
+// SharesFactory.ImplementationType, SharesFactory.CurveType
+const {
+	SharesImplementationType: ImplType,
+	BondingCurveType: CurveType,
+} = require("./include/enums");
+
+// EIP-1967 implementation slot: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// folder containing the config files
+const CONFIG_DIR = path.join(__dirname, "..", "config", "v3_0");
+
+// config keys which don't represent the contract state and cannot be reconciled
+const VERIFICATION_ONLY_KEYS = ["bondingCurve"];
+
+// the name resolved into the service account
+const DEPLOYER = "deployer";
+
+// the name resolved into the backend address, which is read from the BACKEND_ADDRESS environment variable
+const BACKEND = "backend";
+
+// the name resolved into the shares owner address, which is read from the SHARES_OWNER_ADDRESS environment variable
+const SHARES_OWNER = "sharesOwner";
+
+// environment variables the names above are resolved from
+const ENV_ADDRESSES = {
+	[BACKEND]: "BACKEND_ADDRESS",
+	[SHARES_OWNER]: "SHARES_OWNER_ADDRESS",
+};
+
+// networks allowed to use config/v3_0/default.json if there is no network specific config file
+const DEFAULT_CONFIG_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * Reads the config file for the network specified; local networks (hardhat, localhost) fall back
+ *      to config/v3_0/default.json if there is no network specific config file, other networks
+ *      fail if there is no such file
+ *
+ * @param network_name network name, like base_mainnet
+ * @param config_path optional config file path, overrides the network name
+ * @return {config, config_path}
+ */
+function load_config(network_name, config_path) {
+	if(!config_path) {
+		config_path = [".json", ".yaml", ".yml"]
+			.map(ext => path.join(CONFIG_DIR, network_name + ext))
+			.find(file_path => fs.existsSync(file_path));
+		if(!config_path) {
+			assert(DEFAULT_CONFIG_NETWORKS.includes(network_name), `config file for ${network_name} doesn't exist in ${CONFIG_DIR}`);
+			config_path = path.join(CONFIG_DIR, "default.json");
+		}
+	}
+	assert(fs.existsSync(config_path), `config file ${config_path} doesn't exist`);
+
+	const content = fs.readFileSync(config_path, {encoding: "utf8"});
+	// js-yaml is required only if YAML config is used
+	const config = /\.ya?ml$/.test(config_path)? require("js-yaml").load(content): JSON.parse(content);
+	assert(config !== null && typeof config === "object", `malformed config file ${config_path}`);
+
+	return {config, config_path};
+}
+
+// determines the service account used by the deployment scripts
+async function get_service_account(network_name) {
+	const accounts = await web3.eth.getAccounts();
+	// do not use the default account for tests
+	return network_name === "hardhat"? accounts[1]: accounts[0];
+}
+
+// connects to the deployed contract by its deployment name;
+// proxies are connected to using the ABI of their implementation
+async function connect(deployments, name) {
+	const deployment = await deployments.get(name);
+	if(!name.endsWith("_Proxy")) {
+		return new web3.eth.Contract(deployment.abi, deployment.address);
+	}
+
+	// find the implementation deployment via EIP-1967 implementation slot
+	const slot = await web3.eth.getStorageAt(deployment.address, IMPLEMENTATION_SLOT);
+	const impl_address = "0x" + slot.slice(-40);
+	const impl = Object.values(await deployments.all()).find(({address}) => address.toLowerCase() === impl_address.toLowerCase());
+	assert(impl, `${name} implementation ${impl_address} is not found in the deployments`);
+	return new web3.eth.Contract(impl.abi, deployment.address);
+}
+
+// resolves the deployment name (or "deployer", "backend", "sharesOwner") into its address, returns the address as is
+async function resolve_address(deployments, name_or_address, deployer) {
+	if(web3.utils.isAddress(name_or_address)) {
+		return name_or_address;
+	}
+	if(name_or_address === DEPLOYER) {
+		assert(deployer, "service account is not available to resolve " + DEPLOYER);
+		return deployer;
+	}
+	if(Object.prototype.hasOwnProperty.call(ENV_ADDRESSES, name_or_address)) {
+		const env_name = ENV_ADDRESSES[name_or_address];
+		const address = process.env[env_name];
+		assert(web3.utils.isAddress(address), `${env_name} env variable must be set to resolve ${name_or_address}`);
+		return address;
+	}
+	const {address} = await deployments.get(name_or_address);
+	return address;
+}
+
+// resolves the expected value: deployment names (and "deployer", "backend", "sharesOwner") are resolved into addresses,
+// other values are returned as is
+async function resolve_value(deployments, value, deployer) {
+	if(typeof value !== "string" || /^(0x)?[0-9a-fA-F]+$/.test(value)) {
+		return value;
+	}
+	if(value === DEPLOYER || Object.prototype.hasOwnProperty.call(ENV_ADDRESSES, value)) {
+		return await resolve_address(deployments, value, deployer);
+	}
+	const deployment = await deployments.getOrNull(value);
+	return deployment? deployment.address: value;
+}
+
+// resolves the getter/setter argument: implementation type names (ETH, ERC20) and bonding curve type names
+// (FRIEND_TECH, LINEAR, etc.) are resolved into their numeric values,
+// deployment names are resolved into addresses, other values are returned as is
+async function resolve_arg(deployments, arg, deployer) {
+	if(Object.prototype.hasOwnProperty.call(ImplType, arg)) {
+		return ImplType[arg].toString();
+	}
+	if(Object.prototype.hasOwnProperty.call(CurveType, arg)) {
+		return CurveType[arg].toString();
+	}
+	return await resolve_value(deployments, arg, deployer);
+}
+
+// compares the expected and actual values: addresses are compared case-insensitively, numbers – by value
+function compare(check, expected, actual) {
+	expected = expected === null || expected === undefined? "": expected.toString();
+	actual = actual === null || actual === undefined? "": actual.toString();
+
+	let equal;
+	if(web3.utils.isAddress(expected) && web3.utils.isAddress(actual)) {
+		equal = expected.toLowerCase() === actual.toLowerCase();
+	}
+	else if(is_numeric(expected) && is_numeric(actual)) {
+		equal = BigInt(expected) === BigInt(actual);
+	}
+	else {
+		equal = expected === actual;
+	}
+
+	return {check, expected, actual, status: equal? "OK": "MISMATCH"};
+}
+
+// checks if the value is a decimal or hex number
+function is_numeric(value) {
+	return /^(\d+|0x[0-9a-fA-F]+)$/.test(value);
+}
+
+// "protocolFeePercent" -> "ProtocolFeePercent"
+function capitalize(key) {
+	return key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * Reads the current on-chain state of the contract and compares it with the expected state defined in the config;
+ * verification only keys (bondingCurve) are skipped
+ *
+ * @param deployments hardhat-deploy deployments object
+ * @param contract_name deployment name, top level config key
+ * @param expectations expected contract state, config value
+ * @param deployer service account to resolve "deployer" into
+ * @param contract optional web3 contract instance, connected to by the deployment name if not set
+ * @return array of {check, expected, actual, status, key, arg, method, args}, where status is either "OK" or "MISMATCH",
+ *      and method(args) is the setter call which brings the contract to the expected state
+ */
+async function read_state(deployments, contract_name, expectations, deployer, contract) {
+	if(!contract) {
+		contract = await connect(deployments, contract_name);
+	}
+
+	const entries = [];
+	for(const [key, expected] of Object.entries(expectations)) {
+		switch(key) {
+			// features() = expected
+			case "features": {
+				entries.push({
+					...compare(`${contract_name}.features()`, expected, await contract.methods.features().call()),
+					key,
+					method: "updateFeatures",
+					args: [expected],
+				});
+				break;
+			}
+			// getRole(operator) = expected, for every operator
+			case "roles": {
+				for(const [operator, role] of Object.entries(expected)) {
+					const operator_address = await resolve_address(deployments, operator, deployer);
+					entries.push({
+						...compare(`${contract_name}.getRole(${operator})`, role, await contract.methods.getRole(operator_address).call()),
+						key,
+						arg: operator,
+						method: "updateRole",
+						args: [operator_address, role],
+					});
+				}
+				break;
+			}
+			// get<Key>(arg) = expected, for every (arg, expected) pair if expected is a mapping,
+			// get<Key>() = expected otherwise
+			default: {
+				if(VERIFICATION_ONLY_KEYS.includes(key)) {
+					break;
+				}
+				const getter = "get" + capitalize(key);
+				const setter = "set" + capitalize(key);
+				assert(contract.methods[getter], `${contract_name}.${getter} doesn't exist, check config key ${key}`);
+				if(expected !== null && typeof expected === "object") {
+					for(const [arg, value] of Object.entries(expected)) {
+						const resolved_arg = await resolve_arg(deployments, arg, deployer);
+						const resolved_value = await resolve_value(deployments, value, deployer);
+						entries.push({
+							...compare(`${contract_name}.${getter}(${arg})`, resolved_value, await contract.methods[getter](resolved_arg).call()),
+							key,
+							arg,
+							method: setter,
+							args: [resolved_arg, resolved_value],
+						});
+					}
+				}
+				else {
+					const resolved_value = await resolve_value(deployments, expected, deployer);
+					entries.push({
+						...compare(`${contract_name}.${getter}()`, resolved_value, await contract.methods[getter]().call()),
+						key,
+						method: setter,
+						args: [resolved_value],
+					});
+				}
+			}
+		}
+	}
+	return entries;
+}
+
+/**
+ * Narrows the expected contract state down to the config keys specified
+ *
+ * @param expectations expected contract state, config value
+ * @param keys optional config keys to keep, like "protocolFeePercent" or "sharesImplAddress.ETH",
+ *      all the keys are kept if not set
+ * @return expected contract state containing only the keys specified
+ */
+function pick_keys(expectations, keys) {
+	if(!keys) {
+		return expectations;
+	}
+
+	const picked = {};
+	for(const [key, expected] of Object.entries(expectations)) {
+		if(keys.includes(key)) {
+			picked[key] = expected;
+		}
+		else if(expected !== null && typeof expected === "object") {
+			const args = Object.keys(expected).filter(arg => keys.includes(`${key}.${arg}`));
+			if(args.length) {
+				picked[key] = Object.fromEntries(args.map(arg => [arg, expected[arg]]));
+			}
+		}
+	}
+	return picked;
+}
+
+/**
+ * Reconciles the contract state with the config: reads the current on-chain state, computes the diff,
+ * and applies it by sending the setter transactions from the service account, or just prints it in check mode
+ *
+ * @param deployments hardhat-deploy deployments object
+ * @param config parsed config, see load_config
+ * @param contract_name deployment name, top level config key
+ * @param keys optional config keys to reconcile, like "protocolFeePercent" or "sharesImplAddress.ETH",
+ *      defaults to all the keys defined for the contract
+ * @param from service account to send the transactions from, also used to resolve "deployer"
+ * @param check if set, the transactions are not sent, the diff is printed only
+ * @return array of {check, expected, actual, status}, where status is "OK", "MISMATCH" (check mode),
+ *      or the transaction hash of the setter call
+ */
+async function reconcile({deployments, config, contract_name, keys, from, check = false}) {
+	const expectations = config[contract_name];
+	if(!expectations) {
+		console.log("%o is not configured, skipping", contract_name);
+		return [];
+	}
+
+	// pick up the entries to reconcile; the values not requested are not read nor resolved
+	const contract = await connect(deployments, contract_name);
+	const entries = await read_state(deployments, contract_name, pick_keys(expectations, keys), from, contract);
+	if(keys) {
+		for(const key of keys.filter(key => !entries.find(entry => key === entry.key || key === `${entry.key}.${entry.arg}`))) {
+			console.log("%s.%s is not configured, skipping", contract_name, key);
+		}
+	}
+
+	// apply the diff, keeping the config order
+	for(const entry of entries.filter(({status}) => status !== "OK")) {
+		if(check) {
+			console.log("%s: %o -> %o", entry.check, entry.actual, entry.expected);
+			continue;
+		}
+		assert(contract.methods[entry.method], `${contract_name}.${entry.method} doesn't exist, config key ${entry.key} cannot be applied`);
+
+		// prepare the call bytes for the contract call
+		const call_data = contract.methods[entry.method](...entry.args).encodeABI();
+
+		// send the setter transaction
+		const receipt = await deployments.rawTx({
+			from,
+			to: contract.options.address,
+			data: call_data, // <method>(...args)
+		});
+		console.log("%s.%s(%s): %o", contract_name, entry.method, entry.args.join(", "), receipt.transactionHash);
+		entry.status = receipt.transactionHash;
+	}
+
+	const results = entries.map(({check, expected, actual, status}) => ({check, expected, actual, status}));
+	if(results.length) {
+		console.table(results);
+	}
+	return results;
+}
+
+// export public module API
+module.exports = {
+	DEPLOYER,
+	BACKEND,
+	SHARES_OWNER,
+	load_config,
+	get_service_account,
+	connect,
+	resolve_address,
+	resolve_value,
+	resolve_arg,
+	compare,
+	read_state,
+	pick_keys,
+	reconcile,
+};
@@ -11,6 +11,12 @@ const {
 	print_amt,
 } = require("./include/bn_utils");
 
+// RBAC decoder
+const {
+	decode_acl,
+	format_decoded_mask,
+} = require("./include/acl_decoder");
+
 // prints contract details
 async function print_contract_details(a0, abi, address, operator_address) {
 	// connect to the contract
@@ -65,6 +71,20 @@ async function print_contract_details(a0, abi, address, operator_address) {
 		// ignored
 	}
 
+	// try to decode the features and the deployer role using FEATURE_*/ROLE_* constants of the contract
+	try {
+		const {features: decoded_features, roles: decoded_roles} = await decode_acl(web3, abi, address, [a0]);
+		table_data.push(
+			...[
+				{"key": "Features (decoded)", "value": format_decoded_mask(decoded_features)},
+				{"key": "Deployer Role (decoded)", "value": format_decoded_mask(decoded_roles[a0])},
+			]
+		);
+	}
+	catch(e) {
+		// ignored
+	}
+
 	// try to read OZ Ownable data
 	try {
 		const owner = await web3_contract.methods.owner().call();
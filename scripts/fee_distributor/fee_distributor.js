@@ -0,0 +1,88 @@
+/**
+ * ProtocolFeeDistributor balances reader
+ *
+ * Lists the tokens known to the ProtocolFeeDistributor: ETH, the ERC20 payment token,
+ * and the registered ERC20 tokens (`getKnownTokens()`), and reads the balances held for each of them:
+ *      - balance – total balance held by the distributor,
+ *      - reserved – amount accrued to the recipients in the pull mode and not yet claimed (plus the dust),
+ *      - distributable – balance minus reserved: to be distributed, accrued, or recovered
+ *
+ * All the amounts are decimal integer strings (wei or ERC20 token units)
+ */
+
+// zero token address stands for ETH
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// minimal ERC20 ABI to read the token details
+const ERC20_ABI = [
+	{
+		inputs: [],
+		name: "symbol",
+		outputs: [{internalType: "string", name: "", type: "string"}],
+		stateMutability: "view",
+		type: "function",
+	},
+	{
+		inputs: [],
+		name: "decimals",
+		outputs: [{internalType: "uint8", name: "", type: "uint8"}],
+		stateMutability: "view",
+		type: "function",
+	},
+];
+
+/**
+ * Lists the tokens known to the distributor: ETH (zero address), the payment token,
+ * the registered tokens, and the extra tokens specified; duplicates are removed
+ *
+ * @param distributor ProtocolFeeDistributorV1 web3 contract instance
+ * @param extra_tokens additional token addresses to include, optional
+ * @return array of token addresses, ETH first
+ */
+async function get_known_tokens(distributor, extra_tokens = []) {
+	const tokens = [
+		ZERO_ADDRESS,
+		await distributor.methods.getPaymentToken().call(),
+		...await distributor.methods.getKnownTokens().call(),
+		...extra_tokens,
+	];
+	return tokens.filter((token, i) => tokens.findIndex(t => t.toLowerCase() === token.toLowerCase()) === i);
+}
+
+/**
+ * Reads the balances held by the distributor for the tokens specified
+ *
+ * @param web3 web3 instance
+ * @param distributor ProtocolFeeDistributorV1 web3 contract instance
+ * @param tokens token addresses, zero address for ETH, see get_known_tokens
+ * @return array of {token, symbol, decimals, known, balance, reserved, distributable},
+ *      `known` is false for the extra tokens which are not registered in the distributor
+ */
+async function read_balances(web3, distributor, tokens) {
+	const address = distributor.options.address;
+
+	const balances = [];
+	for(const token of tokens) {
+		const eth = token === ZERO_ADDRESS;
+		const erc20 = eth? undefined: new web3.eth.Contract(ERC20_ABI, token);
+		const distributable = await distributor.methods.getDistributableBalance(token).call();
+		const reserved = await distributor.methods.getReserved(token).call();
+		balances.push({
+			token,
+			symbol: eth? "ETH": await erc20.methods.symbol().call().catch(() => "?"),
+			decimals: eth? 18: parseInt(await erc20.methods.decimals().call().catch(() => 18)),
+			known: eth || await distributor.methods.isKnown(token).call(),
+			balance: (BigInt(distributable) + BigInt(reserved)).toString(),
+			reserved: reserved.toString(),
+			distributable: distributable.toString(),
+		});
+	}
+	return balances;
+}
+
+// export public module API
+module.exports = {
+	ZERO_ADDRESS,
+	get_known_tokens,
+	read_balances,
+};
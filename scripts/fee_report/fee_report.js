@@ -0,0 +1,416 @@
+/**
+ * Fee accounting report across all the curves deployed by the SharesFactory
+ *
+ * Discovers the shares contracts (curves) registered in the SharesFactory via the SharesContractRegistered event,
+ * pulls their Trade events in the block range requested, and sums up the protocol, holders, and subject fees
+ *      - per curve,
+ *      - per issuer (the issuer reported in the Trade event),
+ *      - in total, separately for ETH and ERC20 curves (fees are paid in different currencies)
+ *
+ * Sums up the fees escrowed by the ETH curves (FeeEscrowed event): the protocol and subject fees which
+ * failed to be sent in a non-blocking way, and the escrowed fees withdrawn (PendingFeesWithdrawn event)
+ *
+ * Reconciles the ETH protocol fees reported in the Trade events against the ETHReceived events emitted by
+ * the ProtocolFeeDistributorV1, per curve, taking into account the fees escrowed for the distributor and released
+ * to it; the mismatch means the curve sends its protocol fees somewhere else, or some of the fees were dropped
+ *
+ * Flags the fees dropped by the ETH curves deployed before the fee escrow was introduced: `__processProtocolFee`
+ * and `__processSubjectFee` used non-blocking sends and reported zero fee in the Trade event if the send failed,
+ * the fee was then left with the trader; the dropped fee is the fee expected according to the curve fee percent
+ * at the trade block, but reported as zero (ERC20 curves fail the trade if the fee transfer fails,
+ * they never drop the fees)
+ *
+ * All the amounts in the report are decimal strings (wei or ERC20 payment token units)
+ */
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+
+// event ABIs
+const {
+	TRADE_EVENT_ABI,
+	SHARES_CONTRACT_REGISTERED_EVENT_ABI,
+} = require("../trade_indexer/trade_indexer");
+
+// ETHReceived(address indexed from, uint256 amount)
+const ETH_RECEIVED_EVENT_ABI = {
+	anonymous: false,
+	inputs: [
+		{indexed: true, internalType: "address", name: "from", type: "address"},
+		{indexed: false, internalType: "uint256", name: "amount", type: "uint256"},
+	],
+	name: "ETHReceived",
+	type: "event",
+};
+
+// ETHShares.FeeEscrowed(address indexed recipient, uint256 amount, uint256 pendingFees)
+const FEE_ESCROWED_EVENT_ABI = {
+	anonymous: false,
+	inputs: [
+		{indexed: true, internalType: "address", name: "recipient", type: "address"},
+		{indexed: false, internalType: "uint256", name: "amount", type: "uint256"},
+		{indexed: false, internalType: "uint256", name: "pendingFees", type: "uint256"},
+	],
+	name: "FeeEscrowed",
+	type: "event",
+};
+
+// ETHShares.PendingFeesWithdrawn(address indexed recipient, uint256 amount)
+const PENDING_FEES_WITHDRAWN_EVENT_ABI = {
+	anonymous: false,
+	inputs: [
+		{indexed: true, internalType: "address", name: "recipient", type: "address"},
+		{indexed: false, internalType: "uint256", name: "amount", type: "uint256"},
+	],
+	name: "PendingFeesWithdrawn",
+	type: "event",
+};
+
+// TradeableShares.getProtocolFeeInfo() and getSubjectFeeInfo()
+const FEE_INFO_ABI = ["getProtocolFeeInfo", "getSubjectFeeInfo"].map(name => ({
+	inputs: [],
+	name,
+	outputs: [
+		{internalType: "address", name: "feeDestination", type: "address"},
+		{internalType: "uint256", name: "feePercent", type: "uint256"},
+	],
+	stateMutability: "view",
+	type: "function",
+}));
+
+// SharesFactory.ImplementationType.ETH
+const ETH_IMPLEMENTATION_TYPE = 0;
+
+// CSV columns, see to_csv
+const CSV_COLUMNS = [
+	"curve",
+	"currency",
+	"issuer",
+	"trades",
+	"volume",
+	"protocol_fee",
+	"holders_fee",
+	"subject_fee",
+	"dropped_protocol_fee",
+	"dropped_subject_fee",
+	"escrowed_fee",
+	"withdrawn_fee",
+	"distributor_received",
+	"distributor_escrowed",
+	"distributor_released",
+	"protocol_fee_mismatch",
+];
+
+/**
+ * Finds the first block having the timestamp greater or equal to the timestamp specified
+ *
+ * @param web3 web3 instance connected to the network
+ * @param timestamp unix timestamp, seconds
+ * @return block number, or the latest block number + 1 if all the blocks are older
+ */
+async function find_block_by_timestamp(web3, timestamp) {
+	let lo = 0, hi = await web3.eth.getBlockNumber() + 1;
+	while(lo < hi) {
+		const mid = Math.floor((lo + hi) / 2);
+		if(parseInt((await web3.eth.getBlock(mid)).timestamp) < timestamp) {
+			lo = mid + 1;
+		}
+		else {
+			hi = mid;
+		}
+	}
+	return lo;
+}
+
+/**
+ * Resolves the block range to report on: either the block numbers, or the time range
+ *      (from_time inclusive, to_time exclusive) are used
+ *
+ * @param web3 web3 instance connected to the network
+ * @param from_block first block, optional, defaults to zero
+ * @param to_block last block, optional, defaults to the latest block
+ * @param from_time range start, unix timestamp (seconds), or a date string, optional
+ * @param to_time range end (exclusive), unix timestamp (seconds), or a date string, optional
+ * @return {from_block, to_block}
+ */
+async function resolve_block_range({web3, from_block, to_block, from_time, to_time}) {
+	// converts the date string or unix timestamp into unix timestamp
+	const parse_time = (time) => /^\d+$/.test(time)? parseInt(time): Math.floor(Date.parse(time) / 1000);
+
+	if(from_time !== undefined) {
+		assert(from_block === undefined, "either from_block or from_time can be set, not both");
+		const timestamp = parse_time(from_time);
+		assert(!isNaN(timestamp), `malformed from_time ${from_time}`);
+		from_block = await find_block_by_timestamp(web3, timestamp);
+	}
+	if(to_time !== undefined) {
+		assert(to_block === undefined || to_block === "latest", "either to_block or to_time can be set, not both");
+		const timestamp = parse_time(to_time);
+		assert(!isNaN(timestamp), `malformed to_time ${to_time}`);
+		to_block = await find_block_by_timestamp(web3, timestamp) - 1;
+	}
+	if(to_block === undefined || to_block === "latest") {
+		to_block = await web3.eth.getBlockNumber();
+	}
+
+	from_block = parseInt(from_block || 0);
+	to_block = parseInt(to_block);
+	assert(from_block <= to_block, `empty block range [${from_block}, ${to_block}]`);
+	return {from_block, to_block};
+}
+
+/**
+ * Pulls the event logs in the [from_block, to_block] range in batches
+ *
+ * @param web3 web3 instance connected to the network
+ * @param address contract address or array of addresses
+ * @param event_abi event ABI
+ * @param from_block first block
+ * @param to_block last block
+ * @param batch_size max number of blocks to query logs for at once
+ * @return array of {event, log}, where `event` is the decoded event and `log` is the raw log
+ */
+async function get_events(web3, address, event_abi, from_block, to_block, batch_size) {
+	const events = [];
+	for(let batch_from = from_block; batch_from <= to_block; batch_from += batch_size) {
+		const logs = await web3.eth.getPastLogs({
+			fromBlock: batch_from,
+			toBlock: Math.min(batch_from + batch_size - 1, to_block),
+			address,
+			topics: [web3.eth.abi.encodeEventSignature(event_abi)],
+		});
+		for(const log of logs) {
+			events.push({event: web3.eth.abi.decodeLog(event_abi.inputs, log.data, log.topics.slice(1)), log});
+		}
+	}
+	return events.sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.logIndex - b.log.logIndex);
+}
+
+// adds the amount (decimal string or BigInt) to the decimal string value
+function add(value, amount) {
+	return (BigInt(value) + BigInt(amount)).toString();
+}
+
+// creates zero fee totals entry
+function create_totals() {
+	return {
+		trades: 0,
+		volume: "0",
+		protocol_fee: "0",
+		holders_fee: "0",
+		subject_fee: "0",
+		dropped_protocol_fee: "0",
+		dropped_subject_fee: "0",
+	};
+}
+
+// adds the trade fees into the totals entry
+function apply_trade(totals, trade) {
+	totals.trades++;
+	totals.volume = add(totals.volume, trade.paidAmount);
+	totals.protocol_fee = add(totals.protocol_fee, trade.protocolFeeAmount);
+	totals.holders_fee = add(totals.holders_fee, trade.holdersFeeAmount);
+	totals.subject_fee = add(totals.subject_fee, trade.subjectFeeAmount);
+}
+
+/**
+ * Builds the fee accounting report
+ *
+ * @param web3 web3 instance connected to the network
+ * @param factory_address SharesFactory address
+ * @param distributor_address ProtocolFeeDistributorV1 address to reconcile the ETH protocol fees against, optional
+ * @param from_block first block of the report range
+ * @param to_block last block of the report range
+ * @param registry_from_block first block to discover the curves from, optional, defaults to zero;
+ *      the SharesFactory deployment block is the best value
+ * @param batch_size max number of blocks to query logs for at once, optional, defaults to 2,000
+ * @param log logger function, optional, defaults to console.log
+ * @return report object: {chain_id, factory, distributor, from_block, to_block, totals, curves, issuers, dropped},
+ *      `totals` maps the currency ("ETH", "ERC20") into the fee totals, `curves` and `issuers` map
+ *      the address into the fee totals, `dropped` lists the trades which dropped the fees
+ */
+async function build_fee_report({
+	web3,
+	factory_address,
+	distributor_address,
+	from_block,
+	to_block,
+	registry_from_block = 0,
+	batch_size = 2_000,
+	log = console.log,
+}) {
+	assert(web3, "web3 instance is required");
+	assert(web3.utils.isAddress(factory_address), `malformed factory address ${factory_address}`);
+	assert(!distributor_address || web3.utils.isAddress(distributor_address), `malformed distributor address ${distributor_address}`);
+	batch_size = parseInt(batch_size);
+	assert(batch_size > 0, `malformed batch size ${batch_size}`);
+
+	const report = {
+		chain_id: parseInt(await web3.eth.getChainId()),
+		factory: factory_address,
+		distributor: distributor_address,
+		from_block,
+		to_block,
+		totals: {},
+		curves: {},
+		issuers: {},
+		dropped: [],
+	};
+
+	// discover all the curves registered up to the end of the range: the curves registered
+	// before the range starts can also be traded within the range
+	const registrations = await get_events(
+		web3, factory_address, SHARES_CONTRACT_REGISTERED_EVENT_ABI, parseInt(registry_from_block), to_block, batch_size
+	);
+	for(const {event} of registrations) {
+		const address = web3.utils.toChecksumAddress(event.implementationContract);
+		const currency = parseInt(event.implementationType) === ETH_IMPLEMENTATION_TYPE? "ETH": "ERC20";
+		report.curves[address] = report.curves[address] || {
+			address,
+			currency,
+			issuers: [],
+			...create_totals(),
+			// only the ETH curves escrow the fees
+			...(currency === "ETH"? {escrowed_fee: "0", withdrawn_fee: "0"}: {}),
+			// only the ETH protocol fees are reconciled against the distributor
+			...(distributor_address && currency === "ETH"? {
+				distributor_received: "0",
+				distributor_escrowed: "0",
+				distributor_released: "0",
+			}: {}),
+		};
+	}
+	log("%o curve(s) registered in the factory %o", registrations.length, factory_address);
+
+	// pull and apply the Trade events of all the curves
+	const curve_addresses = Object.keys(report.curves);
+	const trades = !curve_addresses.length? []: await get_events(web3, curve_addresses, TRADE_EVENT_ABI, from_block, to_block, batch_size);
+	for(const {event: trade, log: trade_log} of trades) {
+		const curve = report.curves[web3.utils.toChecksumAddress(trade_log.address)];
+		const issuer = web3.utils.toChecksumAddress(trade.issuer);
+		if(!curve.issuers.includes(issuer)) {
+			curve.issuers.push(issuer);
+		}
+		report.totals[curve.currency] = report.totals[curve.currency] || create_totals();
+		report.issuers[issuer] = report.issuers[issuer] || {};
+		report.issuers[issuer][curve.currency] = report.issuers[issuer][curve.currency] || create_totals();
+		const entries = [curve, report.totals[curve.currency], report.issuers[issuer][curve.currency]];
+		entries.forEach(entry => apply_trade(entry, trade));
+
+		// ETH curves drop the fees silently: zero fee is reported if the fee send failed
+		if(curve.currency !== "ETH" || BigInt(trade.paidAmount) === 0n) {
+			continue;
+		}
+		for(const [fee, amount, method] of [
+			["protocol", trade.protocolFeeAmount, "getProtocolFeeInfo"],
+			["subject", trade.subjectFeeAmount, "getSubjectFeeInfo"],
+		]) {
+			if(BigInt(amount) !== 0n) {
+				continue;
+			}
+			// read the fee info at the trade block; if the node doesn't keep the historical state
+			// fall back to the latest fee info and mark the entry as approximate
+			const shares = new web3.eth.Contract(FEE_INFO_ABI, curve.address);
+			let fee_info, approximate = false;
+			try {
+				fee_info = await shares.methods[method]().call({}, trade_log.blockNumber);
+			}
+			catch(e) {
+				fee_info = await shares.methods[method]().call();
+				approximate = true;
+			}
+			const {feeDestination, feePercent} = fee_info;
+			const expected = BigInt(trade.paidAmount) * BigInt(feePercent) / 10n ** 18n;
+			if(expected === 0n) {
+				continue;
+			}
+			entries.forEach(entry => entry[`dropped_${fee}_fee`] = add(entry[`dropped_${fee}_fee`], expected));
+			report.dropped.push({
+				curve: curve.address,
+				issuer,
+				fee,
+				amount: expected.toString(),
+				destination: feeDestination,
+				block: trade_log.blockNumber,
+				tx: trade_log.transactionHash,
+				approximate,
+			});
+		}
+	}
+	log("%o trade(s) processed, %o dropped fee(s) found", trades.length, report.dropped.length);
+
+	// pull and apply the escrow events of the ETH curves
+	const eth_curve_addresses = Object.values(report.curves).filter(({currency}) => currency === "ETH").map(({address}) => address);
+	for(const [event_abi, field, distributor_field] of [
+		[FEE_ESCROWED_EVENT_ABI, "escrowed_fee", "distributor_escrowed"],
+		[PENDING_FEES_WITHDRAWN_EVENT_ABI, "withdrawn_fee", "distributor_released"],
+	]) {
+		const events = !eth_curve_addresses.length? []: await get_events(web3, eth_curve_addresses, event_abi, from_block, to_block, batch_size);
+		for(const {event, log: event_log} of events) {
+			const curve = report.curves[web3.utils.toChecksumAddress(event_log.address)];
+			curve[field] = add(curve[field], event.amount);
+			if(distributor_address && web3.utils.toChecksumAddress(event.recipient) === web3.utils.toChecksumAddress(distributor_address)) {
+				curve[distributor_field] = add(curve[distributor_field], event.amount);
+			}
+		}
+		log("%o %s event(s) processed", events.length, event_abi.name);
+	}
+
+	// reconcile the ETH protocol fees against the ETHReceived events on the distributor
+	if(distributor_address) {
+		report.distributor_received = {curves: "0", other: "0"};
+		const payments = await get_events(web3, distributor_address, ETH_RECEIVED_EVENT_ABI, from_block, to_block, batch_size);
+		for(const {event: payment} of payments) {
+			const curve = report.curves[web3.utils.toChecksumAddress(payment.from)];
+			if(curve && curve.currency === "ETH") {
+				curve.distributor_received = add(curve.distributor_received, payment.amount);
+				report.distributor_received.curves = add(report.distributor_received.curves, payment.amount);
+			}
+			else {
+				report.distributor_received.other = add(report.distributor_received.other, payment.amount);
+			}
+		}
+		// the protocol fee reported in the Trade event is either received by the distributor, or escrowed for it;
+		// the escrowed fee released to the distributor is received by the distributor as well
+		for(const curve of Object.values(report.curves).filter(({currency}) => currency === "ETH")) {
+			curve.protocol_fee_mismatch = (
+				BigInt(curve.protocol_fee)
+				- BigInt(curve.distributor_received)
+				- BigInt(curve.distributor_escrowed)
+				+ BigInt(curve.distributor_released)
+			).toString();
+		}
+		log("%o ETHReceived event(s) processed", payments.length);
+	}
+
+	return report;
+}
+
+/**
+ * Converts the report into CSV: one line per curve, and one total line per currency
+ *
+ * @param report report object, see build_fee_report
+ * @return CSV string with the header line
+ */
+function to_csv(report) {
+	const lines = [CSV_COLUMNS.join(",")];
+	for(const curve of Object.values(report.curves)) {
+		lines.push(CSV_COLUMNS.map(column => column === "curve"? curve.address: column === "issuer"? curve.issuers.join(" "): curve[column] ?? "").join(","));
+	}
+	for(const [currency, totals] of Object.entries(report.totals)) {
+		lines.push(CSV_COLUMNS.map(column => column === "curve"? "TOTAL": column === "currency"? currency: totals[column] ?? "").join(","));
+	}
+	return lines.join("\n") + "\n";
+}
+
+// export public module API
+module.exports = {
+	ETH_RECEIVED_EVENT_ABI,
+	FEE_ESCROWED_EVENT_ABI,
+	PENDING_FEES_WITHDRAWN_EVENT_ABI,
+	CSV_COLUMNS,
+	find_block_by_timestamp,
+	resolve_block_range,
+	build_fee_report,
+	to_csv,
+};
@@ -0,0 +1,135 @@
+// RBAC features and roles decoder: maps the bits of the `features()` and `getRole()` masks
+// to the names of the FEATURE_*/ROLE_* public constants declared in the contract itself
+
+// Constant names are read from the contract ABI (public constants are exposed as view functions),
+// constant values are read from the contract deployed (works for proxies as well)
+
+// Bitmask representing all the possible permissions (super admin role)
+const FULL_PRIVILEGES_MASK = (1n << 256n) - 1n;
+
+/**
+ * Extracts the names of the FEATURE_* and ROLE_* public constants from the contract ABI
+ *
+ * @param abi contract ABI
+ * @return {features, roles}, arrays of the constant names
+ */
+function get_acl_constant_names(abi) {
+	const names = abi
+		.filter(entry => entry.type === "function")
+		.filter(entry => entry.stateMutability === "view" || entry.stateMutability === "pure")
+		.filter(entry => !entry.inputs.length && entry.outputs.length === 1 && /^uint\d*$/.test(entry.outputs[0].type))
+		.map(entry => entry.name);
+
+	return {
+		features: names.filter(name => name.startsWith("FEATURE_")),
+		roles: names.filter(name => name.startsWith("ROLE_")),
+	};
+}
+
+/**
+ * Reads the values of the FEATURE_* and ROLE_* public constants from the contract
+ *
+ * @param web3 web3 instance connected to the network
+ * @param abi contract ABI, used to determine the constant names
+ * @param address contract address to read the constant values from
+ * @return {features, roles}, arrays of {name, value} sorted by value, where value is a BigInt
+ */
+async function read_acl_constants(web3, abi, address) {
+	const contract = new web3.eth.Contract(abi, address);
+	const {features, roles} = get_acl_constant_names(abi);
+
+	async function read_values(names) {
+		const constants = [];
+		for(const name of names) {
+			constants.push({name, value: BigInt(await contract.methods[name]().call())});
+		}
+		return constants.sort((a, b) => a.value < b.value? -1: a.value > b.value? 1: 0);
+	}
+
+	return {
+		features: await read_values(features),
+		roles: await read_values(roles),
+	};
+}
+
+/**
+ * Decodes the features or role mask into the list of the constant names
+ *
+ * @dev The constant is considered set if all its bits are set in the mask;
+ *      the bits not covered by any of the constants set are returned as `unknown`
+ *
+ * @param mask features or role mask to decode, BigInt or numeric string
+ * @param constants array of {name, value} to decode the mask with
+ * @return {mask, names, unknown}, where mask and unknown are BigInts, names – array of the constant names set
+ */
+function decode_mask(mask, constants) {
+	mask = BigInt(mask);
+
+	const names = [];
+	let known = 0n;
+	for(const {name, value} of constants) {
+		if(value && (mask & value) === value) {
+			names.push(name);
+			known |= value;
+		}
+	}
+
+	return {mask, names, unknown: mask & (FULL_PRIVILEGES_MASK ^ known)};
+}
+
+/**
+ * Formats the decoded mask as a human-readable string,
+ *      for example "0x10003 (FEATURE_A | FEATURE_B | ROLE_C)"
+ *
+ * @param decoded decoded mask, as returned by `decode_mask`
+ * @return human-readable string
+ */
+function format_decoded_mask({mask, names, unknown}) {
+	if(mask === FULL_PRIVILEGES_MASK) {
+		return "0x" + mask.toString(16) + " (FULL_PRIVILEGES_MASK)";
+	}
+	const parts = [...names];
+	if(unknown) {
+		parts.push("0x" + unknown.toString(16));
+	}
+	return "0x" + mask.toString(16) + (parts.length? " (" + parts.join(" | ") + ")": "");
+}
+
+/**
+ * Reads the features and the roles of the accounts specified and decodes them
+ *
+ * @param web3 web3 instance connected to the network
+ * @param abi contract ABI
+ * @param address contract address
+ * @param accounts array of the account addresses to read the roles for, optional
+ * @return {features, roles}, where features is decoded features mask, and roles is
+ *      an object mapping the account address to its decoded role
+ */
+async function decode_acl(web3, abi, address, accounts = []) {
+	const contract = new web3.eth.Contract(abi, address);
+	const constants = await read_acl_constants(web3, abi, address);
+
+	// UpgradeableAccessControl exposes `getRole`, legacy AccessControl – `userRoles`
+	const functions = abi.filter(entry => entry.type === "function").map(entry => entry.name);
+	const role_getter = ["getRole", "userRoles"].find(name => functions.includes(name));
+
+	// features are the role of the contract itself; the role of an account may contain
+	// the feature bits as well – these are the features the account can enable/disable
+	const features = decode_mask(await contract.methods.features().call(), constants.features);
+	const roles = {};
+	for(const account of accounts) {
+		const role = await contract.methods[role_getter](account).call();
+		roles[account] = decode_mask(role, [...constants.features, ...constants.roles]);
+	}
+
+	return {features, roles};
+}
+
+// export public module API
+module.exports = {
+	get_acl_constant_names,
+	read_acl_constants,
+	decode_mask,
+	format_decoded_mask,
+	decode_acl,
+};
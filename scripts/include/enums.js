@@ -0,0 +1,15 @@
+// Solidity enums used by the deployment scripts and tasks, values are the enum member indexes
+
+// see: https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/09eeb9a0bdb6ec9a881a97e16b6ddfd44d118e27/test/helpers/enums.js
+function Enum(...options) {
+	return Object.fromEntries(options.map((key, i) => [key, i]));
+}
+
+// export public module API
+module.exports = {
+	Enum,
+	// SharesFactory.ImplementationType
+	SharesImplementationType: Enum("ETH", "ERC20"),
+	// SharesFactory.CurveType
+	BondingCurveType: Enum("FRIEND_TECH", "FRIEND_TECH_DIVISOR", "LINEAR", "EXPONENTIAL_CAPPED", "SIGMOID"),
+};
@@ -0,0 +1,174 @@
+/**
+ * Epoch-aware reward diffing for the RewardSystem
+ *
+ * RewardSystem keeps the claimed rewards per storage slot (`claimedRewards[]`), the claims are cumulative
+ * within the slot: the user can claim `totalReward - claimedReward(user)` at any moment;
+ * `resetClaimedRewards()` starts a fresh slot where nothing is claimed yet
+ *
+ * Computes the next epoch reward list from
+ *      - the previous epoch list (cumulative totals in the previous Merkle tree),
+ *      - the claimed rewards read from the active storage slot (`claimedReward(index, user)`),
+ *      - the new earnings for the epoch (may be negative for the adjustments)
+ *
+ * Without the reset the next cumulative total is previous total + earnings, claimed rewards stay in place;
+ * the cumulative total cannot decrease, otherwise the users who already claimed would lose the claimed amount
+ * from their future earnings, and the users who didn't would lose their unclaimed rewards
+ *
+ * With the reset (next root is published after `resetClaimedRewards()`) the next cumulative total is
+ * unclaimed carry-over (previous total - claimed) + earnings, the cumulative totals decrease intentionally
+ *
+ * All the amounts are BigInt in the calculations and decimal strings in the results
+ */
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+
+/**
+ * Determines the active (last) claimedRewards storage slot index, claimedRewards.length - 1,
+ * by probing `claimedReward(index, user)` which reverts for the index out of bounds
+ *
+ * @param reward_system RewardSystem web3 contract instance
+ * @return active slot index, Number
+ */
+async function get_active_slot(reward_system) {
+	// zero address is used for probing only, any address works
+	const probe = async(index) => {
+		try {
+			await reward_system.methods.claimedReward(index, "0x0000000000000000000000000000000000000000").call();
+			return true;
+		}
+		catch(e) {
+			return false;
+		}
+	};
+	assert(await probe(0), "claimedReward(0, user) reverted: not a RewardSystem or not initialized");
+
+	// exponential search for the upper bound, then binary search for the last valid index
+	let lo = 0, hi = 1;
+	while(await probe(hi)) {
+		lo = hi;
+		hi *= 2;
+	}
+	while(hi - lo > 1) {
+		const mid = Math.floor((lo + hi) / 2);
+		if(await probe(mid)) {
+			lo = mid;
+		}
+		else {
+			hi = mid;
+		}
+	}
+	return lo;
+}
+
+/**
+ * Reads the claimed rewards for the addresses specified from the storage slot specified
+ *
+ * @param reward_system RewardSystem web3 contract instance
+ * @param addresses addresses to read the claimed rewards for
+ * @param index storage slot index, optional, defaults to the active slot
+ * @return {index, claimed}, where `claimed` maps the address into its claimed reward (decimal string)
+ */
+async function read_claimed_rewards(reward_system, addresses, index) {
+	if(index === undefined || index === null) {
+		index = await get_active_slot(reward_system);
+	}
+
+	const claimed = {};
+	for(const address of addresses) {
+		claimed[address] = (await reward_system.methods.claimedReward(index, address).call()).toString();
+	}
+	return {index, claimed};
+}
+
+/**
+ * Computes the next epoch reward list and the diff report
+ *
+ * @param previous previous epoch list, array of {to, totalReward}
+ * @param earnings new earnings for the epoch, array of {to, totalReward}, amounts may be negative
+ * @param claimed claimed rewards in the active slot, maps the address into its claimed reward;
+ *      addresses which are not present are treated as not claimed
+ * @param reset true if the next root is published after `resetClaimedRewards()`
+ * @return {rewards, report, total, claimable}, where `rewards` is the next epoch list (array of {to, totalReward}),
+ *      `report` is an array of {to, previous, claimed, earned, next, claimable} per user,
+ *      `total` is the sum of all the next epoch cumulative totals, and `claimable` is the sum of all the rewards
+ *      which can be newly claimed after the next root is published
+ */
+function compute_next_epoch({previous, earnings, claimed = {}, reset = false}) {
+	// the claimed rewards are tracked per address, multi-token lists are not supported
+	assert(![...previous, ...earnings].some(({token}) => token !== undefined), "multi-token reward lists are not supported");
+
+	// index everything by the lowercase address
+	const users = {};
+	const get_user = (to) => users[to.toLowerCase()] = users[to.toLowerCase()] || {
+		to,
+		previous: 0n,
+		claimed: 0n,
+		earned: 0n,
+	};
+	for(const {to, totalReward} of previous) {
+		get_user(to).previous = BigInt(totalReward);
+	}
+	for(const {to, totalReward} of earnings) {
+		get_user(to).earned += BigInt(totalReward);
+	}
+	for(const [to, value] of Object.entries(claimed)) {
+		if(users[to.toLowerCase()]) {
+			users[to.toLowerCase()].claimed = BigInt(value);
+		}
+	}
+
+	const errors = [];
+	const report = Object.values(users).map(user => {
+		// claimed reward can't exceed the cumulative total it was claimed against
+		if(user.claimed > user.previous) {
+			errors.push(`${user.to}: claimed ${user.claimed} exceeds the previous total ${user.previous}`);
+		}
+
+		// after the reset the unclaimed rewards are carried over into the fresh slot
+		const base = reset? user.previous - user.claimed: user.previous;
+		const next = base + user.earned;
+		const claimed_in_slot = reset? 0n: user.claimed;
+
+		if(next < 0n) {
+			errors.push(`${user.to}: next total ${next} is negative`);
+		}
+		// without the reset the cumulative total can't decrease
+		else if(!reset && next < user.previous) {
+			errors.push(`${user.to}: cumulative total decreases from ${user.previous} to ${next}, use the reset if intended`);
+		}
+		// the user who already claimed more than the next total can't claim anything anymore
+		else if(next < claimed_in_slot) {
+			errors.push(`${user.to}: next total ${next} is less than already claimed ${claimed_in_slot}`);
+		}
+
+		return {
+			to: user.to,
+			previous: user.previous,
+			claimed: user.claimed,
+			earned: user.earned,
+			next,
+			claimable: next > claimed_in_slot? next - claimed_in_slot: 0n,
+		};
+	});
+	assert(!errors.length, "next epoch reward list is inconsistent:\n\t" + errors.join("\n\t"));
+
+	// users with zero totals are not included into the next epoch list
+	const rewards = report.filter(({next}) => next > 0n).map(({to, next}) => ({to, totalReward: next.toString()}));
+	const total = report.reduce((sum, {next}) => sum + next, 0n);
+	const claimable = report.reduce((sum, {claimable}) => sum + claimable, 0n);
+
+	return {
+		rewards,
+		report: report.map(entry => Object.fromEntries(Object.entries(entry).map(([k, v]) => [k, v.toString()]))),
+		total: total.toString(),
+		claimable: claimable.toString(),
+	};
+}
+
+// export public module API
+module.exports = {
+	get_active_slot,
+	read_claimed_rewards,
+	compute_next_epoch,
+};
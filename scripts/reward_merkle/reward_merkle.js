@@ -0,0 +1,334 @@
+/**
+ * Merkle reward root builder for the RewardSystem and MultiTokenRewardSystem
+ *
+ * Reads the list of cumulative rewards – (address, totalReward) pairs, or (address, token, totalReward) tuples
+ * for the MultiTokenRewardSystem – from CSV or JSON, validates the addresses and amounts,
+ * and builds the Merkle tree the reward system verifies the claims against:
+ *      - the leaf is keccak256(abi.encodePacked(to, totalReward)) for the RewardSystem,
+ *        and keccak256(abi.encodePacked(to, token, totalReward)) for the MultiTokenRewardSystem,
+ *      - the tree is built with sorted pairs, leaves are not hashed again
+ *        (MerkleTree options: {hashLeaves: false, sortPairs: true})
+ *
+ * Supported input formats:
+ *      - CSV: "address,totalReward" or "address,token,totalReward" lines, header line is optional,
+ *        "#" starts a comment line
+ *      - JSON: an array of {to|address, [token], totalReward|amount} objects, an {address: totalReward}
+ *        or {address: {token: totalReward}} mapping, or the proof file produced by the builder
+ *        ({root, total, count, claims: {address: {totalReward, proof}}} or
+ *        {root, totals, count, claims: {address: {token: {totalReward, proof}}}})
+ *
+ * The token is an ERC20 address, zero address or "ETH" stands for ETH;
+ * the list is either single-token (no tokens at all) or multi-token (every entry has a token)
+ *
+ * All the amounts are decimal integer strings (wei or ERC20 token units)
+ */
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+
+// Merkle tree related stuff
+const {MerkleTree} = require("merkletreejs");
+const keccak256 = require("keccak256");
+
+// we use ethereumjs-util to validate and checksum the addresses
+const {
+	isValidAddress,
+	isValidChecksumAddress,
+	toChecksumAddress,
+} = require("ethereumjs-util");
+
+// zero address is not a valid reward recipient
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// max uint256 value, the totalReward upper bound
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+/**
+ * Parses and validates the rewards list
+ *
+ * @param content file contents, CSV or JSON
+ * @param format "csv" or "json", optional, determined from the content if not set
+ * @param signed allow negative amounts (adjustments), optional, default is false
+ * @return array of {to, totalReward}, where `to` is a checksum address and `totalReward` is a decimal string
+ */
+function parse_rewards(content, format, signed = false) {
+	if(!format) {
+		format = /^\s*[\[{]/.test(content)? "json": "csv";
+	}
+
+	// extract the raw (address, [token], amount) tuples together with their location for the error messages
+	const records = [];
+	switch(format.toLowerCase()) {
+		case "csv": {
+			let first_line = true;
+			content.split(/\r?\n/).forEach((line, i) => {
+				line = line.trim();
+				if(!line || line.startsWith("#")) {
+					return;
+				}
+				const values = line.split(",").map(value => value.trim());
+				// skip the optional header line
+				const header = first_line && !/^0x/i.test(values[0]);
+				first_line = false;
+				if(header) {
+					return;
+				}
+				assert(
+					values.length === 2 || values.length === 3,
+					`line ${i + 1}: expected "address,totalReward" or "address,token,totalReward", got "${line}"`
+				);
+				records.push(values.length === 2?
+					{location: `line ${i + 1}`, to: values[0], totalReward: values[1]}:
+					{location: `line ${i + 1}`, to: values[0], token: values[1], totalReward: values[2]}
+				);
+			});
+			break;
+		}
+		case "json": {
+			const data = JSON.parse(content);
+			if(Array.isArray(data)) {
+				data.forEach((entry, i) => records.push({
+					location: `entry ${i}`,
+					to: entry.to || entry.address,
+					token: entry.token,
+					totalReward: entry.totalReward !== undefined? entry.totalReward: entry.amount,
+				}));
+			}
+			else if(data !== null && typeof data === "object" && data.claims) {
+				Object.entries(data.claims).forEach(([to, claim]) => claim.totalReward !== undefined?
+					records.push({location: `claim ${to}`, to, totalReward: claim.totalReward}):
+					Object.entries(claim).forEach(([token, {totalReward}]) => records.push({location: `claim ${to}/${token}`, to, token, totalReward}))
+				);
+			}
+			else {
+				assert(data !== null && typeof data === "object", "JSON input must be an array or an object");
+				Object.entries(data).forEach(([to, value]) => value !== null && typeof value === "object"?
+					Object.entries(value).forEach(([token, totalReward]) => records.push({location: `key ${to}/${token}`, to, token, totalReward})):
+					records.push({location: `key ${to}`, to, totalReward: value})
+				);
+			}
+			break;
+		}
+		default: {
+			throw new Error("unsupported format " + format);
+		}
+	}
+
+	// the list is either single-token or multi-token, mixing is not allowed
+	const multi_token = records.some(({token}) => token !== undefined);
+	records.forEach(({location, token}) => assert(
+		multi_token === (token !== undefined),
+		`${location}: ${multi_token? "token is missing": "unexpected token"}, single-token and multi-token entries cannot be mixed`
+	));
+
+	// validate the addresses, tokens, and amounts, check for duplicates
+	const seen = {};
+	const rewards = records.map(({location, to, token, totalReward}) => {
+		to = parse_address(to, location);
+		assert(to !== ZERO_ADDRESS, `${location}: zero address`);
+		if(multi_token) {
+			token = /^eth$/i.test(token)? ZERO_ADDRESS: parse_address(token, location);
+		}
+		const key = multi_token? `${to}/${token}`: to;
+		assert(!seen[key], `${location}: duplicate ${multi_token? "address/token": "address"} ${key}, first seen at ${seen[key]}`);
+		seen[key] = location;
+
+		totalReward = totalReward === undefined || totalReward === null? "": totalReward.toString().trim();
+		assert(
+			(signed? /^-?\d+$/: /^\d+$/).test(totalReward),
+			`${location}: invalid totalReward "${totalReward}", ${signed? "": "non-negative "}decimal integer expected`
+		);
+		assert(BigInt(totalReward) <= MAX_UINT256 && -BigInt(totalReward) <= MAX_UINT256, `${location}: totalReward ${totalReward} overflows uint256`);
+		return multi_token? {to, token, totalReward: BigInt(totalReward).toString()}: {to, totalReward: BigInt(totalReward).toString()};
+	});
+	assert(rewards.length, "rewards list is empty");
+
+	return rewards;
+}
+
+/**
+ * Validates the address (including its checksum if it is mixed case) and converts it into the checksum address
+ *
+ * @param address address to validate
+ * @param location location of the address in the input, used in the error messages
+ * @return checksum address
+ */
+function parse_address(address, location) {
+	assert(typeof address === "string" && isValidAddress(address), `${location}: invalid address ${address}`);
+	assert(
+		address === address.toLowerCase() || address.substring(2) === address.substring(2).toUpperCase() || isValidChecksumAddress(address),
+		`${location}: invalid address checksum ${address}`
+	);
+	return toChecksumAddress(address);
+}
+
+/**
+ * Calculates keccak256(abi.encodePacked(to, totalReward)) – the Merkle leaf for the (to, totalReward) pair,
+ * or keccak256(abi.encodePacked(to, token, totalReward)) – the Merkle leaf for the (to, token, totalReward) tuple
+ * if the token is set
+ *
+ * @param to reward recipient address
+ * @param token reward token address, zero address for ETH, optional (single-token RewardSystem)
+ * @param totalReward cumulative reward amount
+ * @return {Buffer} Merkle leaf
+ */
+function reward_to_leaf({to, token, totalReward}) {
+	return keccak256(Buffer.concat([
+		Buffer.from(to.substring(2), "hex"),
+		...(token === undefined? []: [Buffer.from(token.substring(2), "hex")]),
+		Buffer.from(BigInt(totalReward).toString(16).padStart(64, "0"), "hex"),
+	]));
+}
+
+/**
+ * Builds the Merkle tree for the rewards list
+ *
+ * @param rewards array of {to, totalReward} or {to, token, totalReward}, see parse_rewards
+ * @return {root, total, tree, claims} for the single-token list, where `total` is the sum of all the rewards
+ *      (decimal string), and `claims` maps the address into its {totalReward, leaf, proof};
+ *      {root, totals, tree, claims} for the multi-token list, where `totals` maps the token into the sum
+ *      of all its rewards, and `claims` maps the address into the token into its {totalReward, leaf, proof}
+ */
+function build_reward_tree(rewards) {
+	const leaves = rewards.map(reward => reward_to_leaf(reward));
+	const tree = new MerkleTree(leaves, keccak256, {hashLeaves: false, sortPairs: true});
+	const root = tree.getHexRoot();
+
+	const claims = {};
+	const totals = {};
+	rewards.forEach(({to, token, totalReward}, i) => {
+		const claim = {
+			totalReward,
+			leaf: "0x" + leaves[i].toString("hex"),
+			proof: tree.getHexProof(leaves[i]),
+		};
+		if(token === undefined) {
+			claims[to] = claim;
+		}
+		else {
+			claims[to] = claims[to] || {};
+			claims[to][token] = claim;
+			totals[token] = (BigInt(totals[token] || 0) + BigInt(totalReward)).toString();
+		}
+	});
+	if(rewards.length && rewards[0].token !== undefined) {
+		return {root, totals, tree, claims};
+	}
+	const total = rewards.reduce((sum, {totalReward}) => sum + BigInt(totalReward), 0n).toString();
+
+	return {root, total, tree, claims};
+}
+
+/**
+ * Builds the proof file contents: the root, the total (totals), and the per-address proofs
+ *
+ * @param root Merkle root
+ * @param total sum of all the rewards, single-token list
+ * @param totals per-token sums of all the rewards, multi-token list
+ * @param claims per-address (per-address per-token) claims, see build_reward_tree
+ * @return proof file object, ready to be JSON serialized
+ */
+function to_proof_file({root, total, totals, claims}) {
+	// strips the leaf from the claim
+	const strip = ({totalReward, proof}) => ({totalReward, proof});
+	const multi_token = total === undefined;
+	return {
+		root,
+		...(multi_token? {totals}: {total}),
+		count: multi_token? Object.values(claims).reduce((count, tokens) => count + Object.keys(tokens).length, 0): Object.keys(claims).length,
+		claims: Object.fromEntries(Object.entries(claims).map(([to, claim]) => [to, multi_token?
+			Object.fromEntries(Object.entries(claim).map(([token, token_claim]) => [token, strip(token_claim)])):
+			strip(claim)
+		])),
+	};
+}
+
+/**
+ * Verifies the RewardSystem contract can pay out the rewards tree total:
+ * the total must not exceed the contract balance (ETH or ERC20 reward token) minus `totalClaimedReward`
+ *
+ * @param web3 web3 instance
+ * @param reward_system RewardSystem web3 contract instance
+ * @param total sum of all the rewards in the tree
+ * @return {reward_token, balance, total_claimed, available, total, funded}, amounts are decimal strings,
+ *      `reward_token` is undefined for the ETH reward system
+ */
+async function check_funding(web3, reward_system, total) {
+	const address = reward_system.options.address;
+	const eth_mode = await reward_system.methods.rewardSystemType().call();
+
+	const reward_token = eth_mode? undefined: await reward_system.methods.erc20RewardToken().call();
+	const balance = await balance_of(web3, reward_token, address);
+	const total_claimed = await reward_system.methods.totalClaimedReward().call();
+
+	return funding_status(reward_token, balance, total_claimed, total);
+}
+
+/**
+ * Verifies the MultiTokenRewardSystem contract can pay out the rewards tree totals, for every token:
+ * the token total must not exceed the contract token balance minus `totalClaimedReward(token)`
+ *
+ * @param web3 web3 instance
+ * @param reward_system MultiTokenRewardSystem web3 contract instance
+ * @param totals per-token sums of all the rewards in the tree, maps the token into its total
+ * @return array of {reward_token, balance, total_claimed, available, total, funded}, one per token,
+ *      amounts are decimal strings, `reward_token` is the zero address for ETH
+ */
+async function check_multi_token_funding(web3, reward_system, totals) {
+	const address = reward_system.options.address;
+
+	const result = [];
+	for(const [reward_token, total] of Object.entries(totals)) {
+		const balance = await balance_of(web3, reward_token === ZERO_ADDRESS? undefined: reward_token, address);
+		const total_claimed = await reward_system.methods.totalClaimedReward(reward_token).call();
+		result.push(funding_status(reward_token, balance, total_claimed, total));
+	}
+	return result;
+}
+
+/**
+ * Reads ETH or ERC20 token balance of the address
+ *
+ * @param web3 web3 instance
+ * @param reward_token ERC20 token address, undefined for ETH
+ * @param address address to read the balance for
+ * @return balance
+ */
+async function balance_of(web3, reward_token, address) {
+	if(!reward_token) {
+		return await web3.eth.getBalance(address);
+	}
+	const token = new web3.eth.Contract([{
+		inputs: [{internalType: "address", name: "account", type: "address"}],
+		name: "balanceOf",
+		outputs: [{internalType: "uint256", name: "", type: "uint256"}],
+		stateMutability: "view",
+		type: "function",
+	}], reward_token);
+	return await token.methods.balanceOf(address).call();
+}
+
+/**
+ * Builds the funding check result: available = balance - total claimed, funded = total <= available
+ */
+function funding_status(reward_token, balance, total_claimed, total) {
+	const available = BigInt(balance) - BigInt(total_claimed);
+	return {
+		reward_token,
+		balance: balance.toString(),
+		total_claimed: total_claimed.toString(),
+		available: available.toString(),
+		total: total.toString(),
+		funded: BigInt(total) <= available,
+	};
+}
+
+// export public module API
+module.exports = {
+	parse_rewards,
+	reward_to_leaf,
+	build_reward_tree,
+	to_proof_file,
+	check_funding,
+	check_multi_token_funding,
+};
@@ -0,0 +1,121 @@
+/**
+ * Shares portfolio reader
+ *
+ * Reads the holder's positions in many TradeableShares contracts (curves) via the SharesLens contract:
+ * shares balance, supply, buy/sell prices of one share, holders rewards distributor,
+ * and the pending reward in that distributor; the curves are queried in batches,
+ * one `getPortfolio` eth_call per batch
+ *
+ * The curves can be discovered from the SharesFactory via the SharesContractRegistered event
+ *
+ * All the amounts are decimal integer strings (wei or ERC20 payment token units)
+ */
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+
+// event ABIs
+const {
+	SHARES_CONTRACT_REGISTERED_EVENT_ABI,
+} = require("../trade_indexer/trade_indexer");
+
+// zero address is used for the curves without the holders rewards distributor
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Lists the shares contracts (curves) registered in the SharesFactory
+ *
+ * @param web3 web3 instance connected to the network
+ * @param factory_address SharesFactory address
+ * @param from_block first block to discover the curves from, optional, defaults to zero;
+ *      the SharesFactory deployment block is the best value
+ * @param to_block last block to discover the curves to, optional, defaults to the latest block
+ * @param batch_size max number of blocks to query logs for at once, optional, defaults to 2,000
+ * @return array of {address, distributor, impl_type}, in the registration order, without duplicates
+ */
+async function get_registered_shares(web3, factory_address, from_block = 0, to_block, batch_size = 2_000) {
+	assert(web3.utils.isAddress(factory_address), `malformed factory address ${factory_address}`);
+	from_block = parseInt(from_block);
+	to_block = to_block === undefined? await web3.eth.getBlockNumber(): parseInt(to_block);
+	batch_size = parseInt(batch_size);
+	assert(batch_size > 0, `malformed batch size ${batch_size}`);
+
+	const curves = [];
+	for(let batch_from = from_block; batch_from <= to_block; batch_from += batch_size) {
+		const logs = await web3.eth.getPastLogs({
+			fromBlock: batch_from,
+			toBlock: Math.min(batch_from + batch_size - 1, to_block),
+			address: factory_address,
+			topics: [web3.eth.abi.encodeEventSignature(SHARES_CONTRACT_REGISTERED_EVENT_ABI)],
+		});
+		for(const log of logs) {
+			const event = web3.eth.abi.decodeLog(SHARES_CONTRACT_REGISTERED_EVENT_ABI.inputs, log.data, log.topics.slice(1));
+			const address = web3.utils.toChecksumAddress(event.implementationContract);
+			if(!curves.find(curve => curve.address === address)) {
+				curves.push({
+					address,
+					distributor: web3.utils.toChecksumAddress(event.holdersRewardsDistributor),
+					impl_type: parseInt(event.implementationType),
+				});
+			}
+		}
+	}
+	return curves;
+}
+
+/**
+ * Reads the holder's positions in the shares contracts specified
+ *
+ * @param lens SharesLens web3 contract instance
+ * @param holder shares holder address
+ * @param shares array of TradeableShares contract addresses
+ * @param batch_size max number of shares contracts to query at once, optional, defaults to 100
+ * @return array of {shares, balance, supply, buy_price, buy_price_after_fee, sell_price, sell_price_after_fee,
+ *      distributor, pending_reward, pending_reward_failed}, in the same order as the shares contracts specified;
+ *      `distributor` is null if the curve has no holders rewards distributor,
+ *      `pending_reward_failed` is true (and `pending_reward` is zero) if the distributor failed to report the reward
+ */
+async function get_portfolio(lens, holder, shares, batch_size = 100) {
+	assert(lens && lens.methods, "SharesLens web3 contract instance is required");
+	assert(/^0x[0-9a-fA-F]{40}$/.test(holder), `malformed holder address ${holder}`);
+	shares.forEach(address => assert(/^0x[0-9a-fA-F]{40}$/.test(address), `malformed shares address ${address}`));
+	batch_size = parseInt(batch_size);
+	assert(batch_size > 0, `malformed batch size ${batch_size}`);
+
+	const positions = [];
+	for(let offset = 0; offset < shares.length; offset += batch_size) {
+		const batch = shares.slice(offset, offset + batch_size);
+		const result = await lens.methods.getPortfolio(holder, batch).call();
+		positions.push(...result.map(position => ({
+			shares: position.shares,
+			balance: position.balance.toString(),
+			supply: position.supply.toString(),
+			buy_price: position.buyPrice.toString(),
+			buy_price_after_fee: position.buyPriceAfterFee.toString(),
+			sell_price: position.sellPrice.toString(),
+			sell_price_after_fee: position.sellPriceAfterFee.toString(),
+			distributor: position.distributor === ZERO_ADDRESS? null: position.distributor,
+			pending_reward: position.pendingReward.toString(),
+			pending_reward_failed: position.pendingRewardFailed,
+		})));
+	}
+	return positions;
+}
+
+/**
+ * Leaves only the positions where the holder has something: non-zero shares balance,
+ *      or non-zero pending reward (the shares could have been sold already, but the reward not claimed)
+ *
+ * @param positions positions array, see get_portfolio
+ * @return filtered positions array
+ */
+function filter_held(positions) {
+	return positions.filter(position => BigInt(position.balance) > 0n || BigInt(position.pending_reward) > 0n);
+}
+
+// export public module API
+module.exports = {
+	get_registered_shares,
+	get_portfolio,
+	filter_held,
+};
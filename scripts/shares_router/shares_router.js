@@ -0,0 +1,104 @@
+/**
+ * ETH to ERC20Shares route quoting helpers
+ *
+ * ERC20Shares accept only the ERC20 payment token (ALI); the ERC20SharesRouter allows buying them
+ * paying in ETH: ETH is swapped via the DEX adapter into exactly the amount of the payment token
+ * required (shares price including all the fees), and the ETH not spent is refunded
+ *
+ * The full route quote consists of:
+ *      - shares price excluding the fees (payment token)
+ *      - shares price including all the fees (payment token), the amount swapped into
+ *      - the amount of ETH required for the swap
+ *      - the amount of ETH to send, that is the amount required plus the slippage tolerance
+ *
+ * All the amounts are decimal integer strings (wei or ERC20 payment token units)
+ */
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+
+// default slippage tolerance, in basis points: 0.5%
+const DEFAULT_SLIPPAGE_BPS = 50;
+
+/**
+ * Increases the ETH amount by the slippage tolerance, rounding up
+ *
+ * @param eth_amount amount of ETH required, decimal integer string, number, or BN/BigInt
+ * @param slippage_bps slippage tolerance, in basis points (1/100 of a percent), optional, defaults to 0.5%
+ * @return the amount of ETH to send, decimal integer string
+ */
+function apply_slippage(eth_amount, slippage_bps = DEFAULT_SLIPPAGE_BPS) {
+	slippage_bps = parseInt(slippage_bps);
+	assert(slippage_bps >= 0 && slippage_bps <= 10_000, `malformed slippage ${slippage_bps}`);
+	const amount = BigInt(eth_amount.toString(10));
+	return ((amount * BigInt(10_000 + slippage_bps) + 9_999n) / 10_000n).toString(10);
+}
+
+/**
+ * Quotes the full route to buy the ERC20Shares paying in ETH via the ERC20SharesRouter
+ *
+ * @param router ERC20SharesRouter web3 contract instance
+ * @param shares ERC20Shares web3 contract instance
+ * @param amount amount of the shares to buy
+ * @param slippage_bps slippage tolerance, in basis points (1/100 of a percent), optional, defaults to 0.5%
+ * @return {price, price_after_fee, eth_amount, value}, where `price` and `price_after_fee` are
+ *      the payment token amounts excluding and including the fees, `eth_amount` is the amount
+ *      of ETH required for the swap, and `value` is the amount of ETH to send with the transaction
+ */
+async function quote_buy_shares_with_eth(router, shares, amount, slippage_bps = DEFAULT_SLIPPAGE_BPS) {
+	assert(router && router.methods, "ERC20SharesRouter web3 contract instance is required");
+	assert(shares && shares.methods, "ERC20Shares web3 contract instance is required");
+	amount = amount.toString(10);
+	assert(/^\d+$/.test(amount) && amount !== "0", `malformed shares amount ${amount}`);
+
+	// quote is not a view function, it must be called via eth_call
+	const [price, {tokenAmount, ethAmount}] = await Promise.all([
+		shares.methods.getBuyPrice(amount).call(),
+		router.methods.quoteBuySharesWithETH(shares.options.address, amount).call(),
+	]);
+
+	return {
+		price: price.toString(),
+		price_after_fee: tokenAmount.toString(),
+		eth_amount: ethAmount.toString(),
+		value: apply_slippage(ethAmount, slippage_bps),
+	};
+}
+
+/**
+ * Quotes the route and builds the `buySharesWithETH` transaction, ready to be sent
+ *
+ * @param router ERC20SharesRouter web3 contract instance
+ * @param shares ERC20Shares web3 contract instance
+ * @param amount amount of the shares to buy
+ * @param beneficiary an address receiving the shares
+ * @param deadline transaction deadline, unix timestamp
+ * @param slippage_bps slippage tolerance, in basis points (1/100 of a percent), optional, defaults to 0.5%
+ * @return {quote, tx}, where `quote` is the route quote (see `quote_buy_shares_with_eth`),
+ *      and `tx` is {to, data, value} transaction object
+ */
+async function build_buy_shares_with_eth(router, shares, amount, beneficiary, deadline, slippage_bps = DEFAULT_SLIPPAGE_BPS) {
+	assert(/^0x[0-9a-fA-F]{40}$/.test(beneficiary), `malformed beneficiary address ${beneficiary}`);
+	deadline = parseInt(deadline);
+	assert(deadline > 0, `malformed deadline ${deadline}`);
+
+	const quote = await quote_buy_shares_with_eth(router, shares, amount, slippage_bps);
+	const data = router.methods.buySharesWithETH(shares.options.address, amount.toString(10), beneficiary, deadline).encodeABI();
+
+	return {
+		quote,
+		tx: {
+			to: router.options.address,
+			data,
+			value: quote.value,
+		},
+	};
+}
+
+// export public module API
+module.exports = {
+	DEFAULT_SLIPPAGE_BPS,
+	apply_slippage,
+	quote_buy_shares_with_eth,
+	build_buy_shares_with_eth,
+};
@@ -0,0 +1,434 @@
+/**
+ * Trade event indexer
+ *
+ * Discovers the shares contracts (curves) registered in the SharesFactory via
+ * the SharesContractRegistered event, pulls all their Trade events in block ranges,
+ * and builds a local JSON store containing for every curve:
+ *      - price candles (OHLC) for the configured time interval,
+ *      - holders balances,
+ *      - cumulative fees totals (protocol, holders, subject) and trade volume,
+ *      - fee changes history (fee overrides, holders fee disabling, subject fee split updates)
+ *
+ * The store is saved after every block range processed together with the checkpoint
+ * (last block processed), which allows to resume the indexing from where it stopped
+ *
+ * Note: the curves registered in the factory after being deployed (`registerSharesContract`)
+ * are indexed starting from the registration block, the trades which happened before are not indexed
+ *
+ * All the amounts in the store are decimal strings (wei or ALI units)
+ */
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+// we use fs to read/write the JSON store
+const fs = require("fs");
+const path = require("path");
+
+// store format version, increased on incompatible store format changes
+const STORE_VERSION = 1;
+
+// Trade(address indexed beneficiary, address indexed issuer, bool indexed isBuy, uint256 sharesAmount,
+//      uint256 paidAmount, uint256 protocolFeeAmount, uint256 holdersFeeAmount, uint256 subjectFeeAmount, uint256 supply)
+const TRADE_EVENT_ABI = {
+	anonymous: false,
+	inputs: [
+		{indexed: true, internalType: "address", name: "beneficiary", type: "address"},
+		{indexed: true, internalType: "address", name: "issuer", type: "address"},
+		{indexed: true, internalType: "bool", name: "isBuy", type: "bool"},
+		{indexed: false, internalType: "uint256", name: "sharesAmount", type: "uint256"},
+		{indexed: false, internalType: "uint256", name: "paidAmount", type: "uint256"},
+		{indexed: false, internalType: "uint256", name: "protocolFeeAmount", type: "uint256"},
+		{indexed: false, internalType: "uint256", name: "holdersFeeAmount", type: "uint256"},
+		{indexed: false, internalType: "uint256", name: "subjectFeeAmount", type: "uint256"},
+		{indexed: false, internalType: "uint256", name: "supply", type: "uint256"},
+	],
+	name: "Trade",
+	type: "event",
+};
+
+// SharesContractRegistered(address indexed creator, address indexed implementationContract,
+//      address indexed holdersRewardsDistributor, uint8 implementationType, (address,uint256) sharesSubject, bool newDeployment)
+const SHARES_CONTRACT_REGISTERED_EVENT_ABI = {
+	anonymous: false,
+	inputs: [
+		{indexed: true, internalType: "address", name: "creator", type: "address"},
+		{indexed: true, internalType: "contract TradeableShares", name: "implementationContract", type: "address"},
+		{indexed: true, internalType: "contract HoldersRewardsDistributor", name: "holdersRewardsDistributor", type: "address"},
+		{indexed: false, internalType: "enum SharesFactory.ImplementationType", name: "implementationType", type: "uint8"},
+		{
+			components: [
+				{internalType: "address", name: "tokenAddress", type: "address"},
+				{internalType: "uint256", name: "tokenId", type: "uint256"},
+			],
+			indexed: false,
+			internalType: "struct TradeableShares.SharesSubject",
+			name: "sharesSubject",
+			type: "tuple",
+		},
+		{indexed: false, internalType: "bool", name: "newDeployment", type: "bool"},
+	],
+	name: "SharesContractRegistered",
+	type: "event",
+};
+
+// fee change events emitted by the shares contracts (AbstractShares), indexed into the `fee_changes` history
+const FEE_CHANGE_EVENT_ABIS = [
+	// FeesOverridden(address indexed by, uint256 protocolFeePercent, uint256 holdersFeePercent, uint256 subjectFeePercent)
+	{
+		anonymous: false,
+		inputs: [
+			{indexed: true, internalType: "address", name: "by", type: "address"},
+			{indexed: false, internalType: "uint256", name: "protocolFeePercent", type: "uint256"},
+			{indexed: false, internalType: "uint256", name: "holdersFeePercent", type: "uint256"},
+			{indexed: false, internalType: "uint256", name: "subjectFeePercent", type: "uint256"},
+		],
+		name: "FeesOverridden",
+		type: "event",
+	},
+	// HoldersFeeDisabled(uint256 oldProtocolFeePercent, uint256 newProtocolFeePercent)
+	{
+		anonymous: false,
+		inputs: [
+			{indexed: false, internalType: "uint256", name: "oldProtocolFeePercent", type: "uint256"},
+			{indexed: false, internalType: "uint256", name: "newProtocolFeePercent", type: "uint256"},
+		],
+		name: "HoldersFeeDisabled",
+		type: "event",
+	},
+	// SubjectFeeSplitBoundsUpdated(address indexed by, uint256 minHoldersShare, uint256 maxHoldersShare)
+	{
+		anonymous: false,
+		inputs: [
+			{indexed: true, internalType: "address", name: "by", type: "address"},
+			{indexed: false, internalType: "uint256", name: "minHoldersShare", type: "uint256"},
+			{indexed: false, internalType: "uint256", name: "maxHoldersShare", type: "uint256"},
+		],
+		name: "SubjectFeeSplitBoundsUpdated",
+		type: "event",
+	},
+	// SubjectFeeSplitUpdated(address indexed by, uint256 oldHoldersShare, uint256 newHoldersShare)
+	{
+		anonymous: false,
+		inputs: [
+			{indexed: true, internalType: "address", name: "by", type: "address"},
+			{indexed: false, internalType: "uint256", name: "oldHoldersShare", type: "uint256"},
+			{indexed: false, internalType: "uint256", name: "newHoldersShare", type: "uint256"},
+		],
+		name: "SubjectFeeSplitUpdated",
+		type: "event",
+	},
+];
+
+// TradeableShares.getSharesBalance(address)
+const GET_SHARES_BALANCE_ABI = {
+	inputs: [{internalType: "address", name: "holder", type: "address"}],
+	name: "getSharesBalance",
+	outputs: [{internalType: "uint256", name: "balance", type: "uint256"}],
+	stateMutability: "view",
+	type: "function",
+};
+
+/**
+ * Creates an empty store
+ *
+ * @param chain_id chain ID the store is bound to
+ * @param factory_address SharesFactory address the store is bound to
+ * @param from_block first block to index
+ * @param candle_interval candle interval in seconds
+ * @return empty store object
+ */
+function create_store(chain_id, factory_address, from_block = 0, candle_interval = 3600) {
+	return {
+		version: STORE_VERSION,
+		chain_id: parseInt(chain_id),
+		factory: factory_address,
+		candle_interval: parseInt(candle_interval),
+		// last block processed, -1 if nothing was processed yet
+		checkpoint: parseInt(from_block) - 1,
+		curves: {},
+	};
+}
+
+/**
+ * Loads the store from the file, or creates an empty one if the file doesn't exist
+ *
+ * @param store_path JSON store file path
+ * @param chain_id chain ID the store is bound to
+ * @param factory_address SharesFactory address the store is bound to
+ * @param from_block first block to index, used only when creating new store
+ * @param candle_interval candle interval in seconds, used only when creating new store
+ * @return store object
+ */
+function load_store(store_path, chain_id, factory_address, from_block = 0, candle_interval = 3600) {
+	if(!fs.existsSync(store_path)) {
+		return create_store(chain_id, factory_address, from_block, candle_interval);
+	}
+
+	const store = JSON.parse(fs.readFileSync(store_path, {encoding: "utf8"}));
+	assert(store.version === STORE_VERSION, `unsupported store version ${store.version} in ${store_path}`);
+	assert(store.chain_id === parseInt(chain_id), `chain ID mismatch: ${store.chain_id} in ${store_path}, ${chain_id} requested`);
+	assert(
+		store.factory.toLowerCase() === factory_address.toLowerCase(),
+		`factory mismatch: ${store.factory} in ${store_path}, ${factory_address} requested`
+	);
+	return store;
+}
+
+/**
+ * Saves the store into the file; writes into the temporary file first,
+ *      and then renames it, so that the store is never left half-written
+ *
+ * @param store_path JSON store file path
+ * @param store store object to save
+ */
+function save_store(store_path, store) {
+	fs.mkdirSync(path.dirname(store_path), {recursive: true});
+	const tmp_path = store_path + ".tmp";
+	fs.writeFileSync(tmp_path, JSON.stringify(store, null, "\t"));
+	fs.renameSync(tmp_path, store_path);
+}
+
+/**
+ * Indexes the Trade events of all the shares contracts registered in the SharesFactory
+ *      in the [store.checkpoint + 1, to_block] range, saving the store with the checkpoint
+ *      after every `batch_size` blocks processed
+ *
+ * @param web3 web3 instance connected to the network
+ * @param factory_address SharesFactory address
+ * @param store_path JSON store file path
+ * @param from_block first block to index, used only when creating new store, optional, defaults to zero
+ * @param to_block last block to index, optional, defaults to the latest block
+ * @param batch_size max number of blocks to query logs for at once, optional, defaults to 2,000
+ * @param candle_interval candle interval in seconds, used only when creating new store, optional, defaults to one hour
+ * @param log logger function, optional, defaults to console.log
+ * @return store object
+ */
+async function index_trades({
+	web3,
+	factory_address,
+	store_path,
+	from_block = 0,
+	to_block,
+	batch_size = 2_000,
+	candle_interval = 3600,
+	log = console.log,
+}) {
+	assert(web3, "web3 instance is required");
+	assert(web3.utils.isAddress(factory_address), `malformed factory address ${factory_address}`);
+	assert(store_path, "store path is required");
+	batch_size = parseInt(batch_size);
+	assert(batch_size > 0, `malformed batch size ${batch_size}`);
+
+	// load the store, determine the range to index
+	const chain_id = await web3.eth.getChainId();
+	const store = load_store(store_path, chain_id, factory_address, from_block, candle_interval);
+	if(to_block === undefined || to_block === "latest") {
+		to_block = await web3.eth.getBlockNumber();
+	}
+	to_block = parseInt(to_block);
+	log("indexing trades for factory %o, blocks [%o, %o]", factory_address, store.checkpoint + 1, to_block);
+
+	// block timestamps cache
+	const timestamps = {};
+	async function get_block_timestamp(block_number) {
+		if(!timestamps[block_number]) {
+			timestamps[block_number] = parseInt((await web3.eth.getBlock(block_number)).timestamp);
+		}
+		return timestamps[block_number];
+	}
+
+	// process the blocks in batches
+	while(store.checkpoint < to_block) {
+		const batch_from = store.checkpoint + 1;
+		const batch_to = Math.min(batch_from + batch_size - 1, to_block);
+
+		// discover the curves registered in the range
+		const registrations = await web3.eth.getPastLogs({
+			fromBlock: batch_from,
+			toBlock: batch_to,
+			address: factory_address,
+			topics: [web3.eth.abi.encodeEventSignature(SHARES_CONTRACT_REGISTERED_EVENT_ABI)],
+		});
+		for(const event of registrations) {
+			register_curve(store, decode_log(web3, SHARES_CONTRACT_REGISTERED_EVENT_ABI, event), event);
+		}
+
+		// pull the Trade events for all the curves known
+		const curve_addresses = Object.keys(store.curves);
+		const trades = !curve_addresses.length? []: await web3.eth.getPastLogs({
+			fromBlock: batch_from,
+			toBlock: batch_to,
+			address: curve_addresses,
+			topics: [web3.eth.abi.encodeEventSignature(TRADE_EVENT_ABI)],
+		});
+
+		// process the trades in the order they happened
+		trades.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+		const curves_with_sells = new Set();
+		for(const event of trades) {
+			const trade = decode_log(web3, TRADE_EVENT_ABI, event);
+			const curve = store.curves[web3.utils.toChecksumAddress(event.address)];
+			apply_trade(curve, trade, await get_block_timestamp(event.blockNumber), store.candle_interval);
+			if(!trade.isBuy) {
+				curves_with_sells.add(curve);
+			}
+		}
+
+		// pull the fee change events for all the curves known, and append them to the curves history
+		const fee_changes = !curve_addresses.length? []: await web3.eth.getPastLogs({
+			fromBlock: batch_from,
+			toBlock: batch_to,
+			address: curve_addresses,
+			topics: [FEE_CHANGE_EVENT_ABIS.map(event_abi => web3.eth.abi.encodeEventSignature(event_abi))],
+		});
+		fee_changes.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+		for(const event of fee_changes) {
+			const curve = store.curves[web3.utils.toChecksumAddress(event.address)];
+			apply_fee_change(web3, curve, event, await get_block_timestamp(event.blockNumber));
+		}
+
+		// Trade event doesn't contain the seller address (beneficiary is the one receiving the funds),
+		// therefore the holders balances of the curves having sells are reconciled with the contract state
+		for(const curve of curves_with_sells) {
+			await reconcile_holders(web3, curve, batch_to);
+		}
+
+		// save the progress
+		store.checkpoint = batch_to;
+		save_store(store_path, store);
+		log(
+			"blocks [%o, %o]: %o curve(s) registered, %o trade(s), %o fee change(s) processed",
+			batch_from, batch_to, registrations.length, trades.length, fee_changes.length
+		);
+	}
+
+	return store;
+}
+
+// decodes the event log using the event ABI specified
+function decode_log(web3, event_abi, event) {
+	return web3.eth.abi.decodeLog(event_abi.inputs, event.data, event.topics.slice(1));
+}
+
+// adds the curve from the SharesContractRegistered event into the store, if it is not there yet
+function register_curve(store, registration, event) {
+	const address = registration.implementationContract;
+	if(store.curves[address]) {
+		return;
+	}
+	store.curves[address] = {
+		address,
+		creator: registration.creator,
+		holders_rewards_distributor: registration.holdersRewardsDistributor,
+		implementation_type: parseInt(registration.implementationType),
+		subject: {
+			token_address: registration.sharesSubject.tokenAddress || registration.sharesSubject[0],
+			token_id: (registration.sharesSubject.tokenId || registration.sharesSubject[1]).toString(),
+		},
+		registered_at_block: event.blockNumber,
+		supply: "0",
+		trades: 0,
+		trade_volume: "0",
+		fees: {
+			protocol: "0",
+			holders: "0",
+			subject: "0",
+		},
+		holders: {},
+		candles: [],
+		fee_changes: [],
+	};
+}
+
+// appends the fee change event to the curve fee changes history
+function apply_fee_change(web3, curve, event, timestamp) {
+	const event_abi = FEE_CHANGE_EVENT_ABIS.find(event_abi => web3.eth.abi.encodeEventSignature(event_abi) === event.topics[0]);
+	const decoded = decode_log(web3, event_abi, event);
+
+	// the stores created before the fee changes were indexed don't have the history
+	curve.fee_changes = curve.fee_changes || [];
+	curve.fee_changes.push({
+		event: event_abi.name,
+		block: event.blockNumber,
+		log_index: event.logIndex,
+		timestamp,
+		values: Object.fromEntries(event_abi.inputs.map(({name}) => [name, decoded[name].toString()])),
+	});
+}
+
+// applies the decoded Trade event to the curve: updates supply, holders, fees and candles
+function apply_trade(curve, trade, timestamp, candle_interval) {
+	const shares_amount = BigInt(trade.sharesAmount);
+	const paid_amount = BigInt(trade.paidAmount);
+
+	// supply, volume and fees
+	curve.supply = trade.supply.toString();
+	curve.trades++;
+	curve.trade_volume = (BigInt(curve.trade_volume) + paid_amount).toString();
+	curve.fees.protocol = (BigInt(curve.fees.protocol) + BigInt(trade.protocolFeeAmount)).toString();
+	curve.fees.holders = (BigInt(curve.fees.holders) + BigInt(trade.holdersFeeAmount)).toString();
+	curve.fees.subject = (BigInt(curve.fees.subject) + BigInt(trade.subjectFeeAmount)).toString();
+
+	// holders: the beneficiary of the buy receives the shares; sells are reconciled separately
+	if(trade.isBuy && shares_amount > 0n) {
+		curve.holders[trade.beneficiary] = (BigInt(curve.holders[trade.beneficiary] || 0) + shares_amount).toString();
+	}
+
+	// candles: the price of the trade is the average price per share (without the fees);
+	// zero amount trades and zero price trades (first share) don't affect the candles
+	if(shares_amount === 0n || paid_amount === 0n) {
+		return;
+	}
+	const price = paid_amount / shares_amount;
+	const candle_timestamp = timestamp - timestamp % candle_interval;
+	let candle = curve.candles[curve.candles.length - 1];
+	if(!candle || candle.timestamp !== candle_timestamp) {
+		candle = {
+			timestamp: candle_timestamp,
+			open: price.toString(),
+			high: price.toString(),
+			low: price.toString(),
+			close: price.toString(),
+			volume: "0",
+			shares_volume: "0",
+			trades: 0,
+		};
+		curve.candles.push(candle);
+	}
+	if(price > BigInt(candle.high)) {
+		candle.high = price.toString();
+	}
+	if(price < BigInt(candle.low)) {
+		candle.low = price.toString();
+	}
+	candle.close = price.toString();
+	candle.volume = (BigInt(candle.volume) + paid_amount).toString();
+	candle.shares_volume = (BigInt(candle.shares_volume) + shares_amount).toString();
+	candle.trades++;
+}
+
+// reads the balances of all known holders of the curve from the contract, as of the block specified
+async function reconcile_holders(web3, curve, block_number) {
+	const shares = new web3.eth.Contract([GET_SHARES_BALANCE_ABI], curve.address);
+	for(const holder of Object.keys(curve.holders)) {
+		const balance = await shares.methods.getSharesBalance(holder).call({}, block_number);
+		if(balance.toString() === "0") {
+			delete curve.holders[holder];
+		}
+		else {
+			curve.holders[holder] = balance.toString();
+		}
+	}
+}
+
+// export public module API
+module.exports = {
+	STORE_VERSION,
+	TRADE_EVENT_ABI,
+	SHARES_CONTRACT_REGISTERED_EVENT_ABI,
+	FEE_CHANGE_EVENT_ABIS,
+	create_store,
+	load_store,
+	save_store,
+	index_trades,
+};
@@ -0,0 +1,67 @@
+// RBAC inspection task: prints the features and the roles of the accounts specified
+// decoded into FEATURE_*/ROLE_* constant names, for all the access controlled contracts
+// recorded by hardhat-deploy in the deployments/<network> folder, or for an arbitrary contract
+
+// Run:
+// npx hardhat acl:show --network base_goerli
+// npx hardhat acl:show --network base_goerli --contracts SharesFactory_Proxy --accounts 0x...,0x...
+// npx hardhat acl:show --network localhost --address 0x... --artifact SharesFactoryV1
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+
+// RBAC decoder
+const {
+	decode_acl,
+	format_decoded_mask,
+} = require("../scripts/include/acl_decoder");
+
+// access controlled deployments loader
+const {
+	load_access_controlled,
+} = require("./share_admin_role");
+
+// hardhat task to print the decoded features and roles
+async function acl_show(taskArguments, hre, runSuper) {
+	// the accounts to decode the roles for, default to the service account
+	const [A0] = await web3.eth.getAccounts();
+	const accounts = taskArguments["accounts"]? taskArguments["accounts"].split(",").map(account => account.trim()): [A0];
+	for(const account of accounts) {
+		assert(web3.utils.isAddress(account), `malformed account address ${account}`);
+	}
+
+	// print some useful info on the network we're using
+	const chainId = await hre.getChainId();
+	console.log("network %o %o", chainId, hre.network.name);
+
+	// determine the contracts to inspect: either an arbitrary contract, or the deployments
+	let contracts;
+	if(taskArguments["address"]) {
+		const address = taskArguments["address"];
+		assert(web3.utils.isAddress(address), `malformed contract address ${address}`);
+		assert(taskArguments["artifact"], "artifact name is required to inspect an arbitrary contract");
+		const {abi} = await hre.artifacts.readArtifact(taskArguments["artifact"]);
+		contracts = [{name: taskArguments["artifact"], address, abi}];
+	}
+	else {
+		const contract_names = taskArguments["contracts"]? taskArguments["contracts"].split(",").map(name => name.trim()): undefined;
+		contracts = (await load_access_controlled(hre, contract_names))
+			.map(({name, address, contract}) => ({name, address, abi: contract.options.jsonInterface}));
+		assert(contracts.length, `no access controlled contracts found in deployments/${hre.network.name}`);
+	}
+
+	// decode and print the features and roles
+	for(const {name, address, abi} of contracts) {
+		const {features, roles} = await decode_acl(web3, abi, address, accounts);
+		console.log("%s at %o", name, address);
+		console.table([
+			{"key": "Features", "value": format_decoded_mask(features)},
+			...accounts.map(account => ({"key": account, "value": format_decoded_mask(roles[account])})),
+		]);
+	}
+}
+
+// export public module API
+module.exports = {
+	acl_show,
+};
@@ -0,0 +1,79 @@
+// bytecode match task: matches the runtime code of the deployed contracts with the code compiled
+// from the git commit specified (see docs/bytecode_match.md), exits with a non-zero code on mismatch
+
+// Run:
+// npx hardhat bytecode:match --network base_mainnet --commit <git commit hash>
+// npx hardhat bytecode:match --network base_mainnet --commit <git commit hash> --contracts ETHShares --addresses <clone address>
+// offline, against the local node seeded with the runtime code from the deployment JSONs:
+// npx hardhat bytecode:match --network hardhat --deployments base_mainnet --seed --commit <git commit hash>
+
+// we use path to locate the deployments folder
+const path = require("path");
+
+// Hardhat compiler subtasks
+const {
+	TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD,
+	TASK_COMPILE_SOLIDITY_RUN_SOLC,
+	TASK_COMPILE_SOLIDITY_RUN_SOLCJS,
+} = require("hardhat/builtin-tasks/task-names");
+
+// bytecode match tool
+const {
+	match_deployments,
+} = require("../scripts/bytecode_match/bytecode_match");
+
+// hardhat task to match the bytecode
+async function bytecode_match(taskArguments, hre, runSuper) {
+	// print some useful info on the network we're using
+	const chainId = await hre.getChainId();
+	console.log("network %o %o", chainId, hre.network.name);
+
+	// deployments folder defaults to the network name
+	const deployments_name = taskArguments["deployments"] || hre.network.name;
+	const deployments_dir = path.join(hre.config.paths.root, "deployments", deployments_name);
+
+	// seeding is only possible on the local Hardhat Network
+	if(taskArguments["seed"] && hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
+		throw new Error("--seed can be used only with the local node (hardhat or localhost network)");
+	}
+
+	const results = await match_deployments({
+		web3,
+		compile: async(solc_version, input) => await compile(hre, solc_version, input),
+		deployments_dir,
+		commit: taskArguments["commit"],
+		repo_dir: hre.config.paths.root,
+		names: taskArguments["contracts"]? taskArguments["contracts"].split(",").map(name => name.trim()): undefined,
+		addresses: taskArguments["addresses"]? taskArguments["addresses"].split(",").map(address => address.trim()): [],
+		seed: !!taskArguments["seed"],
+	});
+	console.table(results);
+
+	// exit with a non-zero code if any of the contracts don't match
+	const failed = results.filter(({status}) => status !== "MATCH");
+	if(failed.length) {
+		console.error("%o out of %o contract(s) don't match", failed.length, results.length);
+		process.exitCode = 1;
+	}
+	else {
+		console.log("all %o contract(s) match", results.length);
+	}
+
+	return results;
+}
+
+// compiles the solc input with the solc version specified, downloading the compiler if required
+async function compile(hre, solc_version, input) {
+	// "0.8.15+commit.e14f2714" -> "0.8.15"
+	const solcVersion = solc_version.split("+")[0];
+	const build = await hre.run(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, {quiet: true, solcVersion});
+	return build.isSolcJs?
+		await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLCJS, {input, solcJsPath: build.compilerPath}):
+		await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLC, {input, solcPath: build.compilerPath, solcVersion});
+}
+
+// export public module API
+module.exports = {
+	bytecode_match,
+	compile,
+};
@@ -0,0 +1,65 @@
+// config apply task: reconciles all the contracts defined in the config file (config/v3_0/<network>.json)
+// with their on-chain state: reads the current state, computes the diff, and applies it;
+// in check mode no transactions are sent, the diff is printed, and the task exits with a non-zero code if it's not empty
+
+// Run:
+// npx hardhat config:apply --network base_goerli [--config config/v3_0/base_goerli.json]
+// npx hardhat config:apply --network base_mainnet --check
+
+// deployment config (declarative contract state)
+const {
+	load_config,
+	get_service_account,
+	reconcile,
+} = require("../scripts/deployment_config");
+
+// hardhat task to apply the config
+async function config_apply(taskArguments, hre, runSuper) {
+	// print some useful info on the network we're using
+	const chainId = await hre.getChainId();
+	console.log("network %o %o", chainId, hre.network.name);
+
+	// read the config file
+	const {config, config_path} = load_config(hre.network.name, taskArguments["config"]);
+	console.log("config %o", require("path").relative(process.cwd(), config_path));
+
+	// the service account is not required in check mode, it's used only to resolve "deployer" if available
+	const check = !!taskArguments["check"];
+	const from = await get_service_account(hre.network.name);
+	if(!check && !from) {
+		throw new Error("service account is not available, use --check mode or configure the network accounts");
+	}
+	console.log("service account %o%s", from, check? ", check mode: no transactions will be sent": "");
+
+	// reconcile all the contracts in the config
+	const results = [];
+	for(const contract_name of Object.keys(config)) {
+		results.push(...await reconcile({
+			deployments: hre.deployments,
+			config,
+			contract_name,
+			from,
+			check,
+		}));
+	}
+
+	// in check mode exit with a non-zero code if the diff is not empty
+	const diff = results.filter(({status}) => status !== "OK");
+	if(!diff.length) {
+		console.log("all %o value(s) are in sync with the config", results.length);
+	}
+	else if(check) {
+		console.error("%o out of %o value(s) differ from the config", diff.length, results.length);
+		process.exitCode = 1;
+	}
+	else {
+		console.log("%o out of %o value(s) updated", diff.length, results.length);
+	}
+
+	return results;
+}
+
+// export public module API
+module.exports = {
+	config_apply,
+};
@@ -0,0 +1,49 @@
+// ProtocolFeeDistributor balances task: reports the balances held by the distributor for every known token –
+// ETH, the ERC20 payment token, and the registered ERC20 tokens – split into the amounts reserved for the claims
+// (pull mode) and the distributable amounts; extra tokens (for example sent by mistake) can be added with --tokens
+
+// Run:
+// npx hardhat fees:balances --network base_mainnet [--contract ProtocolFeeDistributor_Proxy] [--tokens 0x...,0x...]
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+
+// ProtocolFeeDistributor balances reader
+const {
+	get_known_tokens,
+	read_balances,
+} = require("../scripts/fee_distributor/fee_distributor");
+
+// hardhat task to report the distributable balances
+async function fees_balances(taskArguments, hre, runSuper) {
+	// print some useful info on the network we're using
+	const chainId = await hre.getChainId();
+	console.log("network %o %o", chainId, hre.network.name);
+
+	// connect to the ProtocolFeeDistributor: either an address, or a deployment name
+	const contract_name = taskArguments["contract"];
+	const address = web3.utils.isAddress(contract_name)? contract_name: (await hre.deployments.get(contract_name)).address;
+	const {abi} = await hre.artifacts.readArtifact("ProtocolFeeDistributorV1");
+	const distributor = new web3.eth.Contract(abi, address);
+
+	// the extra tokens to include into the report
+	const extra_tokens = taskArguments["tokens"]? taskArguments["tokens"].split(",").map(token => token.trim()): [];
+	for(const token of extra_tokens) {
+		assert(web3.utils.isAddress(token), `malformed token address ${token}`);
+	}
+
+	// read and print the balances
+	const tokens = await get_known_tokens(distributor, extra_tokens);
+	const balances = await read_balances(web3, distributor, tokens);
+	console.log("ProtocolFeeDistributor %o, pull mode: %o", address, await distributor.methods.isFeatureEnabled(
+		await distributor.methods.FEATURE_PULL_DISTRIBUTION().call()
+	).call());
+	console.table(balances);
+
+	return balances;
+}
+
+// export public module API
+module.exports = {
+	fees_balances,
+};
@@ -0,0 +1,93 @@
+// Fee accounting report task: sums up the protocol, holders, and subject fees generated by all the curves
+// deployed by the SharesFactory in the block (or time) range, per curve, per issuer, and in total;
+// reconciles the ETH protocol fees against the ProtocolFeeDistributor ETHReceived events,
+// flags the fees dropped by the non-blocking ETH sends; saves the report as JSON and CSV
+
+// Run:
+// npx hardhat fees:report --network base_mainnet --from-time 2024-06-01 --to-time 2024-07-01 [--output ./fees_june]
+// npx hardhat fees:report --network base_mainnet --from-block 15000000 --to-block 16000000
+
+// we use fs to save the report files
+const fs = require("fs");
+// we use path to build the default output path
+const path = require("path");
+
+// fee report implementation
+const {
+	resolve_block_range,
+	build_fee_report,
+	to_csv,
+} = require("../scripts/fee_report/fee_report");
+
+// resolves the deployment address if deployment name is specified
+async function resolve_address(hre, name) {
+	return !name || web3.utils.isAddress(name)? name: (await hre.deployments.get(name)).address;
+}
+
+// hardhat task to build the fee accounting report
+async function fees_report(taskArguments, hre, runSuper) {
+	// print some useful info on the network we're using
+	const chainId = await hre.getChainId();
+	console.log("network %o %o", chainId, hre.network.name);
+
+	// resolve the factory and distributor addresses, the distributor reconciliation is optional
+	const factory_address = await resolve_address(hre, taskArguments["factory"]);
+	const distributor_address = taskArguments["distributor"] === "none"?
+		undefined: await resolve_address(hre, taskArguments["distributor"]);
+
+	// resolve the report range
+	const {from_block, to_block} = await resolve_block_range({
+		web3,
+		from_block: taskArguments["fromBlock"],
+		to_block: taskArguments["toBlock"],
+		from_time: taskArguments["fromTime"],
+		to_time: taskArguments["toTime"],
+	});
+	console.log("report range: blocks [%o, %o]", from_block, to_block);
+
+	// build the report
+	const report = await build_fee_report({
+		web3,
+		factory_address,
+		distributor_address,
+		from_block,
+		to_block,
+		registry_from_block: taskArguments["registryFromBlock"],
+		batch_size: taskArguments["batch"],
+	});
+
+	// save the report files, default path is bound to the network name and block range
+	const output = taskArguments["output"] || path.join(
+		__dirname, "..", "scripts", "fee_report", "data", `fees_${hre.network.name}_${from_block}_${to_block}`
+	);
+	fs.mkdirSync(path.dirname(output), {recursive: true});
+	fs.writeFileSync(`${output}.json`, JSON.stringify(report, null, "\t"));
+	fs.writeFileSync(`${output}.csv`, to_csv(report));
+	console.log("report saved to %o and %o", `${output}.json`, `${output}.csv`);
+
+	// print the summary
+	console.table(Object.entries(report.totals).map(([currency, totals]) => ({
+		"currency": currency,
+		"trades": totals.trades,
+		"volume": web3.utils.fromWei(totals.volume),
+		"protocol": web3.utils.fromWei(totals.protocol_fee),
+		"holders": web3.utils.fromWei(totals.holders_fee),
+		"subject": web3.utils.fromWei(totals.subject_fee),
+		"dropped protocol": web3.utils.fromWei(totals.dropped_protocol_fee),
+		"dropped subject": web3.utils.fromWei(totals.dropped_subject_fee),
+	})));
+	const mismatches = Object.values(report.curves).filter(curve => curve.protocol_fee_mismatch && curve.protocol_fee_mismatch !== "0");
+	if(mismatches.length) {
+		console.warn("%o curve(s) protocol fees don't match the distributor ETHReceived events", mismatches.length);
+	}
+	if(report.dropped.length) {
+		console.warn("%o dropped fee(s) found, see the \"dropped\" section of the JSON report", report.dropped.length);
+	}
+
+	return report;
+}
+
+// export public module API
+module.exports = {
+	fees_report,
+};
@@ -0,0 +1,67 @@
+// next reward epoch task: computes the next epoch cumulative reward list for the RewardSystem from
+// the previous epoch list (or the proof file), the claimed rewards read from the contract, and the new earnings;
+// prints how much each user can newly claim, and writes the next epoch list to be fed into rewards:root
+
+// Run:
+// npx hardhat rewards:next --network base_mainnet --previous rewards_1.proofs.json --earnings earnings_2.csv [--output rewards_2.json]
+// the next root is to be published after resetClaimedRewards() (claimed rewards are read from the slot before the reset):
+// npx hardhat rewards:next --network base_mainnet --previous rewards_1.proofs.json --earnings earnings_2.csv --reset [--slot 0]
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+// we use fs to read the inputs and write the output
+const fs = require("fs");
+
+// Merkle reward root builder
+const {
+	parse_rewards,
+} = require("../scripts/reward_merkle/reward_merkle");
+
+// epoch-aware reward diffing
+const {
+	read_claimed_rewards,
+	compute_next_epoch,
+} = require("../scripts/reward_merkle/reward_epoch");
+
+// hardhat task to compute the next reward epoch
+async function rewards_next(taskArguments, hre, runSuper) {
+	// print some useful info on the network we're using
+	const chainId = await hre.getChainId();
+	console.log("network %o %o", chainId, hre.network.name);
+
+	// read the previous epoch list and the new earnings
+	const read = (file_path, signed) => {
+		assert(fs.existsSync(file_path), `input file ${file_path} doesn't exist`);
+		return parse_rewards(fs.readFileSync(file_path, {encoding: "utf8"}), undefined, signed);
+	};
+	const previous = read(taskArguments["previous"]);
+	const earnings = read(taskArguments["earnings"], true);
+
+	// connect to the RewardSystem: either an address, or a deployment name
+	const contract_name = taskArguments["contract"];
+	const address = web3.utils.isAddress(contract_name)? contract_name: (await hre.deployments.get(contract_name)).address;
+	const {abi} = await hre.artifacts.readArtifact("RewardSystem");
+	const reward_system = new web3.eth.Contract(abi, address);
+
+	// read the claimed rewards of the previous epoch users
+	const {index, claimed} = await read_claimed_rewards(reward_system, previous.map(({to}) => to), taskArguments["slot"]);
+	console.log("RewardSystem %o, claimedRewards slot %o", address, index);
+
+	// compute the next epoch list and print the report
+	const reset = !!taskArguments["reset"];
+	const next = compute_next_epoch({previous, earnings, claimed, reset});
+	console.table(next.report);
+	console.log("next epoch: %o user(s), total %o, newly claimable %o%s", next.rewards.length, next.total, next.claimable, reset? " (after the reset)": "");
+
+	// write the next epoch list
+	const output_path = taskArguments["output"] || taskArguments["earnings"].replace(/\.(csv|json)$/i, "") + ".next.json";
+	fs.writeFileSync(output_path, JSON.stringify(next.rewards, null, "\t"));
+	console.log("next epoch list: %o", output_path);
+
+	return next;
+}
+
+// export public module API
+module.exports = {
+	rewards_next,
+};
@@ -0,0 +1,99 @@
+// Merkle reward root task: builds the RewardSystem Merkle tree from the CSV/JSON list of cumulative rewards,
+// writes the root and per-address proofs into the proof file, and optionally publishes the root
+// via RewardSystem.setInputDataRoot; the root is not published if the rewards total exceeds
+// the contract balance (ETH or ERC20) minus totalClaimedReward
+// the list with the tokens (address,token,totalReward) is built for the MultiTokenRewardSystem,
+// the funding check is then done for every token separately
+
+// Run:
+// npx hardhat rewards:root --input rewards.csv [--output proofs.json]
+// npx hardhat rewards:root --network base_mainnet --input rewards.csv --publish [--contract RewardSystem_Proxy]
+// npx hardhat rewards:root --network base_mainnet --input multi_token_rewards.csv --publish [--contract MultiTokenRewardSystem_Proxy]
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+// we use fs to read the input and write the proof file
+const fs = require("fs");
+
+// Merkle reward root builder
+const {
+	parse_rewards,
+	build_reward_tree,
+	to_proof_file,
+	check_funding,
+	check_multi_token_funding,
+} = require("../scripts/reward_merkle/reward_merkle");
+
+// hardhat task to build (and publish) the Merkle reward root
+async function rewards_root(taskArguments, hre, runSuper) {
+	// print some useful info on the network we're using
+	const chainId = await hre.getChainId();
+	console.log("network %o %o", chainId, hre.network.name);
+
+	// read and validate the rewards list
+	const input_path = taskArguments["input"];
+	assert(fs.existsSync(input_path), `input file ${input_path} doesn't exist`);
+	const rewards = parse_rewards(fs.readFileSync(input_path, {encoding: "utf8"}), taskArguments["format"]);
+
+	// the list with the tokens is built for the MultiTokenRewardSystem
+	const multi_token = rewards[0].token !== undefined;
+	const artifact_name = multi_token? "MultiTokenRewardSystem": "RewardSystem";
+
+	// build the tree and write the proof file
+	const tree = build_reward_tree(rewards);
+	const output_path = taskArguments["output"] || input_path.replace(/\.(csv|json)$/i, "") + ".proofs.json";
+	fs.writeFileSync(output_path, JSON.stringify(to_proof_file(tree), null, "\t"));
+	console.log("rewards: %o, total: %o", rewards.length, tree.total || tree.totals);
+	console.log("proof file: %o", output_path);
+	console.log("root: %o", tree.root);
+
+	// resolve the RewardSystem address: either an address, or a deployment name
+	const contract_name = taskArguments["contract"] || artifact_name + "_Proxy";
+	const deployment = web3.utils.isAddress(contract_name)? undefined: await hre.deployments.getOrNull(contract_name);
+	const address = deployment? deployment.address: web3.utils.isAddress(contract_name)? contract_name: undefined;
+	if(!address) {
+		assert(!taskArguments["publish"], `${artifact_name} ${contract_name} is not deployed on ${hre.network.name}, cannot publish`);
+		console.log("%s %o is not deployed, funding check skipped", artifact_name, contract_name);
+		return tree;
+	}
+	const {abi} = await hre.artifacts.readArtifact(artifact_name);
+	const reward_system = new web3.eth.Contract(abi, address);
+
+	// verify the contract can pay out the rewards (every token for the multi-token list)
+	const funding = multi_token?
+		await check_multi_token_funding(web3, reward_system, tree.totals):
+		[await check_funding(web3, reward_system, tree.total)];
+	// zero (undefined) reward token means ETH
+	const token_label = ({reward_token}) => !reward_token || /^0x0{40}$/.test(reward_token)? "ETH": reward_token;
+	console.table(funding.map(entry => ({
+		[artifact_name]: address,
+		"reward token": token_label(entry),
+		"balance": entry.balance,
+		"totalClaimedReward": entry.total_claimed,
+		"available": entry.available,
+		"rewards total": entry.total,
+	})));
+	const underfunded = funding.filter(({funded}) => !funded);
+	if(underfunded.length) {
+		underfunded.forEach(entry => console.error(
+			"%s rewards total %o exceeds the available balance %o", token_label(entry), entry.total, entry.available
+		));
+		assert(!taskArguments["publish"], `refusing to publish the root: ${artifact_name} is underfunded`);
+		process.exitCode = 1;
+		return tree;
+	}
+
+	// publish the root if requested
+	if(taskArguments["publish"]) {
+		const [A0] = await web3.eth.getAccounts();
+		const receipt = await reward_system.methods.setInputDataRoot(tree.root).send({from: A0});
+		console.log("%s.setInputDataRoot(%o): %o", artifact_name, tree.root, receipt.transactionHash);
+	}
+
+	return tree;
+}
+
+// export public module API
+module.exports = {
+	rewards_root,
+};
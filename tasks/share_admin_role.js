@@ -1,104 +1,220 @@
-// admin role sharing task (testnets only): shares the admin role
-// for all the contracts mentioned in config.js for the accounts specified
+// role management task: grants, revokes, or inspects the role (permissions mask) of the account specified
+// in all the access controlled (UpgradeableAccessControl/AccessControl) contracts
+// recorded by hardhat-deploy in the deployments/<network> folder
 
-// Run: npx hardhat share --network goerli --account 0xDdaE907A17BE0C7CE85896077526aAa49Fdaf7Bd
-
-// We require the Hardhat Runtime Environment explicitly here. This is optional
-// but useful for running the script in a standalone fashion through `node <script>`.
-//
-// When running the script with `hardhat run <script>` you'll find the Hardhat
-// Runtime Environment's members available in the global scope.
-// const hre = require("hardhat");
+// Run:
+// npx hardhat share --network base_goerli --account 0xDdaE907A17BE0C7CE85896077526aAa49Fdaf7Bd
+// npx hardhat share --network base_goerli --account 0x... --mask 0x8000000000000000000000000000000000000000000000000000000000000000
+// npx hardhat share --network base_goerli --account 0x... --action revoke --contracts SharesFactory_Proxy,RewardSystem_Proxy
+// npx hardhat share --network base_mainnet --account 0x... --dry-run
 
 // we use assert to fail fast in case of any errors
 const assert = require("assert");
 
-// BigNumber utils
-const {
-	print_amt,
-	to_number,
-} = require("../scripts/include/big_number_utils");
-
 // roles in use
 const {
+	ROLE_ACCESS_MANAGER,
 	FULL_PRIVILEGES_MASK,
 } = require("../scripts/include/features_roles");
 
-// hardhat task to share the admin role
-async function share_admin_role(taskArguments, hre, runSuper) {
-	// Hardhat always runs the compile task when running scripts with its command
-	// line interface.
-	//
-	// If this script is run directly using `node` you may want to call compile
-	// manually to make sure everything is compiled
-	// await hre.run('compile');
+// BigInt versions of the roles in use
+const FULL_MASK = BigInt(FULL_PRIVILEGES_MASK.toString());
+const ROLE_ACCESS_MANAGER_MASK = BigInt(ROLE_ACCESS_MANAGER.toString());
+
+// the networks where the roles can be only inspected, or changed in a dry-run mode
+const MAINNETS = ["mainnet", "polygon", "binance", "base_mainnet"];
 
+// EIP-1967 implementation slot: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// supported task actions
+const ACTIONS = ["grant", "revoke", "inspect"];
+
+// hardhat task to grant, revoke, or inspect the role
+async function share_admin_role(taskArguments, hre, runSuper) {
 	// check if we're on the local hardhat test network
-	if (network.name === "hardhat") {
+	if(hre.network.name === "hardhat") {
 		console.warn(
-			"You are trying to deploy a contract to the Hardhat Network, which" +
-			"gets automatically created and destroyed every time. Use the Hardhat" +
-			" option '--network localhost'"
+			"You are trying to update the roles on the Hardhat Network, which " +
+			"gets automatically created and destroyed every time. Use the Hardhat " +
+			"option '--network localhost'"
 		);
 	}
 
-	// print some useful info on the account we're using for the deployment
+	// parse and verify the task arguments
+	const account = taskArguments["account"];
+	assert(web3.utils.isAddress(account), `malformed account address ${account}`);
+	const action = taskArguments["action"];
+	assert(ACTIONS.includes(action), `unknown action ${action}, must be one of ${ACTIONS}`);
+	const mask = parse_mask(taskArguments["mask"]);
+	const dry_run = !!taskArguments["dryRun"] || action === "inspect";
+	const contract_names = taskArguments["contracts"]? taskArguments["contracts"].split(",").map(name => name.trim()): undefined;
+
+	// print some useful info on the account we're using
+	const chainId = await hre.getChainId();
 	const [A0] = await web3.eth.getAccounts();
-	let nonce = await web3.eth.getTransactionCount(A0);
-	let balance = await web3.eth.getBalance(A0);
-	// print initial debug information
-	console.log("network %o", network.name);
-	console.log("service account %o, nonce: %o, balance: %o ETH", A0, nonce, print_amt(balance));
+	const nonce = await web3.eth.getTransactionCount(A0);
+	const balance = await web3.eth.getBalance(A0);
+	console.log("network %o %o", chainId, hre.network.name);
+	console.log("service account %o, nonce: %o, balance: %o ETH", A0, nonce, web3.utils.fromWei(balance));
+	console.log("%s %o for %o%s", action, to_hex(mask), account, dry_run && action !== "inspect"? " (dry run)": "");
+
+	// ensure we're not changing the roles in the mainnet
+	assert(dry_run || !MAINNETS.includes(hre.network.name), "use this task in testnet only, or run it with --dry-run");
+
+	// load all the access controlled contracts from the deployments
+	const contracts = await load_access_controlled(hre, contract_names);
+	assert(contracts.length, `no access controlled contracts found in deployments/${hre.network.name}`);
+
+	// process the contracts one by one, collecting the before/after roles table
+	const table = [];
+	for(const {name, address, contract, get_role} of contracts) {
+		// read the roles and determine the role we want to set
+		const sender_role = BigInt(await get_role(A0));
+		const before = BigInt(await get_role(account));
+		const desired = action === "grant"? before | mask: action === "revoke"? before & (FULL_MASK ^ mask): before;
+
+		// access manager can only grant/revoke the permissions it has itself
+		const expected = evaluate_by(sender_role, before, desired);
+		const row = {contract: name, address, "sender role": to_hex(sender_role), before: to_hex(before)};
+
+		if(desired === before) {
+			row.after = to_hex(before);
+			row.status = "unchanged";
+		}
+		else if(!(sender_role & ROLE_ACCESS_MANAGER_MASK)) {
+			row.after = to_hex(before);
+			row.status = "access denied";
+		}
+		else if(expected === before) {
+			row.after = to_hex(before);
+			row.status = "insufficient sender role";
+		}
+		else if(dry_run) {
+			row.after = to_hex(expected);
+			row.status = "dry run";
+		}
+		else {
+			const receipt = await contract.methods.updateRole(account, to_hex(desired)).send({from: A0});
+			console.log("%o.updateRole(%o, %o): %o", name, account, to_hex(desired), receipt.transactionHash);
+			row.after = to_hex(BigInt(await get_role(account)));
+			row.status = receipt.transactionHash;
+		}
 
-	// ensure we're not executing this in the mainnet
-	assert(network.name !== "mainnet" && network.name !== "polygon", "use this script in testnet only!");
+		table.push(row);
+	}
 
-	// get the account we need to grant the admin role for
-	const account = taskArguments["account"];
+	// print the before/after table
+	console.table(table);
+}
 
-	// config file contains known deployed addresses, deployment settings
-	const Config = require('../scripts/config');
+/**
+ * Loads all the deployments from the deployments/<network> folder and filters out
+ *      the ones which are access controlled (have `updateRole` and either `getRole` or `userRoles` in the ABI)
+ *
+ * @dev Proxies (ERC1967Proxy) are resolved via the EIP-1967 implementation slot: the implementation
+ *      deployment ABI is used to connect to the proxy, while the implementation deployment itself
+ *      is skipped since its own roles are not in use
+ *
+ * @param hre Hardhat Runtime Environment
+ * @param contract_names deployment names to load, optional, defaults to all
+ * @return array of {name, address, contract, get_role}, where contract is web3 contract instance,
+ *      and get_role(address) is a function reading the role of the address
+ */
+async function load_access_controlled(hre, contract_names) {
+	const deployments = await hre.deployments.all();
+
+	// verify all the contracts requested exist
+	for(const name of contract_names || []) {
+		assert(deployments[name], `deployment ${name} not found in deployments/${hre.network.name}`);
+	}
 
-	// a collection of all known addresses (smart contracts and external)
-	const conf = Config(network.name);
+	// index the deployments by address to resolve the proxies' implementations
+	const by_address = {};
+	for(const [name, deployment] of Object.entries(deployments)) {
+		by_address[deployment.address.toLowerCase()] = {name, deployment};
+	}
 
-	// iterate over all the entries in the config
-	for(const [contract_name, contract_address] of Object.entries(conf)) {
-		// skip the external addresses if any (ex. ALI_H0)
-		// TODO: refactor this, implement in a nicer way
-		if(contract_name.indexOf("_") >= 0 || !contract_address) {
+	// resolve the proxies
+	const abis = {};
+	const implementations = new Set();
+	for(const [name, deployment] of Object.entries(deployments)) {
+		if(get_role_getter_name(deployment.abi)) {
+			abis[name] = deployment.abi;
 			continue;
 		}
+		const slot = await web3.eth.getStorageAt(deployment.address, IMPLEMENTATION_SLOT);
+		const impl = by_address["0x" + slot.slice(-40).toLowerCase()];
+		if(impl && get_role_getter_name(impl.deployment.abi)) {
+			console.log("%o is a proxy to %o at %o", name, impl.name, impl.deployment.address);
+			abis[name] = impl.deployment.abi;
+			implementations.add(impl.name);
+		}
+	}
 
-		const AccessControl = await hre.ethers.getContractFactory("AccessControl");
-		console.log("Connecting to %o at %o", contract_name, contract_address);
-
-		const contract_instance = await AccessControl.attach(contract_address);
-		const features = await contract_instance.features();
-		const r0 = await contract_instance.userRoles(A0);
-		const r1 = await contract_instance.userRoles(account);
-		console.log("Connected to %o at %o:", contract_name, contract_address);
-
-		console.table([
-			{"key": "Features", "value": features.toHexString()}, // 2
-			{"key": "Deployer Role", "value": r0.toHexString()}, // 16
-			{"key": "Role 1", "value": r1.toHexString()}, // 16
-		]);
-
-		if(r1.isZero()) {
-			console.log(
-				'Enabling all roles 0xFF...FF on %o %o for %o',
-				contract_name,
-				contract_address,
-				account
-			);
-			await contract_instance.updateRole(account, FULL_PRIVILEGES_MASK);
+	// connect to the access controlled contracts
+	const result = [];
+	for(const [name, abi] of Object.entries(abis)) {
+		if(contract_names? !contract_names.includes(name): implementations.has(name)) {
+			continue;
 		}
+		const {address} = deployments[name];
+		const contract = new web3.eth.Contract(abi, address);
+		const getter_name = get_role_getter_name(abi);
+		result.push({
+			name,
+			address,
+			contract,
+			get_role: async(operator) => await contract.methods[getter_name](operator).call(),
+		});
+	}
+
+	return result;
+}
+
+// determines the role getter name: `getRole` for UpgradeableAccessControl,
+// `userRoles` for legacy AccessControl, undefined if the ABI is not access controlled
+function get_role_getter_name(abi) {
+	const functions = abi.filter(entry => entry.type === "function").map(entry => entry.name);
+	if(!functions.includes("updateRole")) {
+		return undefined;
 	}
+	return ["getRole", "userRoles"].find(name => functions.includes(name));
+}
+
+// JS replica of the AccessControl.evaluateBy: determines the role the target
+// gets when the operator having the role `p` tries to set it to `desired`
+function evaluate_by(p, target, desired) {
+	// 1) enable the permissions desired on the `target`
+	target |= p & desired;
+	// 2) disable the permissions desired on the `target`
+	target &= FULL_MASK ^ (p & (FULL_MASK ^ desired));
+	return target;
+}
+
+// parses the role mask (hex or decimal string), defaults to FULL_PRIVILEGES_MASK
+function parse_mask(mask) {
+	if(mask === undefined) {
+		return FULL_MASK;
+	}
+	let result;
+	try {
+		result = BigInt(mask);
+	}
+	catch(e) {
+		throw new Error(`malformed role mask ${mask}`);
+	}
+	assert(result > 0n && result <= FULL_MASK, `role mask ${mask} is out of bounds`);
+	return result;
+}
 
+// prints the role as a hex string
+function to_hex(role) {
+	return "0x" + role.toString(16);
 }
 
 // export public module API
 module.exports = {
 	share_admin_role,
+	load_access_controlled,
 };
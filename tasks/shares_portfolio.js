@@ -0,0 +1,72 @@
+// Shares portfolio task: prints the holder's positions in the shares contracts (curves) – shares balance,
+// supply, buy/sell prices of one share, and the pending holders reward – read via the SharesLens contract;
+// the curves are either specified explicitly with --shares, or discovered from the SharesFactory,
+// in the latter case only the curves where the holder has shares or the pending reward are printed
+
+// Run:
+// npx hardhat shares:portfolio --network base_mainnet --holder 0x... [--registry-from-block 10000000]
+// npx hardhat shares:portfolio --network base_mainnet --holder 0x... --shares 0x...,0x...
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+
+// shares portfolio reader
+const {
+	get_registered_shares,
+	get_portfolio,
+	filter_held,
+} = require("../scripts/shares_lens/shares_lens");
+
+// resolves the deployment address if deployment name is specified
+async function resolve_address(hre, name) {
+	return !name || web3.utils.isAddress(name)? name: (await hre.deployments.get(name)).address;
+}
+
+// hardhat task to print the holder's portfolio
+async function shares_portfolio(taskArguments, hre, runSuper) {
+	// print some useful info on the network we're using
+	const chainId = await hre.getChainId();
+	console.log("network %o %o", chainId, hre.network.name);
+
+	// verify the holder address
+	const holder = taskArguments["holder"];
+	assert(web3.utils.isAddress(holder), `malformed holder address ${holder}`);
+
+	// connect to the SharesLens: either an address, or a deployment name
+	const lens_address = await resolve_address(hre, taskArguments["lens"]);
+	const {abi} = await hre.artifacts.readArtifact("SharesLens");
+	const lens = new web3.eth.Contract(abi, lens_address);
+
+	// use the shares contracts specified, or discover all the curves registered in the factory
+	let shares;
+	if(taskArguments["shares"]) {
+		shares = taskArguments["shares"].split(",").map(address => address.trim());
+		shares.forEach(address => assert(web3.utils.isAddress(address), `malformed shares address ${address}`));
+	}
+	else {
+		const factory_address = await resolve_address(hre, taskArguments["factory"]);
+		const curves = await get_registered_shares(web3, factory_address, taskArguments["registryFromBlock"], undefined, taskArguments["batch"]);
+		console.log("%o curve(s) registered in the factory %o", curves.length, factory_address);
+		shares = curves.map(curve => curve.address);
+	}
+
+	// read the portfolio, print only the non-empty positions for the discovered curves
+	const positions = await get_portfolio(lens, holder, shares, taskArguments["size"]);
+	const portfolio = taskArguments["shares"]? positions: filter_held(positions);
+	console.log("holder %o portfolio: %o position(s)", holder, portfolio.length);
+	console.table(portfolio.map(position => ({
+		shares: position.shares,
+		balance: position.balance,
+		supply: position.supply,
+		buy_price: web3.utils.fromWei(position.buy_price_after_fee),
+		sell_price: web3.utils.fromWei(position.sell_price_after_fee),
+		pending_reward: position.pending_reward_failed? "failed": web3.utils.fromWei(position.pending_reward),
+	})));
+
+	return portfolio;
+}
+
+// export public module API
+module.exports = {
+	shares_portfolio,
+};
@@ -0,0 +1,352 @@
+// shares trading tasks: quote, buy, and sell the shares of any deployed
+// TradeableShares contract (ETHShares or ERC20Shares)
+
+// Run:
+// npx hardhat shares:quote --network localhost --shares 0x... --amount 5
+// npx hardhat shares:buy --network localhost --shares 0x... --amount 5 [--to 0x...] [--slippage 3]
+// npx hardhat shares:sell --network localhost --shares 0x... --amount 5 [--to 0x...] [--slippage 3]
+
+// we use assert to fail fast in case of any errors
+const assert = require("assert");
+
+// shares pricing SDK to calculate the fees breakdown
+const {
+	ImplementationType,
+	get_fees,
+	get_buy_quote,
+	get_sell_quote,
+} = require("../packages/shares-pricing");
+
+// zero bonding curve address stands for the built-in friend.tech curve
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// hardhat task to quote the trade (buy and sell) of the shares
+async function shares_quote(taskArguments, hre, runSuper) {
+	const {shares} = await connect_to_shares(taskArguments, hre);
+	const amount = parse_amount(taskArguments["amount"]);
+
+	// print the buy quote
+	const buy_quote = await quote(shares, amount, true);
+	print_quote(buy_quote);
+
+	// print the sell quote, if possible
+	if(buy_quote.supply > amount) {
+		print_quote(await quote(shares, amount, false));
+	}
+	else {
+		console.log("sell quote is not available: cannot sell %o shares out of %o supply", amount.toString(), buy_quote.supply.toString());
+	}
+}
+
+// hardhat task to buy the shares
+async function shares_buy(taskArguments, hre, runSuper) {
+	const {A0, shares} = await connect_to_shares(taskArguments, hre);
+	const amount = parse_amount(taskArguments["amount"]);
+	const beneficiary = taskArguments["to"] || A0;
+
+	// quote the buy operation and print the breakdown
+	const q = await quote(shares, amount, true);
+	print_quote(q);
+
+	// verify the first share is bought by the issuer
+	assert(q.supply > 0n || q.issuer === A0, "only the issuer can buy the first share");
+
+	// determine the max value we agree to pay
+	const value = apply_slippage(q.total, taskArguments["slippage"], true);
+
+	// ERC20 implementation requires the payment token to be approved,
+	// ETH implementation – the value to be supplied with the transaction
+	if(shares.impl_type === ImplementationType.ERC20) {
+		await approve_payment_token(hre, shares, A0, value);
+	}
+
+	// buy the shares: use the slippage protected variant if slippage is specified
+	const tx_value = shares.impl_type === ImplementationType.ETH? value.toString(): "0";
+	const receipt = taskArguments["slippage"] === undefined?
+		await shares.methods["buySharesTo(uint256,address)"](amount.toString(), beneficiary).send({from: A0, value: tx_value}):
+		await shares.methods["buySharesTo(uint256,address,uint256,uint256)"](
+			amount.toString(),
+			beneficiary,
+			value.toString(),
+			await deadline(taskArguments["deadline"]),
+		).send({from: A0, value: tx_value});
+	console.log("%o.buySharesTo(%o, %o): %o", shares.options.address, amount.toString(), beneficiary, receipt.transactionHash);
+
+	// decode and print the Trade event
+	print_trade_event(receipt);
+}
+
+// hardhat task to sell the shares
+async function shares_sell(taskArguments, hre, runSuper) {
+	const {A0, shares} = await connect_to_shares(taskArguments, hre);
+	const amount = parse_amount(taskArguments["amount"]);
+	const beneficiary = taskArguments["to"] || A0;
+
+	// quote the sell operation and print the breakdown
+	const q = await quote(shares, amount, false);
+	print_quote(q);
+
+	// verify the sell operation is possible
+	const balance = BigInt(await shares.methods.getSharesBalance(A0).call());
+	assert(balance >= amount, `insufficient shares: ${balance} available`);
+
+	// sell the shares: use the slippage protected variant if slippage is specified
+	const receipt = taskArguments["slippage"] === undefined?
+		await shares.methods["sellSharesTo(uint256,address)"](amount.toString(), beneficiary).send({from: A0}):
+		await shares.methods["sellSharesTo(uint256,address,uint256,uint256)"](
+			amount.toString(),
+			beneficiary,
+			apply_slippage(q.total, taskArguments["slippage"], false).toString(),
+			await deadline(taskArguments["deadline"]),
+		).send({from: A0});
+	console.log("%o.sellSharesTo(%o, %o): %o", shares.options.address, amount.toString(), beneficiary, receipt.transactionHash);
+
+	// decode and print the Trade event
+	print_trade_event(receipt);
+}
+
+/**
+ * Connects to the shares contract specified in the task arguments,
+ *      determines its implementation type (ETH or ERC20)
+ *
+ * @param taskArguments task arguments, containing `shares` and optionally `factory`
+ * @param hre Hardhat Runtime Environment
+ * @return {A0, shares}, where shares is web3 contract instance with `impl_type` field attached
+ */
+async function connect_to_shares(taskArguments, hre) {
+	// print some useful info on the account we're using for the trade
+	const chainId = await hre.getChainId();
+	const [A0] = await web3.eth.getAccounts();
+	const balance = await web3.eth.getBalance(A0);
+	console.log("network %o %o", chainId, hre.network.name);
+	console.log("service account %o, balance: %o ETH", A0, web3.utils.fromWei(balance));
+
+	// verify the shares contract address
+	const shares_address = taskArguments["shares"];
+	assert(web3.utils.isAddress(shares_address), `malformed shares address ${shares_address}`);
+
+	// determine the implementation type
+	const impl_type = await determine_impl_type(hre, shares_address, taskArguments["factory"]);
+	console.log("shares %o, implementation type: %o", shares_address, impl_type === ImplementationType.ERC20? "ERC20": "ETH");
+
+	// connect to the shares contract using the ABI of the implementation determined
+	const {abi} = await hre.artifacts.readArtifact(impl_type === ImplementationType.ERC20? "ERC20Shares": "ETHShares");
+	const shares = new web3.eth.Contract(abi, shares_address);
+	shares.impl_type = impl_type;
+
+	return {A0, shares};
+}
+
+/**
+ * Determines the shares implementation type using `SharesFactoryV1.determineImplementationType`;
+ *      falls back to probing the `getPaymentToken` function if factory is not deployed
+ *
+ * @param hre Hardhat Runtime Environment
+ * @param shares_address shares contract address
+ * @param factory_address SharesFactory address, optional, defaults to SharesFactory_Proxy deployment
+ * @return ImplementationType
+ */
+async function determine_impl_type(hre, shares_address, factory_address) {
+	// resolve the factory address from the deployments if not specified
+	if(!factory_address) {
+		const factory_deployment = await hre.deployments.getOrNull("SharesFactory_Proxy");
+		factory_address = factory_deployment && factory_deployment.address;
+	}
+
+	// use the factory if available
+	if(factory_address) {
+		const {abi} = await hre.artifacts.readArtifact("SharesFactoryV1");
+		const factory = new web3.eth.Contract(abi, factory_address);
+		return parseInt(await factory.methods.determineImplementationType(shares_address).call());
+	}
+
+	// fallback to probing the ERC20Shares.getPaymentToken function
+	console.warn("SharesFactory is not deployed on %o, probing getPaymentToken() instead", hre.network.name);
+	const {abi} = await hre.artifacts.readArtifact("ERC20Shares");
+	const shares = new web3.eth.Contract(abi, shares_address);
+	try {
+		await shares.methods.getPaymentToken().call();
+		return ImplementationType.ERC20;
+	}
+	catch(e) {
+		return ImplementationType.ETH;
+	}
+}
+
+/**
+ * Approves the payment token to be spent by the ERC20Shares contract if required
+ *
+ * @dev ERC20Shares doesn't implement ERC1363 receiver/spender interfaces, therefore
+ *      ALI ERC1363 transferAndCall/approveAndCall cannot be used to buy the shares
+ *      in a single transaction, and we fall back to the ERC20 approve
+ *
+ * @param hre Hardhat Runtime Environment
+ * @param shares ERC20Shares web3 contract instance
+ * @param owner payment token owner (buyer)
+ * @param value amount of the payment tokens required for the buy operation
+ */
+async function approve_payment_token(hre, shares, owner, value) {
+	const {abi} = await hre.artifacts.readArtifact("AliERC20v2");
+	const payment_token = new web3.eth.Contract(abi, await shares.methods.getPaymentToken().call());
+
+	// verify the balance
+	const balance = BigInt(await payment_token.methods.balanceOf(owner).call());
+	assert(balance >= value, `insufficient payment token balance: ${balance} available, ${value} required`);
+
+	// approve only if current allowance is not enough
+	const allowance = BigInt(await payment_token.methods.allowance(owner, shares.options.address).call());
+	if(allowance < value) {
+		const receipt = await payment_token.methods.approve(shares.options.address, value.toString()).send({from: owner});
+		console.log("%o.approve(%o, %o): %o", payment_token.options.address, shares.options.address, value.toString(), receipt.transactionHash);
+	}
+	else {
+		console.log("%o.allowance(%o, %o): %o", payment_token.options.address, owner, shares.options.address, allowance.toString());
+	}
+}
+
+/**
+ * Quotes the buy/sell operation: reads the supply and the effective fees from
+ *      the shares contract, calculates the fees breakdown, and verifies it
+ *      against `getBuyPriceAfterFee`/`getSellPriceAfterFee`
+ *
+ * The SDK models only the built-in friend.tech curve; if the shares contract is bound
+ *      to a pluggable bonding curve, the price (without the fees) is read from the contract,
+ *      and only the fees breakdown is calculated by the SDK
+ *
+ * @param shares shares web3 contract instance with `impl_type` field attached
+ * @param amount amount of shares to buy/sell
+ * @param is_buy true for the buy operation, false for the sell operation
+ * @return {is_buy, amount, supply, issuer, price, protocol_fee, holders_fee, subject_fee, total}
+ */
+async function quote(shares, amount, is_buy) {
+	const supply = BigInt(await shares.methods.getSharesSupply().call());
+	const issuer = await shares.methods.getSharesIssuer().call();
+	const {feePercent: protocol_fee_percent} = await shares.methods.getProtocolFeeInfo().call();
+	const {feePercent: holders_fee_percent} = await shares.methods.getHoldersFeeInfo().call();
+	const {feePercent: subject_fee_percent} = await shares.methods.getSubjectFeeInfo().call();
+	const fees = {protocol_fee_percent, holders_fee_percent, subject_fee_percent};
+
+	// the SDK models only the built-in friend.tech curve
+	const curve = await get_bonding_curve(shares);
+	const q = curve === ZERO_ADDRESS?
+		is_buy?
+			get_buy_quote(supply, amount, fees, shares.impl_type):
+			get_sell_quote(supply, amount, fees, shares.impl_type):
+		await quote_curve(shares, amount, is_buy, fees);
+
+	// the breakdown must match what the contract says
+	const total = BigInt(is_buy?
+		await shares.methods.getBuyPriceAfterFee(amount.toString()).call():
+		await shares.methods.getSellPriceAfterFee(amount.toString()).call());
+	assert(q.total === total, `quote mismatch: ${q.total} calculated, ${total} reported by the contract`);
+
+	return {is_buy, amount, supply, issuer, ...q};
+}
+
+/**
+ * Reads the bonding curve address the shares contract is bound to
+ *
+ * @dev Legacy shares contracts (deployed before the pluggable bonding curves) don't implement
+ *      `getBondingCurve`, they are all bound to the built-in friend.tech curve
+ *
+ * @param shares shares web3 contract instance
+ * @return bonding curve address, zero address for the built-in friend.tech curve
+ */
+async function get_bonding_curve(shares) {
+	try {
+		return await shares.methods.getBondingCurve().call();
+	}
+	catch(e) {
+		return ZERO_ADDRESS;
+	}
+}
+
+/**
+ * Quotes the buy/sell operation for the shares contract bound to a pluggable bonding curve:
+ *      reads the price from the contract, and calculates the fees breakdown with the SDK
+ *
+ * @param shares shares web3 contract instance
+ * @param amount amount of shares to buy/sell
+ * @param is_buy true for the buy operation, false for the sell operation
+ * @param fees fee percents object {protocol_fee_percent, holders_fee_percent, subject_fee_percent}
+ * @return {price, protocol_fee, holders_fee, subject_fee, total}
+ */
+async function quote_curve(shares, amount, is_buy, fees) {
+	const price = BigInt(is_buy?
+		await shares.methods.getBuyPrice(amount.toString()).call():
+		await shares.methods.getSellPrice(amount.toString()).call());
+	const {protocol_fee, holders_fee, subject_fee} = get_fees(price, fees);
+	const fee = protocol_fee + holders_fee + subject_fee;
+
+	return {
+		price,
+		protocol_fee,
+		holders_fee,
+		subject_fee,
+		total: is_buy? price + fee: price - fee,
+	};
+}
+
+// prints the quote returned by the `quote` function
+function print_quote(q) {
+	console.log("%s quote for %o shares, current supply %o:", q.is_buy? "buy": "sell", q.amount.toString(), q.supply.toString());
+	console.table([
+		{"key": "Price", "value": web3.utils.fromWei(q.price.toString())},
+		{"key": "Protocol Fee", "value": web3.utils.fromWei(q.protocol_fee.toString())},
+		{"key": "Holders Fee", "value": web3.utils.fromWei(q.holders_fee.toString())},
+		{"key": "Subject Fee", "value": web3.utils.fromWei(q.subject_fee.toString())},
+		{"key": q.is_buy? "Total to Pay": "Total to Receive", "value": web3.utils.fromWei(q.total.toString())},
+	]);
+}
+
+// decodes and prints the Trade event from the web3 transaction receipt
+function print_trade_event(receipt) {
+	const event = receipt.events && receipt.events["Trade"];
+	if(!event) {
+		console.warn("Trade event not found in %o", receipt.transactionHash);
+		return;
+	}
+	const v = event.returnValues;
+	console.log("Trade event:");
+	console.table([
+		{"key": "beneficiary", "value": v.beneficiary},
+		{"key": "issuer", "value": v.issuer},
+		{"key": "isBuy", "value": v.isBuy},
+		{"key": "sharesAmount", "value": v.sharesAmount},
+		{"key": "paidAmount", "value": web3.utils.fromWei(v.paidAmount)},
+		{"key": "protocolFeeAmount", "value": web3.utils.fromWei(v.protocolFeeAmount)},
+		{"key": "holdersFeeAmount", "value": web3.utils.fromWei(v.holdersFeeAmount)},
+		{"key": "subjectFeeAmount", "value": web3.utils.fromWei(v.subjectFeeAmount)},
+		{"key": "supply", "value": v.supply},
+	]);
+}
+
+// parses the shares amount task argument
+function parse_amount(amount) {
+	assert(/^\d+$/.test(amount) && BigInt(amount) > 0n, `malformed amount ${amount}`);
+	return BigInt(amount);
+}
+
+// applies the slippage percent (can be fractional) to the quoted value: increases it for buy, decreases for sell
+function apply_slippage(value, slippage = 0, is_buy) {
+	assert(/^\d+(\.\d+)?$/.test(String(slippage)), `malformed slippage ${slippage}`);
+	const slippage_ppm = BigInt(Math.round(parseFloat(slippage) * 10_000));
+	assert(slippage_ppm >= 0n && slippage_ppm < 1_000_000n, `malformed slippage ${slippage}`);
+	return is_buy?
+		value * (1_000_000n + slippage_ppm) / 1_000_000n:
+		value * (1_000_000n - slippage_ppm) / 1_000_000n;
+}
+
+// determines the deadline for the slippage protected trade, defaults to 5 minutes from the latest block
+async function deadline(seconds = 300) {
+	const block = await web3.eth.getBlock("latest");
+	return block.timestamp + parseInt(seconds);
+}
+
+// export public module API
+module.exports = {
+	shares_quote,
+	shares_buy,
+	shares_sell,
+	quote,
+};
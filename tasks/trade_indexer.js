@@ -0,0 +1,53 @@
+// Trade event indexer task: discovers the shares contracts registered in the SharesFactory
+// and indexes their Trade events into the local JSON store (candles, holders, fees)
+
+// Run: npx hardhat trades:index --network localhost [--factory 0x...] [--store ./trades.json]
+
+// indexer implementation
+const {index_trades} = require("../scripts/trade_indexer/trade_indexer");
+
+// hardhat task to index the Trade events
+async function trades_index(taskArguments, hre, runSuper) {
+	// print some useful info on the network we're indexing
+	const chainId = await hre.getChainId();
+	console.log("network %o %o", chainId, hre.network.name);
+
+	// resolve the factory address from the deployments if not specified
+	let factory_address = taskArguments["factory"];
+	if(!factory_address) {
+		({address: factory_address} = await hre.deployments.get("SharesFactory_Proxy"));
+	}
+
+	// resolve the store path, default one is bound to the network name
+	const store_path = taskArguments["store"] || require("path").join(
+		__dirname, "..", "scripts", "trade_indexer", "data", `trades_${hre.network.name}.json`
+	);
+	console.log("store: %o", store_path);
+
+	// run the indexer
+	const store = await index_trades({
+		web3,
+		factory_address,
+		store_path,
+		from_block: taskArguments["fromBlock"],
+		to_block: taskArguments["toBlock"],
+		batch_size: taskArguments["batch"],
+		candle_interval: taskArguments["interval"],
+	});
+
+	// print the summary
+	console.table(Object.values(store.curves).map(curve => ({
+		"curve": curve.address,
+		"type": curve.implementation_type,
+		"supply": curve.supply,
+		"holders": Object.keys(curve.holders).length,
+		"trades": curve.trades,
+		"volume": web3.utils.fromWei(curve.trade_volume),
+	})));
+	console.log("checkpoint: %o", store.checkpoint);
+}
+
+// export public module API
+module.exports = {
+	trades_index,
+};
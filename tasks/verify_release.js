@@ -0,0 +1,109 @@
+// release verification task: automates the "Verify the deployment" step of the release checklist
+// (see docs/release_3.md), reads the expected values from the config file (config/v3_0/<network>.json)
+// and the deployed addresses from the deployments/<network> folder, runs all the checks,
+// and exits with a non-zero code printing the diff if any of the checks fail
+
+// Run:
+// BACKEND_ADDRESS=0x... SHARES_OWNER_ADDRESS=0x... npx hardhat verify-release --network base_mainnet [--config config/v3_0/base_mainnet.json]
+
+// Config file format: top level keys are the deployment names, values are the expected contract state;
+// the expected values which are deployment names are resolved into the deployed addresses,
+// "deployer" is resolved into the service account, "backend" and "sharesOwner" are resolved into
+// the BACKEND_ADDRESS and SHARES_OWNER_ADDRESS environment variables (see scripts/deployment_config.js)
+// {
+//   "SharesFactory_Proxy": {
+//     "protocolFeePercent": "40000000000000000",           // getProtocolFeePercent() = 40000000000000000
+//     "protocolFeeDestination": "ProtocolFeeDistributor_Proxy", // getProtocolFeeDestination() = deployed address
+//     "sharesOwnerAddress": "sharesOwner",                 // getSharesOwnerAddress() = SHARES_OWNER_ADDRESS
+//     "sharesImplAddress": {"ETH": "ETHShares"},           // getSharesImplAddress(0) = deployed ETHShares address
+//     "features": "0x00000005",                            // features() = 0x00000005
+//     "roles": {"backend": "0x00080000"}                   // getRole(BACKEND_ADDRESS) = 0x00080000
+//   },
+//   "ETHShares": {
+//     "bondingCurve": "ETH"                                // getPrice() matches the ETH reference implementation
+//   }
+// }
+
+// shares pricing SDK: bonding curve reference implementation
+const {
+	get_price,
+} = require("../packages/shares-pricing");
+
+// deployment config (declarative contract state)
+const {
+	load_config,
+	get_service_account,
+	connect,
+	compare,
+	read_state,
+} = require("../scripts/deployment_config");
+
+// (supply, amount) pairs to verify the bonding curve function on
+const BONDING_CURVE_SAMPLES = [[0, 1], [1, 1], [1, 10], [10, 1], [100, 50], [1_000, 1], [10_000, 100]];
+
+// hardhat task to verify the release
+async function verify_release(taskArguments, hre, runSuper) {
+	// print some useful info on the network we're using
+	const chainId = await hre.getChainId();
+	console.log("network %o %o", chainId, hre.network.name);
+
+	// read the config file
+	const {config, config_path} = load_config(hre.network.name, taskArguments["config"]);
+	console.log("config %o", require("path").relative(process.cwd(), config_path));
+
+	// run all the checks and print the results
+	const checks = await run_checks(hre, config);
+	console.table(checks.map(({check, expected, actual, status}) => ({check, expected, actual, status})));
+
+	// print the diff and exit with a non-zero code if any of the checks fail
+	const failed = checks.filter(({status}) => status !== "OK");
+	if(failed.length) {
+		for(const {check, expected, actual} of failed) {
+			console.error("%s\n\t- expected: %s\n\t+ actual:   %s", check, expected, actual);
+		}
+		console.error("%o out of %o check(s) failed", failed.length, checks.length);
+		process.exitCode = 1;
+	}
+	else {
+		console.log("all %o check(s) passed", checks.length);
+	}
+
+	return checks;
+}
+
+/**
+ * Runs all the checks defined in the config
+ *
+ * @param hre Hardhat Runtime Environment
+ * @param config parsed config file
+ * @return array of {check, expected, actual, status}, where status is either "OK" or "MISMATCH"
+ */
+async function run_checks(hre, config) {
+	// service account is used to resolve "deployer" in the config
+	const deployer = await get_service_account(hre.network.name);
+
+	const checks = [];
+	for(const [contract_name, expectations] of Object.entries(config)) {
+		const contract = await connect(hre.deployments, contract_name);
+		// contract state: fees, addresses, features, roles
+		const entries = await read_state(hre.deployments, contract_name, expectations, deployer, contract);
+		checks.push(...entries.map(({check, expected, actual, status}) => ({check, expected, actual, status})));
+
+		// getPrice(supply, amount) = reference implementation, for all the samples
+		if(expectations.bondingCurve) {
+			for(const [supply, amount] of BONDING_CURVE_SAMPLES) {
+				checks.push(compare(
+					`${contract_name}.getPrice(${supply}, ${amount})`,
+					get_price(supply, amount, expectations.bondingCurve).toString(),
+					await contract.methods.getPrice(supply, amount).call(),
+				));
+			}
+		}
+	}
+	return checks;
+}
+
+// export public module API
+module.exports = {
+	verify_release,
+};
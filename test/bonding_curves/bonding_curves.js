@@ -0,0 +1,376 @@
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@openzeppelin/test-helpers");
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+const {
+	expect,
+} = require("chai");
+
+// bonding curves
+const {
+	ETH,
+	ETH_PRICE_DIVIDER,
+	ERC20_PRICE_MULTIPLIER,
+	get_price,
+	get_price_friend_tech,
+	get_price_linear,
+	get_price_exponential_capped,
+	get_price_sigmoid,
+} = require("./include/curves");
+
+const {random_int} = require("../include/number_utils");
+
+// custom balance tracker for the ERC20 token
+const balance = require("./include/balance");
+
+// import total supply constant for the ALI ERC20 token we're using here
+const {TOTAL_SUPPLY: S0}  = require("@ai-protocol/v3-core/test/ali_token/include/ali_erc20_constants");
+
+// deployment routines in use
+const {
+	SharesImplementationType,
+	BondingCurveType,
+	deploy_factory_and_configure,
+	factory_deploy_shares_with_curve,
+	deploy_shares_ETH,
+	deploy_shares_ERC20,
+	deploy_bonding_curve,
+} = require("./include/deployment_routines");
+
+// run pluggable bonding curves tests
+contract("BondingCurve: pluggable bonding curves", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2] = accounts;
+
+	// curve parameters used in the tests
+	const DIVISOR = new BN(32_000);
+	const LINEAR_BASE_PRICE = ETH.divn(1_000);
+	const LINEAR_SLOPE = ETH.divn(10_000);
+	const EXP_BASE_PRICE = ETH.divn(10_000);
+	const EXP_PERIOD = new BN(10);
+	const EXP_MAX_PRICE = ETH;
+	const SIGMOID_MAX_PRICE = ETH;
+	const SIGMOID_MIDPOINT = new BN(1_000);
+	const SIGMOID_SPREAD = new BN(250);
+
+	// curve type => [constructor args, JS reference model]
+	const CURVES = {
+		FRIEND_TECH: [
+			[],
+			(s, a) => get_price_friend_tech(s, a),
+		],
+		FRIEND_TECH_DIVISOR: [
+			[DIVISOR],
+			(s, a) => get_price_friend_tech(s, a, DIVISOR),
+		],
+		LINEAR: [
+			[LINEAR_BASE_PRICE, LINEAR_SLOPE],
+			(s, a) => get_price_linear(s, a, LINEAR_BASE_PRICE, LINEAR_SLOPE),
+		],
+		EXPONENTIAL_CAPPED: [
+			[EXP_BASE_PRICE, EXP_PERIOD, EXP_MAX_PRICE],
+			(s, a) => get_price_exponential_capped(s, a, EXP_BASE_PRICE, EXP_PERIOD, EXP_MAX_PRICE),
+		],
+		SIGMOID: [
+			[SIGMOID_MAX_PRICE, SIGMOID_MIDPOINT, SIGMOID_SPREAD],
+			(s, a) => get_price_sigmoid(s, a, SIGMOID_MAX_PRICE, SIGMOID_MIDPOINT, SIGMOID_SPREAD),
+		],
+	};
+
+	describe("JS reference models", function() {
+		it("friend.tech model with the default divisor matches the original curve", async function() {
+			for(let i = 0; i < 100; i++) {
+				const s = random_int(0, 10_000);
+				const a = random_int(0, 100);
+				expect(get_price_friend_tech(s, a), `getPrice(${s}, ${a})`).to.be.bignumber.that.equals(get_price(s, a));
+			}
+		});
+		it("exponential capped model reaches the cap", async function() {
+			// the price doubles 14 times before exceeding the cap: 10^14 * 2^14 > 10^18
+			expect(get_price_exponential_capped(1_000, 1, EXP_BASE_PRICE, EXP_PERIOD, EXP_MAX_PRICE))
+				.to.be.bignumber.that.equals(EXP_MAX_PRICE);
+		});
+		it("sigmoid model price at the midpoint is a half of the max price", async function() {
+			expect(get_price_sigmoid(SIGMOID_MIDPOINT, 1, SIGMOID_MAX_PRICE, SIGMOID_MIDPOINT, SIGMOID_SPREAD))
+				.to.be.bignumber.that.closeTo(SIGMOID_MAX_PRICE.divn(2), SIGMOID_MAX_PRICE.divn(100));
+		});
+		it("the first share is free in every model except the linear one with the base price", async function() {
+			for(const [curve_name, [, model]] of Object.entries(CURVES)) {
+				if(curve_name !== "LINEAR") {
+					expect(model(0, 1), `${curve_name} getPrice(0, 1)`).to.be.bignumber.that.equals("0");
+				}
+			}
+		});
+	});
+
+	describe("curve deployment validates the inputs", function() {
+		it("FriendTechDivisorBondingCurve: fails if divisor is zero", async function() {
+			await expectRevert(
+				deploy_bonding_curve(a0, BondingCurveType.FRIEND_TECH_DIVISOR, 0),
+				"zero divisor"
+			);
+		});
+		it("LinearBondingCurve: fails if both base price and slope are zero", async function() {
+			await expectRevert(
+				deploy_bonding_curve(a0, BondingCurveType.LINEAR, 0, 0),
+				"zero curve"
+			);
+		});
+		it("LinearBondingCurve: succeeds if only the base price is zero", async function() {
+			const curve = await deploy_bonding_curve(a0, BondingCurveType.LINEAR, 0, LINEAR_SLOPE);
+			expect(await curve.getPrice(0, 1)).to.be.bignumber.that.equals("0");
+		});
+		it("ExponentialCappedBondingCurve: fails if base price is zero", async function() {
+			await expectRevert(
+				deploy_bonding_curve(a0, BondingCurveType.EXPONENTIAL_CAPPED, 0, EXP_PERIOD, EXP_MAX_PRICE),
+				"zero input"
+			);
+		});
+		it("ExponentialCappedBondingCurve: fails if period is zero", async function() {
+			await expectRevert(
+				deploy_bonding_curve(a0, BondingCurveType.EXPONENTIAL_CAPPED, EXP_BASE_PRICE, 0, EXP_MAX_PRICE),
+				"zero input"
+			);
+		});
+		it("ExponentialCappedBondingCurve: fails if max price is smaller than the base price", async function() {
+			await expectRevert(
+				deploy_bonding_curve(a0, BondingCurveType.EXPONENTIAL_CAPPED, EXP_BASE_PRICE, EXP_PERIOD, EXP_BASE_PRICE.subn(1)),
+				"invalid max price"
+			);
+		});
+		it("ExponentialCappedBondingCurve: succeeds if max price equals the base price", async function() {
+			const curve = await deploy_bonding_curve(a0, BondingCurveType.EXPONENTIAL_CAPPED, EXP_BASE_PRICE, EXP_PERIOD, EXP_BASE_PRICE);
+			expect(await curve.getPrice(100, 10)).to.be.bignumber.that.equals(EXP_BASE_PRICE.muln(10));
+		});
+		it("SigmoidBondingCurve: fails if max price is zero", async function() {
+			await expectRevert(
+				deploy_bonding_curve(a0, BondingCurveType.SIGMOID, 0, SIGMOID_MIDPOINT, SIGMOID_SPREAD),
+				"zero input"
+			);
+		});
+		it("SigmoidBondingCurve: fails if spread is zero", async function() {
+			await expectRevert(
+				deploy_bonding_curve(a0, BondingCurveType.SIGMOID, SIGMOID_MAX_PRICE, SIGMOID_MIDPOINT, 0),
+				"zero input"
+			);
+		});
+	});
+
+	// fuzz every curve against its JS reference model
+	for(const [curve_name, [args, model]] of Object.entries(CURVES)) {
+		describe(`${curve_name} curve vs JS Impl`, function() {
+			let curve;
+			before(async function() {
+				curve = await deploy_bonding_curve(a0, BondingCurveType[curve_name], ...args);
+			});
+			it("zero price (0, 0)", async function() {
+				expect(await curve.getPrice(0, 0)).to.be.bignumber.that.equals(model(0, 0));
+			});
+			it("getPrice(0, 1)", async function() {
+				expect(await curve.getPrice(0, 1)).to.be.bignumber.that.equals(model(0, 1));
+			});
+			it("getPrice(s, 0) is zero", async function() {
+				expect(await curve.getPrice(random_int(1, 10_000), 0)).to.be.bignumber.that.equals("0");
+			});
+			for(let i = 0; i < 100; i++) {
+				const s = random_int(0, 5_000);
+				const a = random_int(1, 100);
+				it(`getPrice(${s}, ${a})`, async function() {
+					expect(await curve.getPrice(s, a)).to.be.bignumber.that.equals(model(s, a));
+				});
+			}
+			it("buying in several steps costs the same as buying at once", async function() {
+				const s = random_int(0, 5_000);
+				const a1 = random_int(1, 50);
+				const a2 = random_int(1, 50);
+				const p1 = await curve.getPrice(s, a1);
+				const p2 = await curve.getPrice(s + a1, a2);
+				expect(p1.add(p2)).to.be.bignumber.that.equals(await curve.getPrice(s, a1 + a2));
+			});
+		});
+	}
+
+	describe("standalone shares deployed with the curve", function() {
+		let curve;
+		before(async function() {
+			curve = await deploy_bonding_curve(a0, BondingCurveType.LINEAR, LINEAR_BASE_PRICE, LINEAR_SLOPE);
+		});
+		const model = CURVES.LINEAR[1];
+
+		describe("ETHShares", function() {
+			let shares;
+			before(async function() {
+				({shares} = await deploy_shares_ETH(
+					a0, undefined, undefined, undefined, undefined, undefined, undefined, undefined,
+					undefined, undefined, undefined, curve,
+				));
+			});
+			it("bondingCurve gets set correctly", async function() {
+				expect(await shares.getBondingCurve()).to.be.equal(curve.address);
+			});
+			for(let i = 0; i < 10; i++) {
+				const s = random_int(0, 5_000);
+				const a = random_int(1, 100);
+				it(`getPrice(${s}, ${a}) is shifted for ETH`, async function() {
+					expect(await shares.getPrice(s, a)).to.be.bignumber.that.equals(model(s, a).div(ETH_PRICE_DIVIDER));
+				});
+			}
+			it("getBuyPrice(1) is the price of the very first share", async function() {
+				expect(await shares.getBuyPrice(1)).to.be.bignumber.that.equals(model(0, 1).div(ETH_PRICE_DIVIDER));
+			});
+		});
+		describe("ERC20Shares", function() {
+			let shares;
+			before(async function() {
+				({shares} = await deploy_shares_ERC20(
+					a0, undefined, undefined, undefined, undefined, undefined, undefined, undefined,
+					undefined, undefined, undefined, undefined, curve,
+				));
+			});
+			it("bondingCurve gets set correctly", async function() {
+				expect(await shares.getBondingCurve()).to.be.equal(curve.address);
+			});
+			for(let i = 0; i < 10; i++) {
+				const s = random_int(0, 5_000);
+				const a = random_int(1, 100);
+				it(`getPrice(${s}, ${a}) is shifted for ERC20`, async function() {
+					expect(await shares.getPrice(s, a)).to.be.bignumber.that.equals(model(s, a).mul(ERC20_PRICE_MULTIPLIER));
+				});
+			}
+		});
+	});
+
+	describe("SharesFactory curve registry", function() {
+		let payment_token, factory, curve;
+		beforeEach(async function() {
+			({payment_token, factory} = await deploy_factory_and_configure(a0, a0));
+			curve = await deploy_bonding_curve(a0, BondingCurveType.SIGMOID, ...CURVES.SIGMOID[0]);
+		});
+
+		it("curve implementation address is not set initially", async function() {
+			for(const curve_type of Object.values(BondingCurveType)) {
+				expect(await factory.getCurveImplAddress(curve_type), `curve type ${curve_type}`).to.be.equal(ZERO_ADDRESS);
+			}
+		});
+		it("fails to set the curve implementation address without ROLE_FACTORY_DEPLOYMENT_MANAGER", async function() {
+			await expectRevert(
+				factory.setCurveImplAddress(BondingCurveType.SIGMOID, curve.address, {from: a1}),
+				"access denied"
+			);
+		});
+		it("fails to set the curve implementation charging for the first share", async function() {
+			const paid_curve = await deploy_bonding_curve(a0, BondingCurveType.LINEAR, ...CURVES.LINEAR[0]);
+			await expectRevert(
+				factory.setCurveImplAddress(BondingCurveType.LINEAR, paid_curve.address, {from: a0}),
+				"first share must be free"
+			);
+		});
+		describe("succeeds setting the curve implementation address with ROLE_FACTORY_DEPLOYMENT_MANAGER", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await factory.setCurveImplAddress(BondingCurveType.SIGMOID, curve.address, {from: a0});
+			});
+			it("getCurveImplAddress returns the address set", async function() {
+				expect(await factory.getCurveImplAddress(BondingCurveType.SIGMOID)).to.be.equal(curve.address);
+			});
+			it("other curve types remain not set", async function() {
+				expect(await factory.getCurveImplAddress(BondingCurveType.LINEAR)).to.be.equal(ZERO_ADDRESS);
+			});
+			it('"CurveImplAddressUpdated" event is emitted', async function() {
+				expectEvent(receipt, "CurveImplAddressUpdated", {
+					curveType: BondingCurveType.SIGMOID,
+					implementationAddress: curve.address,
+				});
+			});
+		});
+
+		describe("deploying the shares with the curve", function() {
+			it("fails if the curve is not registered", async function() {
+				await expectRevert(
+					factory_deploy_shares_with_curve(a1, factory, BondingCurveType.LINEAR),
+					"curve not registered"
+				);
+			});
+			it("FRIEND_TECH curve defaults to the built-in curve if not registered", async function() {
+				const {shares} = await factory_deploy_shares_with_curve(a1, factory, BondingCurveType.FRIEND_TECH);
+				expect(await shares.getBondingCurve()).to.be.equal(ZERO_ADDRESS);
+				expect(await shares.getPrice(100, 10)).to.be.bignumber.that.equals(get_price(100, 10).div(ETH_PRICE_DIVIDER));
+			});
+
+			function deploy_with_registered_curve(impl_type) {
+				describe(`${impl_type === SharesImplementationType.ETH? "ETHShares": "ERC20Shares"} with the registered curve`, function() {
+					let shares;
+					beforeEach(async function() {
+						await factory.setCurveImplAddress(BondingCurveType.SIGMOID, curve.address, {from: a0});
+						({shares} = await factory_deploy_shares_with_curve(a1, factory, BondingCurveType.SIGMOID, undefined, impl_type));
+					});
+					it("shares contract is bound to the curve", async function() {
+						expect(await shares.getBondingCurve()).to.be.equal(curve.address);
+					});
+					it("shares issuer is the deployer", async function() {
+						expect(await shares.getSharesIssuer()).to.be.equal(a1);
+					});
+					it("shares price follows the curve", async function() {
+						const s = random_int(0, 5_000);
+						const a = random_int(1, 100);
+						const price = CURVES.SIGMOID[1](s, a);
+						expect(await shares.getPrice(s, a)).to.be.bignumber.that.equals(
+							impl_type === SharesImplementationType.ETH? price.div(ETH_PRICE_DIVIDER): price.mul(ERC20_PRICE_MULTIPLIER)
+						);
+					});
+					it("updating the registered curve doesn't affect already deployed shares", async function() {
+						await factory.setCurveImplAddress(BondingCurveType.SIGMOID, ZERO_ADDRESS, {from: a0});
+						expect(await shares.getBondingCurve()).to.be.equal(curve.address);
+					});
+				});
+			}
+			deploy_with_registered_curve(SharesImplementationType.ETH);
+			deploy_with_registered_curve(SharesImplementationType.ERC20);
+
+			describe("ERC20Shares with the registered curve and the immediate buy", function() {
+				const amount = new BN(10);
+				let issuer_tracker, shares;
+				beforeEach(async function() {
+					await factory.setCurveImplAddress(BondingCurveType.SIGMOID, curve.address, {from: a0});
+					await payment_token.transfer(a1, S0.divn(2), {from: H0});
+					await payment_token.approve(factory.address, S0.divn(2), {from: a1});
+					issuer_tracker = await balance.tracker(a1, payment_token);
+					({shares} = await factory_deploy_shares_with_curve(
+						a1, factory, BondingCurveType.SIGMOID, undefined, SharesImplementationType.ERC20, amount
+					));
+				});
+				it("issuer receives the shares", async function() {
+					expect(await shares.getSharesBalance(a1), "issuer shares").to.be.bignumber.that.equals(amount);
+				});
+				it("issuer pays the curve price, including all the fees except the subject fee returned back", async function() {
+					const subject_fee_percent = await shares.getSubjectFeePercent();
+					const price_after_fee = await shares.getBuyPriceAfterFee(
+						0,
+						amount,
+						await shares.getProtocolFeePercent(),
+						await shares.getHoldersFeePercent(),
+						subject_fee_percent,
+					);
+					const subject_fee = (await shares.getBuyPrice(0, amount)).mul(subject_fee_percent).div(ETH);
+					expect(price_after_fee, "price after fee").to.be.bignumber.that.is.gt("0");
+					expect(await issuer_tracker.delta(), "issuer token delta")
+						.to.be.bignumber.that.equals(price_after_fee.sub(subject_fee).neg());
+				});
+				it("factory doesn't keep the tokens", async function() {
+					expect(await payment_token.balanceOf(factory.address), "factory balance").to.be.bignumber.that.equals("0");
+				});
+			});
+		});
+	});
+});
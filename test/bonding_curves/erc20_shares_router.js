@@ -0,0 +1,267 @@
+// Zeppelin test helpers
+const {
+	BN,
+	balance: eth_balance,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@openzeppelin/test-helpers");
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+const {
+	expect,
+} = require("chai");
+
+// bonding curves
+const {
+	ETH,
+} = require("./include/curves");
+
+// RBAC
+const {
+	not,
+	ROLE_DEX_ADAPTER_MANAGER,
+} = require("../include/features_roles");
+
+// custom balance tracker for the ERC20 token
+const balance = require("./include/balance");
+
+// import total supply constant for the ALI ERC20 token we're using here
+const {TOTAL_SUPPLY: S0}  = require("@ai-protocol/v3-core/test/ali_token/include/ali_erc20_constants");
+
+// block utils
+const {
+	default_deadline,
+} = require("../include/block_utils");
+
+// route quoting helpers
+const {
+	apply_slippage,
+	quote_buy_shares_with_eth,
+	build_buy_shares_with_eth,
+} = require("../../scripts/shares_router/shares_router");
+
+// deployment routines in use
+const {
+	deploy_shares_ERC20,
+	deploy_dex_adapter_mock,
+	deploy_erc20_shares_router,
+} = require("./include/deployment_routines");
+
+// run ERC20SharesRouter tests
+contract("ERC20SharesRouter: buying ERC20Shares with ETH", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3] = accounts;
+
+	// a1 is the issuer, a2 is the buyer, a3 is the beneficiary
+	const issuer = a1;
+	const buyer = a2;
+	const beneficiary = a3;
+
+	// DEX rate: 10,000 ALI for 1 ETH
+	const RATE = ETH.muln(10_000);
+
+	let payment_token, shares, dex, router;
+	beforeEach(async function() {
+		({payment_token, shares} = await deploy_shares_ERC20(a0, undefined, issuer));
+		// the first share is free, and only the issuer can buy it
+		await shares.buyShares(1, {from: issuer});
+
+		// fund the DEX with the payment token
+		dex = await deploy_dex_adapter_mock(a0, RATE);
+		await payment_token.transfer(dex.address, S0.divn(2), {from: H0});
+
+		router = await deploy_erc20_shares_router(a0, dex);
+	});
+
+	describe("deployment", function() {
+		it("DEX adapter is set", async function() {
+			expect(await router.dexAdapter(), "dexAdapter").to.equal(dex.address);
+		});
+		it("DEX adapter can be omitted", async function() {
+			router = await deploy_erc20_shares_router(a0);
+			expect(await router.dexAdapter(), "dexAdapter").to.equal(ZERO_ADDRESS);
+		});
+	});
+
+	describe("setDexAdapter", function() {
+		let new_dex;
+		beforeEach(async function() {
+			new_dex = await deploy_dex_adapter_mock(a0, RATE);
+		});
+		it("fails if executed not by the DEX adapter manager", async function() {
+			await router.updateRole(a0, not(ROLE_DEX_ADAPTER_MANAGER), {from: a0});
+			await expectRevert(router.setDexAdapter(new_dex.address, {from: a0}), "access denied");
+		});
+		describe("succeeds otherwise", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await router.setDexAdapter(new_dex.address, {from: a0});
+			});
+			it('"DexAdapterUpdated" event is emitted', async function() {
+				expectEvent(receipt, "DexAdapterUpdated", {
+					by: a0,
+					oldAdapter: dex.address,
+					newAdapter: new_dex.address,
+				});
+			});
+			it("DEX adapter is updated", async function() {
+				expect(await router.dexAdapter(), "dexAdapter").to.equal(new_dex.address);
+			});
+		});
+	});
+
+	describe("quoteBuySharesWithETH", function() {
+		const amount = new BN(10);
+		let quote;
+		beforeEach(async function() {
+			quote = await router.quoteBuySharesWithETH.call(shares.address, amount);
+		});
+		it("token amount is the price after fee", async function() {
+			expect(quote.tokenAmount, "tokenAmount").to.be.bignumber.that.equals(await shares.getBuyPriceAfterFee(amount));
+		});
+		it("ETH amount is the DEX quote for the token amount", async function() {
+			const eth_amount = await dex.getAmountIn(payment_token.address, quote.tokenAmount);
+			expect(quote.ethAmount, "ethAmount").to.be.bignumber.that.equals(eth_amount);
+		});
+		it("ETH amount is not zero", async function() {
+			expect(quote.ethAmount, "ethAmount").to.be.bignumber.that.is.gt("0");
+		});
+		it("fails if the DEX adapter is not set", async function() {
+			await router.setDexAdapter(ZERO_ADDRESS, {from: a0});
+			await expectRevert(router.quoteBuySharesWithETH.call(shares.address, amount), "DEX adapter not set");
+		});
+	});
+
+	describe("buySharesWithETH", function() {
+		const amount = new BN(10);
+		let token_amount, eth_amount;
+		beforeEach(async function() {
+			({tokenAmount: token_amount, ethAmount: eth_amount} = await router.quoteBuySharesWithETH.call(shares.address, amount));
+		});
+		it("fails if the transaction is expired", async function() {
+			const deadline = await default_deadline(-1);
+			await expectRevert(
+				router.buySharesWithETH(shares.address, amount, beneficiary, deadline, {from: buyer, value: eth_amount}),
+				"expired"
+			);
+		});
+		it("fails if the DEX adapter is not set", async function() {
+			await router.setDexAdapter(ZERO_ADDRESS, {from: a0});
+			await expectRevert(
+				router.buySharesWithETH(shares.address, amount, beneficiary, await default_deadline(), {from: buyer, value: eth_amount}),
+				"DEX adapter not set"
+			);
+		});
+		it("fails if the ETH sent is not enough for the swap", async function() {
+			await expectRevert(
+				router.buySharesWithETH(shares.address, amount, beneficiary, await default_deadline(), {from: buyer, value: eth_amount.subn(1)}),
+				"excessive input amount"
+			);
+		});
+		it("fails if the price moved beyond the ETH sent", async function() {
+			await dex.setRate(RATE.divn(2), {from: a0});
+			await expectRevert(
+				router.buySharesWithETH(shares.address, amount, beneficiary, await default_deadline(), {from: buyer, value: eth_amount}),
+				"excessive input amount"
+			);
+		});
+		it("fails to buy the first share (only the issuer can)", async function() {
+			({shares} = await deploy_shares_ERC20(a0, payment_token, issuer));
+			await expectRevert(
+				router.buySharesWithETH(shares.address, 1, beneficiary, await default_deadline(), {from: buyer, value: ETH}),
+				"only the issuer can buy the first share"
+			);
+		});
+		it("direct ETH transfers to the router are rejected", async function() {
+			await expectRevert(router.send(ETH, {from: buyer}), "not a DEX adapter");
+		});
+
+		function succeeds(extra_value, bonus = new BN(0)) {
+			let buyer_token_tracker, dex_eth_tracker, router_eth_tracker;
+			let receipt;
+			beforeEach(async function() {
+				await dex.setBonus(bonus, {from: a0});
+				buyer_token_tracker = await balance.tracker(buyer, payment_token);
+				dex_eth_tracker = await eth_balance.tracker(dex.address);
+				router_eth_tracker = await eth_balance.tracker(router.address);
+				receipt = await router.buySharesWithETH(
+					shares.address,
+					amount,
+					beneficiary,
+					await default_deadline(),
+					{from: buyer, value: eth_amount.add(extra_value)},
+				);
+			});
+			it('"SharesBoughtWithETH" event is emitted', async function() {
+				expectEvent(receipt, "SharesBoughtWithETH", {
+					buyer,
+					sharesContract: shares.address,
+					beneficiary,
+					amount,
+					tokensPaid: token_amount,
+					ethPaid: eth_amount,
+				});
+			});
+			it("beneficiary receives the shares", async function() {
+				expect(await shares.getSharesBalance(beneficiary), "beneficiary shares").to.be.bignumber.that.equals(amount);
+			});
+			it("buyer doesn't receive the shares", async function() {
+				expect(await shares.getSharesBalance(buyer), "buyer shares").to.be.bignumber.that.equals("0");
+			});
+			it("DEX receives the quoted amount of ETH", async function() {
+				expect(await dex_eth_tracker.delta(), "DEX ETH delta").to.be.bignumber.that.equals(eth_amount);
+			});
+			it("router doesn't keep ETH", async function() {
+				expect(await router_eth_tracker.delta(), "router ETH delta").to.be.bignumber.that.equals("0");
+			});
+			it("router doesn't keep the payment token", async function() {
+				expect(await payment_token.balanceOf(router.address), "router token balance").to.be.bignumber.that.equals("0");
+			});
+			it("buyer receives the payment token not spent", async function() {
+				expect(await buyer_token_tracker.delta(), "buyer token delta").to.be.bignumber.that.equals(bonus);
+			});
+		}
+
+		describe("succeeds with exactly the quoted amount of ETH", function() {
+			succeeds(new BN(0));
+		});
+		describe("succeeds with more ETH than quoted, refunding the change", function() {
+			succeeds(ETH);
+		});
+		describe("succeeds when the DEX sends more tokens than requested, refunding them", function() {
+			succeeds(new BN(0), new BN(12345));
+		});
+	});
+
+	describe("JS route quoting helpers", function() {
+		const amount = new BN(10);
+		it("apply_slippage: 0.5% by default, rounded up", async function() {
+			expect(apply_slippage("10000"), "10000 + 0.5%").to.equal("10050");
+			expect(apply_slippage("1"), "1 + 0.5%").to.equal("2");
+			expect(apply_slippage("10000", 0), "no slippage").to.equal("10000");
+		});
+		it("quote_buy_shares_with_eth: quote matches the contracts", async function() {
+			const quote = await quote_buy_shares_with_eth(router.contract, shares.contract, amount, 100);
+			const {tokenAmount, ethAmount} = await router.quoteBuySharesWithETH.call(shares.address, amount);
+			expect(quote.price, "price").to.equal((await shares.getBuyPrice(amount)).toString(10));
+			expect(quote.price_after_fee, "price_after_fee").to.equal(tokenAmount.toString(10));
+			expect(quote.eth_amount, "eth_amount").to.equal(ethAmount.toString(10));
+			expect(quote.value, "value").to.equal(apply_slippage(ethAmount, 100));
+		});
+		it("build_buy_shares_with_eth: transaction built buys the shares", async function() {
+			const deadline = await default_deadline(60);
+			const {quote, tx} = await build_buy_shares_with_eth(router.contract, shares.contract, amount, beneficiary, deadline);
+			expect(tx.to, "to").to.equal(router.address);
+			expect(tx.value, "value").to.equal(quote.value);
+			await web3.eth.sendTransaction({...tx, from: buyer, gas: 1_000_000});
+			expect(await shares.getSharesBalance(beneficiary), "beneficiary shares").to.be.bignumber.that.equals(amount);
+		});
+	});
+});
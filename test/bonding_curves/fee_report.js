@@ -0,0 +1,266 @@
+// Zeppelin test helpers
+const {
+	BN,
+	time,
+} = require("@openzeppelin/test-helpers");
+const {
+	expect,
+} = require("chai");
+
+// import total supply constant for the ALI ERC20 token we're using here
+const {TOTAL_SUPPLY: S0}  = require("@ai-protocol/v3-core/test/ali_token/include/ali_erc20_constants");
+
+// fee report
+const {
+	CSV_COLUMNS,
+	resolve_block_range,
+	build_fee_report,
+	to_csv,
+} = require("../../scripts/fee_report/fee_report");
+
+// SharesFactory.ImplementationType
+const {
+	SharesImplementationType,
+} = require("./include/enums");
+
+// deployment routines in use
+const {
+	deploy_factory_and_configure,
+	factory_deploy_shares,
+	deploy_protocol_fee_distributor,
+} = require("./include/deployment_routines");
+
+// run fee report tests
+contract("Fee accounting report", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3, a4] = accounts;
+
+	// define the "players"
+	const issuer1 = a1;
+	const issuer2 = a2;
+	const buyer1 = a3;
+	const buyer2 = a4;
+
+	// sums up the event field values over all the Trade events of the shares contracts
+	async function sum_trades(field, ...shares_list) {
+		let sum = new BN(0);
+		for(const shares of shares_list) {
+			const events = await shares.getPastEvents("Trade", {fromBlock: 0});
+			sum = events.reduce((sum, event) => sum.add(new BN(event.returnValues[field])), sum);
+		}
+		return sum.toString();
+	}
+
+	describe("when the factory is deployed and the shares contracts are deployed", function() {
+		let factory, payment_token, distributor, protocol_fee_percent, eth_shares, erc20_shares, escrowing_shares;
+		let from_block;
+		beforeEach(async function() {
+			from_block = await web3.eth.getBlockNumber();
+			({factory, payment_token, protocol_fee_destination: distributor, protocol_fee_percent} = await deploy_factory_and_configure(a0));
+			({shares: eth_shares} = await factory_deploy_shares(a0, factory, undefined, issuer1, SharesImplementationType.ETH));
+			({shares: erc20_shares} = await factory_deploy_shares(a0, factory, undefined, issuer1, SharesImplementationType.ERC20));
+
+			// the curve deployed after the protocol fee destination is set to the malicious distributor
+			// escrows all the protocol fees (non-blocking send fails)
+			const malicious_distributor = await deploy_protocol_fee_distributor(a0, payment_token, true);
+			await factory.setProtocolFeeDestination(malicious_distributor.address, {from: a0});
+			({shares: escrowing_shares} = await factory_deploy_shares(a0, factory, undefined, issuer2, SharesImplementationType.ETH));
+
+			// buy the first shares
+			for(const [shares, issuer] of [[eth_shares, issuer1], [erc20_shares, issuer1], [escrowing_shares, issuer2]]) {
+				await shares.buyShares(1, {from: issuer});
+			}
+
+			// give the buyers some tokens and approve them
+			for(const buyer of [buyer1, buyer2]) {
+				await payment_token.transfer(buyer, S0.divn(4), {from: a0});
+				await payment_token.approve(erc20_shares.address, S0, {from: buyer});
+			}
+		});
+
+		// does some trading: buys and sells
+		async function trade() {
+			for(const [shares, eth] of [[eth_shares, true], [erc20_shares, false], [escrowing_shares, true]]) {
+				for(const [buyer, amount] of [[buyer1, 3], [buyer2, 5], [buyer1, 2]]) {
+					const value = eth? await shares.getBuyPriceAfterFee(amount): 0;
+					await shares.buyShares(amount, {from: buyer, value});
+				}
+				await shares.sellShares(2, {from: buyer2});
+			}
+		}
+
+		// builds the report with small batches and no logging
+		async function report(range = {}, batch_size = 3) {
+			return await build_fee_report({
+				web3,
+				factory_address: factory.address,
+				distributor_address: distributor,
+				from_block: range.from_block ?? from_block,
+				to_block: range.to_block ?? await web3.eth.getBlockNumber(),
+				registry_from_block: from_block,
+				batch_size,
+				log: () => {},
+			});
+		}
+
+		describe("after trading", function() {
+			let fee_report;
+			beforeEach(async function() {
+				await trade();
+				fee_report = await report();
+			});
+			it("all the curves are discovered", async function() {
+				expect(Object.keys(fee_report.curves)).to.have.members([
+					eth_shares.address,
+					erc20_shares.address,
+					escrowing_shares.address,
+				]);
+			});
+			it("curve currencies are recorded", async function() {
+				expect(fee_report.curves[eth_shares.address].currency, "ETH").to.equal("ETH");
+				expect(fee_report.curves[erc20_shares.address].currency, "ERC20").to.equal("ERC20");
+				expect(fee_report.curves[escrowing_shares.address].currency, "escrowing ETH").to.equal("ETH");
+			});
+			for(const name of ["eth_shares", "erc20_shares", "escrowing_shares"]) {
+				describe(`${name} curve`, function() {
+					let shares, curve;
+					beforeEach(async function() {
+						shares = {eth_shares, erc20_shares, escrowing_shares}[name];
+						curve = fee_report.curves[shares.address];
+					});
+					it("all the trades are counted", async function() {
+						expect(curve.trades).to.equal((await shares.getPastEvents("Trade", {fromBlock: 0})).length);
+					});
+					it("trade volume matches the Trade events", async function() {
+						expect(curve.volume).to.equal(await sum_trades("paidAmount", shares));
+					});
+					it("fees match the Trade events", async function() {
+						expect(curve.protocol_fee, "protocol").to.equal(await sum_trades("protocolFeeAmount", shares));
+						expect(curve.holders_fee, "holders").to.equal(await sum_trades("holdersFeeAmount", shares));
+						expect(curve.subject_fee, "subject").to.equal(await sum_trades("subjectFeeAmount", shares));
+					});
+				});
+			}
+			it("ETH totals match the Trade events of the ETH curves", async function() {
+				const totals = fee_report.totals["ETH"];
+				expect(totals.volume, "volume").to.equal(await sum_trades("paidAmount", eth_shares, escrowing_shares));
+				expect(totals.protocol_fee, "protocol").to.equal(await sum_trades("protocolFeeAmount", eth_shares, escrowing_shares));
+				expect(totals.holders_fee, "holders").to.equal(await sum_trades("holdersFeeAmount", eth_shares, escrowing_shares));
+				expect(totals.subject_fee, "subject").to.equal(await sum_trades("subjectFeeAmount", eth_shares, escrowing_shares));
+			});
+			it("ERC20 totals match the Trade events of the ERC20 curve", async function() {
+				const totals = fee_report.totals["ERC20"];
+				expect(totals.volume, "volume").to.equal(await sum_trades("paidAmount", erc20_shares));
+				expect(totals.protocol_fee, "protocol").to.equal(await sum_trades("protocolFeeAmount", erc20_shares));
+			});
+			it("per issuer totals are split by the issuer and currency", async function() {
+				expect(Object.keys(fee_report.issuers)).to.have.members([issuer1, issuer2]);
+				expect(fee_report.issuers[issuer1]["ETH"].subject_fee, "issuer1 ETH").to.equal(await sum_trades("subjectFeeAmount", eth_shares));
+				expect(fee_report.issuers[issuer1]["ERC20"].subject_fee, "issuer1 ERC20").to.equal(await sum_trades("subjectFeeAmount", erc20_shares));
+				expect(fee_report.issuers[issuer2]["ETH"].subject_fee, "issuer2 ETH").to.equal(await sum_trades("subjectFeeAmount", escrowing_shares));
+				expect(fee_report.issuers[issuer2], "issuer2 ERC20").to.not.have.property("ERC20");
+			});
+			it("no fees are dropped", async function() {
+				expect(fee_report.dropped).to.be.empty;
+				expect(fee_report.totals["ETH"].dropped_protocol_fee, "protocol").to.equal("0");
+				expect(fee_report.totals["ETH"].dropped_subject_fee, "subject").to.equal("0");
+			});
+			it("protocol fees failed to be sent to the malicious destination are escrowed", async function() {
+				const events = await escrowing_shares.getPastEvents("Trade", {fromBlock: 0});
+				const expected = events.reduce(
+					(sum, event) => sum.add(new BN(event.returnValues.paidAmount).mul(protocol_fee_percent).div(new BN(10).pow(new BN(18)))),
+					new BN(0)
+				);
+				expect(fee_report.curves[escrowing_shares.address].protocol_fee, "reported").to.equal(expected.toString());
+				expect(fee_report.curves[escrowing_shares.address].escrowed_fee, "escrowed").to.equal(expected.toString());
+				expect(fee_report.curves[escrowing_shares.address].withdrawn_fee, "withdrawn").to.equal("0");
+			});
+			it("healthy curves don't escrow the fees", async function() {
+				expect(fee_report.curves[eth_shares.address].escrowed_fee).to.equal("0");
+			});
+			it("ERC20 curve doesn't report the escrow", async function() {
+				expect(fee_report.curves[erc20_shares.address]).to.not.have.property("escrowed_fee");
+			});
+			it("protocol fees escrowed for another destination don't reconcile against the distributor", async function() {
+				const curve = fee_report.curves[escrowing_shares.address];
+				expect(curve.distributor_received, "received").to.equal("0");
+				expect(curve.distributor_escrowed, "escrowed").to.equal("0");
+				expect(curve.protocol_fee_mismatch, "mismatch").to.equal(curve.protocol_fee);
+			});
+			it("ETH protocol fees reconcile against the distributor ETHReceived events", async function() {
+				const curve = fee_report.curves[eth_shares.address];
+				expect(curve.distributor_received, "received").to.equal(curve.protocol_fee);
+				expect(curve.protocol_fee_mismatch, "mismatch").to.equal("0");
+			});
+			it("ERC20 curve is not reconciled", async function() {
+				expect(fee_report.curves[erc20_shares.address]).to.not.have.property("protocol_fee_mismatch");
+			});
+			it("distributor received ETH is split into curves and other senders", async function() {
+				await web3.eth.sendTransaction({from: a0, to: distributor, value: 1_000});
+				const report2 = await report();
+				expect(report2.distributor_received.curves, "curves").to.equal(fee_report.curves[eth_shares.address].protocol_fee);
+				expect(report2.distributor_received.other, "other").to.equal("1000");
+			});
+			it("batch size doesn't affect the result", async function() {
+				expect(await report({}, 1_000)).to.deep.equal(fee_report);
+			});
+			it("trades outside the block range are not counted", async function() {
+				const to_block = await web3.eth.getBlockNumber();
+				await trade();
+				const report2 = await report({from_block: to_block + 1});
+				expect(Object.keys(report2.curves).length, "curves").to.equal(3);
+				expect(report2.curves[eth_shares.address].trades, "trades").to.equal(4);
+				expect(report2.curves[escrowing_shares.address].escrowed_fee, "escrowed")
+					.to.equal(report2.curves[escrowing_shares.address].protocol_fee);
+			});
+			it("CSV contains a line per curve and a total line per currency", async function() {
+				const lines = to_csv(fee_report).trim().split("\n");
+				expect(lines[0], "header").to.equal(CSV_COLUMNS.join(","));
+				expect(lines.length, "lines").to.equal(1 + 3 + 2);
+				expect(lines.every(line => line.split(",").length === CSV_COLUMNS.length), "columns").to.be.true;
+				expect(lines.filter(line => line.startsWith("TOTAL,")).length, "totals").to.equal(2);
+				expect(lines.find(line => line.startsWith(eth_shares.address)), "ETH curve").to.include(issuer1);
+			});
+		});
+		describe("resolving the time range", function() {
+			let t0, b0, b1;
+			beforeEach(async function() {
+				await time.increase(3_600);
+				await time.advanceBlock();
+				b0 = await web3.eth.getBlockNumber();
+				t0 = parseInt((await web3.eth.getBlock(b0)).timestamp);
+				await time.increase(3_600);
+				await time.advanceBlock();
+				b1 = await web3.eth.getBlockNumber();
+			});
+			it("from_time resolves into the first block at or after the time", async function() {
+				expect((await resolve_block_range({web3, from_time: t0})).from_block).to.equal(b0);
+			});
+			it("to_time resolves into the last block before the time", async function() {
+				expect((await resolve_block_range({web3, to_time: t0 + 1})).to_block).to.equal(b0);
+			});
+			it("to_block defaults to the latest block", async function() {
+				expect((await resolve_block_range({web3})).to_block).to.equal(b1);
+			});
+			it("date strings are supported", async function() {
+				const date = new Date(t0 * 1000).toISOString();
+				expect((await resolve_block_range({web3, from_time: date})).from_block).to.equal(b0);
+			});
+			it("empty range is rejected", async function() {
+				let error;
+				try {
+					await resolve_block_range({web3, from_block: b1, to_block: b0});
+				}
+				catch(e) {
+					error = e;
+				}
+				expect(error, "no error").to.exist;
+				expect(error.message).to.include("empty block range");
+			});
+		});
+	});
+});
@@ -0,0 +1,302 @@
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@openzeppelin/test-helpers");
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+const {
+	expect,
+} = require("chai");
+
+// BN utils
+const {
+	ETH,
+} = require("../include/bn_utils");
+
+// block utils
+const {
+	default_deadline,
+} = require("../include/block_utils");
+
+// deployment routines in use
+const {
+	ali_erc20_deploy,
+} = require("@ai-protocol/v3-core/test/ali_token/include/deployment_routines");
+
+// SharesFactory.ImplementationType
+const {
+	SharesImplementationType,
+} = require("./include/enums");
+
+// deployment routines in use
+const {
+	deploy_holders_rewards_distributor,
+	deploy_factory_and_configure,
+	factory_deploy_shares,
+	holders_rewards_distributor_sign_claim,
+} = require("./include/deployment_routines");
+
+// run HoldersRewardsDistributorV1 claim on behalf, EIP712 claim, and compounding tests
+contract("Holder Reward Distributor: claim on behalf, EIP712 claim, and compounding", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3, a4] = accounts;
+
+	// signer is a holder account with the known private key
+	const signer = web3.eth.accounts.create();
+	// relayer pays the gas
+	const relayer = a3;
+	// recipient receives the reward
+	const recipient = a4;
+
+	// registers the trade on the distributor bound to a0 as the shares contract
+	async function buy_shares_eth(distributor, account, shares_amount, value = 0) {
+		const data = web3.eth.abi.encodeParameters(["address", "bool", "uint256"], [account, true, shares_amount]);
+		return await web3.eth.sendTransaction({to: distributor.address, value, data, from: a0});
+	}
+	async function buy_shares_erc20(distributor, payment_token, account, shares_amount, value = 0) {
+		const data = web3.eth.abi.encodeParameters(["address", "bool", "uint256"], [account, true, shares_amount]);
+		return await payment_token.transferFromAndCall(a0, distributor.address, value, data, {from: a0});
+	}
+
+	describe("ether holder reward distributor: a1 and signer hold a share each, 1 ETH is distributed", function() {
+		let distributor;
+		beforeEach(async function() {
+			distributor = await deploy_holders_rewards_distributor(a0, ZERO_ADDRESS, a0);
+			await buy_shares_eth(distributor, a1, "1");
+			await buy_shares_eth(distributor, signer.address, "1");
+			await web3.eth.sendTransaction({to: distributor.address, value: ETH, from: a0});
+		});
+		it("pending rewards are split equally", async function() {
+			expect(await distributor.pendingReward(a1), "a1").to.be.bignumber.that.equals(ETH.divn(2));
+			expect(await distributor.pendingReward(signer.address), "signer").to.be.bignumber.that.equals(ETH.divn(2));
+		});
+
+		describe("claimTheRewardTo", function() {
+			it("fails if there is nothing to claim", async function() {
+				await expectRevert(distributor.claimTheRewardTo(recipient, {from: a2}), "Nothing to claim");
+			});
+			describe("succeeds otherwise", function() {
+				let balance_before, receipt;
+				beforeEach(async function() {
+					balance_before = new BN(await web3.eth.getBalance(recipient));
+					receipt = await distributor.claimTheRewardTo(recipient, {from: a1});
+				});
+				it("recipient receives the reward", async function() {
+					expect(new BN(await web3.eth.getBalance(recipient)).sub(balance_before)).to.be.bignumber.that.equals(ETH.divn(2));
+				});
+				it("'RewardClaimed' event is emitted for the holder", async function() {
+					expectEvent(receipt, "RewardClaimed", {holder: a1, rewardAmount: ETH.divn(2)});
+				});
+				it("holder claimed amount is updated", async function() {
+					expect((await distributor.userInfo(a1)).claimedAmount).to.be.bignumber.that.equals(ETH.divn(2));
+				});
+				it("holder pending reward is zeroed", async function() {
+					expect(await distributor.pendingReward(a1)).to.be.bignumber.that.equals("0");
+				});
+				it("other holder pending reward is not affected", async function() {
+					expect(await distributor.pendingReward(signer.address)).to.be.bignumber.that.equals(ETH.divn(2));
+				});
+				it("claiming twice fails", async function() {
+					await expectRevert(distributor.claimTheRewardTo(recipient, {from: a1}), "Nothing to claim");
+				});
+			});
+		});
+
+		describe("eip712ClaimTheReward", function() {
+			it("fails if the request is not yet valid", async function() {
+				const {request, signature} = await holders_rewards_distributor_sign_claim(
+					signer, distributor, recipient, await default_deadline(60)
+				);
+				await expectRevert(distributor.eip712ClaimTheReward(request, signature, {from: relayer}), "not yet valid");
+			});
+			it("fails if the request is expired", async function() {
+				const {request, signature} = await holders_rewards_distributor_sign_claim(
+					signer, distributor, recipient, undefined, await default_deadline(-1)
+				);
+				await expectRevert(distributor.eip712ClaimTheReward(request, signature, {from: relayer}), "expired");
+			});
+			it("fails if the nonce is invalid", async function() {
+				const {request, signature} = await holders_rewards_distributor_sign_claim(
+					signer, distributor, recipient, undefined, undefined, 1
+				);
+				await expectRevert(distributor.eip712ClaimTheReward(request, signature, {from: relayer}), "invalid nonce");
+			});
+			it("fails if the request is signed not by the holder", async function() {
+				const {request, signature} = await holders_rewards_distributor_sign_claim(signer, distributor, recipient);
+				await expectRevert(
+					distributor.eip712ClaimTheReward({...request, holder: a1}, signature, {from: relayer}),
+					"invalid signature"
+				);
+			});
+			it("fails if the recipient is altered", async function() {
+				const {request, signature} = await holders_rewards_distributor_sign_claim(signer, distributor, recipient);
+				await expectRevert(
+					distributor.eip712ClaimTheReward({...request, recipient: relayer}, signature, {from: relayer}),
+					"invalid signature"
+				);
+			});
+			describe("succeeds otherwise", function() {
+				let request, signature, balance_before, receipt;
+				beforeEach(async function() {
+					({request, signature} = await holders_rewards_distributor_sign_claim(signer, distributor, recipient));
+					balance_before = new BN(await web3.eth.getBalance(recipient));
+					receipt = await distributor.eip712ClaimTheReward(request, signature, {from: relayer});
+				});
+				it("recipient receives the reward", async function() {
+					expect(new BN(await web3.eth.getBalance(recipient)).sub(balance_before)).to.be.bignumber.that.equals(ETH.divn(2));
+				});
+				it("'RewardClaimed' event is emitted for the holder", async function() {
+					expectEvent(receipt, "RewardClaimed", {holder: signer.address, rewardAmount: ETH.divn(2)});
+				});
+				it("'NonceUsed' event is emitted", async function() {
+					expectEvent(receipt, "NonceUsed", {holder: signer.address, nonce: "0"});
+				});
+				it("nonce increases", async function() {
+					expect(await distributor.getNonce(signer.address)).to.be.bignumber.that.equals("1");
+				});
+				it("holder pending reward is zeroed", async function() {
+					expect(await distributor.pendingReward(signer.address)).to.be.bignumber.that.equals("0");
+				});
+				it("replaying the request fails", async function() {
+					await expectRevert(distributor.eip712ClaimTheReward(request, signature, {from: relayer}), "invalid nonce");
+				});
+				it("next request fails if there is nothing to claim", async function() {
+					({request, signature} = await holders_rewards_distributor_sign_claim(signer, distributor, recipient));
+					await expectRevert(distributor.eip712ClaimTheReward(request, signature, {from: relayer}), "Nothing to claim");
+				});
+			});
+		});
+
+		describe("rewindNonce", function() {
+			it("fails if the nonce is not increasing", async function() {
+				await expectRevert(distributor.rewindNonce(0, {from: a1}), "new nonce must be bigger than the current one");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await distributor.rewindNonce(2, {from: a1});
+				});
+				it("nonce is updated", async function() {
+					expect(await distributor.getNonce(a1)).to.be.bignumber.that.equals("2");
+				});
+				it("'NonceUsed' event is emitted", async function() {
+					expectEvent(receipt, "NonceUsed", {holder: a1, nonce: "1"});
+				});
+				it("other holder nonce is not affected", async function() {
+					expect(await distributor.getNonce(signer.address)).to.be.bignumber.that.equals("0");
+				});
+			});
+		});
+
+		it("compounding fails if the distributor is not bound to the real shares contract", async function() {
+			await expectRevert.unspecified(distributor.compoundTheReward(1, {from: a1}));
+		});
+	});
+
+	describe("erc20 holder reward distributor: a1 holds a share, 1 ALI is distributed", function() {
+		let payment_token, distributor;
+		beforeEach(async function() {
+			payment_token = await ali_erc20_deploy(a0);
+			distributor = await deploy_holders_rewards_distributor(a0, payment_token, a0);
+			await buy_shares_erc20(distributor, payment_token, a1, "1");
+			await payment_token.transferFromAndCall(a0, distributor.address, ETH, "0x", {from: a0});
+		});
+		describe("claimTheRewardTo succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await distributor.claimTheRewardTo(recipient, {from: a1});
+			});
+			it("recipient receives the reward", async function() {
+				expect(await payment_token.balanceOf(recipient)).to.be.bignumber.that.equals(ETH);
+			});
+			it("holder doesn't receive the reward", async function() {
+				expect(await payment_token.balanceOf(a1)).to.be.bignumber.that.equals("0");
+			});
+			it("'RewardClaimed' event is emitted for the holder", async function() {
+				expectEvent(receipt, "RewardClaimed", {holder: a1, rewardAmount: ETH});
+			});
+		});
+		it("compounding is not supported", async function() {
+			await expectRevert(distributor.compoundTheReward(1, {from: a1}), "not an ETH reward distributor");
+		});
+	});
+
+	describe("compounding the reward into the ETH shares deployed by the factory", function() {
+		const holder = a1;
+		const whale = a2;
+		let shares, distributor;
+		beforeEach(async function() {
+			const {factory} = await deploy_factory_and_configure(a0);
+			({shares, distributor} = await factory_deploy_shares(a0, factory, undefined, a0, SharesImplementationType.ETH));
+			await shares.buyShares(1, {from: a0});
+
+			// holder buys some shares, then whale buys and sells a lot generating holders fees
+			await shares.buyShares(10, {from: holder, value: await shares.getBuyPriceAfterFee(10)});
+			await shares.buyShares(100, {from: whale, value: await shares.getBuyPriceAfterFee(100)});
+			await shares.sellShares(90, {from: whale});
+		});
+		it("fails if the amount is zero", async function() {
+			await expectRevert(distributor.compoundTheReward(0, {from: holder}), "zero amount");
+		});
+		it("fails if there is nothing to claim", async function() {
+			await expectRevert(distributor.compoundTheReward(1, {from: recipient}), "Nothing to claim");
+		});
+		it("fails if the reward is not enough to buy the shares", async function() {
+			await expectRevert(distributor.compoundTheReward(1_000, {from: holder}), "insufficient reward");
+		});
+		describe("succeeds otherwise", function() {
+			const amount = new BN(2);
+			let pending, value, holder_shares, holder_balance, receipt;
+			beforeEach(async function() {
+				pending = await distributor.pendingReward(holder);
+				value = await shares.getBuyPriceAfterFee(amount);
+				expect(value, "reward is not enough to run the test").to.be.bignumber.that.is.lte(pending);
+				holder_shares = await shares.getSharesBalance(holder);
+				holder_balance = new BN(await web3.eth.getBalance(holder));
+				receipt = await distributor.compoundTheReward(amount, {from: holder, gasPrice: 0});
+			});
+			it("holder receives the shares", async function() {
+				expect(await shares.getSharesBalance(holder)).to.be.bignumber.that.equals(holder_shares.add(amount));
+			});
+			it("distributor registers the shares bought", async function() {
+				expect((await distributor.userInfo(holder)).shares).to.be.bignumber.that.equals(holder_shares.add(amount));
+			});
+			it("holder receives the remainder", async function() {
+				expect(new BN(await web3.eth.getBalance(holder)).sub(holder_balance)).to.be.bignumber.that.equals(pending.sub(value));
+			});
+			it("'RewardClaimed' event is emitted", async function() {
+				expectEvent(receipt, "RewardClaimed", {holder, rewardAmount: pending});
+			});
+			it("'RewardCompounded' event is emitted", async function() {
+				expectEvent(receipt, "RewardCompounded", {
+					holder,
+					sharesAmount: amount,
+					rewardSpent: value,
+					remainder: pending.sub(value),
+				});
+			});
+			it("'Trade' event is emitted by the shares contract", async function() {
+				await expectEvent.inTransaction(receipt.tx, shares, "Trade", {
+					beneficiary: holder,
+					isBuy: true,
+					sharesAmount: amount,
+				});
+			});
+			it("holder claimed amount is updated", async function() {
+				expect((await distributor.userInfo(holder)).claimedAmount).to.be.bignumber.that.equals(pending);
+			});
+			it("holder pending reward is only the part of the compounding trade holders fee", async function() {
+				expect(await distributor.pendingReward(holder)).to.be.bignumber.that.is.lt(value);
+			});
+		});
+	});
+});
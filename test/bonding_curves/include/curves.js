@@ -42,6 +42,149 @@ function get_price(s, a) {
 	return ETH.mul(summation).divn(16000);
 }
 
+/**
+ * FriendTechDivisorBondingCurve function definition, friend.tech curve with the configurable divisor
+ *
+ * @param s total shares supply
+ * @param a number of shares to buy/sell
+ * @param divisor curve divisor, the original friend.tech curve uses 16,000
+ * @return the price of the shares (all `amount` amount)
+ */
+function get_price_friend_tech(s, a, divisor = 16000) {
+	s = toBN(s);
+	a = toBN(a);
+	divisor = toBN(divisor);
+
+	// sum of squares of the share numbers s, s + 1, ..., s + a - 1
+	const sum_of_squares = (n) => n.isZero()? toBN(0): n.subn(1).mul(n).mul(n.subn(1).muln(2).addn(1)).divn(6);
+	const summation = sum_of_squares(s.add(a)).sub(sum_of_squares(s));
+
+	return ETH.mul(summation).div(divisor);
+}
+
+/**
+ * LinearBondingCurve function definition, the price of the share number `i`
+ *      (counting from zero) is `base_price + slope * i`
+ *
+ * @param s total shares supply
+ * @param a number of shares to buy/sell
+ * @param base_price price of the very first share
+ * @param slope price increase per every share in supply
+ * @return the price of the shares (all `amount` amount)
+ */
+function get_price_linear(s, a, base_price, slope) {
+	s = toBN(s);
+	a = toBN(a);
+	base_price = toBN(base_price);
+	slope = toBN(slope);
+
+	if(a.isZero()) {
+		return toBN(0);
+	}
+
+	// sum of the share numbers s, s + 1, ..., s + a - 1
+	const summation = a.mul(s.muln(2).add(a).subn(1)).divn(2);
+
+	return a.mul(base_price).add(slope.mul(summation));
+}
+
+/**
+ * ExponentialCappedBondingCurve function definition, the very first share is free, the price of the share number `i`
+ *      (counting from one) is `min(base_price * 2^((i - 1) / period), max_price)`
+ *
+ * @param s total shares supply
+ * @param a number of shares to buy/sell
+ * @param base_price price of the first `period` shares following the free one
+ * @param period number of shares after which the price doubles
+ * @param max_price maximum price of the share
+ * @return the price of the shares (all `amount` amount)
+ */
+function get_price_exponential_capped(s, a, base_price, period, max_price) {
+	s = toBN(s);
+	a = toBN(a);
+	base_price = toBN(base_price);
+	period = toBN(period);
+	max_price = toBN(max_price);
+
+	// the very first share is free, the curve is shifted by one share
+	const to = s.add(a).isZero()? toBN(0): s.add(a).subn(1);
+	s = s.isZero()? toBN(0): s.subn(1);
+	a = to.sub(s);
+
+	// sum up the prices period by period
+	let summation = toBN(0);
+	for(let i = s; i.lt(s.add(a));) {
+		const doublings = i.div(period);
+		const price = base_price.shln(doublings.toNumber());
+
+		// once the cap is reached, all the remaining shares are priced at the cap
+		if(price.gt(max_price)) {
+			summation = summation.add(s.add(a).sub(i).mul(max_price));
+			break;
+		}
+
+		const end = BN.min(doublings.addn(1).mul(period), s.add(a));
+		summation = summation.add(end.sub(i).mul(price));
+		i = end;
+	}
+
+	return summation;
+}
+
+/**
+ * SigmoidBondingCurve function definition, the price of the `a` shares at the supply `s`
+ *      is `F(s + a - 1) - F(s - 1)`, where `F(x) = max_price / 2 * (x + sqrt((x - midpoint)^2 + spread^2))`,
+ *      `F(x)` is calculated with the 18 decimals precision and rounded down;
+ *      the very first share is free (`s - 1` and `s + a - 1` are replaced with zero if negative)
+ *
+ * @param s total shares supply
+ * @param a number of shares to buy/sell
+ * @param max_price maximum price of the share the curve approaches
+ * @param midpoint supply where the price is a half of the maximum price
+ * @param spread width of the fast growing region around the midpoint
+ * @return the price of the shares (all `amount` amount)
+ */
+function get_price_sigmoid(s, a, max_price, midpoint, spread) {
+	s = toBN(s);
+	a = toBN(a);
+	max_price = toBN(max_price);
+	midpoint = toBN(midpoint);
+	spread = toBN(spread);
+
+	const integral = (x) => {
+		const d = x.sub(midpoint).abs().mul(ETH);
+		const w = spread.mul(ETH);
+		return max_price.mul(x.mul(ETH).add(isqrt(d.sqr().add(w.sqr())))).div(ETH.muln(2));
+	};
+
+	// the very first share is free, the curve is shifted by one share
+	const shift = (x) => x.isZero()? x: x.subn(1);
+
+	return integral(shift(s.add(a))).sub(integral(shift(s)));
+}
+
+/**
+ * Integer square root, rounded down
+ *
+ * @param y BN to calculate the square root of
+ * @return the biggest BN z such that z^2 <= y
+ */
+function isqrt(y) {
+	if(y.ltn(2)) {
+		return y;
+	}
+
+	// Newton's method starting from the value bigger than the root
+	let z = y;
+	let x = y.divn(2).addn(1);
+	while(x.lt(z)) {
+		z = x;
+		x = y.div(x).add(x).divn(2);
+	}
+
+	return z;
+}
+
 /**
  * The price of the `amount` of shares to buy calculated based on
  *      the total shares supply
@@ -107,7 +250,7 @@ function get_sell_price_after_fee(supply, amount, protocol_fee_percent, holders_
 	holders_fee_percent = guess_percent(holders_fee_percent);
 	subject_fee_percent = guess_percent(subject_fee_percent);
 
-	const price = get_sell_price(amount);
+	const price = get_sell_price(supply, amount);
 	const protocol_fee = price.mul(protocol_fee_percent).div(ETH);
 	const holders_fee = price.mul(holders_fee_percent).div(ETH);
 	const subject_fee = price.mul(subject_fee_percent).div(ETH);
@@ -157,6 +300,10 @@ module.exports = {
 	ETH_PRICE_DIVIDER,
 	ERC20_PRICE_MULTIPLIER,
 	get_price,
+	get_price_friend_tech,
+	get_price_linear,
+	get_price_exponential_capped,
+	get_price_sigmoid,
 	get_buy_price,
 	get_sell_price,
 	get_buy_price_after_fee,
@@ -34,9 +34,10 @@ const {
 	domainSeparator,
 } = require("./eip712");
 
-// SharesFactory.ImplementationType
+// SharesFactory.ImplementationType, SharesFactory.CurveType
 const {
 	SharesImplementationType,
+	BondingCurveType,
 } = require("./enums");
 
 // RBAC
@@ -44,9 +45,15 @@ const {
 	FEATURE_ALL,
 	ROLE_TOKEN_CREATOR,
 } = require("@ai-protocol/v3-core/test/include/features_roles");
+const {
+	FEATURE_TRANSFERABLE_SHARES,
+} = require("../../include/features_roles");
+
+// all the factory features, except the transferable shares which is an opt-in
+const FACTORY_FEATURES = FEATURE_ALL ^ FEATURE_TRANSFERABLE_SHARES;
 
 /**
- * Deploys SharesFactory via ERC1967 Proxy with all the features enabled
+ * Deploys SharesFactory via ERC1967 Proxy with all the features enabled, except FEATURE_TRANSFERABLE_SHARES
  *      and fees configured
  * Deploys ALI ERC20 token instance as a payment token if required
  *
@@ -95,7 +102,7 @@ async function deploy_factory_and_configure(
 		subject_fee_percent,
 		{from: a0},
 	);
-	await factory.updateFeatures(FEATURE_ALL, {from: a0});
+	await factory.updateFeatures(FACTORY_FEATURES, {from: a0});
 
 	if(!eth_impl_address) {
 		const {shares} = await deploy_shares_ETH(a0);
@@ -119,7 +126,7 @@ async function deploy_factory_and_configure(
 }
 
 /**
- * Deploys SharesFactory via ERC1967 Proxy with all the features enabled
+ * Deploys SharesFactory via ERC1967 Proxy with all the features enabled, except FEATURE_TRANSFERABLE_SHARES
  * Deploys ALI ERC20 token instance as a payment token if required
  *
  * @param a0 contract deployer and super admin, required
@@ -129,7 +136,7 @@ async function deploy_factory_and_configure(
  */
 async function deploy_factory(a0, payment_token, version = 1) {
 	let factory; ({payment_token, factory} = await factory_deploy_restricted(a0, payment_token, version));
-	await factory.updateFeatures(FEATURE_ALL, {from: a0});
+	await factory.updateFeatures(FACTORY_FEATURES, {from: a0});
 	return {payment_token, factory};
 }
 
@@ -224,6 +231,47 @@ async function factory_deploy_shares(
 	return {subject, issuer: creator, shares, distributor, receipt};
 }
 
+/**
+ * Deploys TradeableShares implementation bound to the pluggable bonding curve through the factory
+ *
+ * @param a0 transaction executor, the shares issuer, required
+ * @param factory SharesFactory instance to use for deployment, required
+ * @param curve_type bonding curve type, optional, defaults to BondingCurveType.FRIEND_TECH
+ * @param subject shares subject, (NFT contract address, NFT ID), optional
+ * @param impl_type TradeableShares implementation type, optional, defaults to SharesImplementationType.ETH
+ * @param amount amount of shares to buy immediately, optional, defaults to zero
+ * @param value ETH value to submit
+ * @returns TradeableShares instance
+ */
+async function factory_deploy_shares_with_curve(
+	a0,
+	factory,
+	curve_type = BondingCurveType.FRIEND_TECH,
+	subject,
+	impl_type = SharesImplementationType.ETH,
+	amount = new BN(0),
+	value = new BN(0),
+) {
+	// if subject is not provided deploy the NFT and create a subject
+	if(!subject) {
+		const nft = await deploy_royal_nft(a0);
+		subject = {
+			tokenAddress: nft.address,
+			tokenId: "1086432204",
+		};
+		await nft.mint(a0, subject.tokenId, {from: a0});
+	}
+
+	// deploy shares contract
+	const receipt = await factory.deploySharesContractWithCurve(impl_type, curve_type, subject, amount, {from: a0, value});
+
+	// parse the deployment
+	const {creator, shares, distributor} = await parse_shares_deployment(receipt);
+
+	// return the results
+	return {subject, issuer: creator, shares, distributor, receipt};
+}
+
 /**
  * Deploys TradeableShares implementation through the factory via the EIP712 meta tx mechanism
  *
@@ -315,6 +363,368 @@ async function factory_deploy_shares_eip712(
 	return {subject, issuer: creator, shares, distributor, receipt};
 }
 
+/**
+ * Deploys ERC20 TradeableShares implementation through the factory and buys the shares immediately,
+ *      paying with the payment token allowed to be spent via the EIP-2612 permit
+ *
+ * @param a0 transaction executor, the shares issuer, and the permit signer, required
+ * @param factory SharesFactory instance to use for deployment, required
+ * @param amount amount of shares to buy immediately, optional, defaults to two
+ * @param max_paid maximum price of the shares including all the fees, the permit value,
+ *        optional, defaults to the exact price
+ * @param subject shares subject, (NFT contract address, NFT ID), optional
+ * @param deadline permit expiration time (unix timestamp), optional, defaults to one minute
+ * @returns TradeableShares instance
+ */
+async function factory_deploy_shares_with_permit(
+	a0,
+	factory,
+	amount = new BN(2),
+	max_paid,
+	subject,
+	deadline,
+) {
+	// if subject is not provided deploy the NFT and create a subject
+	if(!subject) {
+		const nft = await deploy_royal_nft(a0);
+		subject = {
+			tokenAddress: nft.address,
+			tokenId: "1086432204",
+		};
+		await nft.mint(a0, subject.tokenId, {from: a0});
+	}
+
+	// quote the price the same way the factory does, using the registered ERC20 implementation
+	if(!max_paid) {
+		const ERC20Shares = artifacts.require("ERC20Shares");
+		const impl = await ERC20Shares.at(await factory.getSharesImplAddress(SharesImplementationType.ERC20));
+		const has_distributor = await factory.getDistributorImplAddress(SharesImplementationType.ERC20) !== ZERO_ADDRESS;
+		max_paid = await impl.getBuyPriceAfterFee(
+			0,
+			amount,
+			await factory.getProtocolFeePercent(),
+			has_distributor? await factory.getHoldersFeePercent(): 0,
+			await factory.getSubjectFeePercent(),
+		);
+	}
+
+	// sign the permit allowing the factory to spend the tokens
+	const permit = await erc20_sign_permit(a0, await factory.getPaymentToken(), factory.address, max_paid, deadline);
+
+	// deploy shares contract
+	const receipt = await factory.deploySharesContractAndBuyWithPermit(
+		subject,
+		amount,
+		permit.value,
+		permit.deadline,
+		permit.v,
+		permit.r,
+		permit.s,
+		{from: a0},
+	);
+
+	// parse the deployment
+	const {creator, shares, distributor} = await parse_shares_deployment(receipt);
+
+	// return the results
+	return {subject, issuer: creator, shares, distributor, receipt, max_paid, permit};
+}
+
+/**
+ * Signs the RewardSystem claim request (EIP712 ClaimRequest message)
+ *
+ * @param signer account which owns the reward and which signs the request, required
+ * @param reward_system RewardSystem instance, required
+ * @param total_reward total reward accumulated by the signer, as in the Merkle tree, required
+ * @param recipient an address to send the reward to, optional, defaults to signer address
+ * @param sig_valid_from "validFromTimestamp" signature param, optional
+ * @param sig_expires_at "expiresAtTimestamp" signature param, optional
+ * @param sig_nonce "nonce" signature param, optional
+ * @returns signed request and its signature
+ */
+async function reward_system_sign_claim(
+	signer,
+	reward_system,
+	total_reward,
+	recipient = signer.address,
+	sig_valid_from,
+	sig_expires_at,
+	sig_nonce,
+) {
+	// construct and sign EIP712 message (ClaimRequest)
+	const domain = {
+		name: "RewardSystem",
+		version: "1",
+		chainId: await web3.eth.getChainId(),
+		verifyingContract: reward_system.address,
+	};
+	const types = {
+		EIP712Domain,
+		ClaimRequest: [
+			{name: "account", type: "address"},
+			{name: "recipient", type: "address"},
+			{name: "totalReward", type: "uint256"},
+			{name: "validFromTimestamp", type: "uint256"},
+			{name: "expiresAtTimestamp", type: "uint256"},
+			{name: "nonce", type: "uint256"},
+		],
+	};
+	// any BN must be converted into Number or String
+	const request = {
+		account: signer.address,
+		recipient,
+		totalReward: total_reward.toString(),
+		validFromTimestamp: parseInt(sig_valid_from || await default_deadline(0)),
+		expiresAtTimestamp: parseInt(sig_expires_at || await default_deadline(60)),
+		nonce: parseInt(sig_nonce || await reward_system.getNonce(signer.address)),
+	};
+	const signature = ethSigUtil.signTypedMessage(Buffer.from(web3.utils.hexToBytes(signer.privateKey)), {
+		data: {
+			domain,
+			types,
+			primaryType: "ClaimRequest",
+			message: request,
+		},
+	});
+
+	// return the results
+	return {request, signature};
+}
+
+/**
+ * Claims the RewardSystem reward via the EIP712 signed claim request
+ *
+ * @param signer account which owns the reward and which signs the request, required
+ * @param relayer transaction relayer, required
+ * @param reward_system RewardSystem instance, required
+ * @param total_reward total reward accumulated by the signer, as in the Merkle tree, required
+ * @param proof Merkle proof for the (signer address, total_reward) pair, required
+ * @param recipient an address to send the reward to, optional, defaults to signer address
+ * @param sig_valid_from "validFromTimestamp" signature param, optional
+ * @param sig_expires_at "expiresAtTimestamp" signature param, optional
+ * @param sig_nonce "nonce" signature param, optional
+ * @returns claim request, signature, and the transaction receipt
+ */
+async function reward_system_claim_eip712(
+	signer,
+	relayer,
+	reward_system,
+	total_reward,
+	proof,
+	recipient = signer.address,
+	sig_valid_from,
+	sig_expires_at,
+	sig_nonce,
+) {
+	// sign the request
+	const {request, signature} = await reward_system_sign_claim(
+		signer,
+		reward_system,
+		total_reward,
+		recipient,
+		sig_valid_from,
+		sig_expires_at,
+		sig_nonce,
+	);
+
+	// claim the reward
+	const receipt = await reward_system.eip712ClaimReward(request, proof, signature, {from: relayer});
+
+	// return the results
+	return {request, signature, receipt};
+}
+
+/**
+ * Signs the MultiTokenRewardSystem claim request (EIP712 ClaimRequest message)
+ *
+ * @param signer account which owns the reward and which signs the request, required
+ * @param reward_system MultiTokenRewardSystem instance, required
+ * @param token reward token address, zero address for ETH, required
+ * @param total_reward total reward in the token accumulated by the signer, as in the Merkle tree, required
+ * @param recipient an address to send the reward to, optional, defaults to signer address
+ * @param sig_valid_from "validFromTimestamp" signature param, optional
+ * @param sig_expires_at "expiresAtTimestamp" signature param, optional
+ * @param sig_nonce "nonce" signature param, optional
+ * @returns signed request and its signature
+ */
+async function multi_token_reward_system_sign_claim(
+	signer,
+	reward_system,
+	token,
+	total_reward,
+	recipient = signer.address,
+	sig_valid_from,
+	sig_expires_at,
+	sig_nonce,
+) {
+	// construct and sign EIP712 message (ClaimRequest)
+	const domain = {
+		name: "MultiTokenRewardSystem",
+		version: "1",
+		chainId: await web3.eth.getChainId(),
+		verifyingContract: reward_system.address,
+	};
+	const types = {
+		EIP712Domain,
+		ClaimRequest: [
+			{name: "account", type: "address"},
+			{name: "recipient", type: "address"},
+			{name: "token", type: "address"},
+			{name: "totalReward", type: "uint256"},
+			{name: "validFromTimestamp", type: "uint256"},
+			{name: "expiresAtTimestamp", type: "uint256"},
+			{name: "nonce", type: "uint256"},
+		],
+	};
+	// any BN must be converted into Number or String
+	const request = {
+		account: signer.address,
+		recipient,
+		token: token.address || token,
+		totalReward: total_reward.toString(),
+		validFromTimestamp: parseInt(sig_valid_from || await default_deadline(0)),
+		expiresAtTimestamp: parseInt(sig_expires_at || await default_deadline(60)),
+		nonce: parseInt(sig_nonce || await reward_system.getNonce(signer.address)),
+	};
+	const signature = ethSigUtil.signTypedMessage(Buffer.from(web3.utils.hexToBytes(signer.privateKey)), {
+		data: {
+			domain,
+			types,
+			primaryType: "ClaimRequest",
+			message: request,
+		},
+	});
+
+	// return the results
+	return {request, signature};
+}
+
+/**
+ * Signs the HoldersRewardsDistributorV1 claim request (EIP712 ClaimRequest message)
+ *
+ * @param signer holder account which owns the reward and which signs the request, required
+ * @param distributor HoldersRewardsDistributorV1 instance, required
+ * @param recipient an address to send the reward to, optional, defaults to signer address
+ * @param sig_valid_from "validFromTimestamp" signature param, optional
+ * @param sig_expires_at "expiresAtTimestamp" signature param, optional
+ * @param sig_nonce "nonce" signature param, optional
+ * @returns signed request and its signature
+ */
+async function holders_rewards_distributor_sign_claim(
+	signer,
+	distributor,
+	recipient = signer.address,
+	sig_valid_from,
+	sig_expires_at,
+	sig_nonce,
+) {
+	// construct and sign EIP712 message (ClaimRequest)
+	const domain = {
+		name: "HoldersRewardsDistributor",
+		version: "1",
+		chainId: await web3.eth.getChainId(),
+		verifyingContract: distributor.address,
+	};
+	const types = {
+		EIP712Domain,
+		ClaimRequest: [
+			{name: "holder", type: "address"},
+			{name: "recipient", type: "address"},
+			{name: "validFromTimestamp", type: "uint256"},
+			{name: "expiresAtTimestamp", type: "uint256"},
+			{name: "nonce", type: "uint256"},
+		],
+	};
+	// any BN must be converted into Number or String
+	const request = {
+		holder: signer.address,
+		recipient,
+		validFromTimestamp: parseInt(sig_valid_from || await default_deadline(0)),
+		expiresAtTimestamp: parseInt(sig_expires_at || await default_deadline(60)),
+		nonce: parseInt(sig_nonce || await distributor.getNonce(signer.address)),
+	};
+	const signature = ethSigUtil.signTypedMessage(Buffer.from(web3.utils.hexToBytes(signer.privateKey)), {
+		data: {
+			domain,
+			types,
+			primaryType: "ClaimRequest",
+			message: request,
+		},
+	});
+
+	// return the results
+	return {request, signature};
+}
+
+/**
+ * Signs the EIP-2612 permit (EIP712 Permit message) for the AliERC20v2 payment token
+ *
+ * @param signer token owner which signs the permit, required; either the web3 account
+ *        (having the private key), or the address of the account unlocked in the node
+ * @param token AliERC20v2 instance (or its address), required
+ * @param spender an address allowed to spend the tokens, required
+ * @param value amount of tokens allowed to be spent, required
+ * @param deadline permit expiration time (unix timestamp), optional, defaults to one minute
+ * @param nonce permit nonce, optional, defaults to the current signer nonce in the token
+ * @returns {owner, spender, value, deadline, v, r, s}, ready to be passed into the permit function
+ */
+async function erc20_sign_permit(signer, token, spender, value, deadline, nonce) {
+	// make sure the token is a contract instance
+	if(!token.address) {
+		const AliERC20v2 = artifacts.require("AliERC20v2");
+		token = await AliERC20v2.at(token);
+	}
+	const owner = signer.address || signer;
+
+	// construct the EIP712 message (Permit);
+	// note: AliERC20v2 doesn't include the version into the domain, it's concatenated to the name
+	const domain = {
+		name: "AliERC20v2",
+		chainId: await web3.eth.getChainId(),
+		verifyingContract: token.address,
+	};
+	const types = {
+		EIP712Domain: EIP712Domain.filter(field => field.name !== "version"),
+		Permit: [
+			{name: "owner", type: "address"},
+			{name: "spender", type: "address"},
+			{name: "value", type: "uint256"},
+			{name: "nonce", type: "uint256"},
+			{name: "deadline", type: "uint256"},
+		],
+	};
+	// any BN must be converted into Number or String
+	const message = {
+		owner,
+		spender,
+		value: value.toString(10),
+		nonce: (nonce || await token.nonces(owner)).toString(10),
+		deadline: parseInt(deadline || await default_deadline(60)),
+	};
+	const data = {domain, types, primaryType: "Permit", message};
+
+	// sign with the private key if available, delegate to the node otherwise
+	const signature = signer.privateKey?
+		ethSigUtil.signTypedMessage(Buffer.from(web3.utils.hexToBytes(signer.privateKey)), {data}):
+		await new Promise((resolve, reject) => web3.currentProvider.send({
+			jsonrpc: "2.0",
+			id: Date.now(),
+			method: "eth_signTypedData_v4",
+			params: [owner, JSON.stringify(data)],
+		}, (err, response) => err || response.error? reject(err || response.error): resolve(response.result)));
+
+	// split the signature into v, r, s
+	return {
+		owner,
+		spender,
+		value: message.value,
+		deadline: message.deadline,
+		v: parseInt(signature.slice(130, 132), 16),
+		r: signature.slice(0, 66),
+		s: "0x" + signature.slice(66, 130),
+	};
+}
+
 /**
  * Extracts SharesSubject, creator (issuer) and TradeableShares contract
  * from the TradeableShares deployment transaction receipt
@@ -373,6 +783,8 @@ async function parse_shares_deployment(receipt) {
  * @param amount amount of shares to buy immediately, optional, defaults to zero
  * @param beneficiary an address receiving first shares, optional, defaults to a0
  * @param owner an address receiving all the permissions, optional, defaults to a0
+ * @param bonding_curve BondingCurve instance (or its address) defining the price function,
+ *        optional, defaults to zero address (built-in friend.tech curve)
  * @returns ETHShares instance
  */
 async function deploy_shares_ETH(
@@ -387,6 +799,7 @@ async function deploy_shares_ETH(
 	amount = new BN(0),
 	beneficiary = a0,
 	owner = a0,
+	bonding_curve = ZERO_ADDRESS,
 ) {
 	// if subject is not provided deploy the NFT and create a subject
 	if(!subject) {
@@ -423,6 +836,7 @@ async function deploy_shares_ETH(
 		holders_fee_rewards_distributor.address || holders_fee_rewards_distributor,
 		holders_fee_percent,
 		subject_fee_percent,
+		bonding_curve.address || bonding_curve,
 		amount,
 		beneficiary,
 		{from: a0},
@@ -446,6 +860,7 @@ async function deploy_shares_ETH(
 		holders_fee_distributor,
 		holders_fee_percent,
 		subject_fee_percent,
+		bonding_curve,
 		amount,
 		beneficiary,
 		shares,
@@ -468,6 +883,8 @@ async function deploy_shares_ETH(
  * @param amount amount of shares to buy immediately, optional, defaults to zero
  * @param beneficiary an address receiving first shares, optional, defaults to a0
  * @param owner an address receiving all the permissions, optional, defaults to a0
+ * @param bonding_curve BondingCurve instance (or its address) defining the price function,
+ *        optional, defaults to zero address (built-in friend.tech curve)
  * @returns ETHShares instance
  */
 async function deploy_shares_ERC20(
@@ -483,6 +900,7 @@ async function deploy_shares_ERC20(
 	amount = new BN(0),
 	beneficiary = a0,
 	owner = a0,
+	bonding_curve = ZERO_ADDRESS,
 ) {
 	// make sure ERC20 token is defined
 	if(!payment_token) {
@@ -527,6 +945,7 @@ async function deploy_shares_ERC20(
 		holders_fee_rewards_distributor.address || holders_fee_rewards_distributor,
 		holders_fee_percent,
 		subject_fee_percent,
+		bonding_curve.address || bonding_curve,
 		amount,
 		beneficiary,
 		payment_token.address,
@@ -552,12 +971,55 @@ async function deploy_shares_ERC20(
 		holders_fee_distributor,
 		holders_fee_percent,
 		subject_fee_percent,
+		bonding_curve,
 		amount,
 		beneficiary,
 		shares,
 	};
 }
 
+/**
+ * Deploys the BondingCurve implementation of the type specified
+ *
+ * @param a0 deployer address, required
+ * @param curve_type bonding curve type, required
+ * @param args curve specific constructor arguments, see the curve contract
+ * @returns BondingCurve instance
+ */
+async function deploy_bonding_curve(a0, curve_type, ...args) {
+	// resolve the contract by the curve type
+	let contract_name;
+	switch(parseInt(curve_type)) {
+		case parseInt(BondingCurveType.FRIEND_TECH): {
+			contract_name = "FriendTechBondingCurve";
+			break;
+		}
+		case parseInt(BondingCurveType.FRIEND_TECH_DIVISOR): {
+			contract_name = "FriendTechDivisorBondingCurve";
+			break;
+		}
+		case parseInt(BondingCurveType.LINEAR): {
+			contract_name = "LinearBondingCurve";
+			break;
+		}
+		case parseInt(BondingCurveType.EXPONENTIAL_CAPPED): {
+			contract_name = "ExponentialCappedBondingCurve";
+			break;
+		}
+		case parseInt(BondingCurveType.SIGMOID): {
+			contract_name = "SigmoidBondingCurve";
+			break;
+		}
+		default: {
+			throw new Error("unknown curve type " + curve_type);
+		}
+	}
+
+	// deploy and return the deployed instance
+	const BondingCurve = artifacts.require(contract_name);
+	return await BondingCurve.new(...args, {from: a0});
+}
+
 /**
  * Deploys the ProtocolFeeDistributorV1 via ERC1967 proxy
  *
@@ -607,6 +1069,42 @@ async function deploy_holders_rewards_distributor(
 	);
 }
 
+/**
+ * Deploys the SharesLens
+ *
+ * @param a0 deployer address, required
+ * @returns SharesLens instance
+ */
+async function deploy_shares_lens(a0) {
+	const SharesLens = artifacts.require("SharesLens");
+	return await SharesLens.new({from: a0});
+}
+
+/**
+ * Deploys the DEX adapter mock selling ERC20 tokens for ETH at the fixed rate
+ *
+ * @param a0 deployer address, required
+ * @param rate amount of tokens (in the smallest units) sold for 1 ETH, optional, defaults to 10^18 (1:1)
+ * @returns DexAdapterMock instance
+ */
+async function deploy_dex_adapter_mock(a0, rate = new BN("1000000000000000000")) {
+	const DexAdapterMock = artifacts.require("DexAdapterMock");
+	return await DexAdapterMock.new(rate, {from: a0});
+}
+
+/**
+ * Deploys the ERC20SharesRouter buying the ERC20Shares paying in ETH
+ *
+ * @param a0 deployer address, required
+ * @param dex_adapter DexAdapter instance (or its address), optional, defaults to zero address (not set)
+ * @param owner an address receiving all the permissions, optional, defaults to a0
+ * @returns ERC20SharesRouter instance
+ */
+async function deploy_erc20_shares_router(a0, dex_adapter = ZERO_ADDRESS, owner = a0) {
+	const ERC20SharesRouter = artifacts.require("ERC20SharesRouter");
+	return await ERC20SharesRouter.new(owner, dex_adapter.address || dex_adapter, {from: a0});
+}
+
 /**
  * Deploys the Eth Reward System via ERC1967 proxy
  *
@@ -652,6 +1150,28 @@ async function deploy_erc20_reward_system(a0, token_address) {
 	return await RewardSystem.at(proxy.address);
 }
 
+/**
+ * Deploys the Multi-token Reward System via ERC1967 proxy
+ *
+ * @param a0 deployer address, required
+ * @returns multiTokenRewardSystem instance
+ */
+async function deploy_multi_token_reward_system(a0) {
+	// deploy implementation
+	const MultiTokenRewardSystem = artifacts.require("MultiTokenRewardSystem");
+	const impl = await MultiTokenRewardSystem.new({from: a0});
+
+	// prepare the proxy initialization call bytes
+	const init_data = impl.contract.methods.postConstruct().encodeABI();
+
+	// deploy the ERC1967 proxy
+	const ERC1967Proxy = artifacts.require("ERC1967Proxy");
+	const proxy = await ERC1967Proxy.new(impl.address, init_data, {from: a0});
+
+	// cast proxy to the correct ABI
+	return await MultiTokenRewardSystem.at(proxy.address);
+}
+
 /**
  * Deploys the Hive Registry smart contract via ERC1967 proxy
  *
@@ -674,21 +1194,153 @@ async function deploy_hive_registry_pure(a0, persona_addr, inft_addr, staking_ad
 	return await HiveRegistry.at(proxy.address);
 }
 
+/**
+ * Buys the shares using the slippage protected `buySharesTo` function:
+ *      quotes the current price, including all the fees, and allows it
+ *      to grow by not more than the `slippage` percent
+ *
+ * For the ERC20Shares approves the payment token `max_paid` amount to be spent,
+ *      for the ETHShares sends `max_paid` ETH with the transaction
+ *
+ * @param shares TradeableShares instance, required
+ * @param amount amount of the shares to buy, required
+ * @param from buyer address, required
+ * @param slippage slippage tolerance percent, optional, defaults to zero
+ * @param beneficiary an address receiving the shares, optional, defaults to the buyer
+ * @param deadline unix timestamp until which the transaction is valid, optional, defaults to one minute
+ * @returns {receipt, price, max_paid, deadline}, where price is the price quoted
+ */
+async function buy_shares_slippage_protected(shares, amount, from, slippage = 0, beneficiary = from, deadline) {
+	// quote the price and apply the slippage tolerance
+	const price = await shares.getBuyPriceAfterFee(amount);
+	const max_paid = price.muln(100 + slippage).divn(100);
+	deadline = deadline || await default_deadline(60);
+
+	// ERC20Shares expect the payment token to be approved, ETHShares – the ETH to be sent
+	let value = 0;
+	if(shares.getPaymentToken) {
+		const ERC20 = artifacts.require("contracts/interfaces/ERC20Spec.sol:ERC20");
+		const payment_token = await ERC20.at(await shares.getPaymentToken());
+		await payment_token.approve(shares.address, max_paid, {from});
+	}
+	else {
+		value = max_paid;
+	}
+
+	// do the slippage protected buy
+	const receipt = await shares.methods["buySharesTo(uint256,address,uint256,uint256)"](
+		amount,
+		beneficiary,
+		max_paid,
+		deadline,
+		{from, value},
+	);
+
+	// return the results
+	return {receipt, price, max_paid, deadline};
+}
+
+/**
+ * Buys the ERC20Shares using the `buySharesWithPermit` function in a single transaction:
+ *      quotes the current price, including all the fees, allows it to grow by not more than
+ *      the `slippage` percent, and signs the permit for the shares contract to spend `max_paid` tokens
+ *
+ * @param shares ERC20Shares instance, required
+ * @param amount amount of the shares to buy, required
+ * @param from buyer address and the permit signer, required
+ * @param slippage slippage tolerance percent, optional, defaults to zero
+ * @param beneficiary an address receiving the shares, optional, defaults to the buyer
+ * @param deadline unix timestamp until which the transaction and the permit are valid,
+ *        optional, defaults to one minute
+ * @returns {receipt, price, max_paid, deadline, permit}, where price is the price quoted
+ */
+async function buy_shares_with_permit(shares, amount, from, slippage = 0, beneficiary = from, deadline) {
+	// quote the price and apply the slippage tolerance
+	const price = await shares.getBuyPriceAfterFee(amount);
+	const max_paid = price.muln(100 + slippage).divn(100);
+
+	// sign the permit allowing the shares contract to spend the tokens
+	const permit = await erc20_sign_permit(from, await shares.getPaymentToken(), shares.address, max_paid, deadline);
+
+	// do the buy
+	const receipt = await shares.buySharesWithPermit(
+		amount,
+		beneficiary,
+		permit.value,
+		permit.deadline,
+		permit.v,
+		permit.r,
+		permit.s,
+		{from},
+	);
+
+	// return the results
+	return {receipt, price, max_paid, deadline: permit.deadline, permit};
+}
+
+/**
+ * Sells the shares using the slippage protected `sellSharesTo` function:
+ *      quotes the current price, after all the fees, and allows it
+ *      to drop by not more than the `slippage` percent
+ *
+ * @param shares TradeableShares instance, required
+ * @param amount amount of the shares to sell, required
+ * @param from seller address, required
+ * @param slippage slippage tolerance percent, optional, defaults to zero
+ * @param beneficiary an address receiving the funds from the sale, optional, defaults to the seller
+ * @param deadline unix timestamp until which the transaction is valid, optional, defaults to one minute
+ * @returns {receipt, price, min_received, deadline}, where price is the price quoted
+ */
+async function sell_shares_slippage_protected(shares, amount, from, slippage = 0, beneficiary = from, deadline) {
+	// quote the price and apply the slippage tolerance
+	const price = await shares.getSellPriceAfterFee(amount);
+	const min_received = price.muln(100 - slippage).divn(100);
+	deadline = deadline || await default_deadline(60);
+
+	// do the slippage protected sell
+	const receipt = await shares.methods["sellSharesTo(uint256,address,uint256,uint256)"](
+		amount,
+		beneficiary,
+		min_received,
+		deadline,
+		{from},
+	);
+
+	// return the results
+	return {receipt, price, min_received, deadline};
+}
+
 // export public deployment API
 module.exports = {
 	SharesImplementationType,
+	BondingCurveType,
 	deploy_ali_erc20,
 	deploy_royal_nft,
 	deploy_factory_and_configure,
 	deploy_factory,
 	factory_deploy_pure,
 	factory_deploy_shares,
+	factory_deploy_shares_with_curve,
 	factory_deploy_shares_eip712,
+	factory_deploy_shares_with_permit,
+	reward_system_sign_claim,
+	reward_system_claim_eip712,
+	multi_token_reward_system_sign_claim,
+	holders_rewards_distributor_sign_claim,
+	erc20_sign_permit,
 	deploy_shares_ETH,
 	deploy_shares_ERC20,
+	deploy_bonding_curve,
 	deploy_protocol_fee_distributor,
 	deploy_holders_rewards_distributor,
+	deploy_shares_lens,
+	deploy_dex_adapter_mock,
+	deploy_erc20_shares_router,
 	deploy_eth_reward_system,
 	deploy_erc20_reward_system,
+	deploy_multi_token_reward_system,
 	deploy_hive_registry_pure,
+	buy_shares_slippage_protected,
+	buy_shares_with_permit,
+	sell_shares_slippage_protected,
 };
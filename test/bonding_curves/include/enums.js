@@ -3,6 +3,12 @@ const {
 	BN,
 } = require("@openzeppelin/test-helpers");
 
+// Solidity enums defined for the scripts, the tests use their BN versions
+const {
+	SharesImplementationType,
+	BondingCurveType,
+} = require("../../../scripts/include/enums");
+
 // see: https://github.com/OpenZeppelin/openzeppelin-contracts-upgradeable/blob/09eeb9a0bdb6ec9a881a97e16b6ddfd44d118e27/test/helpers/enums.js
 function Enum(...options) {
 	return Object.fromEntries(options.map((key, i) => [key, new BN(i)]));
@@ -12,5 +18,7 @@ function Enum(...options) {
 module.exports = {
 	Enum,
 	// SharesFactory.ImplementationType
-	SharesImplementationType: Enum("ETH", "ERC20"),
+	SharesImplementationType: Enum(...Object.keys(SharesImplementationType)),
+	// SharesFactory.CurveType
+	BondingCurveType: Enum(...Object.keys(BondingCurveType)),
 };
@@ -0,0 +1,314 @@
+// Multi-token Leaderboard Reward System tests
+
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@openzeppelin/test-helpers");
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+// Chai test helpers
+const {
+	expect,
+} = require("chai");
+
+// BN utils
+const {
+	ETH,
+} = require("../include/bn_utils");
+
+// block utils
+const {
+	default_deadline,
+} = require("@ai-protocol/v3-core/test/include/block_utils");
+
+// ACL features and roles
+const {
+	ROLE_DATA_ROOT_MANAGER,
+	FEATURE_CLAIM_ACTIVE,
+} = require("../include/features_roles");
+
+// deployment routines in use
+const {
+	ali_erc20_deploy,
+} = require("@ai-protocol/v3-core/test/ali_token/include/deployment_routines");
+
+// deployment routines in use
+const {
+	deploy_multi_token_reward_system,
+	multi_token_reward_system_sign_claim,
+} = require("./include/deployment_routines");
+
+// Merkle reward root builder
+const {
+	parse_rewards,
+	reward_to_leaf,
+	build_reward_tree,
+	to_proof_file,
+	check_multi_token_funding,
+} = require("../../scripts/reward_merkle/reward_merkle");
+
+// run Multi-token Leaderboard Reward System tests
+contract("Multi-token Leaderboard Reward System", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3] = accounts;
+
+	// signer is an account with the known private key
+	const signer = web3.eth.accounts.create();
+	// relayer pays the gas
+	const relayer = a3;
+
+	let ali, reward_system, rewards, tree;
+	beforeEach(async function() {
+		ali = await ali_erc20_deploy(a0);
+		reward_system = await deploy_multi_token_reward_system(a0);
+
+		// the rewards list: a1 – 0.1 ETH and 1 ALI, a2 – 0.2 ETH, signer – 2 ALI
+		rewards = parse_rewards([
+			`address,token,totalReward`,
+			`${a1},ETH,${ETH.divn(10)}`,
+			`${a1},${ali.address},${ETH}`,
+			`${a2},${ZERO_ADDRESS},${ETH.divn(5)}`,
+			`${signer.address},${ali.address},${ETH.muln(2)}`,
+		].join("\n"));
+		tree = build_reward_tree(rewards);
+	});
+
+	describe("building the multi-token tree", function() {
+		it("ETH token is parsed as zero address", async function() {
+			expect(rewards[0]).to.deep.equal({to: a1, token: ZERO_ADDRESS, totalReward: ETH.divn(10).toString()});
+		});
+		it("same address can have rewards in several tokens", async function() {
+			expect(Object.keys(tree.claims[a1])).to.deep.equal([ZERO_ADDRESS, ali.address]);
+		});
+		it("fails on duplicate address/token pair", async function() {
+			expect(() => parse_rewards(`${a1},ETH,1\n${a1},${ZERO_ADDRESS},2`)).to.throw("duplicate address/token");
+		});
+		it("fails on invalid token address", async function() {
+			expect(() => parse_rewards(`${a1},0x1234,1`)).to.throw("invalid address");
+		});
+		it("fails if single-token and multi-token entries are mixed", async function() {
+			expect(() => parse_rewards(`${a1},ETH,1\n${a2},2`)).to.throw("cannot be mixed");
+		});
+		it("leaf is keccak256(abi.encodePacked(to, token, totalReward))", async function() {
+			const leaf = reward_to_leaf({to: a1, token: ali.address, totalReward: ETH.toString()});
+			expect("0x" + leaf.toString("hex")).to.equal(web3.utils.soliditySha3(
+				{type: "address", value: a1},
+				{type: "address", value: ali.address},
+				{type: "uint256", value: ETH},
+			));
+		});
+		it("totals are calculated per token", async function() {
+			expect(tree.totals).to.deep.equal({
+				[ZERO_ADDRESS]: ETH.muln(3).divn(10).toString(),
+				[ali.address]: ETH.muln(3).toString(),
+			});
+		});
+		it("proof file can be parsed back", async function() {
+			const proof_file = to_proof_file(tree);
+			expect(proof_file.count).to.equal(4);
+			expect(proof_file.totals).to.deep.equal(tree.totals);
+			expect(parse_rewards(JSON.stringify(proof_file))).to.deep.equal(rewards);
+		});
+	});
+
+	describe("funding check", function() {
+		it("underfunded token is detected", async function() {
+			await web3.eth.sendTransaction({to: reward_system.address, value: ETH, from: a0});
+			await ali.transfer(reward_system.address, ETH, {from: a0});
+			const funding = await check_multi_token_funding(web3, reward_system.contract, tree.totals);
+			expect(funding.map(({reward_token, funded}) => [reward_token, funded])).to.deep.equal([
+				[ZERO_ADDRESS, true],
+				[ali.address, false],
+			]);
+		});
+	});
+
+	describe("when the reward system is funded and the root is published", function() {
+		beforeEach(async function() {
+			await web3.eth.sendTransaction({to: reward_system.address, value: ETH, from: a0});
+			await ali.transfer(reward_system.address, ETH.muln(3), {from: a0});
+			await reward_system.setInputDataRoot(tree.root, {from: a0});
+			await reward_system.updateFeatures(FEATURE_CLAIM_ACTIVE, {from: a0});
+		});
+		it("every proof is accepted by the contract", async function() {
+			for(const [to, tokens] of Object.entries(tree.claims)) {
+				for(const [token, {totalReward, proof}] of Object.entries(tokens)) {
+					expect(await reward_system.isClaimValid(to, token, totalReward, proof), `${to}/${token}`).to.be.true;
+				}
+			}
+		});
+		it("proof is not valid for another token", async function() {
+			const {totalReward, proof} = tree.claims[a1][ali.address];
+			expect(await reward_system.isClaimValid(a1, ZERO_ADDRESS, totalReward, proof)).to.be.false;
+		});
+		it("claim fails if FEATURE_CLAIM_ACTIVE is disabled", async function() {
+			await reward_system.updateFeatures(0, {from: a0});
+			const {totalReward, proof} = tree.claims[a1][ZERO_ADDRESS];
+			await expectRevert(reward_system.claimReward(a1, ZERO_ADDRESS, totalReward, proof, {from: a1}), "redeems are disabled");
+		});
+		it("claim fails if the proof is invalid", async function() {
+			const {totalReward, proof} = tree.claims[a1][ali.address];
+			await expectRevert(reward_system.claimReward(a1, ZERO_ADDRESS, totalReward, proof, {from: a1}), "invalid request");
+		});
+		describe("ETH reward is claimed", function() {
+			let balance, receipt;
+			beforeEach(async function() {
+				balance = new BN(await web3.eth.getBalance(a2));
+				const {totalReward, proof} = tree.claims[a2][ZERO_ADDRESS];
+				receipt = await reward_system.claimReward(a2, ZERO_ADDRESS, totalReward, proof, {from: a1});
+			});
+			it("ETH is sent to the user", async function() {
+				expect(new BN(await web3.eth.getBalance(a2)).sub(balance)).to.be.bignumber.that.equals(ETH.divn(5));
+			});
+			it("'RewardClaimed' event is emitted", async function() {
+				expectEvent(receipt, "RewardClaimed", {token: ZERO_ADDRESS, user: a2, recipient: a2, amount: ETH.divn(5)});
+			});
+			it("claimed reward is updated for ETH", async function() {
+				expect(await reward_system.methods["claimedReward(address,address)"](ZERO_ADDRESS, a2)).to.be.bignumber.that.equals(ETH.divn(5));
+			});
+			it("totalClaimedReward is updated for ETH only", async function() {
+				expect(await reward_system.totalClaimedReward(ZERO_ADDRESS)).to.be.bignumber.that.equals(ETH.divn(5));
+				expect(await reward_system.totalClaimedReward(ali.address)).to.be.bignumber.that.equals("0");
+			});
+			it("second claim fails with nothing to claim", async function() {
+				const {totalReward, proof} = tree.claims[a2][ZERO_ADDRESS];
+				await expectRevert(reward_system.claimReward(a2, ZERO_ADDRESS, totalReward, proof, {from: a2}), "nothing to claim");
+			});
+		});
+		describe("rewards in several tokens are claimed independently", function() {
+			beforeEach(async function() {
+				for(const [token, {totalReward, proof}] of Object.entries(tree.claims[a1])) {
+					await reward_system.claimReward(a1, token, totalReward, proof, {from: a1});
+				}
+			});
+			it("ERC20 reward is sent to the user", async function() {
+				expect(await ali.balanceOf(a1)).to.be.bignumber.that.equals(ETH);
+			});
+			it("claimed rewards are tracked per token", async function() {
+				expect(await reward_system.methods["claimedReward(address,address)"](ZERO_ADDRESS, a1)).to.be.bignumber.that.equals(ETH.divn(10));
+				expect(await reward_system.methods["claimedReward(address,address)"](ali.address, a1)).to.be.bignumber.that.equals(ETH);
+			});
+			it("totalClaimedReward is tracked per token", async function() {
+				expect(await reward_system.totalClaimedReward(ZERO_ADDRESS)).to.be.bignumber.that.equals(ETH.divn(10));
+				expect(await reward_system.totalClaimedReward(ali.address)).to.be.bignumber.that.equals(ETH);
+			});
+			it("funding check takes the per-token claimed rewards into account", async function() {
+				const funding = await check_multi_token_funding(web3, reward_system.contract, tree.totals);
+				expect(funding.map(({total_claimed}) => total_claimed)).to.deep.equal([ETH.divn(10).toString(), ETH.toString()]);
+			});
+			describe("after the claimed rewards reset", function() {
+				beforeEach(async function() {
+					await reward_system.resetClaimedRewards({from: a0});
+				});
+				it("claimed rewards are reset for every token", async function() {
+					expect(await reward_system.methods["claimedReward(address,address)"](ZERO_ADDRESS, a1)).to.be.bignumber.that.equals("0");
+					expect(await reward_system.methods["claimedReward(address,address)"](ali.address, a1)).to.be.bignumber.that.equals("0");
+				});
+				it("claimed rewards can be read from the previous slot", async function() {
+					expect(await reward_system.methods["claimedReward(uint256,address,address)"](0, ali.address, a1)).to.be.bignumber.that.equals(ETH);
+				});
+				it("root is reset", async function() {
+					expect(await reward_system.root()).to.equal(web3.utils.padLeft("0x", 64));
+				});
+			});
+		});
+		describe("batch claim", function() {
+			// claimRewards() arguments for the (address, token) pairs specified
+			function batch(...pairs) {
+				return [
+					pairs.map(([to]) => to),
+					pairs.map(([, token]) => token),
+					pairs.map(([to, token]) => tree.claims[to][token].totalReward),
+					pairs.map(([to, token]) => tree.claims[to][token].proof),
+				];
+			}
+
+			it("fails if array lengths mismatch", async function() {
+				const [to, tokens, total_rewards, proofs] = batch([a1, ZERO_ADDRESS], [a1, ali.address]);
+				await expectRevert(reward_system.claimRewards(to, tokens.slice(1), total_rewards, proofs, {from: relayer}), "array length mismatch");
+			});
+			it("succeeds, already claimed pairs are skipped", async function() {
+				const {totalReward, proof} = tree.claims[a1][ZERO_ADDRESS];
+				await reward_system.claimReward(a1, ZERO_ADDRESS, totalReward, proof, {from: a1});
+				const receipt = await reward_system.claimRewards(...batch([a1, ZERO_ADDRESS], [a1, ali.address], [a2, ZERO_ADDRESS]), {from: relayer});
+				expectEvent(receipt, "RewardClaimed", {token: ali.address, user: a1, amount: ETH});
+				expectEvent(receipt, "RewardClaimed", {token: ZERO_ADDRESS, user: a2, amount: ETH.divn(5)});
+				expect(receipt.logs.filter(({event}) => event === "RewardClaimed").length).to.equal(2);
+			});
+		});
+		describe("EIP712 signed claim", function() {
+			let total_reward, proof;
+			beforeEach(async function() {
+				({totalReward: total_reward, proof} = tree.claims[signer.address][ali.address]);
+			});
+			it("fails if the request is not yet valid", async function() {
+				const {request, signature} = await multi_token_reward_system_sign_claim(
+					signer, reward_system, ali, total_reward, undefined, await default_deadline(3600)
+				);
+				await expectRevert(reward_system.eip712ClaimReward(request, proof, signature, {from: relayer}), "not yet valid");
+			});
+			it("fails if the request is expired", async function() {
+				const {request, signature} = await multi_token_reward_system_sign_claim(
+					signer, reward_system, ali, total_reward, undefined, undefined, 1
+				);
+				await expectRevert(reward_system.eip712ClaimReward(request, proof, signature, {from: relayer}), "expired");
+			});
+			it("fails if the signed token is modified", async function() {
+				const {request, signature} = await multi_token_reward_system_sign_claim(signer, reward_system, ali, total_reward);
+				await expectRevert(reward_system.eip712ClaimReward(
+					{...request, token: ZERO_ADDRESS}, proof, signature, {from: relayer}
+				), "invalid signature");
+			});
+			it("fails if the nonce was rewound", async function() {
+				const {request, signature} = await multi_token_reward_system_sign_claim(signer, reward_system, ali, total_reward);
+				await reward_system.rewindNonce(signer.address, 1, {from: a0});
+				await expectRevert(reward_system.eip712ClaimReward(request, proof, signature, {from: relayer}), "invalid nonce");
+			});
+			describe("succeeds otherwise", function() {
+				let request, signature, receipt;
+				beforeEach(async function() {
+					({request, signature} = await multi_token_reward_system_sign_claim(signer, reward_system, ali, total_reward, a2));
+					receipt = await reward_system.eip712ClaimReward(request, proof, signature, {from: relayer});
+				});
+				it("the reward is sent to the recipient", async function() {
+					expect(await ali.balanceOf(a2)).to.be.bignumber.that.equals(total_reward);
+				});
+				it("'RewardClaimed' event is emitted", async function() {
+					expectEvent(receipt, "RewardClaimed", {token: ali.address, user: signer.address, recipient: a2, amount: total_reward});
+				});
+				it("'NonceUsed' event is emitted", async function() {
+					expectEvent(receipt, "NonceUsed", {account: signer.address, nonce: "0"});
+				});
+				it("signature cannot be replayed", async function() {
+					await expectRevert(reward_system.eip712ClaimReward(request, proof, signature, {from: relayer}), "invalid nonce");
+				});
+			});
+		});
+	});
+
+	describe("access control", function() {
+		it("setInputDataRoot fails if executed without ROLE_DATA_ROOT_MANAGER", async function() {
+			await expectRevert(reward_system.setInputDataRoot(tree.root, {from: a1}), "access denied");
+		});
+		it("resetClaimedRewards fails if executed without ROLE_DATA_ROOT_MANAGER", async function() {
+			await expectRevert(reward_system.resetClaimedRewards({from: a1}), "access denied");
+		});
+		it("setInputDataRoot succeeds with ROLE_DATA_ROOT_MANAGER", async function() {
+			await reward_system.updateRole(a1, ROLE_DATA_ROOT_MANAGER, {from: a0});
+			const receipt = await reward_system.setInputDataRoot(tree.root, {from: a1});
+			expectEvent(receipt, "RootChanged", {by: a1, root: tree.root});
+		});
+		it("rewindNonce fails if executed by someone else", async function() {
+			await expectRevert(reward_system.rewindNonce(a1, 1, {from: a2}), "access denied");
+		});
+	});
+});
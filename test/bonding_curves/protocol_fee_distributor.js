@@ -21,6 +21,10 @@ const {
 	ROLE_RECIPIENT_LIST_MANAGER,
 	ROLE_DISTRIBUTION_MANAGER
 } = require("@ai-protocol/v3-core/test/include/features_roles");
+const {
+	FEATURE_PULL_DISTRIBUTION,
+	ROLE_RECOVERY_MANAGER,
+} = require("../include/features_roles");
 
 // enable chai-subset to allow containSubset instead of deep equals, see https://www.chaijs.com/plugins/chai-subset/
 require("chai").use(require("chai-subset"));
@@ -35,6 +39,12 @@ const {
 	deploy_protocol_fee_distributor,
 } = require("./include/deployment_routines");
 
+// ProtocolFeeDistributor balances reader
+const {
+	get_known_tokens,
+	read_balances,
+} = require("../../scripts/fee_distributor/fee_distributor");
+
 // run ProtocolFeeDistributorV1.sol contract
 contract("Protocol Fee Distributor", function(accounts) {
 	// extract accounts to be used:
@@ -288,4 +298,354 @@ contract("Protocol Fee Distributor", function(accounts) {
 			});
 		});
 	});
+	describe("pull mode (FEATURE_PULL_DISTRIBUTION enabled)", function() {
+		const recipient1Details = {recipient: a2, allocationPercent: '500000'};
+		const recipient2Details = {recipient: a3, allocationPercent: '500000'};
+		beforeEach(async function() {
+			token = await ali_erc20_deploy(a0);
+			fee_distributor = await deploy_protocol_fee_distributor(a0, token.address);
+			await fee_distributor.updateRecipientsList([recipient1Details, recipient2Details], {from: a0});
+			await fee_distributor.updateFeatures(FEATURE_PULL_DISTRIBUTION, {from: a0});
+			await web3.eth.sendTransaction({to: fee_distributor.address, value: deposit_value, from: a0});
+			await token.transfer(fee_distributor.address, deposit_value, {from: a0});
+		});
+		it("push distribution of ETH is disabled", async function() {
+			await expectRevert(fee_distributor.distributeETH({from: a0}), "pull mode is enabled");
+		});
+		it("push distribution of ERC20 is disabled", async function() {
+			await expectRevert(fee_distributor.distributeERC20({from: a0}), "pull mode is enabled");
+		});
+		it("pending amounts include the amounts not yet accrued", async function() {
+			expect(await fee_distributor.pendingETH(a2)).to.be.bignumber.that.equals(deposit_value.divn(2));
+			expect(await fee_distributor.pendingERC20(a3)).to.be.bignumber.that.equals(deposit_value.divn(2));
+		});
+		it("claim fails if there is nothing to claim", async function() {
+			await expectRevert(fee_distributor.claimETH({from: a4}), "nothing to claim");
+		});
+		it("accrue can be executed by anyone", async function() {
+			const receipt = await fee_distributor.accrue({from: a4});
+			expectEvent(receipt, "FeesAccrued", {token: ZERO_ADDRESS, amount: deposit_value, dust: "0"});
+			expectEvent(receipt, "FeesAccrued", {token: token.address, amount: deposit_value, dust: "0"});
+			expect(await fee_distributor.getReserved(ZERO_ADDRESS)).to.be.bignumber.that.equals(deposit_value);
+		});
+		describe("recipient claims ETH", function() {
+			let balance, receipt;
+			beforeEach(async function() {
+				balance = new BN(await web3.eth.getBalance(a2));
+				receipt = await fee_distributor.claimETH({from: a2});
+			});
+			it("recipient receives its share", async function() {
+				const {gasUsed} = receipt.receipt;
+				const {gasPrice} = await web3.eth.getTransaction(receipt.tx);
+				const received = new BN(await web3.eth.getBalance(a2)).sub(balance).add(new BN(gasPrice).muln(gasUsed));
+				expect(received).to.be.bignumber.that.equals(deposit_value.divn(2));
+			});
+			it("'ETHSent' event is emitted", async function() {
+				expectEvent(receipt, "ETHSent", {recipient: a2, amount: deposit_value.divn(2)});
+			});
+			it("other recipient's share remains reserved", async function() {
+				expect(await fee_distributor.pendingETH(a3)).to.be.bignumber.that.equals(deposit_value.divn(2));
+				expect(await fee_distributor.getReserved(ZERO_ADDRESS)).to.be.bignumber.that.equals(deposit_value.divn(2));
+			});
+			it("second claim fails with nothing to claim", async function() {
+				await expectRevert(fee_distributor.claimETH({from: a2}), "nothing to claim");
+			});
+		});
+		it("recipient claims ERC20", async function() {
+			const receipt = await fee_distributor.claimERC20({from: a3});
+			expect(await token.balanceOf(a3)).to.be.bignumber.that.equals(deposit_value.divn(2));
+			expectEvent(receipt, "ERC20Sent", {paymentToken: token.address, recipient: a3, amount: deposit_value.divn(2)});
+		});
+		it("malicious recipient doesn't block the other recipients", async function() {
+			const malicious = await deploy_protocol_fee_distributor(a0, token.address, true);
+			await fee_distributor.updateRecipientsList([
+				{recipient: malicious.address, allocationPercent: '500000'},
+				recipient2Details,
+			], {from: a0});
+			await web3.eth.sendTransaction({to: fee_distributor.address, value: deposit_value, from: a0});
+			await fee_distributor.claimETH({from: a3});
+			expect(await fee_distributor.pendingETH(malicious.address)).to.be.bignumber.that.equals(deposit_value.divn(2));
+		});
+		describe("rounding dust is carried over", function() {
+			beforeEach(async function() {
+				fee_distributor = await deploy_protocol_fee_distributor(a0, token.address);
+				await fee_distributor.updateRecipientsList([
+					{recipient: a2, allocationPercent: '333333'},
+					{recipient: a3, allocationPercent: '333333'},
+					{recipient: a4, allocationPercent: '333334'},
+				], {from: a0});
+				await fee_distributor.updateFeatures(FEATURE_PULL_DISTRIBUTION, {from: a0});
+				await web3.eth.sendTransaction({to: fee_distributor.address, value: 10, from: a0});
+				await fee_distributor.accrue({from: a0});
+			});
+			it("dust is left after the accrual", async function() {
+				expect(await fee_distributor.getDust(ZERO_ADDRESS)).to.be.bignumber.that.equals("1");
+				expect(await fee_distributor.pendingETH(a2)).to.be.bignumber.that.equals("3");
+			});
+			it("dust is added to the next accrual", async function() {
+				await web3.eth.sendTransaction({to: fee_distributor.address, value: 20, from: a0});
+				const receipt = await fee_distributor.accrue({from: a0});
+				expectEvent(receipt, "FeesAccrued", {token: ZERO_ADDRESS, amount: "21", dust: "2"});
+				expect(await fee_distributor.pendingETH(a4)).to.be.bignumber.that.equals("10");
+			});
+			describe("when the pull mode is disabled", function() {
+				beforeEach(async function() {
+					await fee_distributor.updateFeatures(0, {from: a0});
+				});
+				describe("push distribution releases the dust", function() {
+					let receipt;
+					beforeEach(async function() {
+						await web3.eth.sendTransaction({to: fee_distributor.address, value: 20, from: a0});
+						receipt = await fee_distributor.distributeETH({from: a0});
+					});
+					it("dust is distributed together with the amount received", async function() {
+						expectEvent(receipt, "ETHSent", {recipient: a2, amount: "6"});
+						expectEvent(receipt, "ETHSent", {recipient: a4, amount: "7"});
+					});
+					it("dust is released from the reserve", async function() {
+						expect(await fee_distributor.getDust(ZERO_ADDRESS)).to.be.bignumber.that.equals("0");
+						expect(await fee_distributor.getReserved(ZERO_ADDRESS)).to.be.bignumber.that.equals("9");
+					});
+					it("accrued amounts can still be claimed", async function() {
+						await fee_distributor.claimETH({from: a4});
+						expect(await fee_distributor.getReserved(ZERO_ADDRESS)).to.be.bignumber.that.equals("6");
+					});
+				});
+			});
+		});
+		describe("recipients list update settles the accrued amounts", function() {
+			beforeEach(async function() {
+				await fee_distributor.updateRecipientsList([{recipient: a4, allocationPercent: '1000000'}], {from: a0});
+				await web3.eth.sendTransaction({to: fee_distributor.address, value: deposit_value, from: a0});
+			});
+			it("old recipients keep the amounts received under the old list", async function() {
+				expect(await fee_distributor.pendingETH(a2)).to.be.bignumber.that.equals(deposit_value.divn(2));
+				expect(await fee_distributor.pendingETH(a3)).to.be.bignumber.that.equals(deposit_value.divn(2));
+			});
+			it("new recipient gets only the amounts received under the new list", async function() {
+				expect(await fee_distributor.pendingETH(a4)).to.be.bignumber.that.equals(deposit_value);
+			});
+			it("removed recipient can still claim", async function() {
+				await fee_distributor.claimERC20({from: a2});
+				expect(await token.balanceOf(a2)).to.be.bignumber.that.equals(deposit_value.divn(2));
+			});
+		});
+		describe("when the pull mode is disabled after the accrual", function() {
+			beforeEach(async function() {
+				await fee_distributor.accrue({from: a0});
+				await fee_distributor.updateFeatures(0, {from: a0});
+				await fee_distributor.updateRole(a1, ROLE_DISTRIBUTION_MANAGER, {from: a0});
+			});
+			it("push distribution fails if there is nothing but the accrued amounts", async function() {
+				await expectRevert(fee_distributor.distributeETH({from: a1}), "nothing to distribute");
+			});
+			it("push distribution doesn't touch the accrued amounts", async function() {
+				await web3.eth.sendTransaction({to: fee_distributor.address, value: deposit_value, from: a0});
+				const receipt = await fee_distributor.distributeETH({from: a1});
+				expectEvent(receipt, "ETHSent", {recipient: a2, amount: deposit_value.divn(2)});
+				expect(await fee_distributor.getReserved(ZERO_ADDRESS)).to.be.bignumber.that.equals(deposit_value);
+				expect(new BN(await web3.eth.getBalance(fee_distributor.address))).to.be.bignumber.that.equals(deposit_value);
+			});
+			it("accrued amounts can still be claimed", async function() {
+				await fee_distributor.claimERC20({from: a2});
+				expect(await token.balanceOf(a2)).to.be.bignumber.that.equals(deposit_value.divn(2));
+			});
+		});
+	});
+	describe("arbitrary ERC20 tokens", function() {
+		const recipient1Details = {recipient: a2, allocationPercent: '500000'};
+		const recipient2Details = {recipient: a3, allocationPercent: '500000'};
+		let other_token;
+		beforeEach(async function() {
+			token = await ali_erc20_deploy(a0);
+			other_token = await ali_erc20_deploy(a0);
+			fee_distributor = await deploy_protocol_fee_distributor(a0, token.address);
+			await fee_distributor.updateRecipientsList([recipient1Details, recipient2Details], {from: a0});
+			await other_token.transfer(fee_distributor.address, deposit_value, {from: a0});
+		});
+		it("payment token is known, other token is not", async function() {
+			expect(await fee_distributor.isKnown(token.address)).to.be.true;
+			expect(await fee_distributor.isKnown(other_token.address)).to.be.false;
+			expect(await fee_distributor.getKnownTokens()).to.deep.equal([]);
+		});
+		it("token registration fails without ROLE_DISTRIBUTION_MANAGER", async function() {
+			await expectRevert(fee_distributor.registerToken(other_token.address, {from: a1}), "access denied");
+		});
+		it("payment token cannot be registered", async function() {
+			await expectRevert(fee_distributor.registerToken(token.address, {from: a0}), "already registered");
+		});
+		it("token registration fails if the known tokens limit is reached", async function() {
+			const max_known_tokens = (await fee_distributor.MAX_KNOWN_TOKENS()).toNumber();
+			for(let i = 0; i < max_known_tokens; i++) {
+				await fee_distributor.registerToken(web3.eth.accounts.create().address, {from: a0});
+			}
+			await expectRevert(fee_distributor.registerToken(other_token.address, {from: a0}), "too many known tokens");
+		});
+		it("token deregistration fails without ROLE_DISTRIBUTION_MANAGER", async function() {
+			await fee_distributor.registerToken(other_token.address, {from: a0});
+			await expectRevert(fee_distributor.deregisterToken(other_token.address, {from: a1}), "access denied");
+		});
+		it("payment token cannot be deregistered", async function() {
+			await expectRevert(fee_distributor.deregisterToken(token.address, {from: a0}), "not registered");
+		});
+		it("token which is not registered cannot be deregistered", async function() {
+			await expectRevert(fee_distributor.deregisterToken(other_token.address, {from: a0}), "not registered");
+		});
+		it("deregistration keeps the other tokens registered", async function() {
+			const tokens = [web3.eth.accounts.create().address, other_token.address, web3.eth.accounts.create().address];
+			for(const t of tokens) {
+				await fee_distributor.registerToken(t, {from: a0});
+			}
+			await fee_distributor.deregisterToken(tokens[0], {from: a0});
+			expect(await fee_distributor.getKnownTokens()).to.deep.equal([tokens[2], tokens[1]]);
+		});
+		it("'TokenRegistered' event is emitted on registration", async function() {
+			const receipt = await fee_distributor.registerToken(other_token.address, {from: a0});
+			expectEvent(receipt, "TokenRegistered", {token: other_token.address});
+			expect(await fee_distributor.getKnownTokens()).to.deep.equal([other_token.address]);
+		});
+		it("push distribution fails without ROLE_DISTRIBUTION_MANAGER", async function() {
+			await expectRevert(fee_distributor.distributeToken(other_token.address, {from: a1}), "access denied");
+		});
+		describe("push distribution succeeds otherwise", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await fee_distributor.distributeToken(other_token.address, {from: a0});
+			});
+			it("recipients receive the token according to their allocations", async function() {
+				expect(await other_token.balanceOf(a2)).to.be.bignumber.that.equals(deposit_value.divn(2));
+				expect(await other_token.balanceOf(a3)).to.be.bignumber.that.equals(deposit_value.divn(2));
+			});
+			it("'ERC20Sent' event is emitted per token", async function() {
+				expectEvent(receipt, "ERC20Sent", {paymentToken: other_token.address, recipient: a2, amount: deposit_value.divn(2)});
+			});
+			it("token is registered", async function() {
+				expectEvent(receipt, "TokenRegistered", {token: other_token.address});
+				expect(await fee_distributor.isKnown(other_token.address)).to.be.true;
+			});
+		});
+		describe("pull mode", function() {
+			beforeEach(async function() {
+				await fee_distributor.updateFeatures(FEATURE_PULL_DISTRIBUTION, {from: a0});
+			});
+			it("unknown token cannot be claimed", async function() {
+				await expectRevert(fee_distributor.claimToken(other_token.address, {from: a2}), "unknown token");
+			});
+			describe("when the token is registered", function() {
+				beforeEach(async function() {
+					await fee_distributor.registerToken(other_token.address, {from: a0});
+				});
+				it("pending amount includes the token not yet accrued", async function() {
+					expect(await fee_distributor.pendingToken(other_token.address, a2)).to.be.bignumber.that.equals(deposit_value.divn(2));
+				});
+				it("recipient claims the token", async function() {
+					const receipt = await fee_distributor.claimToken(other_token.address, {from: a2});
+					expectEvent(receipt, "ERC20Sent", {paymentToken: other_token.address, recipient: a2, amount: deposit_value.divn(2)});
+					expect(await other_token.balanceOf(a2)).to.be.bignumber.that.equals(deposit_value.divn(2));
+				});
+				it("recipients list update settles the token", async function() {
+					await fee_distributor.updateRecipientsList([{recipient: a4, allocationPercent: '1000000'}], {from: a0});
+					expect(await fee_distributor.getReserved(other_token.address)).to.be.bignumber.that.equals(deposit_value);
+					expect(await fee_distributor.pendingToken(other_token.address, a4)).to.be.bignumber.that.equals("0");
+				});
+				it("known token cannot be recovered", async function() {
+					await expectRevert(
+						fee_distributor.recoverToken(other_token.address, a1, 1, {from: a0}),
+						"known token"
+					);
+				});
+				it("payment token cannot be recovered", async function() {
+					await expectRevert(
+						fee_distributor.recoverToken(token.address, a1, 1, {from: a0}),
+						"known token"
+					);
+				});
+				describe("when the token is deregistered after the accrual", function() {
+					let receipt;
+					beforeEach(async function() {
+						await fee_distributor.accrue({from: a0});
+						await other_token.transfer(fee_distributor.address, deposit_value, {from: a0});
+						receipt = await fee_distributor.deregisterToken(other_token.address, {from: a0});
+					});
+					it("'TokenDeregistered' event is emitted", async function() {
+						expectEvent(receipt, "TokenDeregistered", {token: other_token.address});
+					});
+					it("token is not known anymore", async function() {
+						expect(await fee_distributor.isKnown(other_token.address)).to.be.false;
+						expect(await fee_distributor.getKnownTokens()).to.deep.equal([]);
+					});
+					it("token is not accrued anymore", async function() {
+						await fee_distributor.accrue({from: a0});
+						expect(await fee_distributor.getReserved(other_token.address)).to.be.bignumber.that.equals(deposit_value);
+						expect(await fee_distributor.pendingToken(other_token.address, a2)).to.be.bignumber.that.equals(deposit_value.divn(2));
+					});
+					it("amounts accrued before the deregistration can be claimed", async function() {
+						await fee_distributor.claimToken(other_token.address, {from: a2});
+						expect(await other_token.balanceOf(a2)).to.be.bignumber.that.equals(deposit_value.divn(2));
+					});
+					it("amounts not accrued can be recovered", async function() {
+						await fee_distributor.recoverToken(other_token.address, a5, deposit_value, {from: a0});
+						expect(await other_token.balanceOf(a5)).to.be.bignumber.that.equals(deposit_value);
+					});
+					it("amounts accrued cannot be recovered", async function() {
+						await expectRevert(
+							fee_distributor.recoverToken(other_token.address, a5, deposit_value.addn(1), {from: a0}),
+							"amount exceeds distributable balance"
+						);
+					});
+				});
+			});
+		});
+		describe("recovery", function() {
+			it("fails without ROLE_RECOVERY_MANAGER", async function() {
+				await expectRevert(fee_distributor.recoverToken(other_token.address, a1, deposit_value, {from: a1}), "access denied");
+			});
+			it("fails if the amount exceeds the balance", async function() {
+				await expectRevert(
+					fee_distributor.recoverToken(other_token.address, a1, deposit_value.addn(1), {from: a0}),
+					"amount exceeds distributable balance"
+				);
+			});
+			it("fails if recipient is zero address", async function() {
+				await expectRevert(fee_distributor.recoverToken(other_token.address, ZERO_ADDRESS, 1, {from: a0}), "zero address");
+			});
+			describe("succeeds with ROLE_RECOVERY_MANAGER", function() {
+				let receipt;
+				beforeEach(async function() {
+					await fee_distributor.updateRole(a1, ROLE_RECOVERY_MANAGER, {from: a0});
+					receipt = await fee_distributor.recoverToken(other_token.address, a5, deposit_value, {from: a1});
+				});
+				it("tokens are sent to the address specified", async function() {
+					expect(await other_token.balanceOf(a5)).to.be.bignumber.that.equals(deposit_value);
+				});
+				it("'TokenRecovered' event is emitted", async function() {
+					expectEvent(receipt, "TokenRecovered", {token: other_token.address, to: a5, amount: deposit_value});
+				});
+			});
+		});
+		describe("balances report", function() {
+			beforeEach(async function() {
+				await web3.eth.sendTransaction({to: fee_distributor.address, value: deposit_value, from: a0});
+				await fee_distributor.registerToken(other_token.address, {from: a0});
+				await fee_distributor.updateFeatures(FEATURE_PULL_DISTRIBUTION, {from: a0});
+				await fee_distributor.accrue({from: a0});
+				await other_token.transfer(fee_distributor.address, deposit_value, {from: a0});
+			});
+			it("known tokens are ETH, the payment token, and the registered tokens", async function() {
+				expect(await get_known_tokens(fee_distributor.contract)).to.deep.equal([ZERO_ADDRESS, token.address, other_token.address]);
+			});
+			it("extra tokens are added without duplicates", async function() {
+				const tokens = await get_known_tokens(fee_distributor.contract, [other_token.address.toLowerCase(), a5]);
+				expect(tokens).to.deep.equal([ZERO_ADDRESS, token.address, other_token.address, a5]);
+			});
+			it("reserved and distributable balances are reported per token", async function() {
+				const balances = await read_balances(web3, fee_distributor.contract, await get_known_tokens(fee_distributor.contract));
+				expect(balances.map(({symbol, balance, reserved, distributable}) => [symbol, balance, reserved, distributable])).to.deep.equal([
+					["ETH", deposit_value.toString(), deposit_value.toString(), "0"],
+					[await token.symbol(), "0", "0", "0"],
+					[await other_token.symbol(), deposit_value.muln(2).toString(), deposit_value.toString(), deposit_value.toString()],
+				]);
+			});
+		});
+	});
 });
@@ -0,0 +1,159 @@
+// Epoch-aware reward diffing tests
+
+// Zeppelin test helpers
+const {
+	expectEvent,
+} = require("@openzeppelin/test-helpers");
+
+// Chai test helpers
+const {
+	expect,
+} = require("chai");
+
+// BN utils
+const {
+	ETH,
+} = require("../include/bn_utils");
+
+// ACL features and roles
+const {
+	FEATURE_CLAIM_ACTIVE,
+} = require("../include/features_roles");
+
+// deployment routines in use
+const {
+	deploy_eth_reward_system,
+} = require("./include/deployment_routines");
+
+// Merkle reward root builder
+const {
+	build_reward_tree,
+} = require("../../scripts/reward_merkle/reward_merkle");
+
+// epoch-aware reward diffing
+const {
+	get_active_slot,
+	read_claimed_rewards,
+	compute_next_epoch,
+} = require("../../scripts/reward_merkle/reward_epoch");
+
+// run epoch-aware reward diffing tests
+contract("Epoch-aware reward diffing", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3] = accounts;
+
+	describe("computing the next epoch (off-chain)", function() {
+		const previous = [{to: a1, totalReward: "100"}, {to: a2, totalReward: "50"}];
+		it("totals are cumulative, new users are added", async function() {
+			const next = compute_next_epoch({
+				previous,
+				earnings: [{to: a1, totalReward: "10"}, {to: a3, totalReward: "5"}],
+				claimed: {[a1]: "60"},
+			});
+			expect(next.rewards).to.deep.equal([
+				{to: a1, totalReward: "110"},
+				{to: a2, totalReward: "50"},
+				{to: a3, totalReward: "5"},
+			]);
+			expect(next.report.map(({to, claimable}) => [to, claimable])).to.deep.equal([[a1, "50"], [a2, "50"], [a3, "5"]]);
+			expect(next.total).to.equal("165");
+			expect(next.claimable).to.equal("105");
+		});
+		it("unclaimed rewards are carried over after the reset", async function() {
+			const next = compute_next_epoch({
+				previous,
+				earnings: [{to: a1, totalReward: "10"}],
+				claimed: {[a1]: "60", [a2]: "50"},
+				reset: true,
+			});
+			expect(next.rewards).to.deep.equal([{to: a1, totalReward: "50"}]);
+			expect(next.claimable).to.equal("50");
+		});
+		it("fails if the cumulative total decreases without the reset", async function() {
+			expect(() => compute_next_epoch({previous, earnings: [{to: a1, totalReward: "-10"}]}))
+				.to.throw("cumulative total decreases");
+		});
+		it("negative adjustment is allowed with the reset", async function() {
+			const next = compute_next_epoch({previous, earnings: [{to: a1, totalReward: "-10"}], reset: true});
+			expect(next.rewards[0]).to.deep.equal({to: a1, totalReward: "90"});
+		});
+		it("fails if the next total becomes negative", async function() {
+			expect(() => compute_next_epoch({previous, earnings: [{to: a2, totalReward: "-51"}], reset: true}))
+				.to.throw("is negative");
+		});
+		it("fails if the claimed reward exceeds the previous total", async function() {
+			expect(() => compute_next_epoch({previous, earnings: [], claimed: {[a2]: "51"}}))
+				.to.throw("exceeds the previous total");
+		});
+	});
+
+	describe("when the first epoch root is published and claimed", function() {
+		let reward_system, previous;
+		beforeEach(async function() {
+			reward_system = await deploy_eth_reward_system(a0);
+			await web3.eth.sendTransaction({to: reward_system.address, value: ETH, from: a0});
+			await reward_system.updateFeatures(FEATURE_CLAIM_ACTIVE, {from: a0});
+
+			previous = [{to: a1, totalReward: ETH.divn(4).toString()}, {to: a2, totalReward: ETH.divn(4).toString()}];
+			const tree = build_reward_tree(previous);
+			await reward_system.setInputDataRoot(tree.root, {from: a0});
+			await reward_system.claimReward(a1, previous[0].totalReward, tree.claims[a1].proof, {from: a1});
+		});
+		it("active slot is 0", async function() {
+			expect(await get_active_slot(reward_system.contract)).to.equal(0);
+		});
+		it("claimed rewards are read from the active slot", async function() {
+			const {index, claimed} = await read_claimed_rewards(reward_system.contract, [a1, a2]);
+			expect(index).to.equal(0);
+			expect(claimed).to.deep.equal({[a1]: previous[0].totalReward, [a2]: "0"});
+		});
+		describe("next epoch without the reset", function() {
+			let next;
+			beforeEach(async function() {
+				const {claimed} = await read_claimed_rewards(reward_system.contract, [a1, a2]);
+				next = compute_next_epoch({previous, earnings: [{to: a1, totalReward: "1000"}], claimed});
+				await reward_system.setInputDataRoot(build_reward_tree(next.rewards).root, {from: a0});
+			});
+			it("the user who claimed can claim only the new earnings", async function() {
+				const {totalReward, proof} = build_reward_tree(next.rewards).claims[a1];
+				const receipt = await reward_system.claimReward(a1, totalReward, proof, {from: a1});
+				expectEvent(receipt, "EthRewardClaimed", {user: a1, amount: "1000"});
+			});
+			it("the user who didn't claim can claim the whole total", async function() {
+				const {totalReward, proof} = build_reward_tree(next.rewards).claims[a2];
+				const receipt = await reward_system.claimReward(a2, totalReward, proof, {from: a2});
+				expectEvent(receipt, "EthRewardClaimed", {user: a2, amount: ETH.divn(4)});
+			});
+		});
+		describe("next epoch with the reset", function() {
+			let next;
+			beforeEach(async function() {
+				const {claimed} = await read_claimed_rewards(reward_system.contract, [a1, a2]);
+				next = compute_next_epoch({previous, earnings: [{to: a1, totalReward: "1000"}], claimed, reset: true});
+				await reward_system.resetClaimedRewards({from: a0});
+				await reward_system.setInputDataRoot(build_reward_tree(next.rewards).root, {from: a0});
+			});
+			it("active slot is incremented", async function() {
+				expect(await get_active_slot(reward_system.contract)).to.equal(1);
+			});
+			it("claimed rewards can be read from the previous slot", async function() {
+				const {claimed} = await read_claimed_rewards(reward_system.contract, [a1], 0);
+				expect(claimed[a1]).to.equal(previous[0].totalReward);
+			});
+			it("the user who claimed can claim only the new earnings", async function() {
+				const {totalReward, proof} = build_reward_tree(next.rewards).claims[a1];
+				const receipt = await reward_system.claimReward(a1, totalReward, proof, {from: a1});
+				expectEvent(receipt, "EthRewardClaimed", {user: a1, amount: "1000"});
+			});
+			it("the user who didn't claim keeps the unclaimed reward", async function() {
+				const {totalReward, proof} = build_reward_tree(next.rewards).claims[a2];
+				const receipt = await reward_system.claimReward(a2, totalReward, proof, {from: a2});
+				expectEvent(receipt, "EthRewardClaimed", {user: a2, amount: ETH.divn(4)});
+			});
+		});
+	});
+});
@@ -0,0 +1,191 @@
+// Merkle reward root builder tests
+
+// Zeppelin test helpers
+const {
+	expectEvent,
+} = require("@openzeppelin/test-helpers");
+
+// Chai test helpers
+const {
+	expect,
+} = require("chai");
+
+// BN utils
+const {
+	ETH,
+} = require("../include/bn_utils");
+
+// ACL features and roles
+const {
+	FEATURE_CLAIM_ACTIVE,
+} = require("../include/features_roles");
+
+// deployment routines in use
+const {
+	ali_erc20_deploy,
+} = require("@ai-protocol/v3-core/test/ali_token/include/deployment_routines");
+
+// deployment routines in use
+const {
+	deploy_eth_reward_system,
+	deploy_erc20_reward_system,
+} = require("./include/deployment_routines");
+
+// Merkle tree test utils
+const {
+	air_data_to_leaf,
+} = require("./include/merkle_utils");
+
+// Merkle reward root builder
+const {
+	parse_rewards,
+	reward_to_leaf,
+	build_reward_tree,
+	to_proof_file,
+	check_funding,
+} = require("../../scripts/reward_merkle/reward_merkle");
+
+// run Merkle reward root builder tests
+contract("Merkle reward root builder", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3] = accounts;
+
+	// rewards list used in the tests: 0.5 + 0.3 + 0.2 = 1 ETH total
+	const csv = `address,totalReward\n${a1},${ETH.divn(2)}\n${a2},${ETH.muln(3).divn(10)}\n${a3},${ETH.divn(5)}\n`;
+
+	describe("parsing the rewards list", function() {
+		it("CSV with the header is parsed", async function() {
+			expect(parse_rewards(csv)).to.deep.equal([
+				{to: a1, totalReward: ETH.divn(2).toString()},
+				{to: a2, totalReward: ETH.muln(3).divn(10).toString()},
+				{to: a3, totalReward: ETH.divn(5).toString()},
+			]);
+		});
+		it("JSON array and JSON mapping are parsed", async function() {
+			const expected = [{to: a1, totalReward: "1"}, {to: a2, totalReward: "2"}];
+			expect(parse_rewards(JSON.stringify([{to: a1, totalReward: "1"}, {address: a2, amount: 2}]))).to.deep.equal(expected);
+			expect(parse_rewards(JSON.stringify({[a1]: "1", [a2]: "2"}))).to.deep.equal(expected);
+		});
+		it("lowercase addresses are checksummed", async function() {
+			expect(parse_rewards(`${a1.toLowerCase()},1`)[0].to).to.equal(a1);
+		});
+		it("fails on invalid address", async function() {
+			expect(() => parse_rewards(`${a1.substring(0, 40)},1`)).to.throw("invalid address");
+		});
+		it("fails on invalid address checksum", async function() {
+			const bad_checksum = a1.substring(0, 2) + [...a1.substring(2)]
+				.map(c => c === c.toLowerCase()? c.toUpperCase(): c.toLowerCase()).join("");
+			expect(() => parse_rewards(`${bad_checksum},1`)).to.throw("invalid address checksum");
+		});
+		it("fails on zero address", async function() {
+			expect(() => parse_rewards(`0x${"0".repeat(40)},1`)).to.throw("zero address");
+		});
+		it("fails on duplicate address", async function() {
+			expect(() => parse_rewards(`${a1},1\n${a1.toLowerCase()},2`)).to.throw("duplicate address");
+		});
+		it("fails on negative amount", async function() {
+			expect(() => parse_rewards(`${a1},-1`)).to.throw("invalid totalReward");
+		});
+		it("fails on fractional amount", async function() {
+			expect(() => parse_rewards(`${a1},0.5`)).to.throw("invalid totalReward");
+		});
+		it("fails on uint256 overflow", async function() {
+			expect(() => parse_rewards(`${a1},${2n ** 256n}`)).to.throw("overflows uint256");
+		});
+		it("fails on empty list", async function() {
+			expect(() => parse_rewards("address,totalReward\n")).to.throw("rewards list is empty");
+		});
+	});
+
+	describe("building the tree", function() {
+		let tree;
+		beforeEach(async function() {
+			tree = build_reward_tree(parse_rewards(csv));
+		});
+		it("leaf is keccak256(abi.encodePacked(to, totalReward))", async function() {
+			const leaf = reward_to_leaf({to: a1, totalReward: ETH.toString()});
+			expect(leaf.toString("hex")).to.equal(air_data_to_leaf({to: a1, totalReward: ETH}).toString("hex"));
+		});
+		it("total is the sum of all the rewards", async function() {
+			expect(tree.total).to.equal(ETH.toString());
+		});
+		it("proof file contains the root and the proofs for every address", async function() {
+			const proof_file = to_proof_file(tree);
+			expect(proof_file.root).to.equal(tree.root);
+			expect(proof_file.count).to.equal(3);
+			expect(Object.keys(proof_file.claims)).to.deep.equal([a1, a2, a3]);
+			expect(proof_file.claims[a1].proof).to.deep.equal(tree.claims[a1].proof);
+		});
+		it("tree doesn't depend on the input order", async function() {
+			const reversed = build_reward_tree(parse_rewards(csv).reverse());
+			expect(reversed.root).to.equal(tree.root);
+		});
+	});
+
+	describe("ETH reward system", function() {
+		let reward_system, tree;
+		beforeEach(async function() {
+			reward_system = await deploy_eth_reward_system(a0);
+			tree = build_reward_tree(parse_rewards(csv));
+		});
+		it("underfunded reward system is detected", async function() {
+			await web3.eth.sendTransaction({to: reward_system.address, value: ETH.subn(1), from: a0});
+			const funding = await check_funding(web3, reward_system.contract, tree.total);
+			expect(funding.reward_token).to.be.undefined;
+			expect(funding.available).to.equal(ETH.subn(1).toString());
+			expect(funding.funded).to.be.false;
+		});
+		describe("when the reward system is funded and the root is published", function() {
+			beforeEach(async function() {
+				await web3.eth.sendTransaction({to: reward_system.address, value: ETH, from: a0});
+				await reward_system.setInputDataRoot(tree.root, {from: a0});
+				await reward_system.updateFeatures(FEATURE_CLAIM_ACTIVE, {from: a0});
+			});
+			it("funding check passes", async function() {
+				expect((await check_funding(web3, reward_system.contract, tree.total)).funded).to.be.true;
+			});
+			it("every proof is accepted by the contract", async function() {
+				for(const [to, {totalReward, proof}] of Object.entries(tree.claims)) {
+					expect(await reward_system.isClaimValid(to, totalReward, proof), to).to.be.true;
+				}
+			});
+			it("reward can be claimed with the proof", async function() {
+				const {totalReward, proof} = tree.claims[a1];
+				const receipt = await reward_system.claimReward(a1, totalReward, proof, {from: a1});
+				expectEvent(receipt, "EthRewardClaimed", {user: a1, amount: totalReward});
+			});
+			it("totalClaimedReward is taken into account after the claim", async function() {
+				const {totalReward, proof} = tree.claims[a1];
+				await reward_system.claimReward(a1, totalReward, proof, {from: a1});
+				const funding = await check_funding(web3, reward_system.contract, tree.total);
+				expect(funding.total_claimed).to.equal(totalReward);
+				expect(funding.available).to.equal("0");
+				expect(funding.funded).to.be.false;
+			});
+		});
+	});
+
+	describe("ERC20 reward system", function() {
+		let ali, reward_system, tree;
+		beforeEach(async function() {
+			ali = await ali_erc20_deploy(a0);
+			reward_system = await deploy_erc20_reward_system(a0, ali.address);
+			tree = build_reward_tree(parse_rewards(csv));
+		});
+		it("ERC20 balance is used for the funding check", async function() {
+			await ali.transfer(reward_system.address, ETH.divn(2), {from: a0});
+			const funding = await check_funding(web3, reward_system.contract, tree.total);
+			expect(funding.reward_token).to.equal(ali.address);
+			expect(funding.balance).to.equal(ETH.divn(2).toString());
+			expect(funding.funded).to.be.false;
+		});
+		it("funding check passes when the ERC20 balance is enough", async function() {
+			await ali.transfer(reward_system.address, ETH, {from: a0});
+			expect((await check_funding(web3, reward_system.contract, tree.total)).funded).to.be.true;
+		});
+	});
+});
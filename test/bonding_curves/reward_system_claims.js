@@ -0,0 +1,242 @@
+// Zeppelin test helpers
+const {
+	BN,
+	expectEvent,
+	expectRevert,
+} = require("@openzeppelin/test-helpers");
+
+const {
+	expect,
+} = require("chai");
+
+// BN utils
+const {
+	ETH,
+} = require("../include/bn_utils");
+
+// block utils
+const {
+	default_deadline,
+} = require("@ai-protocol/v3-core/test/include/block_utils");
+
+// ACL features and roles
+const {
+	ROLE_DATA_ROOT_MANAGER,
+	FEATURE_CLAIM_ACTIVE,
+} = require("../include/features_roles");
+
+// deployment routines in use
+const {
+	ali_erc20_deploy,
+} = require("@ai-protocol/v3-core/test/ali_token/include/deployment_routines");
+
+// deployment routines in use
+const {
+	deploy_eth_reward_system,
+	deploy_erc20_reward_system,
+	reward_system_sign_claim,
+	reward_system_claim_eip712,
+} = require("./include/deployment_routines");
+
+// Merkle reward root builder
+const {
+	build_reward_tree,
+} = require("../../scripts/reward_merkle/reward_merkle");
+
+// run RewardSystem batch and EIP712 claims tests
+contract("Leaderboard Reward System: batch and EIP712 claims", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3] = accounts;
+
+	// signer is an account with the known private key
+	const signer = web3.eth.accounts.create();
+	// relayer pays the gas
+	const relayer = a3;
+
+	// the rewards list: a1 – 0.1 ETH, a2 – 0.2 ETH, signer – 0.3 ETH
+	const rewards = [
+		{to: a1, totalReward: ETH.divn(10).toString()},
+		{to: a2, totalReward: ETH.divn(5).toString()},
+		{to: signer.address, totalReward: ETH.muln(3).divn(10).toString()},
+	];
+
+	let reward_system, tree;
+	beforeEach(async function() {
+		reward_system = await deploy_eth_reward_system(a0);
+		tree = build_reward_tree(rewards);
+		await web3.eth.sendTransaction({to: reward_system.address, value: ETH, from: a0});
+		await reward_system.setInputDataRoot(tree.root, {from: a0});
+		await reward_system.updateFeatures(FEATURE_CLAIM_ACTIVE, {from: a0});
+	});
+
+	// claimRewards() arguments for the addresses specified
+	function batch(...addresses) {
+		return [
+			addresses,
+			addresses.map(to => tree.claims[to].totalReward),
+			addresses.map(to => tree.claims[to].proof),
+		];
+	}
+
+	describe("batch claim", function() {
+		it("fails if FEATURE_CLAIM_ACTIVE is disabled", async function() {
+			await reward_system.updateFeatures(0, {from: a0});
+			await expectRevert(reward_system.claimRewards(...batch(a1, a2), {from: relayer}), "redeems are disabled");
+		});
+		it("fails if array lengths mismatch", async function() {
+			const [to, total_rewards, proofs] = batch(a1, a2);
+			await expectRevert(reward_system.claimRewards(to, total_rewards.slice(1), proofs, {from: relayer}), "array length mismatch");
+		});
+		it("fails if any of the proofs is invalid", async function() {
+			const [to, total_rewards, proofs] = batch(a1, a2);
+			await expectRevert(reward_system.claimRewards(to, total_rewards, [proofs[1], proofs[0]], {from: relayer}), "invalid request");
+		});
+		describe("succeeds otherwise", function() {
+			let receipt, balances;
+			beforeEach(async function() {
+				balances = [new BN(await web3.eth.getBalance(a1)), new BN(await web3.eth.getBalance(a2))];
+				receipt = await reward_system.claimRewards(...batch(a1, a2), {from: relayer});
+			});
+			it("all the users receive their rewards", async function() {
+				expect(new BN(await web3.eth.getBalance(a1)).sub(balances[0])).to.be.bignumber.that.equals(rewards[0].totalReward);
+				expect(new BN(await web3.eth.getBalance(a2)).sub(balances[1])).to.be.bignumber.that.equals(rewards[1].totalReward);
+			});
+			it("'EthRewardClaimed' event is emitted for every user", async function() {
+				expectEvent(receipt, "EthRewardClaimed", {user: a1, amount: rewards[0].totalReward});
+				expectEvent(receipt, "EthRewardClaimed", {user: a2, amount: rewards[1].totalReward});
+			});
+			it("totalClaimedReward is updated", async function() {
+				expect(await reward_system.totalClaimedReward()).to.be.bignumber.that.equals(ETH.muln(3).divn(10));
+			});
+			it("users who already claimed are skipped", async function() {
+				receipt = await reward_system.claimRewards(...batch(a1, a2, signer.address), {from: relayer});
+				expectEvent(receipt, "EthRewardClaimed", {user: signer.address, amount: rewards[2].totalReward});
+				expect(receipt.logs.filter(({event}) => event === "EthRewardClaimed").length).to.equal(1);
+			});
+		});
+	});
+
+	describe("EIP712 signed claim", function() {
+		const total_reward = rewards[2].totalReward;
+		let proof;
+		beforeEach(async function() {
+			proof = tree.claims[signer.address].proof;
+		});
+
+		it("fails if FEATURE_CLAIM_ACTIVE is disabled", async function() {
+			await reward_system.updateFeatures(0, {from: a0});
+			await expectRevert(reward_system_claim_eip712(signer, relayer, reward_system, total_reward, proof), "redeems are disabled");
+		});
+		it("fails if the request is not yet valid", async function() {
+			await expectRevert(reward_system_claim_eip712(
+				signer, relayer, reward_system, total_reward, proof, undefined, await default_deadline(3600)
+			), "not yet valid");
+		});
+		it("fails if the request is expired", async function() {
+			await expectRevert(reward_system_claim_eip712(
+				signer, relayer, reward_system, total_reward, proof, undefined, undefined, 1
+			), "expired");
+		});
+		it("fails if the nonce is invalid", async function() {
+			await expectRevert(reward_system_claim_eip712(
+				signer, relayer, reward_system, total_reward, proof, undefined, undefined, undefined, 1
+			), "invalid nonce");
+		});
+		it("fails if the request is signed by someone else", async function() {
+			const {request, signature} = await reward_system_sign_claim(web3.eth.accounts.create(), reward_system, total_reward);
+			await expectRevert(reward_system.eip712ClaimReward(
+				{...request, account: signer.address}, proof, signature, {from: relayer}
+			), "invalid signature");
+		});
+		it("fails if the signed request is modified", async function() {
+			const {request, signature} = await reward_system_sign_claim(signer, reward_system, total_reward);
+			await expectRevert(reward_system.eip712ClaimReward(
+				{...request, recipient: relayer}, proof, signature, {from: relayer}
+			), "invalid signature");
+		});
+		it("fails if the proof is invalid", async function() {
+			await expectRevert(reward_system_claim_eip712(
+				signer, relayer, reward_system, total_reward, tree.claims[a1].proof
+			), "invalid request");
+		});
+		it("fails if the nonce was rewound", async function() {
+			const {request, signature} = await reward_system_sign_claim(signer, reward_system, total_reward);
+			await reward_system.rewindNonce(signer.address, 1, {from: a0});
+			await expectRevert(reward_system.eip712ClaimReward(request, proof, signature, {from: relayer}), "invalid nonce");
+		});
+		describe("succeeds otherwise", function() {
+			let balance, request, signature, receipt;
+			beforeEach(async function() {
+				balance = new BN(await web3.eth.getBalance(a2));
+				({request, signature, receipt} = await reward_system_claim_eip712(signer, relayer, reward_system, total_reward, proof, a2));
+			});
+			it("the reward is sent to the recipient", async function() {
+				expect(new BN(await web3.eth.getBalance(a2)).sub(balance)).to.be.bignumber.that.equals(total_reward);
+			});
+			it("claimed reward is updated for the signer", async function() {
+				expect(await reward_system.claimedReward(signer.address)).to.be.bignumber.that.equals(total_reward);
+			});
+			it("'EthRewardClaimed' event is emitted", async function() {
+				expectEvent(receipt, "EthRewardClaimed", {user: signer.address, amount: total_reward});
+			});
+			it("'NonceUsed' event is emitted", async function() {
+				expectEvent(receipt, "NonceUsed", {account: signer.address, nonce: "0"});
+			});
+			it("nonce is incremented", async function() {
+				expect(await reward_system.getNonce(signer.address)).to.be.bignumber.that.equals("1");
+			});
+			it("signature cannot be replayed", async function() {
+				await expectRevert(reward_system.eip712ClaimReward(request, proof, signature, {from: relayer}), "invalid nonce");
+			});
+			it("second claim fails with nothing to claim", async function() {
+				await expectRevert(reward_system_claim_eip712(signer, relayer, reward_system, total_reward, proof), "nothing to claim");
+			});
+		});
+	});
+
+	describe("rewinding the nonce", function() {
+		it("fails if executed by someone else", async function() {
+			await expectRevert(reward_system.rewindNonce(a1, 1, {from: a2}), "access denied");
+		});
+		it("fails if the nonce decreases", async function() {
+			await reward_system.rewindNonce(a1, 2, {from: a1});
+			await expectRevert(reward_system.rewindNonce(a1, 1, {from: a1}), "new nonce must be bigger than the current one");
+		});
+		it("succeeds if executed by the account itself", async function() {
+			const receipt = await reward_system.rewindNonce(a1, 2, {from: a1});
+			expectEvent(receipt, "NonceUsed", {account: a1, nonce: "1"});
+		});
+		it("succeeds if executed by the ROLE_DATA_ROOT_MANAGER", async function() {
+			await reward_system.updateRole(a2, ROLE_DATA_ROOT_MANAGER, {from: a0});
+			await reward_system.rewindNonce(a1, 2, {from: a2});
+			expect(await reward_system.getNonce(a1)).to.be.bignumber.that.equals("2");
+		});
+	});
+
+	describe("ERC20 reward system", function() {
+		let ali;
+		beforeEach(async function() {
+			ali = await ali_erc20_deploy(a0);
+			reward_system = await deploy_erc20_reward_system(a0, ali.address);
+			await ali.transfer(reward_system.address, ETH, {from: a0});
+			await reward_system.setInputDataRoot(tree.root, {from: a0});
+			await reward_system.updateFeatures(FEATURE_CLAIM_ACTIVE, {from: a0});
+		});
+		it("batch claim transfers the tokens to all the users", async function() {
+			await reward_system.claimRewards(...batch(a1, a2), {from: relayer});
+			expect(await ali.balanceOf(a1)).to.be.bignumber.that.equals(rewards[0].totalReward);
+			expect(await ali.balanceOf(a2)).to.be.bignumber.that.equals(rewards[1].totalReward);
+		});
+		it("signed claim transfers the tokens to the recipient", async function() {
+			const {receipt} = await reward_system_claim_eip712(
+				signer, relayer, reward_system, rewards[2].totalReward, tree.claims[signer.address].proof, a1
+			);
+			expect(await ali.balanceOf(a1)).to.be.bignumber.that.equals(rewards[2].totalReward);
+			expectEvent(receipt, "ERC20RewardClaimed", {rewardToken: ali.address, user: signer.address, amount: rewards[2].totalReward});
+		});
+	});
+});
@@ -36,11 +36,18 @@ const balance = require("./include/balance");
 // import total supply constant for the ALI ERC20 token we're using here
 const {TOTAL_SUPPLY: S0}  = require("@ai-protocol/v3-core/test/ali_token/include/ali_erc20_constants");
 
+// block utils
+const {
+	default_deadline,
+} = require("../include/block_utils");
+
 // deployment routines in use
 const {
 	deploy_ali_erc20,
 	deploy_shares_ERC20,
 	deploy_holders_rewards_distributor,
+	buy_shares_slippage_protected,
+	sell_shares_slippage_protected,
 } = require("./include/deployment_routines");
 
 // run ERC20Shares tests
@@ -104,6 +111,9 @@ contract("ERC20Shares (standalone)", function(accounts) {
 		it("owner permissions get set correctly", async function() {
 			expect(await shares.getRole(owner)).to.be.bignumber.that.equals(MAX_UINT256);
 		});
+		it("bondingCurve is not set (built-in friend.tech curve)", async function() {
+			expect(await shares.getBondingCurve()).to.be.equal(ZERO_ADDRESS);
+		});
 		it("tradeVolume get set to zero", async function() {
 			expect(await shares.getTradeVolume()).to.be.bignumber.that.equals("0");
 		});
@@ -116,6 +126,7 @@ contract("ERC20Shares (standalone)", function(accounts) {
 				holders_fee_destination,
 				holders_fee_percent,
 				subject_fee_percent,
+				ZERO_ADDRESS,
 				amount,
 				beneficiary,
 				payment_token.address,
@@ -958,6 +969,153 @@ contract("ERC20Shares (standalone)", function(accounts) {
 		});
 	}
 
+	function slippage_protection_test_suite() {
+		describe("slippage protected buy/sell (sandwich attack scenarios)", function() {
+			const attacker = someone;
+			const BUY_SHARES_TO = "buySharesTo(uint256,address,uint256,uint256)";
+			const SELL_SHARES_TO = "sellSharesTo(uint256,address,uint256,uint256)";
+			beforeEach(async function() {
+				await shares.buyShares(1, {from: issuer});
+				// give some tokens to the attacker
+				await payment_token.transfer(attacker, S0.divn(2), {from: H0});
+				// both the buyer and the attacker allow the shares contract to spend all their tokens
+				await payment_token.approve(shares.address, S0, {from: buyer});
+				await payment_token.approve(shares.address, S0, {from: attacker});
+			});
+			it("buying the first share fails if not by the issuer", async function() {
+				const {shares} = await deploy_shares_ERC20(a0, payment_token, issuer);
+				await expectRevert(
+					shares.methods[BUY_SHARES_TO](1, buyer, 0, await default_deadline(), {from: buyer}),
+					"only the issuer can buy the first share"
+				);
+			});
+			it("buying fails if the deadline has passed", async function() {
+				const value = await shares.getBuyPriceAfterFee(1);
+				await expectRevert(
+					shares.methods[BUY_SHARES_TO](1, buyer, value, await default_deadline(-1), {from: buyer}),
+					"expired"
+				);
+			});
+			it("buying fails if maxPaid is lower than the price", async function() {
+				const value = await shares.getBuyPriceAfterFee(1);
+				await expectRevert(
+					shares.methods[BUY_SHARES_TO](1, buyer, value.subn(1), await default_deadline(), {from: buyer}),
+					"max paid exceeded"
+				);
+			});
+			describe("buying succeeds when the price doesn't move", function() {
+				const amount = new BN(5);
+				let buyer_tracker, price, max_paid, receipt;
+				beforeEach(async function() {
+					buyer_tracker = await balance.tracker(buyer, payment_token);
+					({receipt, price, max_paid} = await buy_shares_slippage_protected(shares, amount, buyer, 10));
+				});
+				it('"Trade" event is emitted', async function() {
+					expectEvent(receipt, "Trade", {
+						beneficiary: buyer,
+						isBuy: true,
+						sharesAmount: amount,
+					});
+				});
+				it("buyer pays the quoted price", async function() {
+					expect(await buyer_tracker.delta()).to.be.bignumber.that.equals(price.neg());
+				});
+				it("maxPaid is higher than the quoted price", async function() {
+					expect(max_paid).to.be.bignumber.that.is.greaterThan(price);
+				});
+			});
+			describe("when the attacker front-runs the buy", function() {
+				const amount = new BN(5);
+				let quote;
+				beforeEach(async function() {
+					// victim quotes the price
+					quote = await shares.getBuyPriceAfterFee(amount);
+					// attacker buys shares before the victim
+					await shares.buyShares(10, {from: attacker});
+				});
+				it("protected buy fails if the price grows above maxPaid", async function() {
+					// the victim has approved all the tokens, but limits the price paid
+					await expectRevert(
+						shares.methods[BUY_SHARES_TO](amount, buyer, quote, await default_deadline(), {from: buyer}),
+						"max paid exceeded"
+					);
+				});
+				it("unprotected buy with the same approval succeeds overpaying", async function() {
+					const buyer_tracker = await balance.tracker(buyer, payment_token);
+					await shares.buySharesTo(amount, buyer, {from: buyer});
+					expect((await buyer_tracker.delta()).neg()).to.be.bignumber.that.is.greaterThan(quote);
+				});
+				it("protected buy succeeds if the price grows within maxPaid", async function() {
+					const max_paid = await shares.getBuyPriceAfterFee(amount);
+					const receipt = await shares.methods[BUY_SHARES_TO](amount, buyer, max_paid, await default_deadline(), {from: buyer});
+					expectEvent(receipt, "Trade", {
+						beneficiary: buyer,
+						isBuy: true,
+						sharesAmount: amount,
+					});
+				});
+			});
+			describe("when the buyer holds some shares", function() {
+				const amount = new BN(5);
+				beforeEach(async function() {
+					await shares.buyShares(amount, {from: buyer});
+				});
+				it("selling fails if the deadline has passed", async function() {
+					await expectRevert(
+						shares.methods[SELL_SHARES_TO](amount, buyer, 0, await default_deadline(-1), {from: buyer}),
+						"expired"
+					);
+				});
+				it("selling fails if minReceived is higher than the price", async function() {
+					const min_received = await shares.getSellPriceAfterFee(amount);
+					await expectRevert(
+						shares.methods[SELL_SHARES_TO](amount, buyer, min_received.addn(1), await default_deadline(), {from: buyer}),
+						"min received not reached"
+					);
+				});
+				describe("selling succeeds when the price doesn't move", function() {
+					let buyer_tracker, price, receipt;
+					beforeEach(async function() {
+						buyer_tracker = await balance.tracker(buyer, payment_token);
+						({receipt, price} = await sell_shares_slippage_protected(shares, amount, buyer, 10));
+					});
+					it('"Trade" event is emitted', async function() {
+						expectEvent(receipt, "Trade", {
+							beneficiary: buyer,
+							isBuy: false,
+							sharesAmount: amount,
+						});
+					});
+					it("seller receives the quoted price", async function() {
+						expect(await buyer_tracker.delta()).to.be.bignumber.that.equals(price);
+					});
+				});
+				describe("when the attacker front-runs the sell", function() {
+					let quote;
+					beforeEach(async function() {
+						// attacker holds some shares
+						await shares.buyShares(10, {from: attacker});
+						// victim quotes the price
+						quote = await shares.getSellPriceAfterFee(amount);
+						// attacker sells the shares before the victim
+						await shares.sellShares(10, {from: attacker});
+					});
+					it("protected sell fails if the price drops below minReceived", async function() {
+						await expectRevert(
+							shares.methods[SELL_SHARES_TO](amount, buyer, quote, await default_deadline(), {from: buyer}),
+							"min received not reached"
+						);
+					});
+					it("unprotected sell succeeds receiving less", async function() {
+						const buyer_tracker = await balance.tracker(buyer, payment_token);
+						await shares.sellSharesTo(amount, buyer, {from: buyer});
+						expect(await buyer_tracker.delta()).to.be.bignumber.that.is.lessThan(quote);
+					});
+				});
+			});
+		});
+	}
+
 	describe("when standalone shares contract is deployed with all the fees set", function() {
 		beforeEach(async function() {
 			({
@@ -977,6 +1135,7 @@ contract("ERC20Shares (standalone)", function(accounts) {
 		main_test_suite();
 		rbac_test_suite();
 		disable_holders_fee_test_suite();
+		slippage_protection_test_suite();
 	});
 
 	describe("when standalone shares contract is deployed with no protocol fee", function() {
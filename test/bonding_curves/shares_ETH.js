@@ -31,11 +31,19 @@ const {
 	ROLE_HOLDERS_FEE_DISABLE_MANAGER,
 } = require("@ai-protocol/v3-core/test/include/features_roles");
 
+// block utils
+const {
+	default_deadline,
+} = require("../include/block_utils");
+
 // deployment routines in use
 const {
+	deploy_royal_nft,
 	deploy_shares_ETH,
 	deploy_protocol_fee_distributor,
 	deploy_holders_rewards_distributor,
+	buy_shares_slippage_protected,
+	sell_shares_slippage_protected,
 } = require("./include/deployment_routines");
 
 // run ETHShares tests
@@ -59,7 +67,7 @@ contract("ETHShares (standalone)", function(accounts) {
 	let protocol_fee_percent, holders_fee_percent, subject_fee_percent;
 
 	// define a generic test routine
-	function main_test_suite(has_protocol_fee = true, has_holders_fee = true) {
+	function main_test_suite(protocol_fee_escrowed = false, has_holders_fee = true) {
 		// the suite expects the deployment to be ready and common variables be initialized
 		it("sharesSubject gets set correctly", async function() {
 			expect(await shares.getSharesSubject()).to.containSubset(subject);
@@ -89,6 +97,9 @@ contract("ETHShares (standalone)", function(accounts) {
 		it("owner permissions get set correctly", async function() {
 			expect(await shares.getRole(owner)).to.be.bignumber.that.equals(MAX_UINT256);
 		});
+		it("bondingCurve is not set (built-in friend.tech curve)", async function() {
+			expect(await shares.getBondingCurve()).to.be.equal(ZERO_ADDRESS);
+		});
 		it("tradeVolume get set to zero", async function() {
 			expect(await shares.getTradeVolume()).to.be.bignumber.that.equals("0");
 		});
@@ -101,6 +112,7 @@ contract("ETHShares (standalone)", function(accounts) {
 				holders_fee_destination,
 				holders_fee_percent,
 				subject_fee_percent,
+				ZERO_ADDRESS,
 				amount,
 				beneficiary,
 				{from: a0},
@@ -174,7 +186,7 @@ contract("ETHShares (standalone)", function(accounts) {
 								holders_fee_tracker = await balance.tracker(holders_fee_destination);
 								issuer_tracker = await balance.tracker(issuer);
 								buy_price = await shares.getBuyPrice(amount);
-								protocol_fee = has_protocol_fee? buy_price.mul(protocol_fee_percent).div(ETH): new BN(0);
+								protocol_fee = buy_price.mul(protocol_fee_percent).div(ETH);
 								holders_fee = has_holders_fee? buy_price.mul(holders_fee_percent).div(ETH): new BN(0);
 								subject_fee = buy_price.mul(subject_fee_percent).div(ETH);
 								value = await shares.getBuyPriceAfterFee(amount);
@@ -221,10 +233,10 @@ contract("ETHShares (standalone)", function(accounts) {
 								expect(delta.add(fees)).to.be.bignumber.that.equals(effective_value.neg());
 							});
 							it("shares contract balance increases by price", async function() {
-								expect(await shares_tracker.delta()).to.be.bignumber.that.equals(buy_price);
+								expect(await shares_tracker.delta()).to.be.bignumber.that.equals(buy_price.add(protocol_fee_escrowed? protocol_fee: new BN(0)));
 							});
 							it("protocolFeeDestination balance increases by protocolFeeAmount", async function() {
-								expect(await protocol_fee_tracker.delta()).to.be.bignumber.that.equals(protocol_fee);
+								expect(await protocol_fee_tracker.delta()).to.be.bignumber.that.equals(protocol_fee_escrowed? new BN(0): protocol_fee);
 							});
 							it("holdersFeeDestination balance increases by holdersFeeAmount", async function() {
 								expect(await holders_fee_tracker.delta()).to.be.bignumber.that.equals(holders_fee);
@@ -246,7 +258,7 @@ contract("ETHShares (standalone)", function(accounts) {
 									holders_fee_tracker = await balance.tracker(holders_fee_destination);
 									issuer_tracker = await balance.tracker(issuer);
 									sell_price = await shares.getSellPrice(1);
-									protocol_fee = has_protocol_fee? sell_price.mul(protocol_fee_percent).div(ETH): new BN(0);
+									protocol_fee = sell_price.mul(protocol_fee_percent).div(ETH);
 									holders_fee = has_holders_fee? sell_price.mul(holders_fee_percent).div(ETH): new BN(0);
 									subject_fee = sell_price.mul(subject_fee_percent).div(ETH);
 									value = await shares.getSellPriceAfterFee(1);
@@ -292,10 +304,10 @@ contract("ETHShares (standalone)", function(accounts) {
 										expect(delta.sub(fees)).to.be.bignumber.that.equals(value.add(subject_fee));
 									});
 									it("shares contract balance decreases by price", async function() {
-										expect(await shares_tracker.delta()).to.be.bignumber.that.equals(sell_price.neg());
+										expect(await shares_tracker.delta()).to.be.bignumber.that.equals(sell_price.neg().add(protocol_fee_escrowed? protocol_fee: new BN(0)));
 									});
 									it("protocolFeeDestination balance increases by protocolFeeAmount", async function() {
-										expect(await protocol_fee_tracker.delta()).to.be.bignumber.that.equals(protocol_fee);
+										expect(await protocol_fee_tracker.delta()).to.be.bignumber.that.equals(protocol_fee_escrowed? new BN(0): protocol_fee);
 									});
 									it("holdersFeeDestination balance increases by holdersFeeAmount", async function() {
 										expect(await holders_fee_tracker.delta()).to.be.bignumber.that.equals(holders_fee);
@@ -330,7 +342,7 @@ contract("ETHShares (standalone)", function(accounts) {
 						holders_fee_tracker = await balance.tracker(holders_fee_destination);
 						issuer_tracker = await balance.tracker(issuer);
 						first_price = await shares.getBuyPrice(init_amount);
-						protocol_fee = has_protocol_fee? first_price.mul(protocol_fee_percent).div(ETH): new BN(0);
+						protocol_fee = first_price.mul(protocol_fee_percent).div(ETH);
 						holders_fee = has_holders_fee? first_price.mul(holders_fee_percent).div(ETH): new BN(0);
 						subject_fee = first_price.mul(subject_fee_percent).div(ETH);
 						value = await shares.getBuyPriceAfterFee(init_amount);
@@ -377,10 +389,10 @@ contract("ETHShares (standalone)", function(accounts) {
 						expect(delta.add(fees)).to.be.bignumber.that.equals(effective_value.neg().add(subject_fee));
 					});
 					it("shares contract balance increases by price", async function() {
-						expect(await shares_tracker.delta()).to.be.bignumber.that.equals(first_price);
+						expect(await shares_tracker.delta()).to.be.bignumber.that.equals(first_price.add(protocol_fee_escrowed? protocol_fee: new BN(0)));
 					});
 					it("protocolFeeDestination balance increases by protocolFeeAmount", async function() {
-						expect(await protocol_fee_tracker.delta()).to.be.bignumber.that.equals(protocol_fee);
+						expect(await protocol_fee_tracker.delta()).to.be.bignumber.that.equals(protocol_fee_escrowed? new BN(0): protocol_fee);
 					});
 					it("holdersFeeDestination balance increases by holdersFeeAmount", async function() {
 						expect(await holders_fee_tracker.delta()).to.be.bignumber.that.equals(holders_fee);
@@ -403,7 +415,7 @@ contract("ETHShares (standalone)", function(accounts) {
 								holders_fee_tracker = await balance.tracker(holders_fee_destination);
 								issuer_tracker = await balance.tracker(issuer);
 								next_price = await shares.getBuyPrice(buy_amount);
-								protocol_fee = has_protocol_fee? next_price.mul(protocol_fee_percent).div(ETH): new BN(0);
+								protocol_fee = next_price.mul(protocol_fee_percent).div(ETH);
 								holders_fee = has_holders_fee? next_price.mul(holders_fee_percent).div(ETH): new BN(0);
 								subject_fee = next_price.mul(subject_fee_percent).div(ETH);
 								value = await shares.getBuyPriceAfterFee(buy_amount);
@@ -450,10 +462,10 @@ contract("ETHShares (standalone)", function(accounts) {
 								expect(delta.add(fees)).to.be.bignumber.that.equals(effective_value.neg());
 							});
 							it("shares contract balance increases by price", async function() {
-								expect(await shares_tracker.delta()).to.be.bignumber.that.equals(next_price);
+								expect(await shares_tracker.delta()).to.be.bignumber.that.equals(next_price.add(protocol_fee_escrowed? protocol_fee: new BN(0)));
 							});
 							it("protocolFeeDestination balance increases by protocolFeeAmount", async function() {
-								expect(await protocol_fee_tracker.delta()).to.be.bignumber.that.equals(protocol_fee);
+								expect(await protocol_fee_tracker.delta()).to.be.bignumber.that.equals(protocol_fee_escrowed? new BN(0): protocol_fee);
 							});
 							it("holdersFeeDestination balance increases by holdersFeeAmount", async function() {
 								expect(await holders_fee_tracker.delta()).to.be.bignumber.that.equals(holders_fee);
@@ -475,7 +487,7 @@ contract("ETHShares (standalone)", function(accounts) {
 									holders_fee_tracker = await balance.tracker(holders_fee_destination);
 									issuer_tracker = await balance.tracker(issuer);
 									sell_price = await shares.getSellPrice(sell_amount);
-									protocol_fee = has_protocol_fee? sell_price.mul(protocol_fee_percent).div(ETH): new BN(0);
+									protocol_fee = sell_price.mul(protocol_fee_percent).div(ETH);
 									holders_fee = has_holders_fee? sell_price.mul(holders_fee_percent).div(ETH): new BN(0);
 									subject_fee = sell_price.mul(subject_fee_percent).div(ETH);
 									value = await shares.getSellPriceAfterFee(sell_amount);
@@ -522,10 +534,10 @@ contract("ETHShares (standalone)", function(accounts) {
 									expect(delta.add(fees)).to.be.bignumber.that.equals(effective_value);
 								});
 								it("shares contract balance decreases by price", async function() {
-									expect(await shares_tracker.delta()).to.be.bignumber.that.equals(sell_price.neg());
+									expect(await shares_tracker.delta()).to.be.bignumber.that.equals(sell_price.neg().add(protocol_fee_escrowed? protocol_fee: new BN(0)));
 								});
 								it("protocolFeeDestination balance increases by protocolFeeAmount", async function() {
-									expect(await protocol_fee_tracker.delta()).to.be.bignumber.that.equals(protocol_fee);
+									expect(await protocol_fee_tracker.delta()).to.be.bignumber.that.equals(protocol_fee_escrowed? new BN(0): protocol_fee);
 								});
 								it("holdersFeeDestination balance increases by holdersFeeAmount", async function() {
 									expect(await holders_fee_tracker.delta()).to.be.bignumber.that.equals(holders_fee);
@@ -931,6 +943,155 @@ contract("ETHShares (standalone)", function(accounts) {
 		});
 	}
 
+	function slippage_protection_test_suite() {
+		describe("slippage protected buy/sell (sandwich attack scenarios)", function() {
+			const attacker = someone;
+			const BUY_SHARES_TO = "buySharesTo(uint256,address,uint256,uint256)";
+			const SELL_SHARES_TO = "sellSharesTo(uint256,address,uint256,uint256)";
+			beforeEach(async function() {
+				await shares.buyShares(1, {from: issuer});
+			});
+			it("buying the first share fails if not by the issuer", async function() {
+				const {shares} = await deploy_shares_ETH(a0, issuer);
+				await expectRevert(
+					shares.methods[BUY_SHARES_TO](1, buyer, 0, await default_deadline(), {from: buyer}),
+					"only the issuer can buy the first share"
+				);
+			});
+			it("buying fails if the deadline has passed", async function() {
+				const value = await shares.getBuyPriceAfterFee(1);
+				await expectRevert(
+					shares.methods[BUY_SHARES_TO](1, buyer, value, await default_deadline(-1), {from: buyer, value}),
+					"expired"
+				);
+			});
+			it("buying fails if maxPaid is lower than the price", async function() {
+				const value = await shares.getBuyPriceAfterFee(1);
+				await expectRevert(
+					shares.methods[BUY_SHARES_TO](1, buyer, value.subn(1), await default_deadline(), {from: buyer, value}),
+					"max paid exceeded"
+				);
+			});
+			describe("buying succeeds when the price doesn't move", function() {
+				const amount = new BN(5);
+				let buyer_tracker, price, max_paid, receipt;
+				beforeEach(async function() {
+					buyer_tracker = await balance.tracker(buyer);
+					({receipt, price, max_paid} = await buy_shares_slippage_protected(shares, amount, buyer, 10));
+				});
+				it('"Trade" event is emitted', async function() {
+					expectEvent(receipt, "Trade", {
+						beneficiary: buyer,
+						isBuy: true,
+						sharesAmount: amount,
+					});
+				});
+				it("buyer pays the quoted price, the change is returned", async function() {
+					const {delta, fees} = await buyer_tracker.deltaWithFees();
+					expect(delta.add(fees)).to.be.bignumber.that.equals(price.neg());
+				});
+				it("maxPaid is higher than the quoted price", async function() {
+					expect(max_paid).to.be.bignumber.that.is.greaterThan(price);
+				});
+			});
+			describe("when the attacker front-runs the buy", function() {
+				const amount = new BN(5);
+				let quote;
+				beforeEach(async function() {
+					// victim quotes the price
+					quote = await shares.getBuyPriceAfterFee(amount);
+					// attacker buys shares before the victim
+					await shares.buyShares(10, {from: attacker, value: await shares.getBuyPriceAfterFee(10)});
+				});
+				it("protected buy fails if the price grows above maxPaid", async function() {
+					// the victim supplies enough value, but limits the price paid
+					await expectRevert(
+						shares.methods[BUY_SHARES_TO](amount, buyer, quote, await default_deadline(), {from: buyer, value: quote.muln(10)}),
+						"max paid exceeded"
+					);
+				});
+				it("unprotected buy with the same value succeeds overpaying", async function() {
+					const buyer_tracker = await balance.tracker(buyer);
+					await shares.buySharesTo(amount, buyer, {from: buyer, value: quote.muln(10)});
+					const {delta, fees} = await buyer_tracker.deltaWithFees();
+					expect(delta.add(fees).neg()).to.be.bignumber.that.is.greaterThan(quote);
+				});
+				it("protected buy succeeds if the price grows within maxPaid", async function() {
+					const max_paid = await shares.getBuyPriceAfterFee(amount);
+					const receipt = await shares.methods[BUY_SHARES_TO](amount, buyer, max_paid, await default_deadline(), {
+						from: buyer,
+						value: max_paid,
+					});
+					expectEvent(receipt, "Trade", {
+						beneficiary: buyer,
+						isBuy: true,
+						sharesAmount: amount,
+					});
+				});
+			});
+			describe("when the buyer holds some shares", function() {
+				const amount = new BN(5);
+				beforeEach(async function() {
+					await shares.buyShares(amount, {from: buyer, value: await shares.getBuyPriceAfterFee(amount)});
+				});
+				it("selling fails if the deadline has passed", async function() {
+					await expectRevert(
+						shares.methods[SELL_SHARES_TO](amount, buyer, 0, await default_deadline(-1), {from: buyer}),
+						"expired"
+					);
+				});
+				it("selling fails if minReceived is higher than the price", async function() {
+					const min_received = await shares.getSellPriceAfterFee(amount);
+					await expectRevert(
+						shares.methods[SELL_SHARES_TO](amount, buyer, min_received.addn(1), await default_deadline(), {from: buyer}),
+						"min received not reached"
+					);
+				});
+				describe("selling succeeds when the price doesn't move", function() {
+					let buyer_tracker, price, receipt;
+					beforeEach(async function() {
+						buyer_tracker = await balance.tracker(buyer);
+						({receipt, price} = await sell_shares_slippage_protected(shares, amount, buyer, 10));
+					});
+					it('"Trade" event is emitted', async function() {
+						expectEvent(receipt, "Trade", {
+							beneficiary: buyer,
+							isBuy: false,
+							sharesAmount: amount,
+						});
+					});
+					it("seller receives the quoted price", async function() {
+						const {delta, fees} = await buyer_tracker.deltaWithFees();
+						expect(delta.add(fees)).to.be.bignumber.that.equals(price);
+					});
+				});
+				describe("when the attacker front-runs the sell", function() {
+					let quote;
+					beforeEach(async function() {
+						// attacker holds some shares
+						await shares.buyShares(10, {from: attacker, value: await shares.getBuyPriceAfterFee(10)});
+						// victim quotes the price
+						quote = await shares.getSellPriceAfterFee(amount);
+						// attacker sells the shares before the victim
+						await shares.sellShares(10, {from: attacker});
+					});
+					it("protected sell fails if the price drops below minReceived", async function() {
+						await expectRevert(
+							shares.methods[SELL_SHARES_TO](amount, buyer, quote, await default_deadline(), {from: buyer}),
+							"min received not reached"
+						);
+					});
+					it("unprotected sell succeeds receiving less", async function() {
+						const buyer_tracker = await balance.tracker(buyer);
+						await shares.sellSharesTo(amount, buyer, {from: buyer});
+						const {delta, fees} = await buyer_tracker.deltaWithFees();
+						expect(delta.add(fees)).to.be.bignumber.that.is.lessThan(quote);
+					});
+				});
+			});
+		});
+	}
+
 	describe("when standalone shares contract is deployed with all the fees set", function() {
 		beforeEach(async function() {
 			({
@@ -950,6 +1111,7 @@ contract("ETHShares (standalone)", function(accounts) {
 		main_test_suite();
 		rbac_test_suite();
 		disable_holders_fee_test_suite();
+		slippage_protection_test_suite();
 	});
 
 	describe("when standalone shares contract is deployed with no protocol fee", function() {
@@ -1116,7 +1278,169 @@ contract("ETHShares (standalone)", function(accounts) {
 				protocol_fee_destination,
 			));
 		});
-		main_test_suite(false);
+		main_test_suite(true);
+	});
+	describe("when standalone shares contract is deployed with reverting protocol and subject fee destinations", function() {
+		let protocol_fee_recipient, subject_fee_recipient, nft;
+		beforeEach(async function() {
+			const RevertingFeeRecipient = artifacts.require("RevertingFeeRecipient");
+			protocol_fee_recipient = await RevertingFeeRecipient.new({from: a0});
+			subject_fee_recipient = await RevertingFeeRecipient.new({from: a0});
+			nft = await deploy_royal_nft(a0);
+			subject = {
+				tokenAddress: nft.address,
+				tokenId: "1086432204",
+			};
+			await nft.mint(issuer, subject.tokenId, {from: a0});
+			({
+				protocol_fee_percent,
+				holders_fee_percent,
+				subject_fee_percent,
+				shares,
+			} = await deploy_shares_ETH(
+				a0,
+				issuer,
+				subject,
+				protocol_fee_recipient.address,
+			));
+
+			// buy the first share and transfer the subject NFT to the reverting recipient
+			await shares.buyShares(1, {from: issuer});
+			await nft.transferFrom(issuer, subject_fee_recipient.address, subject.tokenId, {from: issuer});
+		});
+		it("withdrawing fails if nothing is escrowed", async function() {
+			await expectRevert(shares.withdrawPendingFees({from: someone}), "nothing to withdraw");
+		});
+		it("releasing fails if nothing is escrowed", async function() {
+			await expectRevert(shares.releasePendingFees(someone, {from: someone}), "nothing to withdraw");
+		});
+		describe("buying the shares", function() {
+			const amount = new BN(2);
+			let buy_price, protocol_fee, subject_fee, buyer_tracker, shares_tracker, receipt;
+			beforeEach(async function() {
+				buyer_tracker = await balance.tracker(buyer);
+				shares_tracker = await balance.tracker(shares.address);
+				buy_price = await shares.getBuyPrice(amount);
+				protocol_fee = buy_price.mul(protocol_fee_percent).div(ETH);
+				subject_fee = buy_price.mul(subject_fee_percent).div(ETH);
+				receipt = await shares.buyShares(amount, {from: buyer, value: await shares.getBuyPriceAfterFee(amount)});
+			});
+			it('"FeeEscrowed" event is emitted for the protocol fee', async function() {
+				expectEvent(receipt, "FeeEscrowed", {
+					recipient: protocol_fee_recipient.address,
+					amount: protocol_fee,
+					pendingFees: protocol_fee,
+				});
+			});
+			it('"FeeEscrowed" event is emitted for the subject fee', async function() {
+				expectEvent(receipt, "FeeEscrowed", {
+					recipient: subject_fee_recipient.address,
+					amount: subject_fee,
+					pendingFees: subject_fee,
+				});
+			});
+			it('"Trade" event reports the escrowed fees', async function() {
+				expectEvent(receipt, "Trade", {
+					protocolFeeAmount: protocol_fee,
+					subjectFeeAmount: subject_fee,
+				});
+			});
+			it("escrowed fees are not returned to the buyer", async function() {
+				const holders_fee = buy_price.mul(holders_fee_percent).div(ETH);
+				const {delta, fees} = await buyer_tracker.deltaWithFees();
+				expect(delta.add(fees)).to.be.bignumber.that.equals(
+					buy_price.add(protocol_fee).add(holders_fee).add(subject_fee).neg()
+				);
+			});
+			it("shares contract balance increases by price and escrowed fees", async function() {
+				expect(await shares_tracker.delta()).to.be.bignumber.that.equals(buy_price.add(protocol_fee).add(subject_fee));
+			});
+			it("pending fees are recorded per recipient", async function() {
+				expect(await shares.getPendingFees(protocol_fee_recipient.address), "protocol").to.be.bignumber.that.equals(protocol_fee);
+				expect(await shares.getPendingFees(subject_fee_recipient.address), "subject").to.be.bignumber.that.equals(subject_fee);
+			});
+			it("withdrawing fails while the recipient keeps rejecting ETH", async function() {
+				await expectRevert(
+					protocol_fee_recipient.withdrawPendingFees(shares.address, {from: someone}),
+					"failed to send ether"
+				);
+			});
+			describe("selling the shares back", function() {
+				let sell_price, sell_protocol_fee, sell_subject_fee;
+				beforeEach(async function() {
+					sell_price = await shares.getSellPrice(1);
+					sell_protocol_fee = sell_price.mul(protocol_fee_percent).div(ETH);
+					sell_subject_fee = sell_price.mul(subject_fee_percent).div(ETH);
+					receipt = await shares.sellShares(1, {from: buyer});
+				});
+				it('"FeeEscrowed" event is emitted with the pending fees accumulated', async function() {
+					expectEvent(receipt, "FeeEscrowed", {
+						recipient: protocol_fee_recipient.address,
+						amount: sell_protocol_fee,
+						pendingFees: protocol_fee.add(sell_protocol_fee),
+					});
+				});
+				it("pending fees accumulate", async function() {
+					expect(await shares.getPendingFees(protocol_fee_recipient.address), "protocol")
+						.to.be.bignumber.that.equals(protocol_fee.add(sell_protocol_fee));
+					expect(await shares.getPendingFees(subject_fee_recipient.address), "subject")
+						.to.be.bignumber.that.equals(subject_fee.add(sell_subject_fee));
+				});
+			});
+			describe("once the protocol fee recipient accepts ETH, it can withdraw the pending fees", function() {
+				let recipient_tracker;
+				beforeEach(async function() {
+					await protocol_fee_recipient.setReverting(false, {from: a0});
+					recipient_tracker = await balance.tracker(protocol_fee_recipient.address);
+					shares_tracker = await balance.tracker(shares.address);
+					receipt = await protocol_fee_recipient.withdrawPendingFees(shares.address, {from: someone});
+				});
+				it('"PendingFeesWithdrawn" event is emitted', async function() {
+					await expectEvent.inTransaction(receipt.tx, shares, "PendingFeesWithdrawn", {
+						recipient: protocol_fee_recipient.address,
+						amount: protocol_fee,
+					});
+				});
+				it("recipient balance increases by the pending fees", async function() {
+					expect(await recipient_tracker.delta()).to.be.bignumber.that.equals(protocol_fee);
+				});
+				it("shares contract balance decreases by the pending fees", async function() {
+					expect(await shares_tracker.delta()).to.be.bignumber.that.equals(protocol_fee.neg());
+				});
+				it("pending fees are zeroed", async function() {
+					expect(await shares.getPendingFees(protocol_fee_recipient.address)).to.be.bignumber.that.equals("0");
+				});
+				it("subject fee recipient pending fees are not affected", async function() {
+					expect(await shares.getPendingFees(subject_fee_recipient.address)).to.be.bignumber.that.equals(subject_fee);
+				});
+				it("withdrawing again fails", async function() {
+					await expectRevert(
+						protocol_fee_recipient.withdrawPendingFees(shares.address, {from: someone}),
+						"nothing to withdraw"
+					);
+				});
+			});
+			describe("once the subject fee recipient accepts ETH, anyone can release the pending fees", function() {
+				let recipient_tracker;
+				beforeEach(async function() {
+					await subject_fee_recipient.setReverting(false, {from: a0});
+					recipient_tracker = await balance.tracker(subject_fee_recipient.address);
+					receipt = await shares.releasePendingFees(subject_fee_recipient.address, {from: someone});
+				});
+				it('"PendingFeesWithdrawn" event is emitted', async function() {
+					expectEvent(receipt, "PendingFeesWithdrawn", {
+						recipient: subject_fee_recipient.address,
+						amount: subject_fee,
+					});
+				});
+				it("recipient balance increases by the pending fees", async function() {
+					expect(await recipient_tracker.delta()).to.be.bignumber.that.equals(subject_fee);
+				});
+				it("pending fees are zeroed", async function() {
+					expect(await shares.getPendingFees(subject_fee_recipient.address)).to.be.bignumber.that.equals("0");
+				});
+			});
+		});
 	});
 	describe("when standalone shares contract is deployed with malicious holders fee destination", function() {
 		beforeEach(async function() {
@@ -0,0 +1,319 @@
+// Zeppelin test helpers
+const {
+	balance,
+	expectEvent,
+	expectRevert,
+} = require("@openzeppelin/test-helpers");
+
+const {
+	expect,
+} = require("chai");
+
+// bonding curves
+const {
+	ETH,
+	get_buy_price_after_fee_eth,
+} = require("./include/curves");
+
+// RBAC
+const {
+	FULL_PRIVILEGES_MASK,
+	not,
+	ROLE_FEE_OVERRIDE_MANAGER,
+	ROLE_SUBJECT_FEE_MANAGER,
+} = require("../include/features_roles");
+
+// deployment routines in use
+const {
+	deploy_factory_and_configure,
+	factory_deploy_shares,
+	deploy_shares_ETH,
+} = require("./include/deployment_routines");
+
+// run fee overrides tests
+contract("TradeableShares: fee overrides and subject fee split", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3] = accounts;
+
+	// a1 is the issuer, a2 is the buyer, a3 has no permissions
+	const issuer = a1;
+	const buyer = a2;
+	const someone = a3;
+
+	// negotiated fee schedule: 2%, 5%, 4%
+	const PROTOCOL_FEE_PERCENT = ETH.muln(2).divn(100);
+	const HOLDERS_FEE_PERCENT = ETH.muln(5).divn(100);
+	const SUBJECT_FEE_PERCENT = ETH.muln(4).divn(100);
+
+	// subject fee split bounds: from 10% to 50% of the subject fee
+	const MIN_HOLDERS_SHARE = ETH.divn(10);
+	const MAX_HOLDERS_SHARE = ETH.divn(2);
+
+	describe("standalone ETHShares", function() {
+		let shares;
+		beforeEach(async function() {
+			({shares} = await deploy_shares_ETH(a0, issuer));
+		});
+
+		it("subject fee split is not set initially", async function() {
+			const {holdersShare, minHoldersShare, maxHoldersShare} = await shares.getSubjectFeeSplit();
+			expect(holdersShare, "holdersShare").to.be.bignumber.that.equals("0");
+			expect(minHoldersShare, "minHoldersShare").to.be.bignumber.that.equals("0");
+			expect(maxHoldersShare, "maxHoldersShare").to.be.bignumber.that.equals("0");
+		});
+
+		describe("overriding the fees", function() {
+			it("fails if executed without ROLE_FEE_MANAGER", async function() {
+				await shares.updateRole(someone, not(ROLE_FEE_OVERRIDE_MANAGER), {from: a0});
+				await expectRevert(
+					shares.overrideFees(PROTOCOL_FEE_PERCENT, HOLDERS_FEE_PERCENT, SUBJECT_FEE_PERCENT, {from: someone}),
+					"access denied"
+				);
+			});
+			it("fails if the total fee is too big", async function() {
+				await expectRevert(
+					shares.overrideFees(ETH.divn(5), ETH.divn(5), ETH.divn(5), {from: a0}),
+					"malformed fee percent"
+				);
+			});
+			it("fails to set the holders fee if it was disabled", async function() {
+				await shares.disableHoldersFee({from: a0});
+				await expectRevert(
+					shares.overrideFees(PROTOCOL_FEE_PERCENT, HOLDERS_FEE_PERCENT, SUBJECT_FEE_PERCENT, {from: a0}),
+					"holders fee disabled"
+				);
+			});
+			it("succeeds setting zero holders fee if it was disabled", async function() {
+				await shares.disableHoldersFee({from: a0});
+				await shares.overrideFees(PROTOCOL_FEE_PERCENT, 0, SUBJECT_FEE_PERCENT, {from: a0});
+				expect(await shares.getHoldersFeePercent()).to.be.bignumber.that.equals("0");
+			});
+			describe("succeeds with ROLE_FEE_MANAGER", function() {
+				let receipt;
+				beforeEach(async function() {
+					await shares.updateRole(someone, ROLE_FEE_OVERRIDE_MANAGER, {from: a0});
+					receipt = await shares.overrideFees(PROTOCOL_FEE_PERCENT, HOLDERS_FEE_PERCENT, SUBJECT_FEE_PERCENT, {from: someone});
+				});
+				it('"FeesOverridden" event is emitted', async function() {
+					expectEvent(receipt, "FeesOverridden", {
+						by: someone,
+						protocolFeePercent: PROTOCOL_FEE_PERCENT,
+						holdersFeePercent: HOLDERS_FEE_PERCENT,
+						subjectFeePercent: SUBJECT_FEE_PERCENT,
+					});
+				});
+				it("protocol fee percent gets updated", async function() {
+					expect(await shares.getProtocolFeePercent()).to.be.bignumber.that.equals(PROTOCOL_FEE_PERCENT);
+				});
+				it("holders fee percent gets updated", async function() {
+					expect(await shares.getHoldersFeePercent()).to.be.bignumber.that.equals(HOLDERS_FEE_PERCENT);
+				});
+				it("subject fee percent gets updated", async function() {
+					expect(await shares.getSubjectFeePercent()).to.be.bignumber.that.equals(SUBJECT_FEE_PERCENT);
+				});
+				it("buy price after fee follows the new fees", async function() {
+					await shares.buyShares(1, {from: issuer});
+					expect(await shares.getBuyPriceAfterFee(10)).to.be.bignumber.that.equals(get_buy_price_after_fee_eth(
+						1, 10, PROTOCOL_FEE_PERCENT, HOLDERS_FEE_PERCENT, SUBJECT_FEE_PERCENT
+					));
+				});
+			});
+		});
+
+		describe("updating the subject fee split bounds", function() {
+			it("fails if executed without ROLE_FEE_MANAGER", async function() {
+				await expectRevert(
+					shares.updateSubjectFeeSplitBounds(MIN_HOLDERS_SHARE, MAX_HOLDERS_SHARE, {from: someone}),
+					"access denied"
+				);
+			});
+			it("fails if the lower bound is bigger than the upper bound", async function() {
+				await expectRevert(
+					shares.updateSubjectFeeSplitBounds(MAX_HOLDERS_SHARE, MIN_HOLDERS_SHARE, {from: a0}),
+					"invalid bounds"
+				);
+			});
+			it("fails if the upper bound exceeds 100%", async function() {
+				await expectRevert(
+					shares.updateSubjectFeeSplitBounds(MIN_HOLDERS_SHARE, ETH.addn(1), {from: a0}),
+					"invalid bounds"
+				);
+			});
+			describe("succeeds with ROLE_FEE_MANAGER", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await shares.updateSubjectFeeSplitBounds(MIN_HOLDERS_SHARE, MAX_HOLDERS_SHARE, {from: a0});
+				});
+				it('"SubjectFeeSplitBoundsUpdated" event is emitted', async function() {
+					expectEvent(receipt, "SubjectFeeSplitBoundsUpdated", {
+						by: a0,
+						minHoldersShare: MIN_HOLDERS_SHARE,
+						maxHoldersShare: MAX_HOLDERS_SHARE,
+					});
+				});
+				it("the split gets adjusted to the lower bound", async function() {
+					const {holdersShare} = await shares.getSubjectFeeSplit();
+					expect(holdersShare).to.be.bignumber.that.equals(MIN_HOLDERS_SHARE);
+				});
+				it('"SubjectFeeSplitUpdated" event is emitted', async function() {
+					expectEvent(receipt, "SubjectFeeSplitUpdated", {
+						by: a0,
+						oldHoldersShare: "0",
+						newHoldersShare: MIN_HOLDERS_SHARE,
+					});
+				});
+				it("the split gets adjusted to the upper bound when it decreases", async function() {
+					await shares.updateSubjectFeeSplit(MAX_HOLDERS_SHARE, {from: issuer});
+					await shares.updateSubjectFeeSplitBounds(0, MIN_HOLDERS_SHARE, {from: a0});
+					const {holdersShare} = await shares.getSubjectFeeSplit();
+					expect(holdersShare).to.be.bignumber.that.equals(MIN_HOLDERS_SHARE);
+				});
+			});
+		});
+
+		describe("updating the subject fee split", function() {
+			beforeEach(async function() {
+				await shares.updateSubjectFeeSplitBounds(0, MAX_HOLDERS_SHARE, {from: a0});
+			});
+			it("fails if executed not by the issuer", async function() {
+				await expectRevert(shares.updateSubjectFeeSplit(MAX_HOLDERS_SHARE, {from: a0}), "access denied");
+			});
+			it("fails if the split is out of bounds", async function() {
+				await expectRevert(shares.updateSubjectFeeSplit(MAX_HOLDERS_SHARE.addn(1), {from: issuer}), "out of bounds");
+			});
+			describe("succeeds if executed by the issuer within the bounds", function() {
+				let holders_fee_percent, subject_fee_percent, redirected_fee_percent;
+				let receipt;
+				beforeEach(async function() {
+					holders_fee_percent = await shares.getHoldersFeePercent();
+					subject_fee_percent = await shares.getSubjectFeePercent();
+					redirected_fee_percent = subject_fee_percent.mul(MAX_HOLDERS_SHARE).div(ETH);
+					receipt = await shares.updateSubjectFeeSplit(MAX_HOLDERS_SHARE, {from: issuer});
+				});
+				it('"SubjectFeeSplitUpdated" event is emitted', async function() {
+					expectEvent(receipt, "SubjectFeeSplitUpdated", {
+						by: issuer,
+						oldHoldersShare: "0",
+						newHoldersShare: MAX_HOLDERS_SHARE,
+					});
+				});
+				it("holders fee info includes the redirected subject fee", async function() {
+					const {feePercent} = await shares.getHoldersFeeInfo();
+					expect(feePercent).to.be.bignumber.that.equals(holders_fee_percent.add(redirected_fee_percent));
+				});
+				it("subject fee info excludes the redirected subject fee", async function() {
+					const {feePercent} = await shares.getSubjectFeeInfo();
+					expect(feePercent).to.be.bignumber.that.equals(subject_fee_percent.sub(redirected_fee_percent));
+				});
+				it("fee percents remain unchanged", async function() {
+					expect(await shares.getHoldersFeePercent(), "holders").to.be.bignumber.that.equals(holders_fee_percent);
+					expect(await shares.getSubjectFeePercent(), "subject").to.be.bignumber.that.equals(subject_fee_percent);
+				});
+				it("issuer receives the reduced subject fee when shares are bought", async function() {
+					await shares.buyShares(1, {from: issuer});
+					const price = await shares.getBuyPrice(10);
+					const value = await shares.getBuyPriceAfterFee(10);
+					const tracker = await balance.tracker(issuer);
+					await shares.buyShares(10, {from: buyer, value});
+					expect(await tracker.delta()).to.be.bignumber.that.equals(
+						price.mul(subject_fee_percent.sub(redirected_fee_percent)).div(ETH)
+					);
+				});
+				it("disabling the holders fee returns the full subject fee to the issuer", async function() {
+					await shares.disableHoldersFee({from: a0});
+					const {feePercent} = await shares.getSubjectFeeInfo();
+					expect(feePercent).to.be.bignumber.that.equals(subject_fee_percent);
+				});
+			});
+		});
+	});
+
+	describe("SharesFactory subject fee split bounds", function() {
+		let factory;
+		beforeEach(async function() {
+			({factory} = await deploy_factory_and_configure(a0, a0));
+		});
+
+		it("subject fee split bounds are not set initially", async function() {
+			const {minHoldersShare, maxHoldersShare} = await factory.getSubjectFeeSplitBounds();
+			expect(minHoldersShare, "minHoldersShare").to.be.bignumber.that.equals("0");
+			expect(maxHoldersShare, "maxHoldersShare").to.be.bignumber.that.equals("0");
+		});
+		it("fails to set the bounds without ROLE_SUBJECT_FEE_MANAGER", async function() {
+			await factory.updateRole(someone, not(ROLE_SUBJECT_FEE_MANAGER), {from: a0});
+			await expectRevert(
+				factory.setSubjectFeeSplitBounds(MIN_HOLDERS_SHARE, MAX_HOLDERS_SHARE, {from: someone}),
+				"access denied"
+			);
+		});
+		it("fails to set inconsistent bounds", async function() {
+			await expectRevert(
+				factory.setSubjectFeeSplitBounds(MAX_HOLDERS_SHARE, MIN_HOLDERS_SHARE, {from: a0}),
+				"invalid bounds"
+			);
+		});
+		it("shares deployed without the bounds don't allow the subject fee split", async function() {
+			const {shares} = await factory_deploy_shares(a0, factory, undefined, issuer);
+			const {maxHoldersShare} = await shares.getSubjectFeeSplit();
+			expect(maxHoldersShare).to.be.bignumber.that.equals("0");
+			await expectRevert(shares.updateSubjectFeeSplit(1, {from: issuer}), "out of bounds");
+		});
+		describe("succeeds setting the bounds with ROLE_SUBJECT_FEE_MANAGER", function() {
+			let receipt;
+			beforeEach(async function() {
+				await factory.updateRole(someone, ROLE_SUBJECT_FEE_MANAGER, {from: a0});
+				receipt = await factory.setSubjectFeeSplitBounds(MIN_HOLDERS_SHARE, MAX_HOLDERS_SHARE, {from: someone});
+			});
+			it('"SubjectFeeSplitBoundsUpdated" event is emitted', async function() {
+				expectEvent(receipt, "SubjectFeeSplitBoundsUpdated", {
+					minHoldersShare: MIN_HOLDERS_SHARE,
+					maxHoldersShare: MAX_HOLDERS_SHARE,
+				});
+			});
+			it("subject fee split bounds get updated", async function() {
+				const {minHoldersShare, maxHoldersShare} = await factory.getSubjectFeeSplitBounds();
+				expect(minHoldersShare, "minHoldersShare").to.be.bignumber.that.equals(MIN_HOLDERS_SHARE);
+				expect(maxHoldersShare, "maxHoldersShare").to.be.bignumber.that.equals(MAX_HOLDERS_SHARE);
+			});
+			describe("newly deployed shares get the bounds", function() {
+				let shares;
+				beforeEach(async function() {
+					({shares} = await factory_deploy_shares(a0, factory, undefined, issuer));
+				});
+				it("subject fee split bounds get set", async function() {
+					const {holdersShare, minHoldersShare, maxHoldersShare} = await shares.getSubjectFeeSplit();
+					expect(holdersShare, "holdersShare").to.be.bignumber.that.equals(MIN_HOLDERS_SHARE);
+					expect(minHoldersShare, "minHoldersShare").to.be.bignumber.that.equals(MIN_HOLDERS_SHARE);
+					expect(maxHoldersShare, "maxHoldersShare").to.be.bignumber.that.equals(MAX_HOLDERS_SHARE);
+				});
+				it("issuer can update the split within the bounds", async function() {
+					await shares.updateSubjectFeeSplit(MAX_HOLDERS_SHARE, {from: issuer});
+					const {holdersShare} = await shares.getSubjectFeeSplit();
+					expect(holdersShare).to.be.bignumber.that.equals(MAX_HOLDERS_SHARE);
+				});
+				it("shares owner gets all the permissions", async function() {
+					expect(await shares.getRole(a0)).to.be.bignumber.that.equals(FULL_PRIVILEGES_MASK);
+				});
+				it("factory doesn't keep any permissions", async function() {
+					expect(await shares.getRole(factory.address)).to.be.bignumber.that.equals("0");
+				});
+				it("updating the factory bounds doesn't affect the deployed shares", async function() {
+					await factory.setSubjectFeeSplitBounds(0, 0, {from: a0});
+					const {minHoldersShare, maxHoldersShare} = await shares.getSubjectFeeSplit();
+					expect(minHoldersShare, "minHoldersShare").to.be.bignumber.that.equals(MIN_HOLDERS_SHARE);
+					expect(maxHoldersShare, "maxHoldersShare").to.be.bignumber.that.equals(MAX_HOLDERS_SHARE);
+				});
+				it("shares fee manager can set the bounds beyond the factory bounds", async function() {
+					await shares.updateSubjectFeeSplitBounds(0, ETH, {from: a0});
+					const {minHoldersShare, maxHoldersShare} = await shares.getSubjectFeeSplit();
+					expect(minHoldersShare, "minHoldersShare").to.be.bignumber.that.equals("0");
+					expect(maxHoldersShare, "maxHoldersShare").to.be.bignumber.that.equals(ETH);
+				});
+			});
+		});
+	});
+});
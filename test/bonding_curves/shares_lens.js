@@ -0,0 +1,213 @@
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectRevert,
+} = require("@openzeppelin/test-helpers");
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+const {
+	expect,
+} = require("chai");
+
+// shares portfolio reader
+const {
+	get_registered_shares,
+	get_portfolio,
+	filter_held,
+} = require("../../scripts/shares_lens/shares_lens");
+
+// deployment routines in use
+const {
+	SharesImplementationType,
+	deploy_factory_and_configure,
+	factory_deploy_shares,
+	deploy_shares_ETH,
+	deploy_shares_lens,
+} = require("./include/deployment_routines");
+
+// run SharesLens tests
+contract("SharesLens: holder's portfolio across many curves", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2] = accounts;
+
+	// a1 holds the shares and receives the reward, a2 generates the holders fees
+	const holder = a1;
+	const trader = a2;
+
+	let factory, lens, traded, issued, empty;
+	beforeEach(async function() {
+		({factory} = await deploy_factory_and_configure(a0));
+		lens = await deploy_shares_lens(a0);
+
+		// traded curve: holder buys the shares, trader buys and sells generating the holders fee
+		({shares: traded} = await factory_deploy_shares(a0, factory, undefined, a0, SharesImplementationType.ETH, new BN(1)));
+		await traded.buyShares(5, {from: holder, value: await traded.getBuyPriceAfterFee(5)});
+		await traded.buyShares(10, {from: trader, value: await traded.getBuyPriceAfterFee(10)});
+		await traded.sellShares(10, {from: trader});
+
+		// issued curve: only the issuer holds the share
+		({shares: issued} = await factory_deploy_shares(a0, factory, undefined, a0, SharesImplementationType.ETH, new BN(1)));
+
+		// empty curve: deployed without the factory and holders rewards distributor, no shares
+		({shares: empty} = await deploy_shares_ETH(a0, a0, undefined, undefined, undefined, ZERO_ADDRESS, new BN(0)));
+	});
+
+	// verifies the position read by the lens matches the values read from the curve directly
+	async function expect_position(position, shares, holder) {
+		const supply = await shares.getSharesSupply();
+		const distributor = await shares.getHoldersFeeDestination();
+		expect(position.shares, "shares").to.equal(shares.address);
+		expect(position.balance, "balance").to.be.bignumber.that.equals(await shares.getSharesBalance(holder));
+		expect(position.supply, "supply").to.be.bignumber.that.equals(supply);
+		expect(position.buyPrice, "buyPrice").to.be.bignumber.that.equals(await shares.getBuyPrice(1));
+		expect(position.buyPriceAfterFee, "buyPriceAfterFee").to.be.bignumber.that.equals(await shares.getBuyPriceAfterFee(1));
+		expect(position.sellPrice, "sellPrice").to.be.bignumber.that.equals(supply.isZero()? "0": await shares.getSellPrice(1));
+		expect(position.sellPriceAfterFee, "sellPriceAfterFee").to.be.bignumber.that.equals(supply.isZero()? "0": await shares.getSellPriceAfterFee(1));
+		expect(position.distributor, "distributor").to.equal(distributor);
+		if(distributor !== ZERO_ADDRESS) {
+			const HoldersRewardsDistributor = artifacts.require("HoldersRewardsDistributorV1");
+			const pending = await (await HoldersRewardsDistributor.at(distributor)).pendingReward(holder);
+			expect(position.pendingReward, "pendingReward").to.be.bignumber.that.equals(pending);
+		}
+		else {
+			expect(position.pendingReward, "pendingReward").to.be.bignumber.that.equals("0");
+		}
+		expect(position.pendingRewardFailed, "pendingRewardFailed").to.be.false;
+	}
+
+	// deploys the curve with the holders fee destination which is not a holders rewards distributor
+	async function deploy_broken_curve(holders_fee_destination) {
+		const ETHShares = artifacts.require("ETHShares");
+		return await ETHShares.new(
+			a0,
+			await traded.getSharesSubject(),
+			ZERO_ADDRESS,
+			0,
+			holders_fee_destination,
+			0,
+			0,
+			ZERO_ADDRESS,
+			0,
+			a0,
+			{from: a0},
+		);
+	}
+
+	describe("getPosition", function() {
+		it("traded curve: balance, prices, and pending reward are read", async function() {
+			const position = await lens.getPosition(holder, traded.address);
+			await expect_position(position, traded, holder);
+			expect(position.balance, "balance").to.be.bignumber.that.equals("5");
+			expect(position.pendingReward, "pendingReward").to.be.bignumber.that.is.gt("0");
+		});
+		it("issued curve: holder has nothing", async function() {
+			const position = await lens.getPosition(holder, issued.address);
+			await expect_position(position, issued, holder);
+			expect(position.balance, "balance").to.be.bignumber.that.equals("0");
+			expect(position.pendingReward, "pendingReward").to.be.bignumber.that.equals("0");
+		});
+		it("empty curve: zero sell price and no distributor", async function() {
+			const position = await lens.getPosition(holder, empty.address);
+			await expect_position(position, empty, holder);
+			expect(position.supply, "supply").to.be.bignumber.that.equals("0");
+			expect(position.distributor, "distributor").to.equal(ZERO_ADDRESS);
+		});
+		it("fails if the address is not a shares contract", async function() {
+			await expectRevert.unspecified(lens.getPosition(holder, a2));
+		});
+		it("reverting distributor: pending reward is zero and flagged as failed", async function() {
+			const broken = await deploy_broken_curve(lens.address);
+			const position = await lens.getPosition(holder, broken.address);
+			expect(position.distributor, "distributor").to.equal(lens.address);
+			expect(position.pendingReward, "pendingReward").to.be.bignumber.that.equals("0");
+			expect(position.pendingRewardFailed, "pendingRewardFailed").to.be.true;
+		});
+		it("distributor which is not a contract: pending reward is zero and flagged as failed", async function() {
+			const broken = await deploy_broken_curve(a2);
+			const position = await lens.getPosition(holder, broken.address);
+			expect(position.pendingReward, "pendingReward").to.be.bignumber.that.equals("0");
+			expect(position.pendingRewardFailed, "pendingRewardFailed").to.be.true;
+		});
+	});
+
+	describe("getPortfolio", function() {
+		it("returns the positions in the order requested", async function() {
+			const curves = [empty, traded, issued];
+			const positions = await lens.getPortfolio(holder, curves.map(curve => curve.address));
+			expect(positions.length, "positions").to.equal(curves.length);
+			for(let i = 0; i < curves.length; i++) {
+				await expect_position(positions[i], curves[i], holder);
+			}
+		});
+		it("returns an empty array if no shares are requested", async function() {
+			expect(await lens.getPortfolio(holder, [])).to.deep.equal([]);
+		});
+		it("fails if any of the addresses is not a shares contract", async function() {
+			await expectRevert.unspecified(lens.getPortfolio(holder, [traded.address, a2]));
+		});
+		it("broken distributor doesn't break the other positions", async function() {
+			const broken = await deploy_broken_curve(lens.address);
+			const positions = await lens.getPortfolio(holder, [traded.address, broken.address, issued.address]);
+			await expect_position(positions[0], traded, holder);
+			expect(positions[1].pendingRewardFailed, "pendingRewardFailed").to.be.true;
+			await expect_position(positions[2], issued, holder);
+		});
+	});
+
+	describe("JS helper", function() {
+		it("get_registered_shares lists the curves deployed by the factory", async function() {
+			const curves = await get_registered_shares(web3, factory.address);
+			expect(curves.map(curve => curve.address)).to.deep.equal([traded.address, issued.address]);
+			expect(curves[0].distributor, "distributor").to.equal(await traded.getHoldersFeeDestination());
+			expect(curves[0].impl_type, "impl_type").to.equal(SharesImplementationType.ETH.toNumber());
+		});
+		it("get_portfolio reads the positions in batches", async function() {
+			const curves = [empty, traded, issued];
+			const positions = await get_portfolio(lens.contract, holder, curves.map(curve => curve.address), 2);
+			const expected = await lens.getPortfolio(holder, curves.map(curve => curve.address));
+			expect(positions.length, "positions").to.equal(curves.length);
+			for(let i = 0; i < curves.length; i++) {
+				expect(positions[i], `position ${i}`).to.deep.equal({
+					shares: expected[i].shares,
+					balance: expected[i].balance.toString(),
+					supply: expected[i].supply.toString(),
+					buy_price: expected[i].buyPrice.toString(),
+					buy_price_after_fee: expected[i].buyPriceAfterFee.toString(),
+					sell_price: expected[i].sellPrice.toString(),
+					sell_price_after_fee: expected[i].sellPriceAfterFee.toString(),
+					distributor: expected[i].distributor === ZERO_ADDRESS? null: expected[i].distributor,
+					pending_reward: expected[i].pendingReward.toString(),
+					pending_reward_failed: false,
+				});
+			}
+		});
+		it("filter_held leaves only the positions with the shares or the pending reward", async function() {
+			const positions = await get_portfolio(lens.contract, holder, [empty.address, traded.address, issued.address]);
+			expect(filter_held(positions).map(position => position.shares)).to.deep.equal([traded.address]);
+		});
+		it("filter_held keeps the position with the pending reward only", async function() {
+			await traded.sellShares(5, {from: holder});
+			const [position] = filter_held(await get_portfolio(lens.contract, holder, [traded.address]));
+			expect(position.balance, "balance").to.equal("0");
+			expect(BigInt(position.pending_reward), "pending_reward").to.be.gt(0n);
+		});
+		it("get_portfolio fails on the malformed holder address", async function() {
+			let error;
+			try {
+				await get_portfolio(lens.contract, "0x1", [traded.address]);
+			}
+			catch(e) {
+				error = e;
+			}
+			expect(error, "no error").to.exist;
+			expect(error.message).to.include("malformed holder address 0x1");
+		});
+	});
+});
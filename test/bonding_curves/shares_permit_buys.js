@@ -0,0 +1,374 @@
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@openzeppelin/test-helpers");
+const {
+	ZERO_ADDRESS,
+	ZERO_BYTES32,
+} = constants;
+
+const {
+	expect,
+} = require("chai");
+
+// RBAC
+const {
+	FEATURE_EIP2612_PERMITS,
+} = require("../include/features_roles");
+
+// custom balance tracker for the ERC20 token
+const balance = require("./include/balance");
+
+// import total supply constant for the ALI ERC20 token we're using here
+const {TOTAL_SUPPLY: S0}  = require("@ai-protocol/v3-core/test/ali_token/include/ali_erc20_constants");
+
+// block utils
+const {
+	default_deadline,
+} = require("../include/block_utils");
+
+// deployment routines in use
+const {
+	deploy_royal_nft,
+	deploy_factory_and_configure,
+	factory_deploy_shares_with_permit,
+	deploy_shares_ERC20,
+	erc20_sign_permit,
+	buy_shares_with_permit,
+} = require("./include/deployment_routines");
+
+// run permit-based buys tests
+contract("ERC20Shares: one-transaction buys with EIP-2612 permits", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3, a4] = accounts;
+
+	// a1 is the issuer, a2 is the buyer, a3 is the beneficiary, a4 front-runs the permits
+	const issuer = a1;
+	const buyer = a2;
+	const beneficiary = a3;
+	const attacker = a4;
+
+	// enables EIP-2612 permits on the payment token, keeping other features intact
+	async function enable_permits(payment_token) {
+		const features = await payment_token.features();
+		await payment_token.updateFeatures(features.or(new BN(FEATURE_EIP2612_PERMITS)), {from: a0});
+	}
+
+	describe("erc20_sign_permit", function() {
+		let payment_token;
+		beforeEach(async function() {
+			({payment_token} = await deploy_shares_ERC20(a0));
+			await enable_permits(payment_token);
+		});
+		it("permit signed with the private key can be relayed", async function() {
+			const signer = web3.eth.accounts.create();
+			const {owner, spender, value, deadline, v, r, s} = await erc20_sign_permit(signer, payment_token, a1, 1_000);
+			await payment_token.permit(owner, spender, value, deadline, v, r, s, {from: a0});
+			expect(await payment_token.allowance(signer.address, a1), "allowance").to.be.bignumber.that.equals("1000");
+		});
+		it("permit signed by the unlocked account can be relayed", async function() {
+			const {owner, spender, value, deadline, v, r, s} = await erc20_sign_permit(buyer, payment_token, a1, 1_000);
+			await payment_token.permit(owner, spender, value, deadline, v, r, s, {from: a0});
+			expect(await payment_token.allowance(buyer, a1), "allowance").to.be.bignumber.that.equals("1000");
+		});
+	});
+
+	describe("buySharesWithPermit", function() {
+		const amount = new BN(10);
+		let payment_token, shares;
+		beforeEach(async function() {
+			({payment_token, shares} = await deploy_shares_ERC20(a0, undefined, issuer));
+			await enable_permits(payment_token);
+			// the first share is free, and only the issuer can buy it
+			await shares.buyShares(1, {from: issuer});
+			// give some tokens to the buyer
+			await payment_token.transfer(buyer, S0.divn(2), {from: H0});
+		});
+
+		// signs the permit for the shares contract and buys the shares with it
+		async function buy_with_permit(max_paid, deadline, signer = buyer, from = buyer) {
+			const permit = await erc20_sign_permit(signer, payment_token, shares.address, max_paid, deadline);
+			return await shares.buySharesWithPermit(
+				amount,
+				beneficiary,
+				permit.value,
+				permit.deadline,
+				permit.v,
+				permit.r,
+				permit.s,
+				{from},
+			);
+		}
+
+		it("fails if permits are disabled on the payment token", async function() {
+			const features = await payment_token.features();
+			await payment_token.updateFeatures(features.and(new BN(FEATURE_EIP2612_PERMITS).notn(256)), {from: a0});
+			await expectRevert(
+				buy_with_permit(await shares.getBuyPriceAfterFee(amount)),
+				"EIP2612 permits are disabled"
+			);
+		});
+		it("fails if the transaction is expired", async function() {
+			await expectRevert(
+				buy_with_permit(await shares.getBuyPriceAfterFee(amount), await default_deadline(-1)),
+				"expired"
+			);
+		});
+		it("fails if the permit is signed by someone else", async function() {
+			await expectRevert(
+				buy_with_permit(await shares.getBuyPriceAfterFee(amount), undefined, beneficiary),
+				"invalid signature"
+			);
+		});
+		it("fails if the permit value is less than the price", async function() {
+			await expectRevert(
+				buy_with_permit((await shares.getBuyPriceAfterFee(amount)).subn(1)),
+				"transfer amount exceeds allowance"
+			);
+		});
+		it("fails if the permit is used twice", async function() {
+			const permit = await erc20_sign_permit(buyer, payment_token, shares.address, await shares.getBuyPriceAfterFee(amount.muln(2)));
+			const args = [beneficiary, permit.value, permit.deadline, permit.v, permit.r, permit.s, {from: buyer}];
+			await shares.buySharesWithPermit(amount, ...args);
+			await expectRevert(shares.buySharesWithPermit(amount, ...args), "invalid signature");
+		});
+		it("fails to buy the first share not by the issuer", async function() {
+			({shares} = await deploy_shares_ERC20(a0, payment_token, issuer));
+			await expectRevert(buy_with_permit(0), "only the issuer can buy the first share");
+		});
+
+		function succeeds(slippage) {
+			let buyer_tracker, price, max_paid, receipt;
+			beforeEach(async function() {
+				buyer_tracker = await balance.tracker(buyer, payment_token);
+				({receipt, price, max_paid} = await buy_shares_with_permit(shares, amount, buyer, slippage, beneficiary));
+			});
+			it('"Trade" event is emitted', async function() {
+				expectEvent(receipt, "Trade", {
+					beneficiary,
+					issuer,
+					isBuy: true,
+					sharesAmount: amount,
+				});
+			});
+			it("beneficiary receives the shares", async function() {
+				expect(await shares.getSharesBalance(beneficiary), "beneficiary shares").to.be.bignumber.that.equals(amount);
+			});
+			it("buyer pays the price, including all the fees", async function() {
+				expect(await buyer_tracker.delta(), "buyer token delta").to.be.bignumber.that.equals(price.neg());
+			});
+			it("unspent allowance remains", async function() {
+				expect(await payment_token.allowance(buyer, shares.address), "allowance")
+					.to.be.bignumber.that.equals(max_paid.sub(price));
+			});
+		}
+
+		describe("succeeds with the exact permit value", function() {
+			succeeds(0);
+		});
+		describe("succeeds with the permit value exceeding the price", function() {
+			succeeds(10);
+		});
+
+		describe("when the permit is front-run", function() {
+			let permit;
+			beforeEach(async function() {
+				permit = await erc20_sign_permit(buyer, payment_token, shares.address, await shares.getBuyPriceAfterFee(amount));
+				// the permit is submitted directly to the payment token before the buy
+				await payment_token.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s, {from: attacker});
+			});
+			async function buy_with_front_run_permit() {
+				return await shares.buySharesWithPermit(
+					amount,
+					beneficiary,
+					permit.value,
+					permit.deadline,
+					permit.v,
+					permit.r,
+					permit.s,
+					{from: buyer},
+				);
+			}
+			it("fails if the allowance set by the permit is reduced", async function() {
+				await payment_token.approve(shares.address, new BN(permit.value).subn(1), {from: buyer});
+				await expectRevert(buy_with_front_run_permit(), "invalid signature");
+			});
+			describe("succeeds if the allowance set by the permit is in place", function() {
+				let buyer_tracker, receipt;
+				beforeEach(async function() {
+					buyer_tracker = await balance.tracker(buyer, payment_token);
+					receipt = await buy_with_front_run_permit();
+				});
+				it('"Trade" event is emitted', async function() {
+					expectEvent(receipt, "Trade", {
+						beneficiary,
+						issuer,
+						isBuy: true,
+						sharesAmount: amount,
+					});
+				});
+				it("beneficiary receives the shares", async function() {
+					expect(await shares.getSharesBalance(beneficiary), "beneficiary shares").to.be.bignumber.that.equals(amount);
+				});
+				it("buyer pays the price, including all the fees", async function() {
+					expect(await buyer_tracker.delta(), "buyer token delta").to.be.bignumber.that.equals(new BN(permit.value).neg());
+				});
+			});
+		});
+	});
+
+	describe("buySharesWithPermit: when the permit reverts without a reason", function() {
+		const amount = new BN(10);
+		let payment_token, shares, max_paid;
+		beforeEach(async function() {
+			// the payment token gives all the tokens to the buyer, its permit always reverts
+			const PermitRevertingERC20Mock = artifacts.require("PermitRevertingERC20Mock");
+			payment_token = await PermitRevertingERC20Mock.new(buyer, S0, {from: a0});
+			({shares} = await deploy_shares_ERC20(
+				a0,
+				payment_token,
+				issuer,
+				undefined,
+				a0,
+				undefined,
+				ZERO_ADDRESS,
+				new BN(0),
+			));
+			// the first share is free, and only the issuer can buy it
+			await shares.buyShares(1, {from: issuer});
+			max_paid = await shares.getBuyPriceAfterFee(amount);
+		});
+
+		// buys the shares with the permit which is never accepted by the payment token
+		async function buy_with_reverting_permit() {
+			return await shares.buySharesWithPermit(
+				amount,
+				beneficiary,
+				max_paid,
+				await default_deadline(),
+				27,
+				ZERO_BYTES32,
+				ZERO_BYTES32,
+				{from: buyer},
+			);
+		}
+
+		it("fails if the allowance is not set", async function() {
+			await expectRevert.unspecified(buy_with_reverting_permit());
+		});
+		it("fails if the allowance is less than the permit value", async function() {
+			await payment_token.approve(shares.address, max_paid.subn(1), {from: buyer});
+			await expectRevert.unspecified(buy_with_reverting_permit());
+		});
+		describe("succeeds if the allowance is in place", function() {
+			let receipt;
+			beforeEach(async function() {
+				await payment_token.approve(shares.address, max_paid, {from: buyer});
+				receipt = await buy_with_reverting_permit();
+			});
+			it('"Trade" event is emitted', async function() {
+				expectEvent(receipt, "Trade", {
+					beneficiary,
+					issuer,
+					isBuy: true,
+					sharesAmount: amount,
+				});
+			});
+			it("beneficiary receives the shares", async function() {
+				expect(await shares.getSharesBalance(beneficiary), "beneficiary shares").to.be.bignumber.that.equals(amount);
+			});
+			it("buyer pays the price, including all the fees", async function() {
+				expect(await payment_token.balanceOf(buyer), "buyer balance").to.be.bignumber.that.equals(S0.sub(max_paid));
+			});
+		});
+	});
+
+	describe("SharesFactory: deploySharesContractAndBuyWithPermit", function() {
+		const amount = new BN(5);
+		let payment_token, factory;
+		beforeEach(async function() {
+			({payment_token, factory} = await deploy_factory_and_configure(a0));
+			await enable_permits(payment_token);
+			// give some tokens to the issuer
+			await payment_token.transfer(issuer, S0.divn(2), {from: H0});
+		});
+		it("fails if the permit value is less than the price", async function() {
+			await expectRevert(
+				factory_deploy_shares_with_permit(issuer, factory, amount, new BN(1)),
+				"transfer amount exceeds allowance"
+			);
+		});
+		it("fails if the permit is expired", async function() {
+			await expectRevert(
+				factory_deploy_shares_with_permit(issuer, factory, amount, undefined, undefined, await default_deadline(-1)),
+				"signature expired"
+			);
+		});
+		describe("succeeds otherwise", function() {
+			let issuer_tracker, shares, max_paid;
+			beforeEach(async function() {
+				issuer_tracker = await balance.tracker(issuer, payment_token);
+				({shares, max_paid} = await factory_deploy_shares_with_permit(issuer, factory, amount));
+			});
+			it("shares contract is deployed with the payment token expected", async function() {
+				expect(await shares.getPaymentToken(), "payment token").to.equal(payment_token.address);
+			});
+			it("issuer receives the shares", async function() {
+				expect(await shares.getSharesBalance(issuer), "issuer shares").to.be.bignumber.that.equals(amount);
+			});
+			it("issuer spends not more than the permit value", async function() {
+				const spent = (await issuer_tracker.delta()).neg();
+				expect(spent, "issuer tokens spent").to.be.bignumber.that.is.gt("0");
+				expect(spent, "issuer tokens spent").to.be.bignumber.that.is.lte(max_paid);
+			});
+			it("factory doesn't keep the tokens", async function() {
+				expect(await payment_token.balanceOf(factory.address), "factory balance").to.be.bignumber.that.equals("0");
+			});
+			it("factory allowance is spent", async function() {
+				expect(await payment_token.allowance(issuer, factory.address), "allowance").to.be.bignumber.that.equals("0");
+			});
+		});
+		describe("succeeds if the permit is front-run", function() {
+			let subject, shares;
+			beforeEach(async function() {
+				const nft = await deploy_royal_nft(issuer);
+				subject = {
+					tokenAddress: nft.address,
+					tokenId: "1086432204",
+				};
+				await nft.mint(issuer, subject.tokenId, {from: issuer});
+
+				// sign the permit generously covering the price
+				const permit = await erc20_sign_permit(issuer, payment_token, factory.address, S0.divn(100));
+				// the permit is submitted directly to the payment token before the deployment
+				await payment_token.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s, {from: attacker});
+
+				await factory.deploySharesContractAndBuyWithPermit(
+					subject,
+					amount,
+					permit.value,
+					permit.deadline,
+					permit.v,
+					permit.r,
+					permit.s,
+					{from: issuer},
+				);
+				const ERC20Shares = artifacts.require("ERC20Shares");
+				shares = await ERC20Shares.at(await factory.lookupSharesContract(subject));
+			});
+			it("issuer receives the shares", async function() {
+				expect(await shares.getSharesBalance(issuer), "issuer shares").to.be.bignumber.that.equals(amount);
+			});
+			it("factory doesn't keep the tokens", async function() {
+				expect(await payment_token.balanceOf(factory.address), "factory balance").to.be.bignumber.that.equals("0");
+			});
+		});
+	});
+});
@@ -0,0 +1,223 @@
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+} = require("@openzeppelin/test-helpers");
+const {
+	ZERO_ADDRESS,
+} = constants;
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// shares pricing SDK
+const {
+	ImplementationType,
+	get_buy_quote,
+	get_sell_quote,
+	get_buy_price_after_fee,
+	get_sell_price_after_fee,
+} = require("../../packages/shares-pricing");
+
+const {random_int} = require("../include/number_utils");
+
+// import total supply constant for the ALI ERC20 token we're using here
+const {TOTAL_SUPPLY: S0}  = require("@ai-protocol/v3-core/test/ali_token/include/ali_erc20_constants");
+
+// deployment routines in use
+const {
+	deploy_ali_erc20,
+	deploy_shares_ETH,
+	deploy_shares_ERC20,
+} = require("./include/deployment_routines");
+
+// run shares pricing SDK parity tests
+contract("Shares Pricing SDK vs on-chain getBuyPriceAfterFee/getSellPriceAfterFee", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3, a4, a5] = accounts;
+
+	// define the "players"
+	const issuer = a0;
+	const buyer = H0;
+
+	// pure 5-arg overloads of the price after fee functions
+	const BUY_PRICE_AFTER_FEE = "getBuyPriceAfterFee(uint256,uint256,uint256,uint256,uint256)";
+	const SELL_PRICE_AFTER_FEE = "getSellPriceAfterFee(uint256,uint256,uint256,uint256,uint256)";
+
+	// fee percent combinations to test the pure functions against
+	const FEES = [
+		["0", "0", "0"],
+		["40000000000000000", "30000000000000000", "30000000000000000"], // 4%, 3%, 3%
+		["1000001", "1000001", "1000001"],
+		["299999999999999999", "123456789012345678", "33333333333333333"],
+	];
+
+	// reads the effective fees from the shares contract
+	async function read_fees(shares) {
+		const {feePercent: protocol_fee_percent} = await shares.getProtocolFeeInfo();
+		const {feePercent: holders_fee_percent} = await shares.getHoldersFeeInfo();
+		const {feePercent: subject_fee_percent} = await shares.getSubjectFeeInfo();
+		return {protocol_fee_percent, holders_fee_percent, subject_fee_percent};
+	}
+
+	// define common variables across all the tests
+	let shares, fees;
+
+	// define a generic test routine
+	function parity_test_suite(impl_type, buy_shares, sell_shares) {
+		// the suite expects the `shares` to be deployed and the first share bought by the issuer
+		beforeEach(async function() {
+			fees = await read_fees(shares);
+		});
+
+		for(const [protocol_fee_percent, holders_fee_percent, subject_fee_percent] of FEES) {
+			it(`pure getBuyPriceAfterFee parity (fees ${protocol_fee_percent}/${holders_fee_percent}/${subject_fee_percent})`, async function() {
+				for(let i = 0; i < 10; i++) {
+					const supply = random_int(0, 1_000);
+					const amount = random_int(1, 100);
+					const expected = await shares.methods[BUY_PRICE_AFTER_FEE](
+						supply, amount, protocol_fee_percent, holders_fee_percent, subject_fee_percent
+					);
+					const actual = get_buy_price_after_fee(
+						supply, amount, protocol_fee_percent, holders_fee_percent, subject_fee_percent, impl_type
+					);
+					expect(actual.toString(), `supply ${supply}, amount ${amount}`).to.be.equal(expected.toString());
+				}
+			});
+			it(`pure getSellPriceAfterFee parity (fees ${protocol_fee_percent}/${holders_fee_percent}/${subject_fee_percent})`, async function() {
+				for(let i = 0; i < 10; i++) {
+					const supply = random_int(1, 1_000);
+					const amount = random_int(1, supply);
+					const expected = await shares.methods[SELL_PRICE_AFTER_FEE](
+						supply, amount, protocol_fee_percent, holders_fee_percent, subject_fee_percent
+					);
+					const actual = get_sell_price_after_fee(
+						supply, amount, protocol_fee_percent, holders_fee_percent, subject_fee_percent, impl_type
+					);
+					expect(actual.toString(), `supply ${supply}, amount ${amount}`).to.be.equal(expected.toString());
+				}
+			});
+		}
+
+		describe("after buying some shares", function() {
+			const amount = new BN(17);
+			let quote, receipt;
+			beforeEach(async function() {
+				quote = get_buy_quote(await shares.getSharesSupply(), amount, fees, impl_type);
+				receipt = await buy_shares(shares, amount, new BN(quote.total.toString()));
+			});
+			it("buy quote matches the Trade event", async function() {
+				expectEvent(receipt, "Trade", {
+					beneficiary: buyer,
+					isBuy: true,
+					sharesAmount: amount,
+					paidAmount: quote.price.toString(),
+					protocolFeeAmount: quote.protocol_fee.toString(),
+					holdersFeeAmount: quote.holders_fee.toString(),
+					subjectFeeAmount: quote.subject_fee.toString(),
+				});
+			});
+			it("view getBuyPriceAfterFee parity", async function() {
+				const supply = await shares.getSharesSupply();
+				for(let a = 1; a < 20; a++) {
+					const expected = await shares.getBuyPriceAfterFee(a);
+					const {total: actual} = get_buy_quote(supply, a, fees, impl_type);
+					expect(actual.toString(), `amount ${a}`).to.be.equal(expected.toString());
+				}
+			});
+			it("view getSellPriceAfterFee parity", async function() {
+				const supply = await shares.getSharesSupply();
+				for(let a = 1; a < supply.toNumber(); a++) {
+					const expected = await shares.getSellPriceAfterFee(a);
+					const {total: actual} = get_sell_quote(supply, a, fees, impl_type);
+					expect(actual.toString(), `amount ${a}`).to.be.equal(expected.toString());
+				}
+			});
+			describe("and selling some shares back", function() {
+				const sell_amount = new BN(11);
+				let quote, receipt;
+				beforeEach(async function() {
+					quote = get_sell_quote(await shares.getSharesSupply(), sell_amount, fees, impl_type);
+					receipt = await sell_shares(shares, sell_amount);
+				});
+				it("sell quote matches the Trade event", async function() {
+					expectEvent(receipt, "Trade", {
+						beneficiary: buyer,
+						isBuy: false,
+						sharesAmount: sell_amount,
+						paidAmount: quote.price.toString(),
+						protocolFeeAmount: quote.protocol_fee.toString(),
+						holdersFeeAmount: quote.holders_fee.toString(),
+						subjectFeeAmount: quote.subject_fee.toString(),
+					});
+				});
+			});
+		});
+	}
+
+	describe("ETHShares", function() {
+		function eth_shares_suite(holders_fee_destination) {
+			beforeEach(async function() {
+				({shares} = await deploy_shares_ETH(
+					a0,
+					issuer,
+					undefined,
+					undefined,
+					undefined,
+					holders_fee_destination,
+				));
+				await shares.buyShares(1, {from: issuer});
+			});
+			parity_test_suite(
+				ImplementationType.ETH,
+				async(shares, amount, value) => await shares.buyShares(amount, {from: buyer, value}),
+				async(shares, amount) => await shares.sellShares(amount, {from: buyer}),
+			);
+		}
+
+		describe("with the holders fee enabled", function() {
+			eth_shares_suite();
+		});
+		describe("with the holders fee disabled", function() {
+			eth_shares_suite(ZERO_ADDRESS);
+		});
+	});
+
+	describe("ERC20Shares", function() {
+		let payment_token;
+		function erc20_shares_suite(holders_fee_destination) {
+			beforeEach(async function() {
+				payment_token = await deploy_ali_erc20(a0, H0);
+				({shares} = await deploy_shares_ERC20(
+					a0,
+					payment_token,
+					issuer,
+					undefined,
+					undefined,
+					undefined,
+					holders_fee_destination,
+				));
+				await shares.buyShares(1, {from: issuer});
+				await payment_token.approve(shares.address, S0, {from: buyer});
+			});
+			parity_test_suite(
+				ImplementationType.ERC20,
+				async(shares, amount) => await shares.buyShares(amount, {from: buyer}),
+				async(shares, amount) => await shares.sellShares(amount, {from: buyer}),
+			);
+		}
+
+		describe("with the holders fee enabled", function() {
+			erc20_shares_suite();
+		});
+		describe("with the holders fee disabled", function() {
+			erc20_shares_suite(ZERO_ADDRESS);
+		});
+	});
+});
@@ -0,0 +1,158 @@
+// Zeppelin test helpers
+const {
+	BN,
+	expectEvent,
+} = require("@openzeppelin/test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// shares pricing SDK
+const {
+	ImplementationType,
+	get_max_buy_amount,
+	get_min_sell_amount,
+} = require("../../packages/shares-pricing");
+
+// deployment routines in use
+const {
+	deploy_ali_erc20,
+	deploy_shares_ETH,
+	deploy_shares_ERC20,
+} = require("./include/deployment_routines");
+
+// run shares pricing SDK inverse solver tests
+contract("Shares Pricing SDK: inverse curve solver", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3, a4, a5] = accounts;
+
+	// define the "players"
+	const issuer = a0;
+	const buyer = H0;
+
+	// initial amount of shares bought by the buyer to have something to sell
+	const init_amount = new BN(50);
+
+	// define common variables across all the tests
+	let shares, fees;
+
+	// reads the effective fees from the shares contract
+	async function read_fees() {
+		const {feePercent: protocol_fee_percent} = await shares.getProtocolFeeInfo();
+		const {feePercent: holders_fee_percent} = await shares.getHoldersFeeInfo();
+		const {feePercent: subject_fee_percent} = await shares.getSubjectFeeInfo();
+		return {protocol_fee_percent, holders_fee_percent, subject_fee_percent};
+	}
+
+	// define a generic test routine
+	function inverse_test_suite(impl_type, unit, buy_shares, sell_shares) {
+		// the suite expects the `shares` to be deployed and init_amount + 1 shares bought
+		beforeEach(async function() {
+			fees = await read_fees();
+		});
+
+		describe("get_max_buy_amount", function() {
+			it("returns zero for zero budget", async function() {
+				const supply = await shares.getSharesSupply();
+				expect(get_max_buy_amount(supply, 0, fees, impl_type).toString()).to.be.equal("0");
+			});
+			for(const budget_units of [1, 13, 1000]) {
+				describe(`for the budget of ${budget_units} units`, function() {
+					let budget, amount;
+					beforeEach(async function() {
+						budget = unit.muln(budget_units);
+						amount = new BN(get_max_buy_amount(await shares.getSharesSupply(), budget, fees, impl_type).toString());
+					});
+					it("the amount found fits into the budget", async function() {
+						expect(await shares.getBuyPriceAfterFee(amount)).to.be.bignumber.that.is.at.most(budget);
+					});
+					it("one share more doesn't fit into the budget", async function() {
+						expect(await shares.getBuyPriceAfterFee(amount.addn(1))).to.be.bignumber.that.is.greaterThan(budget);
+					});
+					it("the amount found can be bought within the budget", async function() {
+						const receipt = await buy_shares(amount, budget);
+						expectEvent(receipt, "Trade", {
+							beneficiary: buyer,
+							isBuy: true,
+							sharesAmount: amount,
+						});
+					});
+				});
+			}
+		});
+
+		describe("get_min_sell_amount", function() {
+			it("returns zero for zero payout", async function() {
+				const supply = await shares.getSharesSupply();
+				expect(get_min_sell_amount(supply, 0, fees, impl_type).toString()).to.be.equal("0");
+			});
+			it("returns null if the payout cannot be reached", async function() {
+				const supply = await shares.getSharesSupply();
+				const payout = (await shares.getSellPriceAfterFee(supply.subn(1))).addn(1);
+				expect(get_min_sell_amount(supply, payout, fees, impl_type)).to.be.null;
+			});
+			for(const payout_fraction of [1, 7, 50, 100]) {
+				describe(`for the payout of ${payout_fraction}% of the init amount value`, function() {
+					let payout, amount;
+					beforeEach(async function() {
+						payout = (await shares.getSellPriceAfterFee(init_amount)).muln(payout_fraction).divn(100);
+						amount = new BN(get_min_sell_amount(await shares.getSharesSupply(), payout, fees, impl_type).toString());
+					});
+					it("the amount found reaches the payout", async function() {
+						expect(await shares.getSellPriceAfterFee(amount)).to.be.bignumber.that.is.at.least(payout);
+					});
+					it("one share less doesn't reach the payout", async function() {
+						expect(await shares.getSellPriceAfterFee(amount.subn(1))).to.be.bignumber.that.is.lessThan(payout);
+					});
+					it("the amount found can be sold", async function() {
+						const receipt = await sell_shares(amount);
+						expectEvent(receipt, "Trade", {
+							beneficiary: buyer,
+							isBuy: false,
+							sharesAmount: amount,
+						});
+					});
+				});
+			}
+		});
+	}
+
+	describe("ETHShares", function() {
+		beforeEach(async function() {
+			({shares} = await deploy_shares_ETH(a0, issuer));
+			await shares.buyShares(1, {from: issuer});
+			await shares.buyShares(init_amount, {from: buyer, value: await shares.getBuyPriceAfterFee(init_amount)});
+		});
+		inverse_test_suite(
+			ImplementationType.ETH,
+			new BN("100000000000000000"), // 0.1 ETH
+			async(amount, value) => await shares.buyShares(amount, {from: buyer, value}),
+			async(amount) => await shares.sellShares(amount, {from: buyer}),
+		);
+	});
+
+	describe("ERC20Shares", function() {
+		let payment_token;
+		beforeEach(async function() {
+			payment_token = await deploy_ali_erc20(a0, H0);
+			({shares} = await deploy_shares_ERC20(a0, payment_token, issuer));
+			await shares.buyShares(1, {from: issuer});
+			await payment_token.approve(shares.address, await shares.getBuyPriceAfterFee(init_amount), {from: buyer});
+			await shares.buyShares(init_amount, {from: buyer});
+		});
+		inverse_test_suite(
+			ImplementationType.ERC20,
+			new BN("10000000000000000000000"), // 10,000 ALI
+			async(amount, value) => {
+				await payment_token.approve(shares.address, value, {from: buyer});
+				return await shares.buyShares(amount, {from: buyer});
+			},
+			async(amount) => await shares.sellShares(amount, {from: buyer}),
+		);
+	});
+});
@@ -0,0 +1,66 @@
+// Zeppelin test helpers
+const {
+	BN,
+	expectRevert,
+} = require("@openzeppelin/test-helpers");
+const {
+	expect,
+} = require("chai");
+
+// shares pricing SDK
+const {
+	ImplementationType,
+} = require("../../packages/shares-pricing");
+
+// shares trading tasks
+const {
+	quote,
+} = require("../../tasks/shares_trade");
+
+// deployment routines in use
+const {
+	deploy_shares_ETH,
+} = require("./include/deployment_routines");
+
+// run shares:quote tests
+contract("shares:quote: quoting the legacy shares contracts", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1] = accounts;
+
+	// shares contract, and the legacy shares contract (without getBondingCurve) wrapping it
+	let shares, legacy_shares;
+	beforeEach(async function() {
+		// deploy the shares, the issuer buys the first share
+		let truffle_shares; ({shares: truffle_shares} = await deploy_shares_ETH(a0, a0, undefined, undefined, undefined, undefined, undefined, undefined, new BN(1)));
+		// buy some more shares to make the sell quote available
+		const value = await truffle_shares.getBuyPriceAfterFee(4);
+		await truffle_shares.buySharesTo(4, a1, {from: a1, value});
+
+		// wrap the shares into the legacy mock
+		const LegacySharesMock = artifacts.require("LegacySharesMock");
+		const legacy_mock = await LegacySharesMock.new(truffle_shares.address, {from: a0});
+
+		shares = new web3.eth.Contract(truffle_shares.abi, truffle_shares.address);
+		shares.impl_type = ImplementationType.ETH;
+		legacy_shares = new web3.eth.Contract(truffle_shares.abi, legacy_mock.address);
+		legacy_shares.impl_type = ImplementationType.ETH;
+	});
+
+	it("legacy shares contract doesn't implement getBondingCurve", async function() {
+		await expectRevert(legacy_shares.methods.getBondingCurve().call(), "not implemented");
+	});
+	it("buy quote for the legacy shares contract falls back to the built-in curve", async function() {
+		const q = await quote(legacy_shares, 3n, true);
+		expect(q).to.deep.equal(await quote(shares, 3n, true));
+		expect(q.total, "total").to.equal(BigInt(await shares.methods.getBuyPriceAfterFee(3).call()));
+	});
+	it("sell quote for the legacy shares contract falls back to the built-in curve", async function() {
+		const q = await quote(legacy_shares, 3n, false);
+		expect(q).to.deep.equal(await quote(shares, 3n, false));
+		expect(q.total, "total").to.equal(BigInt(await shares.methods.getSellPriceAfterFee(3).call()));
+	});
+});
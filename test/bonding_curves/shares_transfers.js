@@ -0,0 +1,371 @@
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@openzeppelin/test-helpers");
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+const {
+	expect,
+} = require("chai");
+
+// import total supply constant for the ALI ERC20 token we're using here
+const {TOTAL_SUPPLY: S0}  = require("@ai-protocol/v3-core/test/ali_token/include/ali_erc20_constants");
+
+// RBAC
+const {
+	FULL_PRIVILEGES_MASK,
+	FEATURE_TRANSFERS,
+	FEATURE_TRANSFERABLE_SHARES,
+} = require("../include/features_roles");
+
+// deployment routines in use
+const {
+	SharesImplementationType,
+	deploy_factory_and_configure,
+	factory_deploy_shares,
+} = require("./include/deployment_routines");
+
+// run transferable shares tests
+contract("TradeableShares: transferable shares", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3, a4] = accounts;
+
+	// a0 is the issuer and the shares owner, a1 and a2 are the holders, a3 receives the transfers,
+	// a4 trades after the transfer generating the holders fee
+	const issuer = a0;
+	const holders = [a1, a2, a3, a4];
+
+	// runs the test suite for the implementation type specified
+	function transfers_suite(impl_type) {
+		const erc20 = impl_type === SharesImplementationType.ERC20;
+
+		let factory, payment_token, protocol_fee_destination, shares, distributor;
+		beforeEach(async function() {
+			({factory, payment_token, protocol_fee_destination} = await deploy_factory_and_configure(a0, a0));
+			({shares, distributor} = await factory_deploy_shares(a0, factory, undefined, issuer, impl_type, new BN(1)));
+
+			// give the holders some tokens and approve them
+			if(erc20) {
+				for(const holder of holders) {
+					await payment_token.transfer(holder, S0.divn(8), {from: a0});
+					await payment_token.approve(shares.address, S0, {from: holder});
+				}
+			}
+
+			// a1 and a2 buy the shares, a1 accumulates some reward
+			await buy(a1, 10);
+			await buy(a2, 5);
+		});
+
+		// buys the shares, supplies the value for ETH (payment token is approved for ERC20)
+		async function buy(buyer, amount) {
+			return await shares.buyShares(amount, {from: buyer, value: erc20? 0: await shares.getBuyPriceAfterFee(amount)});
+		}
+
+		// reads the payment balance (ETH or ERC20)
+		async function balance_of(account) {
+			return erc20? await payment_token.balanceOf(account): new BN(await web3.eth.getBalance(account));
+		}
+
+		// verifies the distributor registered shares match the balances and the supply
+		async function expect_distributor_in_sync(...accounts) {
+			for(const account of accounts) {
+				expect((await distributor.userInfo(account)).shares, `${account} registered shares`)
+					.to.be.bignumber.that.equals(await shares.getSharesBalance(account));
+			}
+			expect(await distributor.totalShares(), "total shares").to.be.bignumber.that.equals(await shares.getSharesSupply());
+		}
+
+		it("transfers are disabled by default", async function() {
+			expect(await shares.isFeatureEnabled(FEATURE_TRANSFERS)).to.be.false;
+		});
+		it("transferShares fails if transfers are disabled", async function() {
+			await expectRevert(shares.transferShares(a3, 1, {from: a1}), "transfers are disabled");
+		});
+		it("transfers cannot be enabled by the holder", async function() {
+			await expectRevert(shares.updateFeatures(FEATURE_TRANSFERS, {from: a1}), "access denied");
+		});
+
+		describe("when transfers are enabled by the shares owner", function() {
+			beforeEach(async function() {
+				await shares.updateFeatures(FEATURE_TRANSFERS, {from: a0});
+			});
+			it("fails to transfer to the zero address", async function() {
+				await expectRevert(shares.transferShares(ZERO_ADDRESS, 1, {from: a1}), "zero address");
+			});
+			it("fails to transfer more shares than the balance", async function() {
+				await expectRevert(shares.transferShares(a3, 11, {from: a1}), "insufficient shares");
+			});
+			it("fails to transfer if the sender has no shares", async function() {
+				await expectRevert(shares.transferShares(a1, 1, {from: a3}), "insufficient shares");
+			});
+
+			describe("transferring the shares a1 => a3", function() {
+				const amount = new BN(4);
+				let supply, pending1, fee_balance, sender_balance, acc_reward_per_share, receipt;
+				beforeEach(async function() {
+					supply = await shares.getSharesSupply();
+					pending1 = await distributor.pendingReward(a1);
+					fee_balance = await balance_of(protocol_fee_destination);
+					sender_balance = await balance_of(a1);
+					acc_reward_per_share = await distributor.accRewardPerShare();
+					receipt = await shares.transferShares(a3, amount, {from: a1, gasPrice: 0});
+				});
+				it("sender balance decreases", async function() {
+					expect(await shares.getSharesBalance(a1)).to.be.bignumber.that.equals(new BN(10).sub(amount));
+				});
+				it("recipient balance increases", async function() {
+					expect(await shares.getSharesBalance(a3)).to.be.bignumber.that.equals(amount);
+				});
+				it("supply doesn't change", async function() {
+					expect(await shares.getSharesSupply()).to.be.bignumber.that.equals(supply);
+				});
+				it("'SharesTransferred' event is emitted", async function() {
+					expectEvent(receipt, "SharesTransferred", {from: a1, to: a3, amount});
+				});
+				it("'Trade' event is not emitted", async function() {
+					expectEvent.notEmitted(receipt, "Trade");
+				});
+				it("no fees are charged", async function() {
+					expect(await balance_of(protocol_fee_destination), "protocol fee").to.be.bignumber.that.equals(fee_balance);
+					expect(await balance_of(a1), "sender").to.be.bignumber.that.equals(sender_balance);
+					expect(await distributor.accRewardPerShare(), "holders fee").to.be.bignumber.that.equals(acc_reward_per_share);
+				});
+				it("distributor is synced: buy message is processed", async function() {
+					await expectEvent.inTransaction(receipt.tx, distributor, "SharesTraded", {
+						trader: a3,
+						isBuy: true,
+						sharesAmount: amount,
+					});
+				});
+				it("distributor is synced: sell message is processed", async function() {
+					await expectEvent.inTransaction(receipt.tx, distributor, "SharesTraded", {
+						trader: a1,
+						isBuy: false,
+						sharesAmount: amount,
+					});
+				});
+				it("distributor registered shares match the balances", async function() {
+					await expect_distributor_in_sync(issuer, a1, a2, a3);
+				});
+				it("sender pending reward is preserved", async function() {
+					expect(await distributor.pendingReward(a1)).to.be.bignumber.that.equals(pending1);
+				});
+				it("recipient doesn't receive the reward accumulated before the transfer", async function() {
+					expect(await distributor.pendingReward(a3)).to.be.bignumber.that.equals("0");
+				});
+				describe("when the next trade generates the holders fee", function() {
+					let pending, acc_delta;
+					beforeEach(async function() {
+						pending = {};
+						for(const holder of [a1, a3]) {
+							pending[holder] = await distributor.pendingReward(holder);
+						}
+						const acc_before = await distributor.accRewardPerShare();
+						await buy(a4, 20);
+						acc_delta = (await distributor.accRewardPerShare()).sub(acc_before);
+					});
+					it("holders fee is distributed", async function() {
+						expect(acc_delta).to.be.bignumber.that.is.gt("0");
+					});
+					it("sender receives the reward according to the new balance", async function() {
+						expect((await distributor.pendingReward(a1)).sub(pending[a1]))
+							.to.be.bignumber.that.equals(new BN(10).sub(amount).mul(acc_delta).div(new BN(10).pow(new BN(18))));
+					});
+					it("recipient receives the reward according to the new balance", async function() {
+						expect((await distributor.pendingReward(a3)).sub(pending[a3]))
+							.to.be.bignumber.that.equals(amount.mul(acc_delta).div(new BN(10).pow(new BN(18))));
+					});
+					it("distributor registered shares match the balances", async function() {
+						await expect_distributor_in_sync(issuer, a1, a2, a3, a4);
+					});
+					it("all the holders can claim the reward", async function() {
+						for(const holder of [issuer, a1, a2, a3, a4]) {
+							if(!(await distributor.pendingReward(holder)).isZero()) {
+								await distributor.claimTheReward({from: holder});
+							}
+							expect(await distributor.pendingReward(holder), `${holder} pending reward`).to.be.bignumber.that.equals("0");
+						}
+					});
+				});
+				it("recipient can sell the shares received", async function() {
+					await shares.sellShares(amount, {from: a3});
+					expect(await shares.getSharesBalance(a3), "balance").to.be.bignumber.that.equals("0");
+					await expect_distributor_in_sync(a1, a3);
+				});
+				it("sender cannot sell the shares transferred", async function() {
+					await expectRevert(shares.sellShares(10, {from: a1}), "insufficient shares");
+				});
+				it("sender can sell the shares left", async function() {
+					await shares.sellShares(new BN(10).sub(amount), {from: a1});
+					await expect_distributor_in_sync(a1, a3);
+				});
+				it("recipient can transfer the shares further", async function() {
+					await shares.transferShares(a4, amount, {from: a3});
+					await expect_distributor_in_sync(a1, a3, a4);
+				});
+			});
+
+			describe("transferring all the shares a1 => a3", function() {
+				beforeEach(async function() {
+					await shares.transferShares(a3, 10, {from: a1});
+				});
+				it("distributor registered shares match the balances", async function() {
+					await expect_distributor_in_sync(a1, a3);
+				});
+				it("distributor doesn't register any shares for the sender", async function() {
+					expect((await distributor.userInfo(a1)).shares).to.be.bignumber.that.equals("0");
+				});
+			});
+
+			describe("transferring to self", function() {
+				let pending, receipt;
+				beforeEach(async function() {
+					pending = await distributor.pendingReward(a1);
+					receipt = await shares.transferShares(a1, 4, {from: a1});
+				});
+				it("balance doesn't change", async function() {
+					expect(await shares.getSharesBalance(a1)).to.be.bignumber.that.equals("10");
+				});
+				it("pending reward doesn't change", async function() {
+					expect(await distributor.pendingReward(a1)).to.be.bignumber.that.equals(pending);
+				});
+				it("distributor registered shares match the balances", async function() {
+					await expect_distributor_in_sync(a1);
+				});
+				it("'SharesTransferred' event is emitted", async function() {
+					expectEvent(receipt, "SharesTransferred", {from: a1, to: a1, amount: "4"});
+				});
+			});
+
+			describe("transferring zero shares", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await shares.transferShares(a3, 0, {from: a1});
+				});
+				it("distributor is not synced", async function() {
+					await expectEvent.notEmitted.inTransaction(receipt.tx, distributor, "SharesTraded");
+				});
+				it("'SharesTransferred' event is emitted", async function() {
+					expectEvent(receipt, "SharesTransferred", {from: a1, to: a3, amount: "0"});
+				});
+			});
+
+			describe("transferring the issuer's only share when nobody else holds the shares", function() {
+				let single_shares, single_distributor;
+				beforeEach(async function() {
+					({shares: single_shares, distributor: single_distributor} =
+						await factory_deploy_shares(a0, factory, undefined, issuer, impl_type, new BN(1)));
+					await single_shares.updateFeatures(FEATURE_TRANSFERS, {from: a0});
+					await single_shares.transferShares(a3, 1, {from: issuer});
+				});
+				it("recipient holds the share", async function() {
+					expect(await single_shares.getSharesBalance(a3)).to.be.bignumber.that.equals("1");
+				});
+				it("distributor registers the share for the recipient", async function() {
+					expect((await single_distributor.userInfo(a3)).shares, "a3").to.be.bignumber.that.equals("1");
+					expect((await single_distributor.userInfo(issuer)).shares, "issuer").to.be.bignumber.that.equals("0");
+					expect(await single_distributor.totalShares(), "total").to.be.bignumber.that.equals("1");
+				});
+			});
+
+			describe("when holders fee is disabled", function() {
+				beforeEach(async function() {
+					await shares.disableHoldersFee({from: a0});
+				});
+				it("transfer succeeds without the sync", async function() {
+					const receipt = await shares.transferShares(a3, 4, {from: a1});
+					await expectEvent.notEmitted.inTransaction(receipt.tx, distributor, "SharesTraded");
+					expect(await shares.getSharesBalance(a3)).to.be.bignumber.that.equals("4");
+				});
+			});
+		});
+	}
+
+	describe("ETHShares", function() {
+		transfers_suite(SharesImplementationType.ETH);
+	});
+	describe("ERC20Shares", function() {
+		transfers_suite(SharesImplementationType.ERC20);
+	});
+
+	describe("SharesFactory: FEATURE_TRANSFERABLE_SHARES", function() {
+		let factory;
+		beforeEach(async function() {
+			({factory} = await deploy_factory_and_configure(a0, a1));
+		});
+		describe("when disabled", function() {
+			let shares;
+			beforeEach(async function() {
+				({shares} = await factory_deploy_shares(a0, factory, undefined, issuer, SharesImplementationType.ETH, new BN(1)));
+			});
+			it("shares are deployed non-transferable", async function() {
+				expect(await shares.isFeatureEnabled(FEATURE_TRANSFERS)).to.be.false;
+			});
+			it("shares owner has full privileges", async function() {
+				expect(await shares.getRole(a1)).to.be.bignumber.that.equals(FULL_PRIVILEGES_MASK);
+			});
+			it("factory has no privileges", async function() {
+				expect(await shares.getRole(factory.address)).to.be.bignumber.that.equals("0");
+			});
+		});
+		describe("when enabled", function() {
+			beforeEach(async function() {
+				await factory.updateFeatures((await factory.features()).or(new BN(FEATURE_TRANSFERABLE_SHARES)), {from: a0});
+			});
+			describe("ETH shares are deployed transferable", function() {
+				let shares;
+				beforeEach(async function() {
+					({shares} = await factory_deploy_shares(a0, factory, undefined, issuer, SharesImplementationType.ETH, new BN(1)));
+				});
+				it("transfers are enabled", async function() {
+					expect(await shares.isFeatureEnabled(FEATURE_TRANSFERS)).to.be.true;
+				});
+				it("shares owner has full privileges", async function() {
+					expect(await shares.getRole(a1)).to.be.bignumber.that.equals(FULL_PRIVILEGES_MASK);
+				});
+				it("factory has no privileges", async function() {
+					expect(await shares.getRole(factory.address)).to.be.bignumber.that.equals("0");
+				});
+				it("shares can be transferred", async function() {
+					await shares.transferShares(a3, 1, {from: issuer});
+					expect(await shares.getSharesBalance(a3)).to.be.bignumber.that.equals("1");
+				});
+			});
+			describe("ERC20 shares are deployed transferable", function() {
+				let shares;
+				beforeEach(async function() {
+					({shares} = await factory_deploy_shares(a0, factory, undefined, issuer, SharesImplementationType.ERC20, new BN(1)));
+				});
+				it("transfers are enabled", async function() {
+					expect(await shares.isFeatureEnabled(FEATURE_TRANSFERS)).to.be.true;
+				});
+				it("factory has no privileges", async function() {
+					expect(await shares.getRole(factory.address)).to.be.bignumber.that.equals("0");
+				});
+			});
+			describe("when the shares owner is not set", function() {
+				let shares;
+				beforeEach(async function() {
+					await factory.setSharesOwnerAddress(ZERO_ADDRESS, {from: a0});
+					({shares} = await factory_deploy_shares(a0, factory, undefined, issuer, SharesImplementationType.ETH, new BN(1)));
+				});
+				it("transfers are enabled", async function() {
+					expect(await shares.isFeatureEnabled(FEATURE_TRANSFERS)).to.be.true;
+				});
+				it("factory has no privileges", async function() {
+					expect(await shares.getRole(factory.address)).to.be.bignumber.that.equals("0");
+				});
+			});
+		});
+	});
+});
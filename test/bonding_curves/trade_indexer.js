@@ -0,0 +1,235 @@
+// Zeppelin test helpers
+const {
+	BN,
+} = require("@openzeppelin/test-helpers");
+const {
+	expect,
+} = require("chai");
+
+// we use fs and os to manage the temporary store files
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// import total supply constant for the ALI ERC20 token we're using here
+const {TOTAL_SUPPLY: S0}  = require("@ai-protocol/v3-core/test/ali_token/include/ali_erc20_constants");
+
+// trade indexer
+const {
+	index_trades,
+	load_store,
+} = require("../../scripts/trade_indexer/trade_indexer");
+
+// SharesFactory.ImplementationType
+const {
+	SharesImplementationType,
+} = require("./include/enums");
+
+// deployment routines in use
+const {
+	deploy_factory_and_configure,
+	factory_deploy_shares,
+} = require("./include/deployment_routines");
+
+// run trade indexer tests
+contract("Trade event indexer", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3, a4, a5] = accounts;
+
+	// define the "players"
+	const issuer = a1;
+	const buyer1 = a2;
+	const buyer2 = a3;
+	const recipient = a4;
+
+	// indexer store path and the factory deployment block
+	let store_path, from_block;
+	beforeEach(async function() {
+		store_path = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "trade_indexer-")), "trades.json");
+		from_block = await web3.eth.getBlockNumber();
+	});
+	afterEach(async function() {
+		fs.rmSync(path.dirname(store_path), {recursive: true, force: true});
+	});
+
+	// runs the indexer against the factory with small batches and no logging
+	async function index(factory, batch_size = 3) {
+		return await index_trades({
+			web3,
+			factory_address: factory.address,
+			store_path,
+			from_block,
+			batch_size,
+			log: () => {},
+		});
+	}
+
+	// sums up the event field values over all the Trade events of the shares contract
+	async function sum_trades(shares, field) {
+		const events = await shares.getPastEvents("Trade", {fromBlock: 0});
+		return events.reduce((sum, event) => sum.add(new BN(event.returnValues[field])), new BN(0)).toString();
+	}
+
+	describe("when the factory is deployed and the shares contracts are deployed", function() {
+		let factory, payment_token, eth_shares, erc20_shares;
+		beforeEach(async function() {
+			({factory, payment_token} = await deploy_factory_and_configure(a0));
+			({shares: eth_shares} = await factory_deploy_shares(a0, factory, undefined, issuer, SharesImplementationType.ETH));
+			({shares: erc20_shares} = await factory_deploy_shares(a0, factory, undefined, issuer, SharesImplementationType.ERC20));
+
+			// buy the first shares
+			await eth_shares.buyShares(1, {from: issuer});
+			await erc20_shares.buyShares(1, {from: issuer});
+
+			// give the buyers some tokens and approve them
+			for(const buyer of [buyer1, buyer2]) {
+				await payment_token.transfer(buyer, S0.divn(4), {from: a0});
+				await payment_token.approve(erc20_shares.address, S0, {from: buyer});
+			}
+		});
+
+		// does some trading: buys and sells, including selling in favor of other address
+		async function trade() {
+			for(const [shares, eth] of [[eth_shares, true], [erc20_shares, false]]) {
+				for(const [buyer, amount] of [[buyer1, 3], [buyer2, 5], [buyer1, 2]]) {
+					const value = eth? await shares.getBuyPriceAfterFee(amount): 0;
+					await shares.buyShares(amount, {from: buyer, value});
+				}
+				await shares.sellShares(2, {from: buyer2});
+				await shares.sellSharesTo(1, recipient, {from: buyer1});
+			}
+		}
+
+		describe("after indexing", function() {
+			let store;
+			beforeEach(async function() {
+				await trade();
+				store = await index(factory);
+			});
+			it("both curves are discovered", async function() {
+				expect(Object.keys(store.curves)).to.have.members([eth_shares.address, erc20_shares.address]);
+			});
+			it("implementation types are recorded", async function() {
+				expect(store.curves[eth_shares.address].implementation_type).to.equal(parseInt(SharesImplementationType.ETH));
+				expect(store.curves[erc20_shares.address].implementation_type).to.equal(parseInt(SharesImplementationType.ERC20));
+			});
+			it("checkpoint is set to the latest block", async function() {
+				expect(store.checkpoint).to.equal(await web3.eth.getBlockNumber());
+			});
+			it("store is saved to the file", async function() {
+				expect(load_store(store_path, await web3.eth.getChainId(), factory.address)).to.deep.equal(store);
+			});
+			for(const name of ["eth_shares", "erc20_shares"]) {
+				describe(`${name} curve`, function() {
+					let shares, curve;
+					beforeEach(async function() {
+						shares = name === "eth_shares"? eth_shares: erc20_shares;
+						curve = store.curves[shares.address];
+					});
+					it("supply matches the contract", async function() {
+						expect(curve.supply).to.equal((await shares.getSharesSupply()).toString());
+					});
+					it("holders balances match the contract", async function() {
+						for(const holder of [issuer, buyer1, buyer2]) {
+							expect(curve.holders[holder], holder).to.equal((await shares.getSharesBalance(holder)).toString());
+						}
+					});
+					it("funds recipient of the sale is not a holder", async function() {
+						expect(curve.holders).to.not.have.property(recipient);
+					});
+					it("trade volume matches the contract", async function() {
+						expect(curve.trade_volume).to.equal((await shares.getTradeVolume()).toString());
+					});
+					it("cumulative fees match the Trade events", async function() {
+						expect(curve.fees.protocol, "protocol").to.equal(await sum_trades(shares, "protocolFeeAmount"));
+						expect(curve.fees.holders, "holders").to.equal(await sum_trades(shares, "holdersFeeAmount"));
+						expect(curve.fees.subject, "subject").to.equal(await sum_trades(shares, "subjectFeeAmount"));
+					});
+					it("all the trades are counted", async function() {
+						expect(curve.trades).to.equal((await shares.getPastEvents("Trade", {fromBlock: 0})).length);
+					});
+					it("candles are consistent", async function() {
+						expect(curve.candles.length).to.be.greaterThan(0);
+						const shares_volume = curve.candles.reduce((sum, c) => sum + BigInt(c.shares_volume), 0n);
+						// first share is free and doesn't affect the candles: 3 + 5 + 2 bought, 2 + 1 sold
+						expect(shares_volume.toString()).to.equal("13");
+						for(const c of curve.candles) {
+							expect(BigInt(c.low) <= BigInt(c.open) && BigInt(c.open) <= BigInt(c.high), "open").to.be.true;
+							expect(BigInt(c.low) <= BigInt(c.close) && BigInt(c.close) <= BigInt(c.high), "close").to.be.true;
+						}
+					});
+				});
+			}
+			describe("resuming the indexing after more trades", function() {
+				let store2;
+				beforeEach(async function() {
+					await trade();
+					store2 = await index(factory);
+				});
+				it("checkpoint advances to the latest block", async function() {
+					expect(store2.checkpoint).to.equal(await web3.eth.getBlockNumber());
+				});
+				it("trades are counted once", async function() {
+					expect(store2.curves[eth_shares.address].trades).to.equal(
+						(await eth_shares.getPastEvents("Trade", {fromBlock: 0})).length
+					);
+				});
+				it("trade volume matches the contract", async function() {
+					expect(store2.curves[eth_shares.address].trade_volume).to.equal((await eth_shares.getTradeVolume()).toString());
+				});
+				it("holders balances match the contract", async function() {
+					for(const holder of [issuer, buyer1, buyer2]) {
+						expect(store2.curves[erc20_shares.address].holders[holder], holder)
+							.to.equal((await erc20_shares.getSharesBalance(holder)).toString());
+					}
+				});
+			});
+			it("indexing again without new blocks doesn't change the store", async function() {
+				expect(await index(factory)).to.deep.equal(store);
+			});
+			it("batch size doesn't affect the result", async function() {
+				fs.rmSync(store_path);
+				expect(await index(factory, 1_000)).to.deep.equal(store);
+			});
+		});
+	});
+
+	describe("when the subject fee split is enabled and updated", function() {
+		// subject fee split bounds: from 10% to 50% of the subject fee
+		const MIN_HOLDERS_SHARE = new BN(10).pow(new BN(17));
+		const MAX_HOLDERS_SHARE = new BN(5).mul(MIN_HOLDERS_SHARE);
+
+		let factory, shares, store;
+		beforeEach(async function() {
+			({factory} = await deploy_factory_and_configure(a0));
+			await factory.setSubjectFeeSplitBounds(MIN_HOLDERS_SHARE, MAX_HOLDERS_SHARE, {from: a0});
+			({shares} = await factory_deploy_shares(a0, factory, undefined, issuer, SharesImplementationType.ETH));
+			await shares.updateSubjectFeeSplit(MAX_HOLDERS_SHARE, {from: issuer});
+			store = await index(factory);
+		});
+		it("fee changes are recorded in the order they happened", async function() {
+			expect(store.curves[shares.address].fee_changes.map(c => c.event)).to.deep.equal([
+				"SubjectFeeSplitBoundsUpdated",
+				"SubjectFeeSplitUpdated",
+				"SubjectFeeSplitUpdated",
+			]);
+		});
+		it("fee change values are recorded", async function() {
+			const [bounds, , split] = store.curves[shares.address].fee_changes;
+			expect(bounds.values, "bounds").to.deep.equal({
+				by: factory.address,
+				minHoldersShare: MIN_HOLDERS_SHARE.toString(),
+				maxHoldersShare: MAX_HOLDERS_SHARE.toString(),
+			});
+			expect(split.values, "split").to.deep.equal({
+				by: issuer,
+				oldHoldersShare: MIN_HOLDERS_SHARE.toString(),
+				newHoldersShare: MAX_HOLDERS_SHARE.toString(),
+			});
+		});
+	});
+});
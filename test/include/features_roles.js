@@ -270,6 +270,9 @@ const FEATURE_ALLOW_PAUSED_DEPLOYMENTS = 0x0000_0002;
 // Allows buying more shares than one
 const FEATURE_ALLOW_EXCLUSIVE_BUY = 0x0000_0004;
 
+// Deploys the curves with the shares transfers enabled
+const FEATURE_TRANSFERABLE_SHARES = 0x0000_0008;
+
 // Sets protocol fee destination address and protocol fee percent
 const ROLE_PROTOCOL_FEE_MANAGER = 0x0001_0000;
 
@@ -291,6 +294,8 @@ const ROLE_FACTORY_DEPLOYMENT_MANAGER = 0x0010_0000;
 
 // Start: ===== FriendTechShares =====
 
+// FEATURE_TRANSFERS (see ERC20/ERC721) enables the shares transfers
+
 // Responsible for updating the "shares subject"
 const ROLE_SHARES_SUBJECT_MANAGER = 0x0008_0000;
 
@@ -300,16 +305,25 @@ const ROLE_PROTOCOL_FEE_DESTINATION_MANAGER = ROLE_PROTOCOL_FEE_MANAGER;
 // Can disable the shares holders fee functionality
 const ROLE_HOLDERS_FEE_DISABLE_MANAGER = ROLE_HOLDERS_FEE_MANAGER;
 
+// Overrides the fees and sets the bounds for the subject fee split between the issuer and the holders
+const ROLE_FEE_OVERRIDE_MANAGER = ROLE_SUBJECT_FEE_MANAGER;
+
 // End: ===== FriendTechShares =====
 
 // Start: ===== ProtocolFeeDistributorV1.sol =====
 
+// FEATURE_PULL_DISTRIBUTION switches the distributor into the pull mode: recipients claim their accrued shares
+const FEATURE_PULL_DISTRIBUTION = 0x0000_0001;
+
 // ROLE_RECIPIENT_LIST_MANAGER manager to add/update recipient details
 const ROLE_RECIPIENT_LIST_MANAGER = 0x0001_0000;
 
 // ROLE_DISTRIBUTION_MANAGER manager to distribute reward to recipients
 const ROLE_DISTRIBUTION_MANAGER = 0x0002_0000;
 
+// ROLE_RECOVERY_MANAGER allows recovering the ERC20 tokens not reserved for the claims
+const ROLE_RECOVERY_MANAGER = 0x0004_0000;
+
 // End: ===== ProtocolFeeDistributorV1.sol =====
 
 // Start: ===== RewardSystem =====
@@ -322,6 +336,13 @@ const ROLE_DATA_ROOT_MANAGER = 0x0001_0000;
 
 // End: ===== RewardSystem =====
 
+// Start: ===== ERC20SharesRouter =====
+
+// ROLE_DEX_ADAPTER_MANAGER allows updating the DEX adapter via setDexAdapter()
+const ROLE_DEX_ADAPTER_MANAGER = 0x0001_0000;
+
+// End: ===== ERC20SharesRouter =====
+
 
 // Start: ===== Hive Registry =====
 // FEATURE_ALLOW_HIVE_CREATION must be enabled in order to allow user to create/launch hive
@@ -387,6 +408,8 @@ module.exports = {
 	FEATURE_SHARES_DEPLOYMENT_ENABLED,
 	FEATURE_ALLOW_PAUSED_DEPLOYMENTS,
 	FEATURE_ALLOW_EXCLUSIVE_BUY,
+	FEATURE_TRANSFERABLE_SHARES,
+	FEATURE_PULL_DISTRIBUTION,
 	FEATURE_CLAIM_ACTIVE,
 	FEATURE_ALLOW_HIVE_CREATION,
 	FEATURE_ALLOW_ASSET_LINKING,
@@ -427,9 +450,12 @@ module.exports = {
 	ROLE_SHARES_SUBJECT_MANAGER,
 	ROLE_PROTOCOL_FEE_DESTINATION_MANAGER,
 	ROLE_HOLDERS_FEE_DISABLE_MANAGER,
+	ROLE_FEE_OVERRIDE_MANAGER,
 	ROLE_RECIPIENT_LIST_MANAGER,
 	ROLE_DISTRIBUTION_MANAGER,
+	ROLE_RECOVERY_MANAGER,
 	ROLE_DATA_ROOT_MANAGER,
+	ROLE_DEX_ADAPTER_MANAGER,
 	ROLE_DPT_REGISTRAR,
 	ROLE_POD_WHITELIST_MANAGER,
 	ROLE_CATEGORY_MANAGER,
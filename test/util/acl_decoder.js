@@ -0,0 +1,133 @@
+// RBAC features and roles decoder tests
+
+// Chai test helpers
+const {
+	expect,
+} = require("chai");
+
+// RBAC features and roles
+const {
+	not,
+	ROLE_ACCESS_MANAGER,
+	ROLE_UPGRADE_MANAGER,
+	FULL_PRIVILEGES_MASK,
+	FEATURE_SHARES_DEPLOYMENT_ENABLED,
+	FEATURE_ALLOW_PAUSED_DEPLOYMENTS,
+	FEATURE_ALLOW_EXCLUSIVE_BUY,
+	FEATURE_TRANSFERABLE_SHARES,
+	ROLE_PROTOCOL_FEE_MANAGER,
+	ROLE_HOLDERS_FEE_MANAGER,
+	ROLE_SUBJECT_FEE_MANAGER,
+	ROLE_SHARES_REGISTRAR,
+	ROLE_FACTORY_DEPLOYMENT_MANAGER,
+} = require("../include/features_roles");
+
+// RBAC decoder
+const {
+	get_acl_constant_names,
+	read_acl_constants,
+	decode_mask,
+	format_decoded_mask,
+	decode_acl,
+} = require("../../scripts/include/acl_decoder");
+
+// deployment routines in use
+const {
+	factory_deploy_restricted,
+} = require("../bonding_curves/include/deployment_routines");
+
+// run RBAC decoder tests
+contract("RBAC features and roles decoder", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2] = accounts;
+
+	// deploy the factory as an example of access controlled contract
+	let factory;
+	beforeEach(async function() {
+		({factory} = await factory_deploy_restricted(a0));
+	});
+
+	it("FEATURE_* and ROLE_* constant names are extracted from the ABI", async function() {
+		const {features, roles} = get_acl_constant_names(factory.abi);
+		expect(features, "features").to.have.members([
+			"FEATURE_SHARES_DEPLOYMENT_ENABLED",
+			"FEATURE_ALLOW_PAUSED_DEPLOYMENTS",
+			"FEATURE_ALLOW_EXCLUSIVE_BUY",
+			"FEATURE_TRANSFERABLE_SHARES",
+		]);
+		expect(roles, "roles").to.have.members([
+			"ROLE_ACCESS_MANAGER",
+			"ROLE_UPGRADE_MANAGER",
+			"ROLE_PROTOCOL_FEE_MANAGER",
+			"ROLE_HOLDERS_FEE_MANAGER",
+			"ROLE_SUBJECT_FEE_MANAGER",
+			"ROLE_SHARES_REGISTRAR",
+			"ROLE_FACTORY_DEPLOYMENT_MANAGER",
+		]);
+	});
+	it("FEATURE_* and ROLE_* constant values are read from the contract", async function() {
+		const {features, roles} = await read_acl_constants(web3, factory.abi, factory.address);
+		expect(features.map(({name, value}) => [name, value.toString()]), "features").to.deep.equal([
+			["FEATURE_SHARES_DEPLOYMENT_ENABLED", FEATURE_SHARES_DEPLOYMENT_ENABLED.toString()],
+			["FEATURE_ALLOW_PAUSED_DEPLOYMENTS", FEATURE_ALLOW_PAUSED_DEPLOYMENTS.toString()],
+			["FEATURE_ALLOW_EXCLUSIVE_BUY", FEATURE_ALLOW_EXCLUSIVE_BUY.toString()],
+			["FEATURE_TRANSFERABLE_SHARES", FEATURE_TRANSFERABLE_SHARES.toString()],
+		]);
+		expect(roles.map(({name, value}) => [name, value.toString()]), "roles").to.deep.equal([
+			["ROLE_PROTOCOL_FEE_MANAGER", ROLE_PROTOCOL_FEE_MANAGER.toString()],
+			["ROLE_HOLDERS_FEE_MANAGER", ROLE_HOLDERS_FEE_MANAGER.toString()],
+			["ROLE_SUBJECT_FEE_MANAGER", ROLE_SUBJECT_FEE_MANAGER.toString()],
+			["ROLE_SHARES_REGISTRAR", ROLE_SHARES_REGISTRAR.toString()],
+			["ROLE_FACTORY_DEPLOYMENT_MANAGER", ROLE_FACTORY_DEPLOYMENT_MANAGER.toString()],
+			["ROLE_UPGRADE_MANAGER", ROLE_UPGRADE_MANAGER.toString()],
+			["ROLE_ACCESS_MANAGER", ROLE_ACCESS_MANAGER.toString()],
+		]);
+	});
+	it("unknown bits are reported separately", async function() {
+		const constants = [{name: "FEATURE_A", value: 1n}, {name: "FEATURE_B", value: 4n}];
+		const decoded = decode_mask("0x17", constants);
+		expect(decoded.names).to.deep.equal(["FEATURE_A", "FEATURE_B"]);
+		expect(decoded.unknown.toString(16)).to.equal("12");
+		expect(format_decoded_mask(decoded)).to.equal("0x17 (FEATURE_A | FEATURE_B | 0x12)");
+	});
+	it("multi-bit constant is decoded only if all its bits are set", async function() {
+		const constants = [{name: "FEATURE_AB", value: 3n}];
+		expect(decode_mask(1, constants).names).to.be.empty;
+		expect(decode_mask(3, constants).names).to.deep.equal(["FEATURE_AB"]);
+	});
+	it("empty mask is formatted as 0x0", async function() {
+		expect(format_decoded_mask(decode_mask(0, []))).to.equal("0x0");
+	});
+	describe("when features and roles are set", function() {
+		beforeEach(async function() {
+			await factory.updateFeatures(FEATURE_SHARES_DEPLOYMENT_ENABLED | FEATURE_ALLOW_EXCLUSIVE_BUY, {from: a0});
+			await factory.updateRole(a1, ROLE_SHARES_REGISTRAR | FEATURE_ALLOW_PAUSED_DEPLOYMENTS, {from: a0});
+			await factory.updateRole(a2, not(ROLE_ACCESS_MANAGER), {from: a0});
+		});
+		let acl;
+		beforeEach(async function() {
+			acl = await decode_acl(web3, factory.abi, factory.address, [a0, a1, a2]);
+		});
+		it("features are decoded", async function() {
+			expect(acl.features.names).to.deep.equal(["FEATURE_SHARES_DEPLOYMENT_ENABLED", "FEATURE_ALLOW_EXCLUSIVE_BUY"]);
+			expect(acl.features.unknown.toString()).to.equal("0");
+		});
+		it("full privileges role is decoded", async function() {
+			expect(acl.roles[a0].mask.toString()).to.equal(FULL_PRIVILEGES_MASK.toString());
+			expect(format_decoded_mask(acl.roles[a0])).to.have.string("FULL_PRIVILEGES_MASK");
+		});
+		it("role containing the feature bits is decoded", async function() {
+			expect(acl.roles[a1].names).to.deep.equal(["FEATURE_ALLOW_PAUSED_DEPLOYMENTS", "ROLE_SHARES_REGISTRAR"]);
+			expect(acl.roles[a1].unknown.toString()).to.equal("0");
+		});
+		it("role with unknown bits is decoded", async function() {
+			expect(acl.roles[a2].names).to.include("ROLE_UPGRADE_MANAGER");
+			expect(acl.roles[a2].names).to.not.include("ROLE_ACCESS_MANAGER");
+			expect(acl.roles[a2].unknown > 0n).to.be.true;
+		});
+	});
+});
@@ -0,0 +1,134 @@
+// Bytecode match tool tests
+
+// Chai test helpers
+const {
+	expect,
+} = require("chai");
+
+// we use path to locate the deployments folder
+const path = require("path");
+
+// Hardhat Runtime Environment to access the build info and the compiler
+const hre = require("hardhat");
+
+// bytecode match tool
+const {
+	load_deployments,
+	seed_local_node,
+	parse_eip1167,
+	mask_bytecode,
+	compare_bytecode,
+	match_deployments,
+} = require("../../scripts/bytecode_match/bytecode_match");
+
+// compiler used by the bytecode:match task
+const {
+	compile,
+} = require("../../tasks/bytecode_match");
+
+// SharesFactory.ImplementationType
+const {
+	SharesImplementationType,
+} = require("../bonding_curves/include/enums");
+
+// deployment routines in use
+const {
+	deploy_factory_and_configure,
+	factory_deploy_shares,
+} = require("../bonding_curves/include/deployment_routines");
+
+// the deployments folder used to seed the local node
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments/base_mainnet");
+
+// run bytecode match tests
+contract("Bytecode match tool", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1] = accounts;
+
+	// reads the compiled runtime code from the build info
+	async function get_deployed_bytecode(source_path, contract_name) {
+		const build_info = await hre.artifacts.getBuildInfo(`${source_path}:${contract_name}`);
+		return build_info.output.contracts[source_path][contract_name].evm.deployedBytecode;
+	}
+
+	describe("when the factory and the shares clone are deployed", function() {
+		let factory, shares;
+		beforeEach(async function() {
+			({factory} = await deploy_factory_and_configure(a0));
+			({shares} = await factory_deploy_shares(a0, factory, undefined, a1, SharesImplementationType.ETH));
+		});
+		it("EIP-1167 clone is resolved into its implementation", async function() {
+			const impl_address = await factory.getSharesImplAddress(SharesImplementationType.ETH);
+			expect(parse_eip1167(await web3.eth.getCode(shares.address))).to.equal(impl_address.toLowerCase());
+		});
+		it("non-clone code is not resolved", async function() {
+			expect(parse_eip1167(await web3.eth.getCode(factory.address))).to.be.undefined;
+		});
+		describe("deployed factory implementation (having immutables)", function() {
+			let compiled, deployed;
+			beforeEach(async function() {
+				const impl_address = "0x" + (await web3.eth.getStorageAt(
+					factory.address,
+					"0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc",
+				)).slice(-40);
+				compiled = await get_deployed_bytecode("contracts/bonding_curves/SharesFactoryV1.sol", "SharesFactoryV1");
+				deployed = await web3.eth.getCode(impl_address);
+			});
+			it("differs from the compiled code before masking", async function() {
+				expect(Object.keys(compiled.immutableReferences)).to.not.be.empty;
+				expect(deployed.substring(2)).to.not.equal(compiled.object);
+			});
+			it("matches the compiled code after masking", async function() {
+				expect(compare_bytecode(compiled, deployed).match).to.be.true;
+			});
+			it("matches the compiled code with a different metadata hash", async function() {
+				const metadata_offset = compiled.object.lastIndexOf("a2646970667358221220") + 20;
+				const object = compiled.object.substring(0, metadata_offset)
+					+ "ff".repeat(32) + compiled.object.substring(metadata_offset + 64);
+				expect(object).to.not.equal(compiled.object);
+				expect(compare_bytecode({...compiled, object}, deployed).match).to.be.true;
+			});
+			it("doesn't match the code with a different opcode, the offset is reported", async function() {
+				const object = compiled.object.substring(0, 20) + "fe" + compiled.object.substring(22);
+				expect(compare_bytecode({...compiled, object}, deployed)).to.deep.equal({match: false, offset: 10});
+			});
+		});
+	});
+
+	it("masking zeroes the immutables and link references", async function() {
+		const code = "0x" + "11".repeat(10);
+		const immutables = {"1": [{start: 1, length: 2}]};
+		const links = {"Lib.sol": {"Lib": [{start: 6, length: 3}]}};
+		expect(mask_bytecode(code, immutables, links)).to.equal("11000011111100000011");
+	});
+
+	describe("when the local node is seeded from the deployment JSONs", function() {
+		let deployments;
+		beforeEach(async function() {
+			deployments = load_deployments(DEPLOYMENTS_DIR);
+			await seed_local_node(web3, deployments);
+		});
+		it("runtime code is set for all the deployments", async function() {
+			for(const [name, {address, deployedBytecode}] of Object.entries(deployments)) {
+				expect(await web3.eth.getCode(address), name).to.equal(deployedBytecode.toLowerCase());
+			}
+		});
+		it("proxies match the code compiled from the current commit", async function() {
+			const results = await match_deployments({
+				web3,
+				compile: async(solc_version, input) => await compile(hre, solc_version, input),
+				deployments_dir: DEPLOYMENTS_DIR,
+				names: ["SharesFactory_Proxy", "RewardSystem_Proxy"],
+				log: () => {},
+			});
+			expect(results.map(({name, status}) => [name, status])).to.deep.equal([
+				["RewardSystem_Proxy", "MATCH"],
+				["SharesFactory_Proxy", "MATCH"],
+			]);
+		});
+	});
+});
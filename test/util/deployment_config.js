@@ -0,0 +1,155 @@
+// Declarative deployment config tests
+
+// Chai test helpers
+const {
+	expect,
+} = require("chai");
+
+// deployment config
+const {
+	resolve_address,
+	pick_keys,
+	reconcile,
+} = require("../../scripts/deployment_config");
+
+// deployment routines in use
+const {
+	deploy_factory_and_configure,
+} = require("../bonding_curves/include/deployment_routines");
+
+// run deployment config tests
+contract("Deployment config: reconciling the contract state", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1] = accounts;
+
+	describe("resolve_address", function() {
+		let shares_owner_address;
+		beforeEach(async function() {
+			// make sure the shares owner address is not set
+			shares_owner_address = process.env.SHARES_OWNER_ADDRESS;
+			delete process.env.SHARES_OWNER_ADDRESS;
+		});
+		afterEach(async function() {
+			// restore the shares owner address
+			if(shares_owner_address !== undefined) {
+				process.env.SHARES_OWNER_ADDRESS = shares_owner_address;
+			}
+			else {
+				delete process.env.SHARES_OWNER_ADDRESS;
+			}
+		});
+
+		it("\"deployer\" is resolved into the service account", async function() {
+			expect(await resolve_address(undefined, "deployer", a0)).to.equal(a0);
+		});
+		it("\"sharesOwner\" is resolved into SHARES_OWNER_ADDRESS", async function() {
+			process.env.SHARES_OWNER_ADDRESS = a1;
+			expect(await resolve_address(undefined, "sharesOwner", a0)).to.equal(a1);
+		});
+		it("\"sharesOwner\" fails to resolve if SHARES_OWNER_ADDRESS is not set", async function() {
+			let error;
+			try {
+				await resolve_address(undefined, "sharesOwner", a0);
+			}
+			catch(e) {
+				error = e;
+			}
+			expect(error, "no error").to.exist;
+			expect(error.message).to.include("SHARES_OWNER_ADDRESS env variable must be set");
+		});
+	});
+
+	describe("pick_keys", function() {
+		const expectations = {
+			protocolFeePercent: "40000000000000000",
+			sharesImplAddress: {ETH: "ETHShares", ERC20: "ERC20Shares"},
+			roles: {backend: "0x00080000"},
+		};
+		it("all the keys are kept if the keys are not set", async function() {
+			expect(pick_keys(expectations)).to.deep.equal(expectations);
+		});
+		it("plain keys are picked", async function() {
+			expect(pick_keys(expectations, ["protocolFeePercent"])).to.deep.equal({protocolFeePercent: "40000000000000000"});
+		});
+		it("mapping keys are picked entirely", async function() {
+			expect(pick_keys(expectations, ["roles"])).to.deep.equal({roles: {backend: "0x00080000"}});
+		});
+		it("mapping entries are picked individually", async function() {
+			expect(pick_keys(expectations, ["sharesImplAddress.ERC20"])).to.deep.equal({sharesImplAddress: {ERC20: "ERC20Shares"}});
+		});
+		it("keys not configured are ignored", async function() {
+			expect(pick_keys(expectations, ["features", "sharesImplAddress.UNKNOWN"])).to.deep.equal({});
+		});
+	});
+
+	describe("reconcile", function() {
+		let factory, deployments, config, backend_address;
+		beforeEach(async function() {
+			({factory} = await deploy_factory_and_configure(a0));
+			// hardhat-deploy deployments object serving the factory deployment only
+			deployments = {
+				get: async(name) => ({abi: factory.abi, address: factory.address}),
+				getOrNull: async(name) => null,
+			};
+			config = {
+				SharesFactory: {
+					protocolFeePercent: (await factory.getProtocolFeePercent()).toString(10),
+					roles: {backend: "0x00080000"},
+				},
+			};
+			// make sure the backend address is not set
+			backend_address = process.env.BACKEND_ADDRESS;
+			delete process.env.BACKEND_ADDRESS;
+		});
+		afterEach(async function() {
+			// restore the backend address
+			if(backend_address !== undefined) {
+				process.env.BACKEND_ADDRESS = backend_address;
+			}
+			else {
+				delete process.env.BACKEND_ADDRESS;
+			}
+		});
+
+		it("the keys not requested are not resolved if BACKEND_ADDRESS is not set", async function() {
+			const results = await reconcile({
+				deployments,
+				config,
+				contract_name: "SharesFactory",
+				keys: ["protocolFeePercent"],
+				from: a0,
+				check: true,
+			});
+			expect(results.length, "number of entries").to.equal(1);
+			expect(results[0].status, "status").to.equal("OK");
+		});
+		it("all the keys fail to reconcile if BACKEND_ADDRESS is not set", async function() {
+			let error;
+			try {
+				await reconcile({deployments, config, contract_name: "SharesFactory", from: a0, check: true});
+			}
+			catch(e) {
+				error = e;
+			}
+			expect(error, "no error").to.exist;
+			expect(error.message).to.include("BACKEND_ADDRESS env variable must be set");
+		});
+		it("backend address is resolved if BACKEND_ADDRESS is set", async function() {
+			process.env.BACKEND_ADDRESS = a1;
+			const results = await reconcile({
+				deployments,
+				config,
+				contract_name: "SharesFactory",
+				keys: ["roles.backend"],
+				from: a0,
+				check: true,
+			});
+			expect(results.length, "number of entries").to.equal(1);
+			expect(results[0].status, "status").to.equal("MISMATCH");
+		});
+	});
+});